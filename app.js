@@ -6,6 +6,7 @@
 class TinnitussaurusApp {
     constructor() {
         this.audioEngine = new AudioEngine();
+        this.audioEngine.setCalibration(HeadphoneCalibration.getActiveDevice());
         this.sessionManager = new SessionManager();
         this.subscriptionManager = new SubscriptionManager();
         this.visualizers = {};
@@ -16,6 +17,9 @@ class TinnitussaurusApp {
         this.journalManager = null;
         this.dashboardManager = null;
         this.guidedMatching = null;
+        this.pitchMatching = null;
+        this.loudnessMatching = null;
+        this.residualInhibition = null;
         this.notificationManager = null;
         this.exportManager = null;
         
@@ -29,21 +33,27 @@ class TinnitussaurusApp {
         // Tone Matcher State
         this.toneState = {
             isPlaying: false,
-            left: { enabled: true, frequency: 4000, fineTune: 0, volume: 0.5, waveform: 'sine', phaseInverted: false, osc: null, gain: null, panner: null, phaseGain: null },
-            right: { enabled: true, frequency: 4000, fineTune: 0, volume: 0.5, waveform: 'sine', phaseInverted: false, osc: null, gain: null, panner: null, phaseGain: null }
+            left: { enabled: true, frequency: 4000, fineTune: 0, volume: 0.5, waveform: 'sine', stimulus: 'tone', bandwidth: 0.33, phaseInverted: false, osc: null, noise: null, gain: null, panner: null, phaseGain: null, fader: null },
+            right: { enabled: true, frequency: 4000, fineTune: 0, volume: 0.5, waveform: 'sine', stimulus: 'tone', bandwidth: 0.33, phaseInverted: false, osc: null, noise: null, gain: null, panner: null, phaseGain: null, fader: null }
         };
         
         // Notched Noise State
         this.noiseState = {
             isPlaying: false,
             type: 'pink',
+            spectrum: { slope: 0, bands: AudioEngine.noiseEqBands.map(() => 0) }, // drawn spectrum for 'custom' noise
             volume: 0.5,
             notchFreq: 4000,
             notchWidth: 1,
-            notchDepth: 1,
+            notchDepth: 'full', // dB attenuation inside the band, or 'full'
+            stereoNotch: false,
+            notchFreqRight: 4000,
+            extraNotches: [], // additional { freq, width, depth } bands for multi-tone tinnitus
+            startPending: false, // Start was pressed while the noise worklet loads
             source: null,
             gain: null,
             filterBank: null,
+            fader: null,
             analyzer: null
         };
         
@@ -54,12 +64,33 @@ class TinnitussaurusApp {
             notchFreq: 4000,
             notchWidth: 1,
             notchEnabled: true,
-            source: null,
+            stereoNotch: false,
+            notchFreqRight: 4000,
+            extraNotches: [],
+            input: null, // both players' media element sources meet here before the notch
             gain: null,
             filterBank: null,
+            fader: null,
             analyzer: null,
-            audioElement: null
+            pauseTimer: null, // pending pause while the music fades out
+            decks: [],
+            audioElement: null, // the deck that is playing
+            file: null
         };
+
+        // Music library, playlists and gapless track changes
+        this.musicPlayer = new MusicPlayer(this);
+
+        // Layered noise, ambience and tones, notched as one mix
+        this.soundscapeMixer = new SoundscapeMixer(this);
+
+        // Offline WAV export
+        this.offlineRenderer = new OfflineRenderer();
+
+        // Dated record of every confirmed match, for drift tracking
+        this.matchHistory = new MatchHistory();
+        this.matchHistory.onChange = () => this.saveMatchHistoryToProfile();
+        this.notchFollowsTrend = false; // notch uses the recent match trend instead of the last match
         
         // Profiles
         this.profiles = this.loadProfiles();
@@ -77,13 +108,17 @@ class TinnitussaurusApp {
         this.bindToneMatcherEvents();
         this.bindNotchedNoiseEvents();
         this.bindNotchedMusicEvents();
+        this.soundscapeMixer.init();
+        this.bindAudioExportEvents();
         this.bindSessionEvents();
         this.bindProfileEvents();
+        this.bindHeadphoneEvents();
         this.bindSubscriptionEvents(); // NEW: Subscription event handlers
         this.initVisualizers();
         this.initOnboarding();
         this.autoLoadLastProfile(); // Load last used profile FIRST
         this.autoRestoreState(); // Then restore last session settings (overrides profile if needed)
+        this.musicPlayer.load(); // Read the music library and cue the last track
         this.updateUI();
         this.updateStats();
         this.updateActiveProfileIndicator();
@@ -120,10 +155,36 @@ class TinnitussaurusApp {
             // Initialize dashboard
             this.dashboardManager = new DashboardManager(this);
             this.dashboardManager.init();
+            this.audioEngine.onSourcesChange(() => this.dashboardManager.updateStatus());
             
             // Initialize guided matching wizard
             this.guidedMatching = new GuidedMatchingWizard(this);
 
+            // Initialize forced-choice pitch matching
+            this.pitchMatching = new PitchMatchingWizard(this);
+            document.getElementById('startPitchMatch')?.addEventListener('click', () => this.pitchMatching.launch());
+
+            // Initialize loudness matching / minimum masking level
+            this.loudnessMatching = new LoudnessMatchingWizard(this);
+            document.getElementById('startLoudnessMatch')?.addEventListener('click', () => this.loudnessMatching.launch());
+
+            // Initialize residual inhibition test
+            this.residualInhibition = new ResidualInhibitionTest(this);
+            document.getElementById('startResidualInhibition')?.addEventListener('click', () => this.residualInhibition.launch());
+
+            // Initialize hearing threshold screening
+            this.audiogramScreening = new AudiogramScreening(this);
+            this.audiogramScreening.onComplete = () => {
+                this.saveAudiogramToProfile();
+                this.dashboardManager?.updateMatchedFrequency();
+            };
+            document.getElementById('startAudiogram')?.addEventListener('click', () => this.audiogramScreening.launch());
+
+            // Initialize notch recommendation
+            this.notchRecommendation = new NotchRecommendation(this);
+            document.getElementById('recommendNoiseNotch')?.addEventListener('click', () => this.notchRecommendation.launch('noise'));
+            document.getElementById('recommendMusicNotch')?.addEventListener('click', () => this.notchRecommendation.launch('music'));
+
             // Initialize notification manager
             this.notificationManager = new NotificationManager();
             this.notificationManager.init();
@@ -166,6 +227,12 @@ class TinnitussaurusApp {
                     this.wizardManager.completeCurrentStep('frequency-marked');
                 }
             });
+
+            // "Use This Frequency" confirms a sweep result, so it goes into the history
+            this.frequencySweep.on('onConfirm', (freq, confidence, earSelection, marks, stimulus) => {
+                this.matchHistory.add({ method: 'sweep', ear: earSelection, frequency: freq, confidence, marks, stimulus });
+                this.dashboardManager?.updateMatchedFrequency();
+            });
             
             console.log('Phase 1 enhancements initialized');
         }, 100);
@@ -210,6 +277,8 @@ class TinnitussaurusApp {
             this.visualizers.noiseSpectrum?.reinitCanvas();
         } else if (mode === 'notched-music') {
             this.visualizers.musicSpectrum?.reinitCanvas();
+        } else if (mode === 'soundscape') {
+            this.soundscapeMixer.render(); // the mix notch may follow a newer match
         }
     }
 
@@ -243,8 +312,7 @@ class TinnitussaurusApp {
             this.autoSaveState();
         });
         document.getElementById(`${prefix}Waveform`).addEventListener('change', (e) => {
-            this.toneState[ear].waveform = e.target.value;
-            if (this.toneState[ear].osc) this.toneState[ear].osc.type = e.target.value;
+            this.updateToneSettings(ear, { waveform: e.target.value });
             this.visualizers[ear]?.setParams(this.toneState[ear].frequency, e.target.value, 1, this.toneState[ear].phaseInverted);
             this.autoSaveState();
         });
@@ -272,6 +340,9 @@ class TinnitussaurusApp {
         if (state.osc && this.toneState.isPlaying) {
             state.osc.frequency.setTargetAtTime(state.frequency + state.fineTune, this.audioEngine.currentTime, 0.01);
         }
+        if (state.noise && this.toneState.isPlaying) {
+            state.noise.update(state.frequency + state.fineTune, state.bandwidth);
+        }
     }
 
     updateToneVolume(ear) {
@@ -290,20 +361,13 @@ class TinnitussaurusApp {
         
         try {
             this.audioEngine.init();
-            
-            ['left', 'right'].forEach(ear => {
-                const state = this.toneState[ear];
-                state.osc = this.audioEngine.createOscillator(state.frequency + state.fineTune, state.waveform);
-                state.phaseGain = this.audioEngine.createGain(state.phaseInverted ? -1 : 1);
-                state.gain = this.audioEngine.createGain(state.enabled ? state.volume * this.masterVolume : 0);
-                state.panner = this.audioEngine.createPanner(ear === 'left' ? -1 : 1);
-                state.osc.connect(state.phaseGain);
-                state.phaseGain.connect(state.gain);
-                state.gain.connect(state.panner);
-                this.audioEngine.connectToMaster(state.panner);
-                state.osc.start();
+            // Stops a running sweep and pauses therapy; stopping from there goes through the
+            // unified tone matcher so its buttons follow
+            this.audioEngine.startSource('tone', {
+                kind: 'matching', label: 'Tone matcher',
+                stop: () => (this.toneMatcherUI ? this.toneMatcherUI.stopTone() : this.stopTone())
             });
-            
+            ['left', 'right'].forEach(ear => this.createToneChain(ear));
             this.toneState.isPlaying = true;
             document.getElementById('startTone').disabled = true;
             document.getElementById('stopTone').disabled = false;
@@ -313,16 +377,64 @@ class TinnitussaurusApp {
     }
 
     stopTone() {
-        ['left', 'right'].forEach(ear => {
-            const state = this.toneState[ear];
-            if (state.osc) { state.osc.stop(); state.osc.disconnect(); state.osc = null; }
-            state.gain = null; state.panner = null; state.phaseGain = null;
-        });
+        ['left', 'right'].forEach(ear => this.releaseToneChain(ear));
         this.toneState.isPlaying = false;
+        this.audioEngine.stopSource('tone');
         document.getElementById('startTone').disabled = false;
         document.getElementById('stopTone').disabled = true;
     }
 
+    // One ear's chain: source → phase → volume → fader → pan, faded in from silence
+    createToneChain(ear, fadeTime = this.audioEngine.fadeTime) {
+        const state = this.toneState[ear];
+        const freq = state.frequency + state.fineTune;
+        state.phaseGain = this.audioEngine.createGain(state.phaseInverted ? -1 : 1);
+        state.gain = this.audioEngine.createGain(state.enabled ? state.volume * this.masterVolume : 0);
+        state.fader = this.audioEngine.createGain(0);
+        state.panner = this.audioEngine.createPanner(ear === 'left' ? -1 : 1);
+        // Hissing tinnitus is matched with a band of noise instead of a tone
+        if (state.stimulus === 'noise') {
+            state.noise = this.audioEngine.createNarrowbandNoise(freq, state.bandwidth);
+            state.noise.output.connect(state.phaseGain);
+        } else {
+            state.osc = this.audioEngine.createOscillator(freq, state.waveform);
+            state.osc.connect(state.phaseGain);
+        }
+        state.phaseGain.connect(state.gain);
+        state.gain.connect(state.fader);
+        state.fader.connect(state.panner);
+        this.audioEngine.connectToMaster(state.panner);
+        (state.noise || state.osc).start();
+        this.audioEngine.fadeIn(state.fader, fadeTime);
+    }
+
+    // Hand the ear's chain to the engine to fade out and clear it from the state
+    releaseToneChain(ear, fadeTime = this.audioEngine.fadeTime) {
+        const state = this.toneState[ear];
+        if (state.fader) {
+            this.audioEngine.releaseChain({ fader: state.fader, sources: [state.osc || state.noise], output: state.panner }, fadeTime);
+        }
+        state.osc = null; state.noise = null; state.gain = null; state.panner = null; state.phaseGain = null; state.fader = null;
+    }
+
+    // Change tone settings without restarting: frequency, volume, phase and bandwidth ramp in
+    // place; a new waveform or stimulus crossfades to a freshly built chain
+    updateToneSettings(ear, settings) {
+        const state = this.toneState[ear];
+        const rebuild = (settings.stimulus ?? state.stimulus) !== state.stimulus ||
+            (state.stimulus !== 'noise' && (settings.waveform ?? state.waveform) !== state.waveform);
+        Object.assign(state, settings);
+        if (!this.toneState.isPlaying) return;
+        if (rebuild) {
+            this.releaseToneChain(ear, this.audioEngine.crossfadeTime);
+            this.createToneChain(ear, this.audioEngine.crossfadeTime);
+            return;
+        }
+        this.updateToneFrequencyValue(ear);
+        this.updateToneVolume(ear);
+        state.phaseGain?.gain.setTargetAtTime(state.phaseInverted ? -1 : 1, this.audioEngine.currentTime, 0.01);
+    }
+
     markFrequency(ear) {
         const state = this.toneState[ear];
         const freq = state.frequency + state.fineTune;
@@ -332,9 +444,23 @@ class TinnitussaurusApp {
         const btn = document.getElementById(`${ear}ToneMark`);
         btn.textContent = '✅ Marked!';
         setTimeout(() => btn.textContent = '📌 Mark as Tinnitus Frequency', 1500);
+        this.matchHistory.add({
+            method: 'slider',
+            ear,
+            frequency: freq,
+            marks: [{ raw: freq, corrected: freq }],
+            stimulus: state.stimulus === 'noise' ? { type: 'noise', bandwidth: state.bandwidth } : { type: 'tone' }
+        });
+        this.dashboardManager?.updateMatchedFrequency();
         this.autoSaveState();
     }
 
+    // Notch center for an ear: the recent match trend when following it, otherwise the last match
+    getNotchTarget(ear) {
+        const trend = this.notchFollowsTrend ? this.matchHistory.getTrendFrequency(ear) : null;
+        return trend || this.matchedFrequencies[ear];
+    }
+
     togglePhaseInversion(ear) {
         const state = this.toneState[ear];
         state.phaseInverted = !state.phaseInverted;
@@ -360,13 +486,24 @@ class TinnitussaurusApp {
     bindNotchedNoiseEvents() {
         document.getElementById('startNoise').addEventListener('click', () => this.startNoise());
         document.getElementById('stopNoise').addEventListener('click', () => this.stopNoise());
-        document.getElementById('noiseType').addEventListener('change', (e) => { this.noiseState.type = e.target.value; if (this.noiseState.isPlaying) { this.stopNoise(); this.startNoise(); } this.autoSaveState(); });
+        document.getElementById('noiseType').addEventListener('change', (e) => { this.noiseState.type = e.target.value; this.updateNoiseSpectrumUI(); this.changeNoiseType(); this.autoSaveState(); });
+        document.getElementById('noiseSlope').addEventListener('input', (e) => this.setNoiseSpectrum({ ...this.noiseState.spectrum, slope: parseFloat(e.target.value) }));
+        document.getElementById('resetNoiseSpectrum').addEventListener('click', () => this.setNoiseSpectrum({ slope: 0, bands: AudioEngine.noiseEqBands.map(() => 0) }));
         document.getElementById('noiseVolume').addEventListener('input', (e) => { this.noiseState.volume = e.target.value / 100; document.getElementById('noiseVolumeDisplay').textContent = `${e.target.value}%`; if (this.noiseState.gain) this.noiseState.gain.gain.setTargetAtTime(this.noiseState.volume * this.masterVolume, this.audioEngine.currentTime, 0.01); this.autoSaveState(); });
         document.getElementById('notchFreq').addEventListener('input', (e) => this.setNoiseNotchFreq(parseInt(e.target.value)));
         document.getElementById('notchFreqInput').addEventListener('change', (e) => this.setNoiseNotchFreq(Math.max(100, Math.min(15000, parseInt(e.target.value)))));
         document.getElementById('notchWidth').addEventListener('change', (e) => { this.noiseState.notchWidth = e.target.value; this.updateNoiseNotch(); this.autoSaveState(); });
-        document.getElementById('notchDepth').addEventListener('change', (e) => { this.noiseState.notchDepth = parseFloat(e.target.value); this.updateNoiseNotch(); this.autoSaveState(); });
-        document.getElementById('useMatchedFreqNoise').addEventListener('click', () => { const freq = this.matchedFrequencies.left || this.matchedFrequencies.right || 4000; this.setNoiseNotchFreq(freq); });
+        document.getElementById('notchDepth').addEventListener('change', (e) => { this.noiseState.notchDepth = this.normalizeNotchDepth(e.target.value); this.updateNoiseNotch(); this.autoSaveState(); });
+        document.getElementById('notchFreqRight').addEventListener('input', (e) => this.setNoiseNotchFreqRight(parseInt(e.target.value)));
+        document.getElementById('notchFreqRightInput').addEventListener('change', (e) => this.setNoiseNotchFreqRight(Math.max(100, Math.min(15000, parseInt(e.target.value)))));
+        document.getElementById('noiseStereoNotch').addEventListener('change', (e) => { this.noiseState.stereoNotch = e.target.checked; this.updateStereoNotchUI('noise'); this.updateNotchVisualizer('noise'); this.crossfadeNoise(); this.autoSaveState(); });
+        document.getElementById('useMatchedFreqNoise').addEventListener('click', () => {
+            const left = this.getNotchTarget('left');
+            const right = this.getNotchTarget('right');
+            this.setNoiseNotchFreq(left || right || 4000);
+            if (this.noiseState.stereoNotch) this.setNoiseNotchFreqRight(right || left || 4000);
+        });
+        document.getElementById('addNoiseNotch').addEventListener('click', () => this.addExtraNotch('noise'));
     }
 
     setNoiseNotchFreq(freq) {
@@ -374,45 +511,264 @@ class TinnitussaurusApp {
         document.getElementById('notchFreq').value = freq;
         document.getElementById('notchFreqInput').value = freq;
         this.updateNoiseNotch();
-        this.visualizers.noiseSpectrum?.setNotch(freq, this.noiseState.notchWidth);
+        this.autoSaveState();
+    }
+
+    setNoiseNotchFreqRight(freq) {
+        this.noiseState.notchFreqRight = freq;
+        document.getElementById('notchFreqRight').value = freq;
+        document.getElementById('notchFreqRightInput').value = freq;
+        this.updateNoiseNotch();
+        this.autoSaveState();
     }
 
     updateNoiseNotch() {
-        if (this.noiseState.filterBank) {
-            this.noiseState.filterBank.update(this.noiseState.notchFreq, this.noiseState.notchWidth, this.noiseState.notchDepth);
+        this.updateNotchBank(this.noiseState, this.noiseState.notchDepth);
+        this.updateNotchVisualizer('noise');
+    }
+
+    // === NOTCH BANDS ===
+    // Build the notch chain for a therapy state: the primary notch (one shared bank, or one
+    // bank per ear) followed by any additional bands
+    createNotchBank(state, depth) {
+        const primary = state.stereoNotch
+            ? this.audioEngine.createStereoNotchFilterBank(state.notchFreq, state.notchFreqRight, state.notchWidth, depth)
+            : this.audioEngine.createNotchFilterBank(state.notchFreq, state.notchWidth, depth);
+        const extras = this.audioEngine.createMultiNotchFilterBank(this.getExtraNotchBands(state));
+        primary.output.connect(extras.input);
+        return { input: primary.input, output: extras.output, primary, extras, filters: [...primary.filters, ...extras.filters] };
+    }
+
+    updateNotchBank(state, depth) {
+        const bank = state.filterBank;
+        if (!bank) return;
+        if (state.stereoNotch) bank.primary.update(state.notchFreq, state.notchFreqRight, state.notchWidth, depth);
+        else bank.primary.update(state.notchFreq, state.notchWidth, depth);
+        bank.extras.update(this.getExtraNotchBands(state));
+    }
+
+    // Additional bands follow the music notch on/off toggle (a depth of 0 bypasses them)
+    getExtraNotchBands(state) {
+        return state.extraNotches.map(b => ({ freq: b.freq, width: b.width, depth: state.notchEnabled === false ? 0 : (b.depth ?? 'full') }));
+    }
+
+    // Snap a stored depth to one of the depth select options. Profiles saved before depths
+    // were in dB hold a 0-1 fraction, which AudioEngine.parseNotchDepth converts.
+    normalizeNotchDepth(value) {
+        const { db } = this.audioEngine.parseNotchDepth(value ?? 'full');
+        if (db === -Infinity) return 'full';
+        if (db === 0) return 0;
+        return [-10, -20, -40].reduce((best, d) => Math.abs(d - db) < Math.abs(best - db) ? d : best);
+    }
+
+    restoreExtraNotches(bands) {
+        return (bands || []).map(b => ({ ...b, depth: this.normalizeNotchDepth(b.depth) }));
+    }
+
+    // Adding or removing a band changes the graph, so it has to be rebuilt rather than updated
+    rebuildNotch(mode) {
+        if (mode === 'music') this.rebuildMusicNotch();
+        else this.crossfadeNoise();
+    }
+
+    addExtraNotch(mode) {
+        const state = mode === 'noise' ? this.noiseState : this.musicState;
+        if (state.extraNotches.length >= 3) return;
+        const last = state.extraNotches[state.extraNotches.length - 1]?.freq || state.notchFreq;
+        state.extraNotches.push({ freq: Math.min(15000, Math.round(last * 1.5)), width: state.notchWidth, depth: 'full' });
+        this.renderExtraNotches(mode);
+        this.rebuildNotch(mode);
+        this.updateNotchVisualizer(mode);
+        this.autoSaveState();
+    }
+
+    removeExtraNotch(mode, index) {
+        const state = mode === 'noise' ? this.noiseState : this.musicState;
+        state.extraNotches.splice(index, 1);
+        this.renderExtraNotches(mode);
+        this.rebuildNotch(mode);
+        this.updateNotchVisualizer(mode);
+        this.autoSaveState();
+    }
+
+    renderExtraNotches(mode) {
+        const state = mode === 'noise' ? this.noiseState : this.musicState;
+        const list = document.getElementById(`${mode}ExtraNotches`);
+        const widthOptions = document.getElementById(mode === 'noise' ? 'notchWidth' : 'musicNotchWidth').innerHTML;
+        const depthOptions = document.getElementById('notchDepth').innerHTML;
+        const update = () => { if (mode === 'noise') this.updateNoiseNotch(); else this.updateMusicNotch(); this.autoSaveState(); };
+        list.innerHTML = '';
+        state.extraNotches.forEach((band, i) => {
+            const row = document.createElement('div');
+            row.className = 'notch-band-row';
+            row.innerHTML = `<input type="number" min="100" max="15000" value="${band.freq}"><span>Hz</span>
+                <select class="band-width">${widthOptions}</select>
+                <select class="band-depth">${depthOptions}</select>
+                <button class="btn btn-small" title="Remove notch">✕</button>`;
+            const [freqInput, widthSel, depthSel] = row.querySelectorAll('input, select');
+            widthSel.value = band.width;
+            depthSel.value = band.depth ?? 'full';
+            freqInput.addEventListener('change', (e) => { band.freq = Math.max(100, Math.min(15000, parseInt(e.target.value) || band.freq)); e.target.value = band.freq; update(); });
+            widthSel.addEventListener('change', (e) => { band.width = e.target.value; update(); });
+            depthSel.addEventListener('change', (e) => { band.depth = this.normalizeNotchDepth(e.target.value); update(); });
+            row.querySelector('button').addEventListener('click', () => this.removeExtraNotch(mode, i));
+            list.appendChild(row);
+        });
+        document.getElementById(mode === 'noise' ? 'addNoiseNotch' : 'addMusicNotch').disabled = state.extraNotches.length >= 3;
+    }
+
+    updateNotchVisualizer(mode) {
+        const state = mode === 'noise' ? this.noiseState : this.musicState;
+        const viz = mode === 'noise' ? this.visualizers.noiseSpectrum : this.visualizers.musicSpectrum;
+        viz?.setNotch(state.notchFreq, state.notchWidth, state.stereoNotch ? state.notchFreqRight : null, state.extraNotches);
+        if (mode === 'music') this.musicPlayer.notchChanged(); // the library's fit follows the notch
+    }
+
+    updateStereoNotchUI(mode) {
+        const state = mode === 'noise' ? this.noiseState : this.musicState;
+        const prefix = mode === 'noise' ? 'notchFreqRight' : 'musicNotchFreqRight';
+        document.getElementById(`${mode}StereoNotch`).checked = state.stereoNotch;
+        document.getElementById(`${mode}RightNotchGroup`).style.display = state.stereoNotch ? '' : 'none';
+        document.getElementById(prefix).value = state.notchFreqRight;
+        document.getElementById(`${prefix}Input`).value = state.notchFreqRight;
+    }
+
+    // Apply a whole notch setting at once, e.g. from NotchRecommendation. Stereo follows rightCenter;
+    // depth only applies to noise because music is always notched fully.
+    applyNotchSettings(mode, { center, rightCenter = null, width, depth }) {
+        const state = mode === 'noise' ? this.noiseState : this.musicState;
+        const prefix = mode === 'noise' ? 'notchFreq' : 'musicNotchFreq';
+        state.notchFreq = center;
+        state.stereoNotch = rightCenter !== null;
+        state.notchFreqRight = rightCenter ?? center;
+        state.notchWidth = width;
+        document.getElementById(prefix).value = center;
+        document.getElementById(`${prefix}Input`).value = center;
+        document.getElementById(mode === 'noise' ? 'notchWidth' : 'musicNotchWidth').value = width;
+        if (mode === 'noise') {
+            state.notchDepth = this.normalizeNotchDepth(depth);
+            document.getElementById('notchDepth').value = state.notchDepth;
         }
+        this.updateStereoNotchUI(mode);
+        this.rebuildNotch(mode);
+        this.updateNotchVisualizer(mode);
+        this.autoSaveState();
     }
 
     startNoise() {
-        // Guard: prevent starting if already playing
-        if (this.noiseState.isPlaying) {
+        // Guard: prevent starting if already playing or about to
+        if (this.noiseState.isPlaying || this.noiseState.startPending) {
             return;
         }
         
         this.audioEngine.init();
+        // The worklet generator loads on first use; wait for it rather than start on a looped buffer.
+        // If it fails to load, createNoiseSource falls back to buffers, so start either way.
+        if (this.audioEngine.noiseWorkletReady === null) {
+            this.noiseState.startPending = true;
+            document.getElementById('startNoise').disabled = true;
+            this.audioEngine.loadNoiseWorklet().catch(() => false).then(() => {
+                if (!this.noiseState.startPending) return; // stopped while loading
+                this.noiseState.startPending = false;
+                this.createNoisePlayback();
+            });
+            return;
+        }
+        this.createNoisePlayback();
+    }
+
+    createNoisePlayback() {
+        if (this.noiseState.isPlaying) return;
+        this.audioEngine.startSource('noise', {
+            kind: 'therapy', label: 'Notched noise',
+            stop: () => this.stopNoise(), pause: () => this.pauseNoise(), resume: () => this.resumeNoise()
+        });
+        this.createNoiseChain();
+        this.noiseState.isPlaying = true;
+        this.updateNotchVisualizer('noise');
+        this.visualizers.noiseSpectrum?.start();
+        document.getElementById('startNoise').disabled = true;
+        document.getElementById('stopNoise').disabled = false;
+    }
+
+    // source → notch bank → volume → fader → analyzer, faded in from silence
+    createNoiseChain(fadeTime = this.audioEngine.fadeTime) {
         const state = this.noiseState;
-        state.source = this.audioEngine.createNoiseSource(state.type);
-        state.filterBank = this.audioEngine.createNotchFilterBank(state.notchFreq, state.notchWidth, state.notchDepth);
+        state.source = this.audioEngine.createNoiseSource(state.type, state.spectrum);
+        state.filterBank = this.createNotchBank(state, state.notchDepth);
         state.gain = this.audioEngine.createGain(state.volume * this.masterVolume);
+        state.fader = this.audioEngine.createGain(0);
         state.analyzer = this.audioEngine.createAnalyzer(2048);
         state.source.connect(state.filterBank.input);
         state.filterBank.output.connect(state.gain);
-        state.gain.connect(state.analyzer);
+        state.gain.connect(state.fader);
+        state.fader.connect(state.analyzer);
         this.audioEngine.connectToMaster(state.analyzer);
         state.source.start();
-        state.isPlaying = true;
+        this.audioEngine.fadeIn(state.fader, fadeTime);
         this.visualizers.noiseSpectrum?.setAnalyzer(state.analyzer);
-        this.visualizers.noiseSpectrum?.setNotch(state.notchFreq, state.notchWidth);
+    }
+
+    releaseNoiseChain(fadeTime = this.audioEngine.fadeTime) {
+        const state = this.noiseState;
+        if (state.fader) this.audioEngine.releaseChain({ fader: state.fader, sources: [state.source], output: state.analyzer }, fadeTime);
+        state.source = null; state.filterBank = null; state.gain = null; state.fader = null; state.analyzer = null;
+    }
+
+    // While matching holds the noise, the chain is released but isPlaying stays set
+    pauseNoise() {
+        this.releaseNoiseChain();
+        this.visualizers.noiseSpectrum?.stop();
+    }
+
+    resumeNoise() {
+        this.createNoiseChain();
         this.visualizers.noiseSpectrum?.start();
-        document.getElementById('startNoise').disabled = true;
-        document.getElementById('stopNoise').disabled = false;
+    }
+
+    // Swap the playing noise for a freshly built chain when a change needs a new graph
+    crossfadeNoise() {
+        if (!this.noiseState.isPlaying || !this.noiseState.source) return;
+        this.releaseNoiseChain(this.audioEngine.crossfadeTime);
+        this.createNoiseChain(this.audioEngine.crossfadeTime);
+    }
+
+    // The worklet generator crossfades colors itself; buffers, grey and custom noise swap chains
+    changeNoiseType() {
+        const state = this.noiseState;
+        if (!state.isPlaying) return;
+        if (!state.source?.setType?.(state.type)) this.crossfadeNoise();
+    }
+
+    // === CUSTOM SPECTRUM ===
+    setNoiseSpectrum(spectrum) {
+        const state = this.noiseState;
+        state.spectrum = spectrum;
+        this.updateNoiseSpectrumUI();
+        // Retune the EQ in place unless the slope moved to another base color
+        if (state.isPlaying && state.type === 'custom' && !state.source?.update?.(spectrum)) this.crossfadeNoise();
+        this.autoSaveState();
+    }
+
+    restoreNoiseSpectrum(spectrum) {
+        const bands = AudioEngine.noiseEqBands.map((_, i) => spectrum?.bands?.[i] || 0);
+        return { slope: spectrum?.slope || 0, bands };
+    }
+
+    updateNoiseSpectrumUI() {
+        const { slope } = this.noiseState.spectrum;
+        document.getElementById('noiseCustomGroup').style.display = this.noiseState.type === 'custom' ? '' : 'none';
+        document.getElementById('noiseSlope').value = slope;
+        document.getElementById('noiseSlopeDisplay').textContent = `${slope > 0 ? '+' : ''}${slope} dB/oct`;
+        this.spectrumEditor.setSpectrum(this.noiseState.spectrum);
     }
 
     stopNoise() {
         const state = this.noiseState;
-        if (state.source) { state.source.stop(); state.source.disconnect(); state.source = null; }
-        state.filterBank = null; state.gain = null; state.analyzer = null;
+        state.startPending = false;
+        this.releaseNoiseChain();
         state.isPlaying = false;
+        this.audioEngine.stopSource('noise');
         this.visualizers.noiseSpectrum?.stop();
         document.getElementById('startNoise').disabled = false;
         document.getElementById('stopNoise').disabled = true;
@@ -420,38 +776,66 @@ class TinnitussaurusApp {
 
     // === NOTCHED MUSIC ===
     bindNotchedMusicEvents() {
-        const audioEl = document.getElementById('audioPlayer');
-        this.musicState.audioElement = audioEl;
+        const decks = [document.getElementById('audioPlayer'), document.getElementById('audioPlayerNext')];
+        this.musicState.decks = decks;
+        this.musicState.audioElement = decks[0];
         
         document.getElementById('musicFile').addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                document.getElementById('musicFileName').textContent = file.name;
-                const url = URL.createObjectURL(file);
-                audioEl.src = url;
-                document.getElementById('playMusic').disabled = false;
-                document.getElementById('musicSeek').disabled = false;
-            }
+            const files = [...e.target.files];
+            e.target.value = '';
+            if (files.length) this.musicPlayer.importFiles(files);
         });
         document.getElementById('playMusic').addEventListener('click', () => this.playMusic());
         document.getElementById('pauseMusic').addEventListener('click', () => this.pauseMusic());
-        document.getElementById('musicVolume').addEventListener('input', (e) => { this.musicState.volume = e.target.value / 100; document.getElementById('musicVolumeDisplay').textContent = `${e.target.value}%`; if (audioEl) audioEl.volume = this.musicState.volume * this.masterVolume; this.autoSaveState(); });
+        document.getElementById('musicVolume').addEventListener('input', (e) => { this.musicState.volume = e.target.value / 100; document.getElementById('musicVolumeDisplay').textContent = `${e.target.value}%`; this.updateMusicVolume(); this.autoSaveState(); });
         document.getElementById('musicNotchFreq').addEventListener('input', (e) => this.setMusicNotchFreq(parseInt(e.target.value)));
         document.getElementById('musicNotchFreqInput').addEventListener('change', (e) => this.setMusicNotchFreq(Math.max(100, Math.min(15000, parseInt(e.target.value)))));
         document.getElementById('musicNotchWidth').addEventListener('change', (e) => { this.musicState.notchWidth = e.target.value; this.updateMusicNotch(); this.autoSaveState(); });
         document.getElementById('musicNotchEnabled').addEventListener('change', (e) => { this.musicState.notchEnabled = e.target.checked; this.updateMusicNotch(); this.autoSaveState(); });
-        document.getElementById('useMatchedFreqMusic').addEventListener('click', () => { const freq = this.matchedFrequencies.left || this.matchedFrequencies.right || 4000; this.setMusicNotchFreq(freq); });
-        
-        audioEl.addEventListener('timeupdate', () => {
-            document.getElementById('musicCurrentTime').textContent = SessionManager.formatTime(audioEl.currentTime * 1000);
-            document.getElementById('musicSeek').value = (audioEl.currentTime / audioEl.duration) * 100 || 0;
+        document.getElementById('musicNotchFreqRight').addEventListener('input', (e) => this.setMusicNotchFreqRight(parseInt(e.target.value)));
+        document.getElementById('musicNotchFreqRightInput').addEventListener('change', (e) => this.setMusicNotchFreqRight(Math.max(100, Math.min(15000, parseInt(e.target.value)))));
+        document.getElementById('musicStereoNotch').addEventListener('change', (e) => { this.musicState.stereoNotch = e.target.checked; this.updateStereoNotchUI('music'); this.rebuildMusicNotch(); this.updateNotchVisualizer('music'); this.autoSaveState(); });
+        document.getElementById('useMatchedFreqMusic').addEventListener('click', () => {
+            const left = this.getNotchTarget('left');
+            const right = this.getNotchTarget('right');
+            this.setMusicNotchFreq(left || right || 4000);
+            if (this.musicState.stereoNotch) this.setMusicNotchFreqRight(right || left || 4000);
         });
-        audioEl.addEventListener('loadedmetadata', () => {
-            document.getElementById('musicDuration').textContent = SessionManager.formatTime(audioEl.duration * 1000);
+        document.getElementById('addMusicNotch').addEventListener('click', () => this.addExtraNotch('music'));
+        
+        // Only the playing deck drives the display; the other is loading the next track.
+        // The player moves on to the next track when one ends.
+        decks.forEach(audioEl => {
+            audioEl.addEventListener('timeupdate', () => {
+                if (audioEl !== this.musicState.audioElement) return;
+                document.getElementById('musicCurrentTime').textContent = SessionManager.formatTime(audioEl.currentTime * 1000);
+                document.getElementById('musicSeek').value = (audioEl.currentTime / audioEl.duration) * 100 || 0;
+            });
+            audioEl.addEventListener('loadedmetadata', () => {
+                if (audioEl !== this.musicState.audioElement) return;
+                document.getElementById('musicDuration').textContent = SessionManager.formatTime(audioEl.duration * 1000);
+            });
         });
         document.getElementById('musicSeek').addEventListener('input', (e) => {
+            const audioEl = this.musicState.audioElement;
             audioEl.currentTime = (e.target.value / 100) * audioEl.duration;
         });
+        this.musicPlayer.init(decks);
+    }
+
+    // Called by the music player whenever a different track is up
+    showMusicTrack(file, title) {
+        const audioEl = this.musicState.audioElement;
+        this.musicState.file = file;
+        document.getElementById('musicFileName').textContent = title;
+        document.getElementById('musicDuration').textContent = SessionManager.formatTime((audioEl.duration || 0) * 1000);
+        document.getElementById('playMusic').disabled = this.musicState.isPlaying || !file;
+        document.getElementById('musicSeek').disabled = !file;
+        document.getElementById('exportMusicWav').disabled = !file;
+    }
+
+    updateMusicVolume() {
+        this.musicState.decks.forEach(audioEl => { audioEl.volume = this.musicState.volume * this.masterVolume; });
     }
 
     setMusicNotchFreq(freq) {
@@ -459,45 +843,154 @@ class TinnitussaurusApp {
         document.getElementById('musicNotchFreq').value = freq;
         document.getElementById('musicNotchFreqInput').value = freq;
         this.updateMusicNotch();
-        this.visualizers.musicSpectrum?.setNotch(freq, this.musicState.notchWidth);
+        this.autoSaveState();
+    }
+
+    setMusicNotchFreqRight(freq) {
+        this.musicState.notchFreqRight = freq;
+        document.getElementById('musicNotchFreqRight').value = freq;
+        document.getElementById('musicNotchFreqRightInput').value = freq;
+        this.updateMusicNotch();
+        this.autoSaveState();
     }
 
     updateMusicNotch() {
-        if (this.musicState.filterBank) {
-            const depth = this.musicState.notchEnabled ? 1 : 0;
-            this.musicState.filterBank.update(this.musicState.notchFreq, this.musicState.notchWidth, depth);
-        }
+        this.updateNotchBank(this.musicState, this.musicState.notchEnabled ? 'full' : 0);
+        this.updateNotchVisualizer('music');
+    }
+
+    // notch bank → fader, fed by the players' input and feeding the analyzer
+    createMusicBank() {
+        const state = this.musicState;
+        state.filterBank = this.createNotchBank(state, state.notchEnabled ? 'full' : 0);
+        state.fader = this.audioEngine.createGain(0);
+        state.input.connect(state.filterBank.input);
+        state.filterBank.output.connect(state.fader);
+        state.fader.connect(state.analyzer);
+    }
+
+    // Media element sources can only be created once, so the input feeds the old and new
+    // filter banks side by side while they crossfade
+    rebuildMusicNotch() {
+        const state = this.musicState;
+        if (!state.input) return;
+        const { input, filterBank, fader } = state;
+        this.createMusicBank();
+        this.audioEngine.fadeIn(state.fader, this.audioEngine.crossfadeTime);
+        this.audioEngine.releaseChain({ fader, onReleased: () => input.disconnect(filterBank.input) }, this.audioEngine.crossfadeTime);
     }
 
     playMusic() {
         this.audioEngine.init();
         const state = this.musicState;
-        const audioEl = state.audioElement;
-        if (!state.source) {
-            state.source = this.audioEngine.createMediaElementSource(audioEl);
-            state.filterBank = this.audioEngine.createNotchFilterBank(state.notchFreq, state.notchWidth, state.notchEnabled ? 1 : 0);
+        if (!state.input) {
+            // Both decks stay connected, so a track change never touches the graph
+            state.input = this.audioEngine.createGain(1);
+            state.decks.forEach(audioEl => this.audioEngine.createMediaElementSource(audioEl).connect(state.input));
             state.analyzer = this.audioEngine.createAnalyzer(2048);
-            state.source.connect(state.filterBank.input);
-            state.filterBank.output.connect(state.analyzer);
+            this.createMusicBank();
             this.audioEngine.connectToMaster(state.analyzer);
             this.visualizers.musicSpectrum?.setAnalyzer(state.analyzer);
-            this.visualizers.musicSpectrum?.setNotch(state.notchFreq, state.notchWidth);
+            this.updateNotchVisualizer('music');
             this.visualizers.musicSpectrum?.start();
         }
-        audioEl.volume = state.volume * this.masterVolume;
-        audioEl.play();
+        this.audioEngine.startSource('music', {
+            kind: 'therapy', label: 'Notched music',
+            stop: () => this.pauseMusic(), pause: () => this.fadeOutMusic(), resume: () => this.fadeInMusic()
+        });
+        this.updateMusicVolume();
+        this.fadeInMusic();
         state.isPlaying = true;
         document.getElementById('playMusic').disabled = true;
         document.getElementById('pauseMusic').disabled = false;
     }
 
     pauseMusic() {
-        this.musicState.audioElement.pause();
+        this.fadeOutMusic();
+        this.musicPlayer.cancelHandoff();
+        this.musicPlayer.savePosition();
         this.musicState.isPlaying = false;
+        this.audioEngine.stopSource('music');
         document.getElementById('playMusic').disabled = false;
         document.getElementById('pauseMusic').disabled = true;
     }
 
+    // Fade out before pausing the element so the music doesn't cut off mid-waveform
+    fadeOutMusic() {
+        const state = this.musicState;
+        if (state.fader) {
+            const end = this.audioEngine.fadeOut(state.fader);
+            state.pauseTimer = setTimeout(() => state.audioElement.pause(), (end - this.audioEngine.currentTime) * 1000);
+        } else {
+            state.audioElement.pause();
+        }
+    }
+
+    fadeInMusic() {
+        const state = this.musicState;
+        clearTimeout(state.pauseTimer);
+        state.audioElement.play();
+        this.audioEngine.fadeIn(state.fader);
+    }
+
+    // === WAV EXPORT ===
+    bindAudioExportEvents() {
+        document.getElementById('exportNoiseWav')?.addEventListener('click', () => this.exportNoiseWav());
+        document.getElementById('exportMusicWav')?.addEventListener('click', () => this.exportMusicWav());
+    }
+
+    getNoiseNotch() {
+        const state = this.noiseState;
+        return { freq: state.notchFreq, rightFreq: state.stereoNotch ? state.notchFreqRight : null, width: state.notchWidth, depth: state.notchDepth, bands: this.getExtraNotchBands(state) };
+    }
+
+    getMusicNotch() {
+        if (!this.musicState.notchEnabled) return null;
+        const state = this.musicState;
+        return { freq: state.notchFreq, rightFreq: state.stereoNotch ? state.notchFreqRight : null, width: state.notchWidth, depth: 'full', bands: this.getExtraNotchBands(state) };
+    }
+
+    async exportNoiseWav() {
+        const btn = document.getElementById('exportNoiseWav');
+        const notch = this.getNoiseNotch();
+        await this.runAudioExport(btn, () => this.offlineRenderer.exportNoise({
+            type: this.noiseState.type,
+            spectrum: this.noiseState.spectrum,
+            volume: this.noiseState.volume,
+            notch,
+            duration: parseInt(document.getElementById('noiseExportDuration').value),
+            bitDepth: parseInt(document.getElementById('noiseExportBitDepth').value)
+        }), OfflineRenderer.fileName(`${this.noiseState.type}-noise`, notch));
+    }
+
+    async exportMusicWav() {
+        if (!this.musicState.file) { alert('Select a music file first'); return; }
+        const btn = document.getElementById('exportMusicWav');
+        const notch = this.getMusicNotch();
+        const label = this.musicState.file.name.replace(/\.[^.]+$/, '');
+        await this.runAudioExport(btn, () => this.offlineRenderer.exportMusic({
+            file: this.musicState.file,
+            volume: this.musicState.volume,
+            notch,
+            duration: parseInt(document.getElementById('musicExportDuration').value) || null,
+            bitDepth: parseInt(document.getElementById('musicExportBitDepth').value)
+        }), OfflineRenderer.fileName(label, notch));
+    }
+
+    async runAudioExport(btn, render, filename) {
+        const originalText = btn?.textContent;
+        if (btn) { btn.disabled = true; btn.textContent = '⏳ Rendering...'; }
+        try {
+            const blob = await render();
+            this.exportManager.downloadFile(blob, filename, 'audio/wav');
+        } catch (e) {
+            console.error('Error exporting audio:', e);
+            alert(`Export failed: ${e.message}`);
+        } finally {
+            if (btn) { btn.disabled = false; btn.textContent = originalText; }
+        }
+    }
+
     // === SESSION MANAGEMENT ===
     bindSessionEvents() {
         document.getElementById('timerDuration').addEventListener('change', (e) => {
@@ -530,6 +1023,33 @@ class TinnitussaurusApp {
             this.saveSessionToProfile(); // Save progress to active profile
             alert('🎉 Session complete! Great job!'); 
         });
+
+        // Daily sound dose, estimated from whatever reaches the master bus
+        this.sessionManager.setLevelSource(() => this.audioEngine.estimateSpl());
+        this.sessionManager.on('onDoseWarning', ({ dose, limit }) => {
+            this.showDoseWarning(dose, limit);
+            this.dashboardManager?.updateDose();
+        });
+    }
+
+    showDoseWarning(dose, limit) {
+        const message = limit >= 100
+            ? `You've reached today's safe listening limit (${Math.round(dose)}%). Please lower the volume or take a break.`
+            : `You've used ${Math.round(dose)}% of today's safe listening dose. Consider lowering the volume.`;
+        const toast = document.createElement('div');
+        toast.className = 'toast-notification dose-warning';
+        toast.innerHTML = `
+            <div class="toast-content">
+                <span class="toast-icon">👂</span>
+                <span class="toast-message">${message}</span>
+            </div>
+        `;
+        document.body.appendChild(toast);
+        setTimeout(() => toast.classList.add('visible'), 100);
+        setTimeout(() => {
+            toast.classList.remove('visible');
+            setTimeout(() => toast.remove(), 300);
+        }, 8000);
     }
 
     resetTimerUI() {
@@ -549,6 +1069,40 @@ class TinnitussaurusApp {
         document.getElementById('statTotal').textContent = stats.totalTimeFormatted;
     }
 
+    // === HEADPHONE CALIBRATION ===
+    bindHeadphoneEvents() {
+        this.headphoneCalibration = new HeadphoneCalibration(this);
+        this.headphoneCalibration.onComplete = () => this.updateHeadphoneDropdown();
+
+        document.getElementById('calibrateHeadphones')?.addEventListener('click', () => this.headphoneCalibration.launch());
+        document.getElementById('headphoneDevice')?.addEventListener('change', (e) => {
+            this.audioEngine.setCalibration(HeadphoneCalibration.setActiveDevice(e.target.value || null));
+        });
+        document.getElementById('deleteHeadphones')?.addEventListener('click', () => {
+            const name = document.getElementById('headphoneDevice')?.value;
+            if (!name) return;
+            if (confirm(`Delete headphone profile "${name}"?`)) {
+                HeadphoneCalibration.deleteDevice(name);
+                this.audioEngine.setCalibration(null);
+                this.updateHeadphoneDropdown();
+            }
+        });
+        this.updateHeadphoneDropdown();
+    }
+
+    updateHeadphoneDropdown() {
+        const sel = document.getElementById('headphoneDevice');
+        if (!sel) return;
+        sel.innerHTML = '<option value="">Uncalibrated</option>';
+        HeadphoneCalibration.getDeviceNames().forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            sel.appendChild(opt);
+        });
+        sel.value = HeadphoneCalibration.getActiveDevice()?.name || '';
+    }
+
     // === PROFILES ===
     loadProfiles() { const saved = localStorage.getItem('tinnitusProfiles'); return saved ? JSON.parse(saved) : {}; }
     saveProfiles() { localStorage.setItem('tinnitusProfiles', JSON.stringify(this.profiles)); }
@@ -600,9 +1154,13 @@ class TinnitussaurusApp {
             masterVolume: this.masterVolume, 
             matchedFrequencies: { ...this.matchedFrequencies }, 
             toneState: JSON.parse(JSON.stringify(this.toneState)), 
-            noiseState: { type: this.noiseState.type, volume: this.noiseState.volume, notchFreq: this.noiseState.notchFreq, notchWidth: this.noiseState.notchWidth, notchDepth: this.noiseState.notchDepth }, 
-            musicState: { volume: this.musicState.volume, notchFreq: this.musicState.notchFreq, notchWidth: this.musicState.notchWidth },
-            sessionHistory: sessionHistory
+            noiseState: { type: this.noiseState.type, spectrum: { ...this.noiseState.spectrum, bands: [...this.noiseState.spectrum.bands] }, volume: this.noiseState.volume, notchFreq: this.noiseState.notchFreq, notchWidth: this.noiseState.notchWidth, notchDepth: this.noiseState.notchDepth, stereoNotch: this.noiseState.stereoNotch, notchFreqRight: this.noiseState.notchFreqRight, extraNotches: this.noiseState.extraNotches.map(b => ({ ...b })) }, 
+            musicState: { volume: this.musicState.volume, notchFreq: this.musicState.notchFreq, notchWidth: this.musicState.notchWidth, stereoNotch: this.musicState.stereoNotch, notchFreqRight: this.musicState.notchFreqRight, extraNotches: this.musicState.extraNotches.map(b => ({ ...b })) },
+            sessionHistory: sessionHistory,
+            matchHistory: this.matchHistory.getHistory(),
+            audiogram: AudiogramScreening.getSaved(),
+            notchOverrides: NotchRecommendation.getOverrides(),
+            soundscapes: SoundscapeMixer.getPresets()
         };
         this.saveProfiles();
         this.updateProfileDropdown();
@@ -687,19 +1245,26 @@ class TinnitussaurusApp {
         // Notched Noise State
         if (p.noiseState) {
             this.noiseState.type = p.noiseState.type;
+            this.noiseState.spectrum = this.restoreNoiseSpectrum(p.noiseState.spectrum);
             this.noiseState.volume = p.noiseState.volume;
             this.noiseState.notchFreq = p.noiseState.notchFreq;
             this.noiseState.notchWidth = p.noiseState.notchWidth;
-            this.noiseState.notchDepth = p.noiseState.notchDepth;
+            this.noiseState.notchDepth = this.normalizeNotchDepth(p.noiseState.notchDepth);
+            this.noiseState.stereoNotch = !!p.noiseState.stereoNotch;
+            this.noiseState.notchFreqRight = p.noiseState.notchFreqRight ?? p.noiseState.notchFreq;
+            this.noiseState.extraNotches = this.restoreExtraNotches(p.noiseState.extraNotches);
             
             // Update UI elements
             document.getElementById('noiseType').value = this.noiseState.type;
+            this.updateNoiseSpectrumUI();
             document.getElementById('noiseVolume').value = this.noiseState.volume * 100;
             document.getElementById('noiseVolumeDisplay').textContent = `${Math.round(this.noiseState.volume * 100)}%`;
             document.getElementById('notchFreq').value = this.noiseState.notchFreq;
             document.getElementById('notchFreqInput').value = this.noiseState.notchFreq;
             document.getElementById('notchWidth').value = this.noiseState.notchWidth;
             document.getElementById('notchDepth').value = this.noiseState.notchDepth;
+            this.updateStereoNotchUI('noise');
+            this.renderExtraNotches('noise');
         }
         
         // Notched Music State
@@ -707,6 +1272,9 @@ class TinnitussaurusApp {
             this.musicState.volume = p.musicState.volume;
             this.musicState.notchFreq = p.musicState.notchFreq;
             this.musicState.notchWidth = p.musicState.notchWidth;
+            this.musicState.stereoNotch = !!p.musicState.stereoNotch;
+            this.musicState.notchFreqRight = p.musicState.notchFreqRight ?? p.musicState.notchFreq;
+            this.musicState.extraNotches = this.restoreExtraNotches(p.musicState.extraNotches);
             
             // Update UI elements
             document.getElementById('musicVolume').value = this.musicState.volume * 100;
@@ -714,6 +1282,8 @@ class TinnitussaurusApp {
             document.getElementById('musicNotchFreq').value = this.musicState.notchFreq;
             document.getElementById('musicNotchFreqInput').value = this.musicState.notchFreq;
             document.getElementById('musicNotchWidth').value = this.musicState.notchWidth;
+            this.updateStereoNotchUI('music');
+            this.renderExtraNotches('music');
         }
         
         // Load profile-specific session history
@@ -732,6 +1302,15 @@ class TinnitussaurusApp {
         this.sessionManager.setHistory(profileHistory);
         this.updateStats();
         
+        // Matches and hearing screening belong to the person, so switching profiles switches them;
+        // a profile saved without one clears it rather than inheriting the previous profile's
+        this.matchHistory.setHistory(p.matchHistory);
+        AudiogramScreening.save(p.audiogram);
+        NotchRecommendation.saveOverrides(p.notchOverrides);
+        SoundscapeMixer.savePresets(p.soundscapes);
+        this.soundscapeMixer.renderPresets();
+        this.dashboardManager?.updateMatchedFrequency();
+        
         // Save as last profile for auto-load next time
         localStorage.setItem('tinnitusLastProfile', name);
         this.updateActiveProfileIndicator();
@@ -761,6 +1340,8 @@ class TinnitussaurusApp {
         this.visualizers.right = new WaveformVisualizer('rightToneWave');
         this.visualizers.noiseSpectrum = new SpectrumVisualizer('noiseSpectrum');
         this.visualizers.musicSpectrum = new SpectrumVisualizer('musicSpectrum');
+        this.spectrumEditor = new SpectrumEditor('noiseSpectrumEditor', AudioEngine.noiseEqBands);
+        this.spectrumEditor.onChange = (spectrum) => this.setNoiseSpectrum(spectrum);
         ['left', 'right'].forEach(ear => { this.visualizers[ear]?.setParams(this.toneState[ear].frequency, this.toneState[ear].waveform, 1, false); this.visualizers[ear]?.start(); });
     }
 
@@ -768,7 +1349,8 @@ class TinnitussaurusApp {
         this.updateToneVolume('left');
         this.updateToneVolume('right');
         if (this.noiseState.gain) this.noiseState.gain.gain.setTargetAtTime(this.noiseState.volume * this.masterVolume, this.audioEngine.currentTime, 0.01);
-        if (this.musicState.audioElement) this.musicState.audioElement.volume = this.musicState.volume * this.masterVolume;
+        this.updateMusicVolume();
+        this.soundscapeMixer.updateVolume();
     }
 
     updateUI() {
@@ -781,6 +1363,7 @@ class TinnitussaurusApp {
         const state = {
             masterVolume: this.masterVolume,
             matchedFrequencies: { ...this.matchedFrequencies },
+            notchFollowsTrend: this.notchFollowsTrend,
             toneState: {
                 left: {
                     enabled: this.toneState.left.enabled,
@@ -788,6 +1371,8 @@ class TinnitussaurusApp {
                     fineTune: this.toneState.left.fineTune,
                     volume: this.toneState.left.volume,
                     waveform: this.toneState.left.waveform,
+                    stimulus: this.toneState.left.stimulus,
+                    bandwidth: this.toneState.left.bandwidth,
                     phaseInverted: this.toneState.left.phaseInverted
                 },
                 right: {
@@ -796,22 +1381,33 @@ class TinnitussaurusApp {
                     fineTune: this.toneState.right.fineTune,
                     volume: this.toneState.right.volume,
                     waveform: this.toneState.right.waveform,
+                    stimulus: this.toneState.right.stimulus,
+                    bandwidth: this.toneState.right.bandwidth,
                     phaseInverted: this.toneState.right.phaseInverted
                 }
             },
             noiseState: {
                 type: this.noiseState.type,
+                spectrum: this.noiseState.spectrum,
                 volume: this.noiseState.volume,
                 notchFreq: this.noiseState.notchFreq,
                 notchWidth: this.noiseState.notchWidth,
-                notchDepth: this.noiseState.notchDepth
+                notchDepth: this.noiseState.notchDepth,
+                stereoNotch: this.noiseState.stereoNotch,
+                notchFreqRight: this.noiseState.notchFreqRight,
+                extraNotches: this.noiseState.extraNotches
             },
             musicState: {
                 volume: this.musicState.volume,
                 notchFreq: this.musicState.notchFreq,
                 notchWidth: this.musicState.notchWidth,
-                notchEnabled: this.musicState.notchEnabled
-            }
+                notchEnabled: this.musicState.notchEnabled,
+                stereoNotch: this.musicState.stereoNotch,
+                notchFreqRight: this.musicState.notchFreqRight,
+                extraNotches: this.musicState.extraNotches,
+                library: this.musicPlayer.getSettings()
+            },
+            soundscape: this.soundscapeMixer.getMix()
         };
         localStorage.setItem('tinnitusLastSession', JSON.stringify(state));
     }
@@ -840,6 +1436,9 @@ class TinnitussaurusApp {
                     this.els.rightMatchedFreq.textContent = `${this.matchedFrequencies.right} Hz`;
                 }
             }
+            if (state.notchFollowsTrend !== undefined) {
+                this.notchFollowsTrend = state.notchFollowsTrend;
+            }
             
             // Restore tone state for each ear
             if (state.toneState) {
@@ -853,6 +1452,8 @@ class TinnitussaurusApp {
                         earState.fineTune = saved.fineTune;
                         earState.volume = saved.volume;
                         earState.waveform = saved.waveform;
+                        earState.stimulus = saved.stimulus || 'tone';
+                        earState.bandwidth = saved.bandwidth || 0.33;
                         earState.phaseInverted = saved.phaseInverted;
                         
                         // Update UI
@@ -888,18 +1489,25 @@ class TinnitussaurusApp {
             // Restore noise state
             if (state.noiseState) {
                 this.noiseState.type = state.noiseState.type;
+                this.noiseState.spectrum = this.restoreNoiseSpectrum(state.noiseState.spectrum);
                 this.noiseState.volume = state.noiseState.volume;
                 this.noiseState.notchFreq = state.noiseState.notchFreq;
                 this.noiseState.notchWidth = state.noiseState.notchWidth;
-                this.noiseState.notchDepth = state.noiseState.notchDepth;
+                this.noiseState.notchDepth = this.normalizeNotchDepth(state.noiseState.notchDepth);
+                this.noiseState.stereoNotch = !!state.noiseState.stereoNotch;
+                this.noiseState.notchFreqRight = state.noiseState.notchFreqRight ?? state.noiseState.notchFreq;
+                this.noiseState.extraNotches = this.restoreExtraNotches(state.noiseState.extraNotches);
                 
                 document.getElementById('noiseType').value = this.noiseState.type;
+                this.updateNoiseSpectrumUI();
                 document.getElementById('noiseVolume').value = this.noiseState.volume * 100;
                 document.getElementById('noiseVolumeDisplay').textContent = `${Math.round(this.noiseState.volume * 100)}%`;
                 document.getElementById('notchFreq').value = this.noiseState.notchFreq;
                 document.getElementById('notchFreqInput').value = this.noiseState.notchFreq;
                 document.getElementById('notchWidth').value = this.noiseState.notchWidth;
                 document.getElementById('notchDepth').value = this.noiseState.notchDepth;
+                this.updateStereoNotchUI('noise');
+                this.renderExtraNotches('noise');
             }
             
             // Restore music state
@@ -908,6 +1516,10 @@ class TinnitussaurusApp {
                 this.musicState.notchFreq = state.musicState.notchFreq;
                 this.musicState.notchWidth = state.musicState.notchWidth;
                 this.musicState.notchEnabled = state.musicState.notchEnabled !== undefined ? state.musicState.notchEnabled : true;
+                this.musicState.stereoNotch = !!state.musicState.stereoNotch;
+                this.musicState.notchFreqRight = state.musicState.notchFreqRight ?? state.musicState.notchFreq;
+                this.musicState.extraNotches = this.restoreExtraNotches(state.musicState.extraNotches);
+                this.musicPlayer.restoreSettings(state.musicState.library);
                 
                 document.getElementById('musicVolume').value = this.musicState.volume * 100;
                 document.getElementById('musicVolumeDisplay').textContent = `${Math.round(this.musicState.volume * 100)}%`;
@@ -915,8 +1527,13 @@ class TinnitussaurusApp {
                 document.getElementById('musicNotchFreqInput').value = this.musicState.notchFreq;
                 document.getElementById('musicNotchWidth').value = this.musicState.notchWidth;
                 document.getElementById('musicNotchEnabled').checked = this.musicState.notchEnabled;
+                this.updateStereoNotchUI('music');
+                this.renderExtraNotches('music');
             }
             
+            // Restore the soundscape mix
+            if (state.soundscape) this.soundscapeMixer.setMix(state.soundscape);
+            
             console.log('Last session settings restored');
         } catch(e) {
             console.error('Error restoring last session:', e);
@@ -1066,30 +1683,42 @@ class TinnitussaurusApp {
         
         // Noise State
         if (p.noiseState) {
-            Object.assign(this.noiseState, { type: p.noiseState.type, volume: p.noiseState.volume, notchFreq: p.noiseState.notchFreq, notchWidth: p.noiseState.notchWidth, notchDepth: p.noiseState.notchDepth });
+            Object.assign(this.noiseState, { type: p.noiseState.type, spectrum: this.restoreNoiseSpectrum(p.noiseState.spectrum), volume: p.noiseState.volume, notchFreq: p.noiseState.notchFreq, notchWidth: p.noiseState.notchWidth, notchDepth: this.normalizeNotchDepth(p.noiseState.notchDepth), stereoNotch: !!p.noiseState.stereoNotch, notchFreqRight: p.noiseState.notchFreqRight ?? p.noiseState.notchFreq, extraNotches: this.restoreExtraNotches(p.noiseState.extraNotches) });
             document.getElementById('noiseType').value = this.noiseState.type;
+            this.updateNoiseSpectrumUI();
             document.getElementById('noiseVolume').value = this.noiseState.volume * 100;
             document.getElementById('noiseVolumeDisplay').textContent = `${Math.round(this.noiseState.volume * 100)}%`;
             document.getElementById('notchFreq').value = this.noiseState.notchFreq;
             document.getElementById('notchFreqInput').value = this.noiseState.notchFreq;
             document.getElementById('notchWidth').value = this.noiseState.notchWidth;
             document.getElementById('notchDepth').value = this.noiseState.notchDepth;
+            this.updateStereoNotchUI('noise');
+            this.renderExtraNotches('noise');
         }
         
         // Music State
         if (p.musicState) {
-            Object.assign(this.musicState, { volume: p.musicState.volume, notchFreq: p.musicState.notchFreq, notchWidth: p.musicState.notchWidth });
+            Object.assign(this.musicState, { volume: p.musicState.volume, notchFreq: p.musicState.notchFreq, notchWidth: p.musicState.notchWidth, stereoNotch: !!p.musicState.stereoNotch, notchFreqRight: p.musicState.notchFreqRight ?? p.musicState.notchFreq, extraNotches: this.restoreExtraNotches(p.musicState.extraNotches) });
             document.getElementById('musicVolume').value = this.musicState.volume * 100;
             document.getElementById('musicVolumeDisplay').textContent = `${Math.round(this.musicState.volume * 100)}%`;
             document.getElementById('musicNotchFreq').value = this.musicState.notchFreq;
             document.getElementById('musicNotchFreqInput').value = this.musicState.notchFreq;
             document.getElementById('musicNotchWidth').value = this.musicState.notchWidth;
+            this.updateStereoNotchUI('music');
+            this.renderExtraNotches('music');
         }
         
         // Session history
         let profileHistory = p.sessionHistory || [];
         this.sessionManager.setHistory(profileHistory);
         
+        // Match history, hearing screening and clinician notch settings
+        this.matchHistory.setHistory(p.matchHistory);
+        AudiogramScreening.save(p.audiogram);
+        NotchRecommendation.saveOverrides(p.notchOverrides);
+        SoundscapeMixer.savePresets(p.soundscapes);
+        this.soundscapeMixer.renderPresets();
+        
         // Set dropdown to show current profile
         document.getElementById('loadProfile').value = name;
         
@@ -1124,6 +1753,34 @@ class TinnitussaurusApp {
         }
     }
 
+    saveMatchHistoryToProfile() {
+        if (this.currentProfile && this.profiles[this.currentProfile]) {
+            this.profiles[this.currentProfile].matchHistory = this.matchHistory.getHistory();
+            this.saveProfiles();
+        }
+    }
+
+    saveAudiogramToProfile() {
+        if (this.currentProfile && this.profiles[this.currentProfile]) {
+            this.profiles[this.currentProfile].audiogram = AudiogramScreening.getSaved();
+            this.saveProfiles();
+        }
+    }
+
+    saveNotchOverridesToProfile() {
+        if (this.currentProfile && this.profiles[this.currentProfile]) {
+            this.profiles[this.currentProfile].notchOverrides = NotchRecommendation.getOverrides();
+            this.saveProfiles();
+        }
+    }
+
+    saveSoundscapesToProfile() {
+        if (this.currentProfile && this.profiles[this.currentProfile]) {
+            this.profiles[this.currentProfile].soundscapes = SoundscapeMixer.getPresets();
+            this.saveProfiles();
+        }
+    }
+
     // === SUBSCRIPTION EVENTS ===
     bindSubscriptionEvents() {
         // Onboarding slide 4: Start trial button
@@ -1196,14 +1853,16 @@ class TinnitussaurusApp {
         // Feature gating for noise type selection
         const noiseTypeSelect = document.getElementById('noiseType');
         if (noiseTypeSelect) {
+            // Capture phase, so a locked type never reaches the noise player
             noiseTypeSelect.addEventListener('change', (e) => {
-                if ((e.target.value === 'white' || e.target.value === 'brown')) {
+                if (!this.subscriptionManager.hasNoiseType(e.target.value)) {
                     if (!this.subscriptionManager.lockFeature('All Noise Types')) {
                         e.target.value = 'pink'; // Revert to pink
+                        e.stopImmediatePropagation();
                         return;
                     }
                 }
-            });
+            }, true);
         }
 
         // Feature gating for advanced controls (fine-tune and phase inversion)
@@ -1252,5 +1911,5 @@ document.addEventListener('DOMContentLoaded', () => {
         console.error('Error initializing app:', e);
     }
 });
-window.addEventListener('beforeunload', () => { if (window.tinnitusApp) { window.tinnitusApp.stopTone(); window.tinnitusApp.stopNoise(); } });
+window.addEventListener('beforeunload', () => { window.tinnitusApp?.audioEngine.stopAllSources(); });
 export { TinnitussaurusApp };
@@ -1,11 +1,71 @@
 class AudioEngine {
-    constructor() { this.audioContext = null; this.masterGain = null; }
+    constructor() {
+        this.audioContext = null; this.masterGain = null; this.calibration = null; this.calibrationInput = null; this.calibrationFilters = [];
+        this.limiter = null; this.limiterTrim = null; this.outputMeter = null;
+        this.limiterThreshold = -6; // dBFS ceiling on the master bus
+        this.fullScaleSpl = 100;    // assumed dB SPL at 0 dBFS (typical headphones at full volume), for dose estimates
+        this.noiseWorklet = null; this.noiseWorkletReady = null; // null while loading, then true/false
+        this.fadeTime = 0.2;        // seconds to fade a source in on start and out on stop
+        this.crossfadeTime = 0.3;   // seconds to swap one source chain for another
+        this.sources = new Map();   // named sources that are sounding or paused, see startSource
+        this.sourceListeners = [];
+    }
     init() {
         if (!this.audioContext) this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         if (this.audioContext.state === 'suspended') this.audioContext.resume();
-        if (!this.masterGain) { this.masterGain = this.audioContext.createGain(); this.masterGain.connect(this.audioContext.destination); }
+        if (!this.masterGain) { this.masterGain = this.audioContext.createGain(); this.createSafetyLimiter(); }
+        if (!this.calibrationInput) { this.calibrationInput = this.audioContext.createGain(); this.applyCalibration(); }
+        this.loadNoiseWorklet();
         return this.audioContext;
     }
+    // Register the AudioWorklet noise generator. Resolves true once it can be used; false where
+    // worklets aren't supported or the module fails to load, and createNoiseSource keeps looping
+    // buffers. Offline renders (forContext) never load it, so exports always use buffers.
+    loadNoiseWorklet() {
+        if (this.noiseWorklet) return this.noiseWorklet;
+        const worklet = this.audioContext?.audioWorklet;
+        if (!worklet || typeof AudioWorkletNode === 'undefined') {
+            this.noiseWorkletReady = false;
+            this.noiseWorklet = Promise.resolve(false);
+        } else {
+            this.noiseWorklet = worklet.addModule(new URL('./noise-processor.js', import.meta.url).href)
+                .then(() => true, () => false)
+                .then(ok => (this.noiseWorkletReady = ok));
+        }
+        return this.noiseWorklet;
+    }
+    // Headphone calibration: a gain offset and peaking EQ that every source passes through before
+    // masterGain. calibration = { gainDb, eq: [{ frequency, gainDb }] }, or null for raw output.
+    // Offline renders (forContext) have no calibration stage, so exports stay device-neutral.
+    setCalibration(calibration) { this.calibration = calibration || null; if (this.calibrationInput) this.applyCalibration(); }
+    applyCalibration() {
+        const { gainDb = 0, eq = [] } = this.calibration || {};
+        const t = this.currentTime;
+        this.calibrationInput.disconnect();
+        this.calibrationFilters.forEach(f => f.disconnect());
+        this.calibrationInput.gain.setValueAtTime(Math.pow(10, gainDb / 20), t);
+        // One-octave-wide peaks (Q 1.41) centred on each calibration frequency
+        this.calibrationFilters = eq.filter(b => b.gainDb).map(b => {
+            const f = this.audioContext.createBiquadFilter();
+            f.type = 'peaking'; f.frequency.setValueAtTime(b.frequency, t); f.Q.setValueAtTime(1.41, t); f.gain.setValueAtTime(b.gainDb, t);
+            return f;
+        });
+        [this.calibrationInput, ...this.calibrationFilters].reduce((prev, next) => { prev.connect(next); return next; }).connect(this.masterGain);
+    }
+    static generatorColors = ['white', 'pink', 'brown', 'blue', 'violet'];
+    // Octave bands for grey and custom-spectrum noise
+    static noiseEqBands = [63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+    // Grey noise: white noise shaped by the ISO 226 40-phon equal-loudness contour relative to
+    // 1 kHz (16 kHz uses the 12.5 kHz value), with the bass boost capped at 24 dB
+    static greyNoiseEq = [24, 20.6, 10.4, 3, 0, -0.8, -3.4, 11.8, 11.5];
+    // Wrap an existing context (e.g. an OfflineAudioContext) so the same node factories can build graphs for it
+    static forContext(ctx) {
+        const engine = new AudioEngine();
+        engine.audioContext = ctx;
+        engine.masterGain = ctx.createGain();
+        engine.masterGain.connect(ctx.destination);
+        return engine;
+    }
     get currentTime() { return this.audioContext ? this.audioContext.currentTime : 0; }
     createGain(v = 1) { const g = this.audioContext.createGain(); g.gain.setValueAtTime(v, this.currentTime); return g; }
     createPanner(p = 0) { const n = this.audioContext.createStereoPanner(); n.pan.setValueAtTime(p, this.currentTime); return n; }
@@ -28,33 +88,154 @@ class AudioEngine {
             };
         }
     }
-    createNotchFilterBank(centerFreq, widthValue = 1, depth = 1) {
-        const filters = [];
-        const parsed = this.parseNotchWidth(widthValue, centerFreq);
-        const lowerFreq = parsed.lowerFreq;
-        const upperFreq = parsed.upperFreq;
-        // For narrow Hz-based notches, use fewer filters with higher Q; for octave-based, use more filters
-        const numFilters = parsed.isNarrow ? Math.max(2, Math.ceil(parsed.hzWidth / 25)) : Math.ceil((parsed.octaveWidth || 1) * 4);
-        const freqStep = (upperFreq - lowerFreq) / Math.max(1, numFilters);
-        const baseQ = parsed.isNarrow ? 50 : 30; // Higher Q for narrower notches
-        for (let i = 0; i <= numFilters; i++) { const f = lowerFreq + (freqStep * i); filters.push(this.createNotchFilter(f, baseQ * depth)); }
+    // Parse notch depth - an attenuation in dB (e.g., -20), 'full' for a complete notch, or 0 for bypass.
+    // Older profiles stored a 0-1 fraction of the amplitude removed (1 = full); those still parse.
+    // The filters set the attenuation; the dry/wet mix only routes around them at 0 dB.
+    parseNotchDepth(depth) {
+        let db = depth === 'full' ? -Infinity : parseFloat(depth);
+        if (Number.isNaN(db)) db = -Infinity;
+        else if (db > 1) db = -db;
+        else if (db > 0) db = db >= 1 ? -Infinity : 20 * Math.log10(1 - db);
+        if (db >= 0) return { db: 0, dry: 1, wet: 0 };
+        return { db, dry: 0, wet: 1 };
+    }
+    // Every band uses the same number of filters: notchSteps steps across the band (even, so one
+    // filter sits on the center) plus notchOverhang steps past each edge, so the depth holds out
+    // to the edges. Each filter's bandwidth is notchBellWidth steps, so neighbours overlap into a
+    // flat floor instead of a comb. A fixed count lets update() re-lay a bank for any width.
+    static notchSteps = 24;
+    static notchOverhang = 3;
+    static notchBellWidth = 4.3;
+    // Center frequency and Q of each filter in one band. Filters are spaced evenly in Hz for
+    // Hz-based widths and on a log scale for octave widths. Filters that would fall outside
+    // 20 Hz-20 kHz are pinned to its edge and marked flat, so they don't pile up there.
+    getNotchFilterLayout(centerFreq, widthValue = 1) {
+        const { lowerFreq, upperFreq, isNarrow } = this.parseNotchWidth(widthValue, centerFreq);
+        const { notchSteps, notchOverhang, notchBellWidth } = AudioEngine;
+        return Array.from({ length: notchSteps + 2 * notchOverhang + 1 }, (_, i) => {
+            const pos = (i - notchOverhang) / notchSteps;
+            let freq, bandwidth;
+            if (isNarrow) {
+                const step = (upperFreq - lowerFreq) / notchSteps;
+                freq = lowerFreq + (upperFreq - lowerFreq) * pos;
+                bandwidth = notchBellWidth * step;
+            } else {
+                const octaves = notchBellWidth * Math.log2(upperFreq / lowerFreq) / notchSteps;
+                freq = lowerFreq * Math.pow(upperFreq / lowerFreq, pos);
+                bandwidth = freq * (Math.pow(2, octaves / 2) - Math.pow(2, -octaves / 2));
+            }
+            if (freq < 20 || freq > 20000) return { freq: freq < 20 ? 20 : 20000, Q: 1, flat: true };
+            return { freq, Q: freq / bandwidth, flat: false };
+        });
+    }
+    // Type and gain of each filter in a band. 'full' chains true notches; a finite depth chains
+    // peaking cuts, whose dB add up, with one shared gain solved so the center sits at the depth.
+    getNotchFilterSettings(centerFreq, widthValue = 1, depth = 'full', sampleRate = this.audioContext?.sampleRate || 44100) {
+        const layout = this.getNotchFilterLayout(centerFreq, widthValue);
+        const { db } = this.parseNotchDepth(depth);
+        const withGain = (gain) => layout.map(l => l.flat
+            ? { ...l, type: 'peaking', gain: 0 }
+            : { ...l, type: db === -Infinity ? 'notch' : 'peaking', gain });
+        if (db === -Infinity || db === 0) return withGain(0);
+        // The center response scales almost linearly with the shared gain, so a few
+        // proportional corrections converge on the requested depth
+        let gain = db / AudioEngine.notchBellWidth;
+        for (let i = 0; i < 10; i++) gain *= db / this.getBiquadChainResponse(withGain(gain), centerFreq, sampleRate);
+        return withGain(gain);
+    }
+    // Magnitude response in dB of a chain of notch and peaking biquads at one frequency, from the
+    // Web Audio biquad formulas
+    getBiquadChainResponse(settings, frequency, sampleRate) {
+        const w = 2 * Math.PI * frequency / sampleRate;
+        let re = 1, im = 0;
+        settings.forEach(({ freq, Q, type, gain }) => {
+            const w0 = 2 * Math.PI * freq / sampleRate, alpha = Math.sin(w0) / (2 * Q), c = -2 * Math.cos(w0);
+            const A = type === 'notch' ? 1 : Math.pow(10, gain / 40);
+            const [b0, b2] = type === 'notch' ? [1, 1] : [1 + alpha * A, 1 - alpha * A];
+            const [a0, a2] = [1 + alpha / A, 1 - alpha / A];
+            // H(e^jw) = (b0 + c·e^-jw + b2·e^-2jw) / (a0 + c·e^-jw + a2·e^-2jw)
+            const nRe = b0 + c * Math.cos(w) + b2 * Math.cos(2 * w), nIm = -c * Math.sin(w) - b2 * Math.sin(2 * w);
+            const dRe = a0 + c * Math.cos(w) + a2 * Math.cos(2 * w), dIm = -c * Math.sin(w) - a2 * Math.sin(2 * w);
+            const den = dRe * dRe + dIm * dIm;
+            const hRe = (nRe * dRe + nIm * dIm) / den, hIm = (nIm * dRe - nRe * dIm) / den;
+            [re, im] = [re * hRe - im * hIm, re * hIm + im * hRe];
+        });
+        return 20 * Math.log10(Math.max(Math.hypot(re, im), 1e-10));
+    }
+    // The filter chain sets the attenuation across the band and leaves the passband near unity.
+    // At 0 dB the chain is switched out for the dry path, so the output is exactly the input
+    // (true bypass).
+    createNotchFilterBank(centerFreq, widthValue = 1, depth = 'full') {
+        const filters = this.getNotchFilterSettings(centerFreq, widthValue, depth).map(s => {
+            const f = this.createNotchFilter(s.freq, s.Q);
+            f.type = s.type; f.gain.setValueAtTime(s.gain, this.currentTime);
+            return f;
+        });
         for (let i = 0; i < filters.length - 1; i++) filters[i].connect(filters[i + 1]);
+        const mix = this.parseNotchDepth(depth);
+        const input = this.createGain(1), output = this.createGain(1), dry = this.createGain(mix.dry), wet = this.createGain(mix.wet);
+        input.connect(dry); dry.connect(output);
+        input.connect(filters[0]); filters[filters.length - 1].connect(wet); wet.connect(output);
         const self = this;
         return {
-            input: filters[0], output: filters[filters.length - 1], filters,
+            input, output, filters, dry, wet,
             update: (newCenterFreq, newWidth, newDepth) => {
-                const newParsed = self.parseNotchWidth(newWidth, newCenterFreq);
-                const newLower = newParsed.lowerFreq;
-                const newUpper = newParsed.upperFreq;
-                const newStep = (newUpper - newLower) / Math.max(1, numFilters);
-                const newBaseQ = newParsed.isNarrow ? 50 : 30;
+                const settings = self.getNotchFilterSettings(newCenterFreq, newWidth, newDepth);
                 filters.forEach((f, i) => { 
-                    f.frequency.setTargetAtTime(newLower + (newStep * i), self.currentTime, 0.01); 
-                    f.Q.setTargetAtTime(newBaseQ * newDepth, self.currentTime, 0.01); 
+                    f.type = settings[i].type;
+                    f.frequency.setTargetAtTime(settings[i].freq, self.currentTime, 0.01); 
+                    f.Q.setTargetAtTime(settings[i].Q, self.currentTime, 0.01); 
+                    f.gain.setTargetAtTime(settings[i].gain, self.currentTime, 0.01);
                 });
+                const newMix = self.parseNotchDepth(newDepth);
+                dry.gain.setTargetAtTime(newMix.dry, self.currentTime, 0.01);
+                wet.gain.setTargetAtTime(newMix.wet, self.currentTime, 0.01);
             }
         };
     }
+    // Magnitude response in dB of one notch band at the given frequencies. Uses the same filter
+    // settings and dry/wet mix as createNotchFilterBank, so the attenuation curve can be checked
+    // without running an audio graph.
+    getNotchResponse(frequencies, centerFreq, widthValue = 1, depth = 'full', sampleRate = this.audioContext?.sampleRate || 44100) {
+        const settings = this.getNotchFilterSettings(centerFreq, widthValue, depth, sampleRate);
+        const { dry } = this.parseNotchDepth(depth);
+        return frequencies.map(f => dry ? 0 : this.getBiquadChainResponse(settings, f, sampleRate));
+    }
+    // Split the signal, notch each ear at its own center frequency, then merge back to stereo
+    createStereoNotchFilterBank(leftFreq, rightFreq, widthValue = 1, depth = 'full') {
+        const input = this.audioContext.createGain();
+        // Upmix mono sources so the right channel isn't silent after the split
+        input.channelCount = 2; input.channelCountMode = 'explicit'; input.channelInterpretation = 'speakers';
+        const splitter = this.audioContext.createChannelSplitter(2);
+        const merger = this.audioContext.createChannelMerger(2);
+        const left = this.createNotchFilterBank(leftFreq, widthValue, depth);
+        const right = this.createNotchFilterBank(rightFreq, widthValue, depth);
+        input.connect(splitter);
+        splitter.connect(left.input, 0); left.output.connect(merger, 0, 0);
+        splitter.connect(right.input, 1); right.output.connect(merger, 0, 1);
+        return {
+            input, output: merger, left, right, filters: [...left.filters, ...right.filters],
+            update: (newLeftFreq, newRightFreq, newWidth, newDepth) => {
+                left.update(newLeftFreq, newWidth, newDepth);
+                right.update(newRightFreq, newWidth, newDepth);
+            }
+        };
+    }
+    // Chain one filter bank per band so several distinct tinnitus tones can be notched at once
+    createMultiNotchFilterBank(bands = []) {
+        const banks = bands.map(b => this.createNotchFilterBank(b.freq, b.width ?? 1, b.depth ?? 'full'));
+        for (let i = 0; i < banks.length - 1; i++) banks[i].output.connect(banks[i + 1].input);
+        // With no bands, pass the signal straight through
+        const passthrough = banks.length ? null : this.audioContext.createGain();
+        return {
+            input: passthrough || banks[0].input, output: passthrough || banks[banks.length - 1].output,
+            banks, filters: banks.flatMap(b => b.filters),
+            update: (newBands) => banks.forEach((bank, i) => {
+                const b = newBands[i];
+                if (b) bank.update(b.freq, b.width ?? 1, b.depth ?? 'full');
+            })
+        };
+    }
     createWhiteNoiseBuffer(dur = 2) {
         const sr = this.audioContext.sampleRate, len = sr * dur, buf = this.audioContext.createBuffer(2, len, sr);
         for (let ch = 0; ch < 2; ch++) { const d = buf.getChannelData(ch); for (let i = 0; i < len; i++) d[i] = Math.random() * 2 - 1; }
@@ -78,14 +259,223 @@ class AudioEngine {
         for (let ch = 0; ch < 2; ch++) { const d = buf.getChannelData(ch); let lastOut = 0; for (let i = 0; i < len; i++) { const w = Math.random()*2-1; d[i] = (lastOut + (0.02*w))/1.02; lastOut = d[i]; d[i] *= 3.5; } }
         return buf;
     }
-    createNoiseSource(type = 'white') {
-        let buf; switch(type) { case 'pink': buf = this.createPinkNoiseBuffer(2); break; case 'brown': buf = this.createBrownNoiseBuffer(2); break; default: buf = this.createWhiteNoiseBuffer(2); }
+    // Blue (+3 dB/octave) and violet (+6 dB/octave) are the first difference of pink and white noise,
+    // scaled to the level of pink and brown
+    createBlueNoiseBuffer(dur = 2) {
+        const buf = this.createPinkNoiseBuffer(dur);
+        for (let ch = 0; ch < 2; ch++) { const d = buf.getChannelData(ch); for (let i = d.length - 1; i > 0; i--) d[i] = (d[i] - d[i-1]) * 1.7; d[0] = d[1]; }
+        return buf;
+    }
+    createVioletNoiseBuffer(dur = 2) {
+        const buf = this.createWhiteNoiseBuffer(dur);
+        for (let ch = 0; ch < 2; ch++) { const d = buf.getChannelData(ch); for (let i = d.length - 1; i > 0; i--) d[i] = (d[i] - d[i-1]) * 0.25; d[0] = d[1]; }
+        return buf;
+    }
+    // Base color and octave-band EQ (dB per noiseEqBands band) for a noise type; eq is null for the
+    // plain generator colors. Custom spectra are { slope, bands }: a tilt in dB/octave around 1 kHz
+    // plus a gain per band. The tilt comes mostly from the nearest generator color (a multiple of
+    // 3 dB/octave) and the rest from the EQ, so steep slopes don't need huge filter gains.
+    getNoiseSpectrum(type, spectrum = null) {
+        if (type === 'grey') return { base: 'white', slope: 0, eq: AudioEngine.greyNoiseEq };
+        if (type !== 'custom') return { base: type, slope: 0, eq: null };
+        const { slope = 0, bands = [] } = spectrum || {};
+        const step = Math.max(-2, Math.min(2, Math.round(slope / 3)));
+        const residual = slope - step * 3;
+        return {
+            base: ['brown', 'pink', 'white', 'blue', 'violet'][step + 2],
+            slope: step * 3,
+            eq: AudioEngine.noiseEqBands.map((f, i) => residual * Math.log2(f / 1000) + (bands[i] || 0))
+        };
+    }
+    // Gain (dB) that keeps shaped noise at the power of its base color. Each octave band of noise
+    // with a slope of s dB/octave carries power in proportion to f^(1 + s/3).
+    getSpectrumTrim(eq, baseSlope = 0) {
+        const weights = AudioEngine.noiseEqBands.map(f => Math.pow(f / 1000, 1 + baseSlope / 3));
+        const shaped = weights.reduce((sum, w, i) => sum + w * Math.pow(10, eq[i] / 10), 0);
+        return -10 * Math.log10(shaped / weights.reduce((a, b) => a + b, 0));
+    }
+    // Endless noise from the worklet when it's loaded, otherwise a looped 2-second buffer.
+    // Both have start/stop; only the worklet source has setType for crossfading colors, and it
+    // returns false for types that need a different graph (grey, custom).
+    // Grey and custom noise come back as a shaped source from createShapedNoise.
+    createNoiseSource(type = 'white', spectrum = null) {
+        const shape = this.getNoiseSpectrum(type, spectrum);
+        if (shape.eq) return this.createShapedNoise(shape);
+        if (this.noiseWorkletReady) return this.createNoiseWorkletSource(type);
+        let buf; switch(type) { case 'pink': buf = this.createPinkNoiseBuffer(2); break; case 'brown': buf = this.createBrownNoiseBuffer(2); break; case 'blue': buf = this.createBlueNoiseBuffer(2); break; case 'violet': buf = this.createVioletNoiseBuffer(2); break; default: buf = this.createWhiteNoiseBuffer(2); }
         const src = this.audioContext.createBufferSource(); src.buffer = buf; src.loop = true; return src;
     }
+    createNoiseWorkletSource(type = 'white') {
+        const node = new AudioWorkletNode(this.audioContext, 'noise-processor', { numberOfInputs: 0, outputChannelCount: [2], processorOptions: { type } });
+        node.start = (when = 0) => node.port.postMessage({ command: 'start', time: when });
+        node.stop = (when = 0) => node.port.postMessage({ command: 'stop', time: when });
+        node.setType = (newType, fadeTime = 0.5) => {
+            if (!AudioEngine.generatorColors.includes(newType)) return false;
+            node.port.postMessage({ command: 'type', type: newType, fadeTime });
+            return true;
+        };
+        return node;
+    }
+    // A base color through one peaking filter per octave band, behaving like a source node:
+    // connect/disconnect act on the shaped output, and update() retunes the EQ of a custom
+    // spectrum in place (returning false when the new spectrum needs another base color).
+    createShapedNoise({ base, slope, eq }) {
+        const source = this.createNoiseSource(base);
+        const filters = AudioEngine.noiseEqBands.map((freq, i) => {
+            const f = this.audioContext.createBiquadFilter();
+            f.type = 'peaking'; f.frequency.setValueAtTime(freq, this.currentTime); f.Q.setValueAtTime(1.41, this.currentTime); f.gain.setValueAtTime(eq[i], this.currentTime);
+            return f;
+        });
+        const trim = this.createGain(Math.pow(10, this.getSpectrumTrim(eq, slope) / 20));
+        [source, ...filters, trim].reduce((prev, next) => { prev.connect(next); return next; });
+        return {
+            source, filters, output: trim, base,
+            connect: (...args) => trim.connect(...args),
+            disconnect: (...args) => trim.disconnect(...args),
+            start: (t) => source.start(t),
+            stop: (t) => source.stop(t),
+            update: (spectrum) => {
+                const next = this.getNoiseSpectrum('custom', spectrum);
+                if (next.base !== base) return false;
+                filters.forEach((f, i) => f.gain.setTargetAtTime(next.eq[i], this.currentTime, 0.05));
+                trim.gain.setTargetAtTime(Math.pow(10, this.getSpectrumTrim(next.eq, next.slope) / 20), this.currentTime, 0.05);
+                return true;
+            }
+        };
+    }
+    // White noise through two cascaded bandpass filters, bandwidth in octaves
+    createNarrowbandNoise(centerFreq = 4000, bandwidthOct = 0.5) {
+        const src = this.createNoiseSource('white');
+        const filters = [0, 1].map(() => { const f = this.audioContext.createBiquadFilter(); f.type = 'bandpass'; return f; });
+        src.connect(filters[0]); filters[0].connect(filters[1]);
+        // Retuning while playing glides to the new band instead of jumping
+        const tune = (freq, bw, set) => {
+            const ratio = Math.pow(2, bw), Q = Math.sqrt(ratio) / (ratio - 1);
+            filters.forEach(f => { set(f.frequency, freq); set(f.Q, Q); });
+        };
+        const update = (freq, bw = bandwidthOct) => tune(freq, bw, (param, v) => param.setTargetAtTime(v, this.currentTime, 0.01));
+        tune(centerFreq, bandwidthOct, (param, v) => param.setValueAtTime(v, this.currentTime));
+        return { source: src, output: filters[1], filters, update, start: (t) => src.start(t), stop: (t) => src.stop(t) };
+    }
     createAnalyzer(fftSize = 2048) { const a = this.audioContext.createAnalyser(); a.fftSize = fftSize; a.smoothingTimeConstant = 0.8; return a; }
     createMediaElementSource(el) { return this.audioContext.createMediaElementSource(el); }
+    // Hard-knee 20:1 compressor on the master bus, with an output meter tapped after it.
+    // Browsers add automatic makeup gain (the 0.6 power of the full-range gain reduction);
+    // the trim takes it back out so the limiter never makes quiet sounds louder.
+    createSafetyLimiter() {
+        const t = this.currentTime, ratio = 20;
+        this.limiter = this.audioContext.createDynamicsCompressor();
+        this.limiter.threshold.setValueAtTime(this.limiterThreshold, t);
+        this.limiter.knee.setValueAtTime(0, t);
+        this.limiter.ratio.setValueAtTime(ratio, t);
+        this.limiter.attack.setValueAtTime(0.003, t);
+        this.limiter.release.setValueAtTime(0.25, t);
+        this.limiterTrim = this.createGain(Math.pow(10, 0.6 * this.limiterThreshold * (1 - 1 / ratio) / 20));
+        this.outputMeter = this.createAnalyzer(2048);
+        this.masterGain.connect(this.limiter); this.limiter.connect(this.limiterTrim);
+        this.limiterTrim.connect(this.audioContext.destination); this.limiterTrim.connect(this.outputMeter);
+    }
+    // RMS of what's reaching the speakers in dBFS; null before init, -Infinity for silence
+    getOutputLevel() {
+        if (!this.outputMeter) return null;
+        const data = new Float32Array(this.outputMeter.fftSize);
+        this.outputMeter.getFloatTimeDomainData(data);
+        const rms = Math.sqrt(data.reduce((sum, v) => sum + v * v, 0) / data.length);
+        return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    }
+    // Estimated listening level in dB SPL, or null when (practically) silent
+    estimateSpl() { const db = this.getOutputLevel(); return db === null || db < -80 ? null : db + this.fullScaleSpl; }
     setMasterVolume(v) { if (this.masterGain) this.masterGain.gain.setTargetAtTime(v, this.currentTime, 0.01); }
-    connectToMaster(node) { node.connect(this.masterGain); }
+    connectToMaster(node) { node.connect(this.calibrationInput || this.masterGain); }
+
+    // -- Fades --
+    // Each source chain ends in its own fader gain, so fades never fight the volume controls'
+    // setTargetAtTime on the chain's volume gain. A new fader starts silent: createGain(0).
+
+    // Ramp a gain linearly from wherever it is now (even mid-fade) to target; returns the end time
+    rampGain(node, target, duration = this.fadeTime) {
+        const g = node.gain, t = this.currentTime;
+        if (g.cancelAndHoldAtTime) g.cancelAndHoldAtTime(t); else { g.cancelScheduledValues(t); g.setValueAtTime(g.value, t); }
+        g.linearRampToValueAtTime(target, t + duration);
+        return t + duration;
+    }
+    fadeIn(fader, duration = this.fadeTime) { return this.rampGain(fader, 1, duration); }
+    fadeOut(fader, duration = this.fadeTime) { return this.rampGain(fader, 0, duration); }
+    // Fade a chain out, stop its sources once silent, then disconnect its output and run
+    // onReleased. The caller drops its references right away, so a replacement chain can fade
+    // in over the same time.
+    releaseChain({ fader, sources = [], output = fader, onReleased = null }, duration = this.fadeTime) {
+        const end = this.fadeOut(fader, duration);
+        sources.forEach(s => s.stop(end));
+        setTimeout(() => { output.disconnect(); onReleased?.(); }, (end - this.currentTime) * 1000 + 50);
+        return end;
+    }
+
+    // -- Sources --
+    // Every module that makes sound registers it by name while it plays, so there is one place
+    // that knows what is sounding and keeps sources from playing over each other. Starting a
+    // source applies the rules for its kind: a matching source (tone matcher, sweep) stops any
+    // other matching source and pauses therapy until it ends; starting therapy stops matching.
+    static sourceRules = {
+        therapy: { stops: ['matching'], pauses: [] },
+        matching: { stops: ['matching'], pauses: ['therapy'] }
+    };
+    // stop is the owner's own stop (which calls stopSource); pause/resume silence the source
+    // without ending it, and sources without them are stopped instead of paused
+    startSource(name, { kind = 'therapy', label = name, stop, pause = null, resume = null }) {
+        const rules = AudioEngine.sourceRules[kind];
+        this.sources.delete(name);
+        this.sources.set(name, { kind, label, stop, pause, resume, pausedBy: null });
+        const others = [...this.sources].filter(([other]) => other !== name);
+        others.forEach(([other, entry]) => {
+            if (rules.stops.includes(entry.kind)) this.haltSource(other, name);
+        });
+        others.forEach(([other, entry]) => {
+            if (!this.sources.has(other) || !rules.pauses.includes(entry.kind) || entry.pausedBy) return;
+            if (entry.pause) { entry.pausedBy = name; entry.pause(); } else this.haltSource(other, name);
+        });
+        this.emitSourcesChange();
+    }
+    // Called by the owner when its source ends; resumes whatever it had paused
+    stopSource(name) {
+        if (!this.sources.has(name)) return;
+        this.sources.delete(name);
+        this.handOver(name, null);
+        this.emitSourcesChange();
+    }
+    // Stop a source on its owner's behalf. Sources it had paused stay paused when the source
+    // replacing it (successor) pauses them too, and resume otherwise.
+    haltSource(name, successor = null) {
+        const entry = this.sources.get(name);
+        if (!entry) return;
+        this.sources.delete(name);
+        this.handOver(name, successor);
+        entry.stop();
+        this.emitSourcesChange();
+    }
+    handOver(name, successor) {
+        const pauses = successor ? AudioEngine.sourceRules[this.sources.get(successor).kind].pauses : [];
+        this.sources.forEach(entry => {
+            if (entry.pausedBy !== name) return;
+            if (pauses.includes(entry.kind)) { entry.pausedBy = successor; return; }
+            entry.pausedBy = null;
+            entry.resume();
+        });
+    }
+    // Tear down everything, paused sources included, without resuming anything
+    stopAllSources() {
+        const entries = [...this.sources.values()];
+        this.sources.clear();
+        entries.forEach(entry => entry.stop());
+        this.emitSourcesChange();
+    }
+    // [{ name, kind, label, paused }] in the order the sources started
+    getPlaying() {
+        return [...this.sources].map(([name, { kind, label, pausedBy }]) => ({ name, kind, label, paused: !!pausedBy }));
+    }
+    isSourceActive(name) { const entry = this.sources.get(name); return !!entry && !entry.pausedBy; }
+    onSourcesChange(callback) { this.sourceListeners.push(callback); }
+    emitSourcesChange() { const playing = this.getPlaying(); this.sourceListeners.forEach(cb => cb(playing)); }
 
     // -- Background Audio Support --
 
@@ -0,0 +1,462 @@
+/**
+ * Audiogram Screening - Self-administered pure-tone hearing thresholds
+ * Flow: Setup → Threshold search per ear and frequency → Audiogram
+ * Each threshold is found with a 10-down / 5-up staircase (modified Hughson-Westlake):
+ * the threshold is the lowest level heard on two ascending presentations.
+ * Levels are in dBFS, so losses are reported relative to the best threshold measured;
+ * the screening flags regions where the notch may sit in sound the user can't hear.
+ */
+
+class AudiogramScreening {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+
+        this.frequencies = [1000, 2000, 3000, 4000, 6000, 8000, 500, 250];
+        this.extendedFrequencies = [10000, 12000];
+        this.includeExtended = false;
+        this.ears = ['left', 'right'];
+
+        // Staircase (dBFS)
+        this.startLevel = -40;
+        this.minLevel = -100;
+        this.maxLevel = -10;   // ceiling to protect hearing; not heard here = no response
+        this.stepDown = 10;
+        this.stepUp = 5;
+        this.hitsNeeded = 2;
+        this.maxTrials = 30;   // per frequency, in case responses never settle
+
+        // Pulsed presentation: three 250 ms tones with gaps
+        this.pulses = 3;
+        this.pulseLength = 0.25;
+        this.pulseGap = 0.25;
+
+        this.isActive = false;
+        this.tests = [];         // [{ ear, frequency }] in presentation order
+        this.testIndex = 0;
+        this.staircase = null;
+        this.thresholds = { left: [], right: [] };
+
+        // Audio nodes
+        this.oscillator = null;
+        this.gainNode = null;
+        this.pannerNode = null;
+
+        this.onComplete = null;
+    }
+
+    // -- Storage --
+    static getSaved() {
+        try {
+            return JSON.parse(localStorage.getItem('tinnitusAudiogram'));
+        } catch {
+            return null;
+        }
+    }
+
+    static save(result) {
+        if (result) {
+            localStorage.setItem('tinnitusAudiogram', JSON.stringify(result));
+        } else {
+            localStorage.removeItem('tinnitusAudiogram');
+        }
+    }
+
+    // -- Flow --
+    launch() {
+        this.isActive = true;
+        this.stopTone();
+        this.createModal();
+        this.showStep(0);
+    }
+
+    close() {
+        this.stopTone();
+        this.audioEngine.stopSource('audiogram');
+        this.isActive = false;
+        const modal = document.getElementById('audiogramModal');
+        if (modal) {
+            modal.classList.add('closing');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    begin() {
+        const frequencies = this.includeExtended
+            ? [...this.frequencies.slice(0, this.frequencies.indexOf(8000) + 1), ...this.extendedFrequencies,
+                ...this.frequencies.slice(this.frequencies.indexOf(8000) + 1)]
+            : [...this.frequencies];
+        this.tests = this.ears.flatMap(ear => frequencies.map(frequency => ({ ear, frequency })));
+        this.testIndex = 0;
+        this.thresholds = { left: [], right: [] };
+        this.staircase = this.createStaircase();
+    }
+
+    getCurrentTest() {
+        return this.tests[this.testIndex] || null;
+    }
+
+    createStaircase() {
+        return {
+            level: this.startLevel,
+            heardOnce: false,    // until the first response, steps go up by 10 (familiarization)
+            lastHeard: null,
+            hits: {},            // ascending presentations heard, by level
+            trials: 0
+        };
+    }
+
+    // Apply a yes/no response to the current staircase.
+    // Returns the threshold in dBFS when this frequency is done (null = no response),
+    // or undefined while the search continues.
+    respond(heard) {
+        const s = this.staircase;
+        if (!s) return undefined;
+        s.trials++;
+
+        if (!s.heardOnce) {
+            if (heard) {
+                s.heardOnce = true;
+                s.lastHeard = true;
+                s.level = Math.max(this.minLevel, s.level - this.stepDown);
+            } else {
+                s.level += this.stepDown;
+                if (s.level > this.maxLevel) return this.recordThreshold(null);
+            }
+            return undefined;
+        }
+
+        const ascending = s.lastHeard === false;
+        if (heard) {
+            if (ascending) {
+                s.hits[s.level] = (s.hits[s.level] || 0) + 1;
+                if (s.hits[s.level] >= this.hitsNeeded) return this.recordThreshold(s.level);
+            }
+            // Heard at the floor: nothing softer to present
+            if (s.level <= this.minLevel) return this.recordThreshold(this.minLevel);
+            s.level = Math.max(this.minLevel, s.level - this.stepDown);
+        } else {
+            s.level += this.stepUp;
+            if (s.level > this.maxLevel) return this.recordThreshold(null);
+        }
+        s.lastHeard = heard;
+
+        if (s.trials >= this.maxTrials) {
+            const heardLevels = Object.keys(s.hits).map(Number);
+            return this.recordThreshold(heardLevels.length ? Math.min(...heardLevels) : null);
+        }
+        return undefined;
+    }
+
+    recordThreshold(db) {
+        const test = this.getCurrentTest();
+        this.thresholds[test.ear].push({ frequency: test.frequency, db });
+        this.testIndex++;
+        this.staircase = this.testIndex < this.tests.length ? this.createStaircase() : null;
+        return db;
+    }
+
+    isFinished() {
+        return this.tests.length > 0 && this.testIndex >= this.tests.length;
+    }
+
+    buildResult() {
+        const sorted = ear => [...this.thresholds[ear]].sort((a, b) => a.frequency - b.frequency);
+        return {
+            date: new Date().toISOString(),
+            extended: this.includeExtended,
+            thresholds: { left: sorted('left'), right: sorted('right') }
+        };
+    }
+
+    saveResult() {
+        const result = this.buildResult();
+        AudiogramScreening.save(result);
+        if (this.onComplete) this.onComplete(result);
+        this.close();
+        return result;
+    }
+
+    // -- Analysis --
+    static severeLossDb = 50;   // dB above the best threshold that counts as severe
+
+    // Best (lowest) threshold across both ears; losses are measured from here
+    static getReference(result) {
+        const levels = ['left', 'right']
+            .flatMap(ear => result?.thresholds?.[ear] || [])
+            .map(t => t.db)
+            .filter(db => db !== null);
+        return levels.length ? Math.min(...levels) : null;
+    }
+
+    // Loss in dB at a frequency, interpolated on a log-frequency scale between the
+    // neighbouring test frequencies. Infinity where a neighbour got no response.
+    static getLossAt(result, ear, frequency) {
+        const points = result?.thresholds?.[ear] || [];
+        const reference = AudiogramScreening.getReference(result);
+        if (points.length === 0 || reference === null || !(frequency > 0)) return null;
+
+        const loss = p => (p.db === null ? Infinity : p.db - reference);
+        const upper = points.findIndex(p => p.frequency >= frequency);
+        if (upper === 0) return loss(points[0]);
+        if (upper === -1) return loss(points[points.length - 1]);
+
+        const a = points[upper - 1];
+        const b = points[upper];
+        if (a.db === null || b.db === null) return Infinity;
+        const t = Math.log2(frequency / a.frequency) / Math.log2(b.frequency / a.frequency);
+        return Math.round(loss(a) + t * (loss(b) - loss(a)));
+    }
+
+    // Ears whose matched frequency sits in a region of severe loss
+    static getSevereLossWarnings(result, matchedFrequencies = {}) {
+        return ['left', 'right']
+            .filter(ear => matchedFrequencies[ear])
+            .map(ear => ({ ear, frequency: matchedFrequencies[ear], loss: AudiogramScreening.getLossAt(result, ear, matchedFrequencies[ear]) }))
+            .filter(w => w.loss !== null && w.loss >= AudiogramScreening.severeLossDb);
+    }
+
+    static formatWarning({ ear, frequency, loss }) {
+        const amount = loss === Infinity ? 'beyond what the screening could measure' : `${loss} dB below your best`;
+        return `Your ${ear} ear's tinnitus frequency (${frequency} Hz) falls where your hearing is weak (${amount}). ` +
+            'A notch there may do little; consider checking with an audiologist.';
+    }
+
+    // -- Audio --
+    playTone() {
+        const test = this.getCurrentTest();
+        if (!test || !this.staircase) return;
+
+        this.stopTone();
+        this.audioEngine.init();
+        this.audioEngine.startSource('audiogram', { kind: 'matching', label: 'Hearing screening', stop: () => this.stopTone() });
+        const now = this.audioEngine.currentTime;
+        const gain = Math.pow(10, this.staircase.level / 20);
+
+        this.oscillator = this.audioEngine.createOscillator(test.frequency, 'sine');
+        this.gainNode = this.audioEngine.createGain(0);
+        this.pannerNode = this.audioEngine.createPanner(test.ear === 'left' ? -1 : 1);
+        this.oscillator.connect(this.gainNode);
+        this.gainNode.connect(this.pannerNode);
+        this.audioEngine.connectToMaster(this.pannerNode);
+
+        // Short ramps on each pulse avoid clicks that would give the tone away
+        for (let i = 0; i < this.pulses; i++) {
+            const t = now + 0.05 + i * (this.pulseLength + this.pulseGap);
+            this.gainNode.gain.setValueAtTime(0, t);
+            this.gainNode.gain.linearRampToValueAtTime(gain, t + 0.02);
+            this.gainNode.gain.setValueAtTime(gain, t + this.pulseLength - 0.02);
+            this.gainNode.gain.linearRampToValueAtTime(0, t + this.pulseLength);
+        }
+        this.oscillator.start(now);
+        this.oscillator.stop(now + 0.1 + this.pulses * (this.pulseLength + this.pulseGap));
+    }
+
+    stopTone() {
+        if (this.oscillator) {
+            try { this.oscillator.stop(); } catch {}
+            try { this.oscillator.disconnect(); } catch {}
+            this.oscillator = null;
+        }
+        this.gainNode = null;
+        this.pannerNode = null;
+    }
+
+    // -- Chart --
+    // Standard audiogram layout: frequency on a log axis, loss increasing downward,
+    // right ear in red circles and left ear in blue crosses
+    static drawAudiogram(canvas, result) {
+        if (!canvas || !result) return;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = (canvas.offsetWidth || 300) * 2;
+        const height = canvas.height = 360;
+        ctx.clearRect(0, 0, width, height);
+
+        const reference = AudiogramScreening.getReference(result);
+        const maxFreq = result.extended ? 12000 : 8000;
+        const maxLoss = 90;
+        const padding = 60;
+        const x = f => padding + (Math.log2(f / 250) / Math.log2(maxFreq / 250)) * (width - padding * 2);
+        const y = loss => padding / 2 + (Math.min(loss, maxLoss) / maxLoss) * (height - padding * 1.5);
+
+        // Severe loss region
+        ctx.fillStyle = 'rgba(255,107,107,0.08)';
+        ctx.fillRect(padding, y(AudiogramScreening.severeLossDb), width - padding * 2, y(maxLoss) - y(AudiogramScreening.severeLossDb));
+
+        ctx.strokeStyle = '#2a2a4a';
+        ctx.fillStyle = '#999';
+        ctx.font = '20px Arial';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        for (let loss = 0; loss <= maxLoss; loss += 10) {
+            ctx.beginPath();
+            ctx.moveTo(padding, y(loss));
+            ctx.lineTo(width - padding, y(loss));
+            ctx.stroke();
+            if (loss % 20 === 0) ctx.fillText(`${loss}`, padding - 8, y(loss) + 7);
+        }
+        ctx.textAlign = 'center';
+        [250, 500, 1000, 2000, 4000, 8000, 12000].filter(f => f <= maxFreq).forEach(f => {
+            ctx.fillText(f >= 1000 ? `${f / 1000}k` : `${f}`, x(f), height - 8);
+        });
+
+        if (reference === null) return;
+
+        const colors = { left: '#00d9ff', right: '#ff6b6b' };
+        ['left', 'right'].forEach(ear => {
+            const points = (result.thresholds[ear] || []).map(p => ({
+                px: x(p.frequency),
+                py: y(p.db === null ? maxLoss : p.db - reference),
+                noResponse: p.db === null
+            }));
+            if (points.length === 0) return;
+
+            ctx.strokeStyle = colors[ear];
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.px, p.py) : ctx.lineTo(p.px, p.py)));
+            ctx.stroke();
+
+            points.forEach(p => {
+                ctx.beginPath();
+                if (ear === 'right') {
+                    ctx.arc(p.px, p.py, 8, 0, Math.PI * 2);
+                } else {
+                    ctx.moveTo(p.px - 8, p.py - 8);
+                    ctx.lineTo(p.px + 8, p.py + 8);
+                    ctx.moveTo(p.px + 8, p.py - 8);
+                    ctx.lineTo(p.px - 8, p.py + 8);
+                }
+                // No response: arrow pointing down off the chart
+                if (p.noResponse) {
+                    ctx.moveTo(p.px, p.py + 10);
+                    ctx.lineTo(p.px, p.py + 22);
+                }
+                ctx.stroke();
+            });
+        });
+    }
+
+    // -- UI --
+    createModal() {
+        document.getElementById('audiogramModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'guided-modal';
+        modal.id = 'audiogramModal';
+        modal.innerHTML = `
+            <div class="guided-modal-content">
+                <button class="guided-modal-close" id="agClose">&times;</button>
+                <div class="guided-body" id="agBody"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        requestAnimationFrame(() => modal.classList.add('open'));
+
+        document.getElementById('agClose').addEventListener('click', () => this.close());
+    }
+
+    showStep(step) {
+        this.currentStep = step;
+        const body = document.getElementById('agBody');
+        if (!body) return;
+
+        switch (step) {
+            case 0: this.renderSetup(body); break;
+            case 1: this.renderTest(body); break;
+            case 2: this.renderResult(body); break;
+        }
+    }
+
+    // -- Step 0: Setup --
+    renderSetup(el) {
+        const previous = AudiogramScreening.getSaved();
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">🦻</div>
+                <h2>Hearing Screening</h2>
+                <p class="gs-desc">You'll hear short beeps in one ear at a time. Answer whether you heard them — some will be very quiet. Use a quiet room and the headphones you use for therapy.</p>
+                <p class="gs-desc">This is a screening, not a clinical hearing test.</p>
+                <label class="ag-extended">
+                    <input type="checkbox" id="agExtended" ${this.includeExtended ? 'checked' : ''}>
+                    Include 10 and 12 kHz (extended high frequencies)
+                </label>
+                ${previous ? `
+                    <div class="ag-previous">Last screening: ${new Date(previous.date).toLocaleDateString()}</div>
+                    <canvas class="ag-chart" id="agPreviousChart"></canvas>
+                ` : ''}
+                <button class="gs-btn primary" id="agStart">Start</button>
+            </div>
+        `;
+        if (previous) AudiogramScreening.drawAudiogram(document.getElementById('agPreviousChart'), previous);
+        document.getElementById('agExtended').addEventListener('change', (e) => { this.includeExtended = e.target.checked; });
+        document.getElementById('agStart').addEventListener('click', () => {
+            this.begin();
+            this.showStep(1);
+        });
+    }
+
+    // -- Step 1: Threshold Search --
+    renderTest(el) {
+        const test = this.getCurrentTest();
+        el.innerHTML = `
+            <div class="guided-step">
+                <h2>${test.ear === 'left' ? 'Left' : 'Right'} Ear · ${test.frequency} Hz</h2>
+                <div class="ag-progress">Tone ${this.testIndex + 1} of ${this.tests.length}</div>
+                <p class="gs-desc">Listen for three short beeps, then answer.</p>
+                <button class="gs-btn secondary" id="agReplay">🔁 Play Again</button>
+                <div class="pm-choices">
+                    <button class="gs-btn secondary" id="agNotHeard">Didn't Hear</button>
+                    <button class="gs-btn primary" id="agHeard">Heard It</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('agReplay').addEventListener('click', () => this.playTone());
+        document.getElementById('agHeard').addEventListener('click', () => this.answer(true));
+        document.getElementById('agNotHeard').addEventListener('click', () => this.answer(false));
+        this.playTone();
+    }
+
+    answer(heard) {
+        const previousIndex = this.testIndex;
+        this.respond(heard);
+        if (this.isFinished()) {
+            this.stopTone();
+            this.showStep(2);
+        } else if (this.testIndex !== previousIndex) {
+            this.showStep(1);
+        } else {
+            this.playTone();
+        }
+    }
+
+    // -- Step 2: Audiogram --
+    renderResult(el) {
+        const result = this.buildResult();
+        const warnings = AudiogramScreening.getSevereLossWarnings(result, this.app.matchedFrequencies);
+
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">✅</div>
+                <h2>Your Audiogram</h2>
+                <p class="gs-desc">Hearing loss relative to your best threshold; lower on the chart is weaker hearing.</p>
+                <canvas class="ag-chart" id="agChart"></canvas>
+                <div class="ag-legend">
+                    <span class="ag-legend-left">✕ Left</span>
+                    <span class="ag-legend-right">○ Right</span>
+                </div>
+                ${warnings.map(w => `<div class="ag-warning">⚠️ ${AudiogramScreening.formatWarning(w)}</div>`).join('')}
+                <div class="gs-nav">
+                    <button class="gs-btn secondary" id="agRetry">Start Over</button>
+                    <button class="gs-btn primary" id="agSave">Save</button>
+                </div>
+            </div>
+        `;
+        AudiogramScreening.drawAudiogram(document.getElementById('agChart'), result);
+        document.getElementById('agRetry').addEventListener('click', () => this.showStep(0));
+        document.getElementById('agSave').addEventListener('click', () => this.saveResult());
+    }
+}
+
+window.AudiogramScreening = AudiogramScreening;
+export { AudiogramScreening };
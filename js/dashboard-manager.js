@@ -85,6 +85,15 @@ class DashboardManager {
                     </div>
                 </div>
                 
+                <div class="dashboard-dose" id="doseDashboard" style="display: none;">
+                    <div class="dose-header">
+                        <span class="dose-title">👂 Today's Sound Dose</span>
+                        <span class="dose-value" id="doseToday">0%</span>
+                    </div>
+                    <div class="dose-bar"><div class="dose-fill" id="doseFill"></div></div>
+                    <div class="dose-history" id="doseHistory"></div>
+                </div>
+                
                 <div class="dashboard-matched-freq" id="matchedFreqDashboard" style="display: none;">
                     <div class="matched-freq-badge">
                         <span class="freq-icon">🎯</span>
@@ -93,6 +102,19 @@ class DashboardManager {
                             <span class="freq-value" id="dashboardFreqValue">-- Hz</span>
                         </div>
                     </div>
+                    <div class="hearing-warning" id="hearingWarning" style="display: none;"></div>
+                </div>
+
+                <div class="dashboard-drift" id="driftDashboard" style="display: none;">
+                    <div class="drift-header">
+                        <span class="drift-title">📈 Pitch Over Time</span>
+                        <label class="drift-follow">
+                            <input type="checkbox" id="notchFollowsTrend">
+                            Notch follows trend
+                        </label>
+                    </div>
+                    <canvas id="driftChart"></canvas>
+                    <div class="drift-summary" id="driftSummary"></div>
                 </div>
                 
                 <div class="dashboard-tips" id="dashboardTips">
@@ -136,6 +158,11 @@ class DashboardManager {
                 this.app.journalManager.showDailyCheckIn();
             }
         });
+
+        document.getElementById('notchFollowsTrend')?.addEventListener('change', (e) => {
+            this.app.notchFollowsTrend = e.target.checked;
+            this.app.autoSaveState?.();
+        });
     }
 
     updateDashboard() {
@@ -154,15 +181,17 @@ class DashboardManager {
         // Remove all status classes
         indicator.classList.remove('status-idle', 'status-matching', 'status-therapy', 'status-paused');
 
-        if (this.app.noiseState?.isPlaying) {
-            indicator.classList.add('status-therapy');
-            statusText.textContent = '🟢 Therapy Active';
-        } else if (this.app.musicState?.isPlaying) {
+        // What's sounding comes from the audio engine's source registry
+        const playing = this.app.audioEngine?.getPlaying() || [];
+        const active = playing.filter(s => !s.paused);
+        const therapy = active.filter(s => s.kind === 'therapy');
+
+        if (therapy.length) {
             indicator.classList.add('status-therapy');
-            statusText.textContent = '🟢 Music Therapy Active';
-        } else if (this.app.toneState?.isPlaying) {
+            statusText.textContent = therapy.every(s => s.name === 'music') ? '🟢 Music Therapy Active' : '🟢 Therapy Active';
+        } else if (active.some(s => s.kind === 'matching')) {
             indicator.classList.add('status-matching');
-            statusText.textContent = '🟡 Frequency Matching';
+            statusText.textContent = playing.some(s => s.paused) ? '🟡 Frequency Matching (therapy paused)' : '🟡 Frequency Matching';
         } else if (this.app.sessionManager?.isRunning) {
             indicator.classList.add('status-paused');
             statusText.textContent = '⏸️ Session Paused';
@@ -184,6 +213,43 @@ class DashboardManager {
         if (streakEl) streakEl.textContent = stats.streak;
         if (todayEl) todayEl.textContent = stats.todayTimeFormatted;
         if (totalEl) totalEl.textContent = stats.totalTimeFormatted;
+
+        this.updateDose();
+    }
+
+    // === SOUND DOSE ===
+    // Today's share of the daily safe listening limit, and the last week as bars
+    updateDose() {
+        const container = document.getElementById('doseDashboard');
+        const history = this.app.sessionManager?.getDoseHistory?.(7);
+        if (!container) return;
+
+        if (!history || history.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'block';
+        const level = dose => (dose >= 100 ? 'over' : dose >= 50 ? 'caution' : 'ok');
+        const today = this.app.sessionManager.getTodayDose();
+
+        const value = document.getElementById('doseToday');
+        const fill = document.getElementById('doseFill');
+        if (value) value.textContent = `${Math.round(today)}%`;
+        if (fill) {
+            fill.style.width = `${Math.min(100, today)}%`;
+            fill.className = `dose-fill dose-${level(today)}`;
+        }
+
+        const days = document.getElementById('doseHistory');
+        if (days) {
+            days.innerHTML = history.map(d => `
+                <div class="dose-day" title="${d.date}: ${Math.round(d.dose)}% over ${Math.round(d.minutes)} min">
+                    <div class="dose-day-bar dose-${level(d.dose)}" style="height: ${Math.min(100, d.dose)}%"></div>
+                    <span class="dose-day-label">${new Date(`${d.date}T00:00`).toLocaleDateString(undefined, { weekday: 'narrow' })}</span>
+                </div>
+            `).join('');
+        }
     }
 
     updateMatchedFrequency() {
@@ -202,6 +268,108 @@ class DashboardManager {
         } else {
             container.style.display = 'none';
         }
+
+        this.updateHearingWarning();
+        this.updateDrift();
+    }
+
+    // Warn when the notch would sit where the last hearing screening found severe loss
+    updateHearingWarning() {
+        const warning = document.getElementById('hearingWarning');
+        if (!warning || !window.AudiogramScreening) return;
+
+        const warnings = AudiogramScreening.getSevereLossWarnings(
+            AudiogramScreening.getSaved(), this.app.matchedFrequencies || {}
+        );
+        warning.style.display = warnings.length ? 'block' : 'none';
+        warning.innerHTML = warnings.map(w => `⚠️ ${AudiogramScreening.formatWarning(w)}`).join('<br>');
+    }
+
+    // === PITCH DRIFT ===
+    updateDrift() {
+        const container = document.getElementById('driftDashboard');
+        const summary = document.getElementById('driftSummary');
+        const history = this.app.matchHistory;
+
+        if (!container || !summary) return;
+
+        if (!history || history.getHistory().length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'block';
+        const follow = document.getElementById('notchFollowsTrend');
+        if (follow) follow.checked = !!this.app.notchFollowsTrend;
+
+        summary.innerHTML = ['left', 'right']
+            .filter(ear => history.getHistory(ear).length > 0)
+            .map(ear => {
+                const drift = history.getDrift(ear);
+                const driftText = drift === null ? 'not enough data for drift' : `${drift > 0 ? '+' : ''}${drift} cents/week`;
+                return `<div class="drift-ear drift-${ear}">
+                    <span class="drift-ear-label">${ear === 'left' ? 'Left' : 'Right'}</span>
+                    <span class="drift-trend">${history.getTrendFrequency(ear) ?? '--'} Hz trend</span>
+                    <span class="drift-rate">${driftText}</span>
+                </div>`;
+            }).join('');
+
+        this.renderDriftChart();
+    }
+
+    renderDriftChart() {
+        const canvas = document.getElementById('driftChart');
+        const history = this.app.matchHistory;
+        if (!canvas || !history) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = (canvas.offsetWidth || 300) * 2;
+        const height = canvas.height = 240;
+        ctx.clearRect(0, 0, width, height);
+
+        const entries = history.getHistory();
+        const times = entries.map(e => new Date(e.date).getTime());
+        const logs = entries.map(e => Math.log2(e.frequency));
+
+        // Time on x, pitch on a log scale on y, padded by a semitone either side
+        const padding = 50;
+        const tMin = Math.min(...times);
+        const tSpan = Math.max(...times) - tMin || 1;
+        const yMin = Math.min(...logs) - 1 / 12;
+        const ySpan = Math.max(...logs) + 1 / 12 - yMin;
+        const x = t => padding + ((t - tMin) / tSpan) * (width - padding * 2);
+        const y = f => height - padding - ((Math.log2(f) - yMin) / ySpan) * (height - padding * 2);
+
+        ctx.fillStyle = '#999';
+        ctx.font = '22px Arial';
+        ctx.textAlign = 'right';
+        [Math.pow(2, yMin + 1 / 12), Math.pow(2, yMin + ySpan - 1 / 12)].forEach(f => {
+            ctx.fillText(`${Math.round(f)}`, padding - 6, y(f) + 8);
+        });
+
+        const colors = { left: '#00d9ff', right: '#ff6b6b' };
+        ['left', 'right'].forEach(ear => {
+            const series = history.getHistory(ear);
+            if (series.length === 0) return;
+
+            ctx.strokeStyle = colors[ear];
+            ctx.fillStyle = colors[ear];
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            series.forEach((e, i) => {
+                const px = x(new Date(e.date).getTime());
+                const py = y(e.frequency);
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+
+            series.forEach(e => {
+                ctx.beginPath();
+                ctx.arc(x(new Date(e.date).getTime()), y(e.frequency), 6, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
     }
 
     updateTips() {
@@ -44,11 +44,31 @@ class ExportManager {
         return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
     }
 
+    /**
+     * Generate a CSV report of daily sound exposure
+     */
+    generateDoseCSV() {
+        const days = this.getDoseHistory();
+        if (days.length === 0) return null;
+
+        const headers = ['Date', 'Dose (% of daily limit)', 'Listening (min)', 'Peak level (dB SPL, est.)'];
+        const rows = days.map(d => [
+            d.date,
+            Math.round(d.dose),
+            Math.round(d.minutes),
+            d.peakDb ?? ''
+        ]);
+
+        return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    }
+
     /**
      * Generate a combined text report
      */
     generateTextReport() {
         const entries = this.getJournalEntries();
+        const riTests = this.getResidualInhibitionTests();
+        const doseDays = this.getDoseHistory();
         const stats = this.app.sessionManager?.getStats();
         const matchedFreq = this.app.matchedFrequencies;
 
@@ -80,6 +100,30 @@ class ExportManager {
         }
         report += '\n';
 
+        // Sound exposure
+        report += '── Sound Exposure (Last 7 days) ──\n';
+        if (doseDays.length === 0) {
+            report += '  No listening recorded\n';
+        } else {
+            doseDays.slice(-7).reverse().forEach(d => {
+                report += `  ${d.date}  ${Math.round(d.dose)}% of daily limit, ${Math.round(d.minutes)} min, peak ~${d.peakDb} dB SPL\n`;
+            });
+        }
+        report += '\n';
+
+        // Residual inhibition
+        report += '── Residual Inhibition Tests ──\n';
+        if (riTests.length === 0) {
+            report += '  No tests recorded\n';
+        } else {
+            riTests.slice(-10).reverse().forEach(t => {
+                const date = new Date(t.date).toLocaleDateString();
+                const relief = t.relief === 'none' ? 'no relief' : `${t.relief} relief for ${t.reliefSeconds}s`;
+                report += `  ${date}  ${t.frequency} Hz, ${t.stimulusDuration}s noise (${t.ear}): ${relief}\n`;
+            });
+        }
+        report += '\n';
+
         // Journal entries
         report += '── Journal Entries (Last 30 days) ──\n';
         if (entries.length === 0) {
@@ -120,6 +164,10 @@ class ExportManager {
             content = this.generateSessionCSV();
             filename = `tinnitus-sessions-${this.dateStamp()}.csv`;
             mimeType = 'text/csv';
+        } else if (format === 'csv-dose') {
+            content = this.generateDoseCSV();
+            filename = `tinnitus-sound-dose-${this.dateStamp()}.csv`;
+            mimeType = 'text/csv';
         } else {
             content = this.generateTextReport();
             filename = `tinnitus-report-${this.dateStamp()}.txt`;
@@ -191,6 +239,10 @@ class ExportManager {
                         <span class="export-opt-icon">⏱️</span>
                         <span class="export-opt-label">Session Data (CSV)</span>
                     </button>
+                    <button class="export-option" data-format="csv-dose">
+                        <span class="export-opt-icon">👂</span>
+                        <span class="export-opt-label">Sound Exposure (CSV)</span>
+                    </button>
                 </div>
             </div>
         `;
@@ -232,6 +284,24 @@ class ExportManager {
         }
     }
 
+    getDoseHistory() {
+        try {
+            const data = localStorage.getItem('tinnitusDoseHistory');
+            return data ? JSON.parse(data) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    getResidualInhibitionTests() {
+        try {
+            const data = localStorage.getItem('tinnitusResidualInhibition');
+            return data ? JSON.parse(data) : [];
+        } catch {
+            return [];
+        }
+    }
+
     dateStamp() {
         const d = new Date();
         return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
@@ -6,33 +6,33 @@
 class FrequencySweepManager {
     constructor(audioEngine) {
         this.audioEngine = audioEngine;
-        this.isRunning = false;
-        this.isPaused = false;
-        
-        // Sweep parameters
-        this.startFreq = 1000;
-        this.endFreq = 12000;
-        this.currentFreq = this.startFreq;
-        this.sweepSpeed = 100; // Hz per second
-        this.volume = 0.3;
-        
-        // Audio nodes
-        this.oscillator = null;
-        this.gainNode = null;
-        this.pannerNode = null;
-        
-        // Confidence tracking
-        this.confidenceLevel = 0;
-        this.matchedFrequencies = [];
-        
-        // Animation
-        this.animationId = null;
-        this.lastUpdateTime = 0;
+
+        // Oscillator, stepping, marks and confidence live in the shared sweep engine
+        this.engine = new SweepEngine(audioEngine);
+        this.engine.on('frequency', () => this.updateDisplay());
+        this.engine.on('pass', () => {
+            this.updateConfidence();
+            this.updateMatchesList();
+            this.updateRangeLabels();
+        });
+        this.engine.on('complete', () => this.onSweepComplete());
+        this.engine.on('interrupt', () => this.stop());
+
+        // Measured reaction time pulls each mark back to where the tone was when it was heard
+        this.calibration = new ReactionTimeCalibration(audioEngine);
+        this.engine.reactionTime = this.calibration.reactionTime;
+        this.calibration.onProgress = (done, total) => this.updateReactionDisplay(done, total);
+        this.calibration.onComplete = (seconds) => {
+            this.engine.reactionTime = seconds;
+            this.updateReactionDisplay();
+        };
+        this.calibration.onInterrupt = () => this.updateReactionDisplay();
         
         this.callbacks = {
             onFrequencyUpdate: null,
             onSweepComplete: null,
-            onMatch: null
+            onMatch: null,
+            onConfirm: null
         };
     }
 
@@ -72,11 +72,24 @@ class FrequencySweepManager {
                 <div class="sweep-speed">
                     <label>Sweep Speed</label>
                     <select id="sweepSpeed">
-                        <option value="50">Slow (50 Hz/sec)</option>
-                        <option value="100" selected>Medium (100 Hz/sec)</option>
-                        <option value="200">Fast (200 Hz/sec)</option>
+                        <option value="0.02">Slow (0.02 oct/sec)</option>
+                        <option value="0.04" selected>Medium (0.04 oct/sec)</option>
+                        <option value="0.08">Fast (0.08 oct/sec)</option>
                     </select>
                 </div>
+
+                <div class="sweep-direction">
+                    <label>Direction</label>
+                    <select id="sweepDirection">
+                        <option value="ascending" selected>Ascending</option>
+                        <option value="descending">Descending</option>
+                        <option value="pingpong">Up and Back</option>
+                    </select>
+                    <label class="sweep-refine">
+                        <input type="checkbox" id="sweepAutoRefine" checked>
+                        Refine with a slower second pass
+                    </label>
+                </div>
                 
                 <div class="sweep-ear">
                     <label>Listen With</label>
@@ -86,12 +99,34 @@ class FrequencySweepManager {
                         <option value="right">Right Ear Only</option>
                     </select>
                 </div>
+
+                <div class="sweep-stimulus">
+                    <label>Sound</label>
+                    <select id="sweepStimulus">
+                        <option value="tone" selected>Tone</option>
+                        <option value="noise">Noise Band (hissing)</option>
+                    </select>
+                    <select id="sweepBandwidth" style="display: none;">
+                        <option value="0.25">1/4 octave</option>
+                        <option value="0.33" selected>1/3 octave</option>
+                        <option value="0.5">1/2 octave</option>
+                        <option value="1">1 octave</option>
+                    </select>
+                </div>
+
+                <div class="sweep-reaction">
+                    <label>Reaction Time</label>
+                    <span class="reaction-value" id="reactionTimeValue">${this.formatReactionTime()}</span>
+                    <button class="btn btn-small" id="calibrateReaction">⏱️ Calibrate</button>
+                    <button class="btn btn-small" id="reactionTap" style="display: none;">Tap on Each Click</button>
+                </div>
             </div>
             
             <div class="sweep-visualizer">
                 <div class="sweep-frequency-display">
                     <span class="freq-label">Current Frequency</span>
                     <span class="freq-value" id="sweepCurrentFreq">1000 Hz</span>
+                    <span class="sweep-pass-label" id="sweepPassLabel"></span>
                 </div>
                 <div class="sweep-progress-bar">
                     <div class="sweep-progress-fill" id="sweepProgressFill"></div>
@@ -134,9 +169,11 @@ class FrequencySweepManager {
             <div class="sweep-tips">
                 <strong>💡 Tips:</strong>
                 <ul>
-                    <li>Listen carefully as the tone slowly increases</li>
+                    <li>Listen carefully as the tone slowly changes pitch</li>
                     <li>Press "That's My Tinnitus!" when you hear a match</li>
                     <li>You can mark multiple frequencies if unsure</li>
+                    <li>After the first pass, a slower sweep zooms in on your marks</li>
+                    <li>Calibrate your reaction time so each mark lands where you heard the match</li>
                     <li>The app will calculate confidence based on consistency</li>
                 </ul>
             </div>
@@ -150,17 +187,36 @@ class FrequencySweepManager {
 
     bindEvents() {
         document.getElementById('sweepStartFreq')?.addEventListener('change', (e) => {
-            this.startFreq = Math.max(100, Math.min(15000, parseInt(e.target.value)));
+            this.engine.startFreq = Math.max(100, Math.min(15000, parseInt(e.target.value)));
             this.updateRangeLabels();
         });
 
         document.getElementById('sweepEndFreq')?.addEventListener('change', (e) => {
-            this.endFreq = Math.max(100, Math.min(15000, parseInt(e.target.value)));
+            this.engine.endFreq = Math.max(100, Math.min(15000, parseInt(e.target.value)));
             this.updateRangeLabels();
         });
 
         document.getElementById('sweepSpeed')?.addEventListener('change', (e) => {
-            this.sweepSpeed = parseInt(e.target.value);
+            this.engine.sweepSpeed = parseFloat(e.target.value);
+        });
+
+        document.getElementById('sweepDirection')?.addEventListener('change', (e) => {
+            this.engine.direction = e.target.value;
+        });
+
+        document.getElementById('sweepAutoRefine')?.addEventListener('change', (e) => {
+            this.engine.autoRefine = e.target.checked;
+        });
+
+        // The stimulus is built when the sweep starts, so a change applies to the next sweep
+        document.getElementById('sweepStimulus')?.addEventListener('change', (e) => {
+            this.engine.stimulus = e.target.value;
+            const bandwidth = document.getElementById('sweepBandwidth');
+            if (bandwidth) bandwidth.style.display = e.target.value === 'noise' ? '' : 'none';
+        });
+
+        document.getElementById('sweepBandwidth')?.addEventListener('change', (e) => {
+            this.engine.bandwidth = parseFloat(e.target.value);
         });
 
         document.getElementById('startSweep')?.addEventListener('click', () => this.start());
@@ -168,130 +224,90 @@ class FrequencySweepManager {
         document.getElementById('stopSweep')?.addEventListener('click', () => this.stop());
         document.getElementById('resetSweep')?.addEventListener('click', () => this.reset());
         document.getElementById('matchThisFreq')?.addEventListener('click', () => this.markCurrentFrequency());
+        document.getElementById('calibrateReaction')?.addEventListener('click', () => this.startCalibration());
+        // Same event as the match button, so the measured delay covers the same input lag
+        document.getElementById('reactionTap')?.addEventListener('click', () => this.calibration.tap());
     }
 
     start() {
-        if (this.isRunning && !this.isPaused) return;
+        if (this.engine.isRunning && !this.engine.isPaused) return;
 
-        this.audioEngine.init();
-
-        if (this.isPaused) {
-            // Resume from pause
-            this.isPaused = false;
-        } else {
-            // Start fresh
-            this.currentFreq = this.startFreq;
-            this.oscillator = this.audioEngine.createOscillator(this.currentFreq, 'sine');
-            this.gainNode = this.audioEngine.createGain(this.volume);
-            
-            const ear = document.getElementById('sweepEar')?.value || 'both';
-            const panValue = ear === 'left' ? -1 : ear === 'right' ? 1 : 0;
-            this.pannerNode = this.audioEngine.createPanner(panValue);
-            
-            this.oscillator.connect(this.gainNode);
-            this.gainNode.connect(this.pannerNode);
-            this.audioEngine.connectToMaster(this.pannerNode);
-            this.oscillator.start();
+        if (this.calibration.isRunning) {
+            this.calibration.cancel();
+            this.updateReactionDisplay();
         }
-
-        this.isRunning = true;
-        this.lastUpdateTime = performance.now();
-        this.animate();
+        this.engine.ear = this.getEarSelection();
+        this.engine.start();
         this.updateButtons();
+        this.updateRangeLabels();
 
         // Enable match button
         document.getElementById('matchThisFreq').disabled = false;
     }
 
     togglePause() {
-        if (!this.isRunning) return;
+        if (!this.engine.isRunning) return;
 
-        this.isPaused = !this.isPaused;
+        this.engine.togglePause();
         const btn = document.getElementById('pauseSweep');
         if (btn) {
-            btn.textContent = this.isPaused ? '▶️ Resume' : '⏸️ Pause';
-        }
-
-        if (!this.isPaused) {
-            this.lastUpdateTime = performance.now();
-            this.animate();
+            btn.textContent = this.engine.isPaused ? '▶️ Resume' : '⏸️ Pause';
         }
     }
 
     stop() {
-        this.isRunning = false;
-        this.isPaused = false;
-
-        if (this.oscillator) {
-            this.oscillator.stop();
-            this.oscillator.disconnect();
-            this.oscillator = null;
-        }
-
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-
-        this.gainNode = null;
-        this.pannerNode = null;
-
+        this.engine.stop();
         this.updateButtons();
+        this.updateRangeLabels();
         document.getElementById('matchThisFreq').disabled = true;
     }
 
     reset() {
         this.stop();
-        this.currentFreq = this.startFreq;
-        this.matchedFrequencies = [];
-        this.confidenceLevel = 0;
+        this.engine.reset();
         this.updateDisplay();
         this.updateConfidence();
         this.updateMatchesList();
     }
 
-    animate() {
-        if (!this.isRunning || this.isPaused) return;
-
-        const now = performance.now();
-        const deltaTime = (now - this.lastUpdateTime) / 1000; // seconds
-        this.lastUpdateTime = now;
-
-        // Increment frequency
-        this.currentFreq += this.sweepSpeed * deltaTime;
+    // -- Reaction Time --
+    startCalibration() {
+        if (this.engine.isRunning) this.stop();
+        this.calibration.start();
+        this.updateReactionDisplay(0, this.calibration.trials);
+    }
 
-        // Check if sweep is complete
-        if (this.currentFreq >= this.endFreq) {
-            this.currentFreq = this.endFreq;
-            this.onSweepComplete();
-            return;
-        }
+    formatReactionTime() {
+        const seconds = this.calibration.reactionTime;
+        return seconds > 0 ? `${Math.round(seconds * 1000)} ms` : 'Not calibrated';
+    }
 
-        // Update oscillator frequency
-        if (this.oscillator) {
-            this.oscillator.frequency.setTargetAtTime(
-                this.currentFreq,
-                this.audioEngine.currentTime,
-                0.01
-            );
-        }
+    updateReactionDisplay(done, total) {
+        const value = document.getElementById('reactionTimeValue');
+        const calibrateBtn = document.getElementById('calibrateReaction');
+        const tapBtn = document.getElementById('reactionTap');
+        const calibrating = this.calibration.isRunning;
 
-        this.updateDisplay();
+        if (value) value.textContent = calibrating ? `Click ${done + 1} of ${total}…` : this.formatReactionTime();
+        if (calibrateBtn) calibrateBtn.style.display = calibrating ? 'none' : '';
+        if (tapBtn) tapBtn.style.display = calibrating ? '' : 'none';
+    }
 
-        // Continue animation
-        this.animationId = requestAnimationFrame(() => this.animate());
+    getEarSelection() {
+        return document.getElementById('sweepEar')?.value || 'both';
     }
 
     updateDisplay() {
         const freqDisplay = document.getElementById('sweepCurrentFreq');
         const progressFill = document.getElementById('sweepProgressFill');
         const marker = document.getElementById('sweepMarker');
+        const freq = this.engine.currentFreq;
 
         if (freqDisplay) {
-            freqDisplay.textContent = `${Math.round(this.currentFreq)} Hz`;
+            freqDisplay.textContent = `${Math.round(freq)} Hz`;
         }
 
-        const progress = ((this.currentFreq - this.startFreq) / (this.endFreq - this.startFreq)) * 100;
+        const progress = this.engine.getProgress() * 100;
         if (progressFill) {
             progressFill.style.width = `${progress}%`;
         }
@@ -300,7 +316,7 @@ class FrequencySweepManager {
         }
 
         if (this.callbacks.onFrequencyUpdate) {
-            this.callbacks.onFrequencyUpdate(this.currentFreq);
+            this.callbacks.onFrequencyUpdate(freq);
         }
     }
 
@@ -308,25 +324,29 @@ class FrequencySweepManager {
         const startBtn = document.getElementById('startSweep');
         const pauseBtn = document.getElementById('pauseSweep');
         const stopBtn = document.getElementById('stopSweep');
+        const running = this.engine.isRunning;
 
-        if (startBtn) startBtn.disabled = this.isRunning;
-        if (pauseBtn) pauseBtn.disabled = !this.isRunning;
-        if (stopBtn) stopBtn.disabled = !this.isRunning;
+        if (startBtn) startBtn.disabled = running;
+        if (pauseBtn) pauseBtn.disabled = !running;
+        if (stopBtn) stopBtn.disabled = !running;
     }
 
     updateRangeLabels() {
         const startLabel = document.getElementById('sweepStartLabel');
         const endLabel = document.getElementById('sweepEndLabel');
-
-        if (startLabel) startLabel.textContent = `${this.startFreq} Hz`;
-        if (endLabel) endLabel.textContent = `${this.endFreq} Hz`;
+        const passLabel = document.getElementById('sweepPassLabel');
+        const { isRunning, passLow, passHigh, startFreq, endFreq, pass } = this.engine;
+        const low = isRunning ? passLow : Math.min(startFreq, endFreq);
+        const high = isRunning ? passHigh : Math.max(startFreq, endFreq);
+
+        if (startLabel) startLabel.textContent = `${low} Hz`;
+        if (endLabel) endLabel.textContent = `${high} Hz`;
+        if (passLabel) passLabel.textContent = pass === 2 ? 'Pass 2: refining (slower)' : '';
     }
 
     markCurrentFrequency() {
-        if (!this.isRunning) return;
-
-        const matchedFreq = Math.round(this.currentFreq);
-        this.matchedFrequencies.push(matchedFreq);
+        const matchedFreq = this.engine.mark();
+        if (matchedFreq === null) return;
 
         // Provide haptic feedback if available
         if (navigator.vibrate) {
@@ -340,57 +360,31 @@ class FrequencySweepManager {
             setTimeout(() => btn.classList.remove('matched'), 500);
         }
 
-        // Calculate confidence
-        this.calculateConfidence();
+        this.updateConfidence();
         this.updateMatchesList();
 
-        // Get which ear(s) the user was listening with
-        const earSelection = document.getElementById('sweepEar')?.value || 'both';
-
         if (this.callbacks.onMatch) {
-            this.callbacks.onMatch(matchedFreq, this.confidenceLevel, earSelection);
+            this.callbacks.onMatch(matchedFreq, this.engine.confidenceLevel, this.getEarSelection());
         }
     }
 
     calculateConfidence() {
-        if (this.matchedFrequencies.length === 0) {
-            this.confidenceLevel = 0;
-            this.updateConfidence();
-            return;
-        }
-
-        if (this.matchedFrequencies.length === 1) {
-            this.confidenceLevel = 30;
-            this.updateConfidence();
-            return;
-        }
-
-        // Calculate standard deviation of matches
-        const mean = this.matchedFrequencies.reduce((a, b) => a + b, 0) / this.matchedFrequencies.length;
-        const squareDiffs = this.matchedFrequencies.map(freq => Math.pow(freq - mean, 2));
-        const avgSquareDiff = squareDiffs.reduce((a, b) => a + b, 0) / squareDiffs.length;
-        const stdDev = Math.sqrt(avgSquareDiff);
-
-        // Confidence inversely proportional to standard deviation
-        // Lower stdDev = higher confidence
-        let confidence = 100 - (stdDev / 10);
-        confidence = Math.max(0, Math.min(100, confidence));
-
-        this.confidenceLevel = Math.round(confidence);
+        this.engine.calculateConfidence();
         this.updateConfidence();
     }
 
     updateConfidence() {
         const confidenceFill = document.getElementById('confidenceFill');
         const confidenceLabel = document.getElementById('confidenceLabel');
+        const confidence = this.engine.confidenceLevel;
 
         if (confidenceFill) {
-            confidenceFill.style.width = `${this.confidenceLevel}%`;
+            confidenceFill.style.width = `${confidence}%`;
             
             // Color coding
-            if (this.confidenceLevel < 30) {
+            if (confidence < 30) {
                 confidenceFill.style.background = '#ff4444';
-            } else if (this.confidenceLevel < 70) {
+            } else if (confidence < 70) {
                 confidenceFill.style.background = '#ffaa00';
             } else {
                 confidenceFill.style.background = '#00cc66';
@@ -398,12 +392,12 @@ class FrequencySweepManager {
         }
 
         if (confidenceLabel) {
-            if (this.matchedFrequencies.length === 0) {
+            if (this.engine.matchedFrequencies.length === 0) {
                 confidenceLabel.textContent = 'No matches yet';
             } else {
-                const level = this.confidenceLevel < 30 ? 'Low' : 
-                              this.confidenceLevel < 70 ? 'Medium' : 'High';
-                confidenceLabel.textContent = `${level} Confidence (${this.confidenceLevel}%)`;
+                const level = confidence < 30 ? 'Low' : 
+                              confidence < 70 ? 'Medium' : 'High';
+                confidenceLabel.textContent = `${level} Confidence (${confidence}%)`;
             }
         }
     }
@@ -411,35 +405,41 @@ class FrequencySweepManager {
     updateMatchesList() {
         const matchesContainer = document.getElementById('sweepMatches');
         const matchesList = document.getElementById('matchesList');
+        const matches = this.engine.getMarks();
 
         if (!matchesList || !matchesContainer) return;
 
-        if (this.matchedFrequencies.length === 0) {
+        if (matches.length === 0) {
             matchesContainer.style.display = 'none';
             return;
         }
 
         matchesContainer.style.display = 'block';
         
-        // Calculate average
-        const avg = Math.round(
-            this.matchedFrequencies.reduce((a, b) => a + b, 0) / this.matchedFrequencies.length
-        );
+        const { suggested: avg, interval, rejected } = this.engine.getAnalysis();
+        const rejectedIndexes = new Set(rejected.map(r => r.index));
+        const kept = matches.filter((m, i) => !rejectedIndexes.has(i));
 
         matchesList.innerHTML = `
             <div class="match-summary">
                 <div class="match-avg">
                     <span class="match-label">Suggested Frequency:</span>
                     <span class="match-value">${avg} Hz</span>
+                    ${interval ? `<span class="match-interval">95% range ${interval.low}–${interval.high} Hz (±${interval.cents} cents)</span>` : ''}
                 </div>
                 <button class="btn btn-small btn-use-freq" data-freq="${avg}">
                     Use This Frequency
                 </button>
             </div>
             <div class="match-details">
-                <span class="match-count">${this.matchedFrequencies.length} match(es):</span>
-                ${this.matchedFrequencies.map(f => `<span class="match-chip">${f} Hz</span>`).join('')}
+                <span class="match-count">${kept.length} match(es):</span>
+                ${kept.map(m => `<span class="match-chip">${m.corrected} Hz${m.raw !== m.corrected ? ` <small class="match-raw">(tapped at ${m.raw} Hz)</small>` : ''}</span>`).join('')}
             </div>
+            ${rejected.length ? `
+            <div class="match-details match-rejected">
+                <span class="match-count">Left out:</span>
+                ${rejected.map(r => `<span class="match-chip rejected">${r.freq} Hz · ${SweepEngine.rejectionLabel(r.reason)}</span>`).join('')}
+            </div>` : ''}
         `;
 
         // Bind use frequency button
@@ -450,29 +450,29 @@ class FrequencySweepManager {
     }
 
     useFrequency(freq) {
-        // Get which ear(s) the user was listening with
-        const earSelection = document.getElementById('sweepEar')?.value || 'both';
-        
         // This will be called by the app to set the matched frequency
         if (this.callbacks.onMatch) {
-            this.callbacks.onMatch(freq, this.confidenceLevel, earSelection);
+            this.callbacks.onMatch(freq, this.engine.confidenceLevel, this.getEarSelection());
+        }
+        if (this.callbacks.onConfirm) {
+            this.callbacks.onConfirm(freq, this.engine.confidenceLevel, this.getEarSelection(), this.engine.getMarks(), this.engine.getStimulus());
         }
     }
 
     onSweepComplete() {
         this.stop();
-        
-        if (this.matchedFrequencies.length === 0) {
+        this.updateConfidence();
+        this.updateMatchesList();
+
+        const matches = this.engine.matchedFrequencies;
+        if (matches.length === 0) {
             alert('Sweep complete! No frequencies were marked. Try again with a different range or speed.');
         } else {
-            const avg = Math.round(
-                this.matchedFrequencies.reduce((a, b) => a + b, 0) / this.matchedFrequencies.length
-            );
-            alert(`Sweep complete! Suggested frequency: ${avg} Hz (Confidence: ${this.confidenceLevel}%)`);
+            alert(`Sweep complete! Suggested frequency: ${this.engine.getSuggestedFrequency()} Hz (Confidence: ${this.engine.confidenceLevel}%)`);
         }
 
         if (this.callbacks.onSweepComplete) {
-            this.callbacks.onSweepComplete(this.matchedFrequencies, this.confidenceLevel);
+            this.callbacks.onSweepComplete(matches, this.engine.confidenceLevel);
         }
     }
 
@@ -13,20 +13,14 @@ class GuidedMatchingWizard {
         this.selectedEar = 'both';
         this.isActive = false;
 
-        // Sweep state
-        this.oscillator = null;
-        this.gainNode = null;
-        this.pannerNode = null;
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.currentFreq = 1000;
-        this.sweepSpeed = 100;
-        this.startFreq = 1000;
-        this.endFreq = 12000;
-        this.volume = 0.3;
-        this.matchedFrequencies = [];
-        this.animationId = null;
-        this.lastUpdateTime = 0;
+        // Sweep state lives in the shared sweep engine
+        this.engine = new SweepEngine(this.audioEngine);
+        this.engine.sourceName = 'guided-sweep';
+        this.engine.sourceLabel = 'Guided frequency match';
+        this.engine.on('frequency', () => this.updateSweepDisplay());
+        this.engine.on('pass', () => this.updateSweepLabels());
+        this.engine.on('complete', () => this.onSweepComplete());
+        this.engine.on('interrupt', () => this.onSweepInterrupted());
 
         this.onComplete = null;
     }
@@ -34,8 +28,8 @@ class GuidedMatchingWizard {
     launch() {
         this.isActive = true;
         this.currentStep = 0;
-        this.matchedFrequencies = [];
         this.stopSweep();
+        this.engine.clearMarks();
         this.createModal();
         this.showStep(0);
     }
@@ -162,14 +156,14 @@ class GuidedMatchingWizard {
                 <h2>Listen & Match</h2>
                 <p class="gs-desc">Tap the button below when the tone matches your tinnitus. You can mark multiple times.</p>
                 <div class="gs-freq-display">
-                    <span class="gs-freq-val" id="gsFreqVal">${Math.round(this.currentFreq)} Hz</span>
+                    <span class="gs-freq-val" id="gsFreqVal">${Math.round(this.engine.currentFreq)} Hz</span>
                 </div>
                 <div class="gs-sweep-bar">
                     <div class="gs-sweep-fill" id="gsSweepFill"></div>
                 </div>
                 <div class="gs-sweep-labels">
-                    <span>${this.startFreq} Hz</span>
-                    <span>${this.endFreq} Hz</span>
+                    <span id="gsSweepLow">${this.engine.startFreq} Hz</span>
+                    <span id="gsSweepHigh">${this.engine.endFreq} Hz</span>
                 </div>
                 <button class="gs-btn match-btn" id="gsMatchBtn" disabled>
                     🎯 That's My Tinnitus!
@@ -183,7 +177,7 @@ class GuidedMatchingWizard {
                 </div>
                 <div class="gs-nav">
                     <button class="gs-btn secondary" id="gsBack">Back</button>
-                    <button class="gs-btn primary" id="gsNext" ${this.matchedFrequencies.length === 0 ? 'disabled' : ''}>Next</button>
+                    <button class="gs-btn primary" id="gsNext" ${this.engine.matchedFrequencies.length === 0 ? 'disabled' : ''}>Next</button>
                 </div>
             </div>
         `;
@@ -203,7 +197,7 @@ class GuidedMatchingWizard {
 
         pauseBtn?.addEventListener('click', () => {
             this.togglePause();
-            pauseBtn.textContent = this.isPaused ? '▶ Resume' : '⏸ Pause';
+            pauseBtn.textContent = this.engine.isPaused ? '▶ Resume' : '⏸ Pause';
         });
 
         matchBtn?.addEventListener('click', () => this.markFrequency());
@@ -220,9 +214,8 @@ class GuidedMatchingWizard {
 
     // -- Step 3: Confirm --
     renderConfirm(el) {
-        const avg = this.matchedFrequencies.length > 0
-            ? Math.round(this.matchedFrequencies.reduce((a, b) => a + b, 0) / this.matchedFrequencies.length)
-            : 0;
+        const { suggested, interval, kept, rejected } = this.engine.getAnalysis();
+        const avg = suggested ?? 0;
         const confidence = this.calculateConfidence();
 
         const confLabel = confidence < 30 ? 'Low' : confidence < 70 ? 'Medium' : 'High';
@@ -241,7 +234,9 @@ class GuidedMatchingWizard {
                         </div>
                         <span class="gs-conf-label">${confLabel} Confidence (${confidence}%)</span>
                     </div>
-                    <div class="gs-result-matches">${this.matchedFrequencies.length} match(es): ${this.matchedFrequencies.map(f => f + ' Hz').join(', ')}</div>
+                    ${interval ? `<div class="gs-result-interval">95% range ${interval.low}–${interval.high} Hz (±${interval.cents} cents)</div>` : ''}
+                    <div class="gs-result-matches">${kept.length} match(es): ${kept.map(f => f + ' Hz').join(', ')}</div>
+                    ${rejected.length ? `<div class="gs-result-rejected">Left out: ${rejected.map(r => `${r.freq} Hz (${SweepEngine.rejectionLabel(r.reason)})`).join(', ')}</div>` : ''}
                 </div>
                 <p class="gs-desc">This frequency will be used as the notch center for your therapy sessions.</p>
                 <div class="gs-nav">
@@ -252,8 +247,7 @@ class GuidedMatchingWizard {
         `;
 
         document.getElementById('gsBack')?.addEventListener('click', () => {
-            this.matchedFrequencies = [];
-            this.currentFreq = this.startFreq;
+            this.engine.reset();
             this.showStep(2);
         });
 
@@ -262,103 +256,60 @@ class GuidedMatchingWizard {
         });
     }
 
-    // -- Sweep Engine --
+    // -- Sweep --
     startSweep() {
-        if (this.isPlaying && !this.isPaused) return;
+        if (this.engine.isRunning && !this.engine.isPaused) return;
 
-        this.audioEngine.init();
-
-        if (this.isPaused) {
-            this.isPaused = false;
-        } else {
-            this.currentFreq = this.startFreq;
-            this.oscillator = this.audioEngine.createOscillator(this.currentFreq, 'sine');
-            this.gainNode = this.audioEngine.createGain(this.volume);
-
-            const panValue = this.selectedEar === 'left' ? -1 : this.selectedEar === 'right' ? 1 : 0;
-            this.pannerNode = this.audioEngine.createPanner(panValue);
-
-            this.oscillator.connect(this.gainNode);
-            this.gainNode.connect(this.pannerNode);
-            this.audioEngine.connectToMaster(this.pannerNode);
-            this.oscillator.start();
-        }
-
-        this.isPlaying = true;
-        this.lastUpdateTime = performance.now();
-        this.animateSweep();
+        this.engine.ear = this.selectedEar;
+        this.engine.reactionTime = ReactionTimeCalibration.getSaved();
+        this.engine.start();
 
         const matchBtn = document.getElementById('gsMatchBtn');
         if (matchBtn) matchBtn.disabled = false;
     }
 
     togglePause() {
-        if (!this.isPlaying) return;
-        this.isPaused = !this.isPaused;
-        if (!this.isPaused) {
-            this.lastUpdateTime = performance.now();
-            this.animateSweep();
-        }
+        this.engine.togglePause();
     }
 
     stopSweep() {
-        this.isPlaying = false;
-        this.isPaused = false;
-
-        if (this.oscillator) {
-            try { this.oscillator.stop(); } catch {}
-            try { this.oscillator.disconnect(); } catch {}
-            this.oscillator = null;
-        }
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-        this.gainNode = null;
-        this.pannerNode = null;
+        this.engine.stop();
     }
 
-    animateSweep() {
-        if (!this.isPlaying || this.isPaused) return;
-
-        const now = performance.now();
-        const dt = (now - this.lastUpdateTime) / 1000;
-        this.lastUpdateTime = now;
-
-        this.currentFreq += this.sweepSpeed * dt;
-
-        if (this.currentFreq >= this.endFreq) {
-            this.currentFreq = this.endFreq;
-            this.onSweepComplete();
-            return;
-        }
-
-        if (this.oscillator) {
-            this.oscillator.frequency.setTargetAtTime(
-                this.currentFreq,
-                this.audioEngine.currentTime,
-                0.01
-            );
+    // Another sound took over; put the controls back so the sweep can be started again
+    onSweepInterrupted() {
+        const startBtn = document.getElementById('gsStartSweep');
+        const pauseBtn = document.getElementById('gsPauseSweep');
+        const matchBtn = document.getElementById('gsMatchBtn');
+        if (startBtn) startBtn.style.display = '';
+        if (pauseBtn) {
+            pauseBtn.style.display = 'none';
+            pauseBtn.textContent = '⏸ Pause';
         }
-
-        this.updateSweepDisplay();
-        this.animationId = requestAnimationFrame(() => this.animateSweep());
+        if (matchBtn) matchBtn.disabled = true;
     }
 
     updateSweepDisplay() {
         const freqVal = document.getElementById('gsFreqVal');
         const fill = document.getElementById('gsSweepFill');
 
-        if (freqVal) freqVal.textContent = `${Math.round(this.currentFreq)} Hz`;
+        if (freqVal) freqVal.textContent = `${Math.round(this.engine.currentFreq)} Hz`;
+        if (fill) fill.style.width = `${this.engine.getProgress() * 100}%`;
+    }
 
-        const pct = ((this.currentFreq - this.startFreq) / (this.endFreq - this.startFreq)) * 100;
-        if (fill) fill.style.width = `${pct}%`;
+    // The refine pass narrows the range and starts a fresh set of marks
+    updateSweepLabels() {
+        const low = document.getElementById('gsSweepLow');
+        const high = document.getElementById('gsSweepHigh');
+        const count = document.getElementById('gsMatchCount');
+
+        if (low) low.textContent = `${this.engine.passLow} Hz`;
+        if (high) high.textContent = `${this.engine.passHigh} Hz`;
+        if (count) count.textContent = `${this.engine.matchedFrequencies.length}`;
     }
 
     markFrequency() {
-        if (!this.isPlaying) return;
-        const freq = Math.round(this.currentFreq);
-        this.matchedFrequencies.push(freq);
+        if (this.engine.mark() === null) return;
 
         if (navigator.vibrate) navigator.vibrate(50);
 
@@ -373,7 +324,7 @@ class GuidedMatchingWizard {
         const info = document.getElementById('gsMatchInfo');
         const count = document.getElementById('gsMatchCount');
         if (info) info.style.display = '';
-        if (count) count.textContent = this.matchedFrequencies.length;
+        if (count) count.textContent = this.engine.matchedFrequencies.length;
 
         // Enable next
         const nextBtn = document.getElementById('gsNext');
@@ -382,25 +333,17 @@ class GuidedMatchingWizard {
 
     onSweepComplete() {
         this.stopSweep();
-        if (this.matchedFrequencies.length > 0) {
+        if (this.engine.matchedFrequencies.length > 0) {
             this.showStep(3);
         } else {
             // Reset and let user try again
-            this.currentFreq = this.startFreq;
+            this.engine.reset();
             this.renderSweep(document.getElementById('guidedBody'));
         }
     }
 
     calculateConfidence() {
-        const freqs = this.matchedFrequencies;
-        if (freqs.length === 0) return 0;
-        if (freqs.length === 1) return 30;
-
-        const mean = freqs.reduce((a, b) => a + b, 0) / freqs.length;
-        const variance = freqs.reduce((sum, f) => sum + Math.pow(f - mean, 2), 0) / freqs.length;
-        const stdDev = Math.sqrt(variance);
-
-        return Math.round(Math.max(0, Math.min(100, 100 - (stdDev / 10))));
+        return this.engine.calculateConfidence();
     }
 
     saveResult(freq) {
@@ -421,9 +364,20 @@ class GuidedMatchingWizard {
             this.app.els.rightMatchedFreq.textContent = `${freq} Hz`;
         }
 
-        // Update notch filter frequency
-        this.app.noiseState.notchFreq = freq;
-        this.app.musicState.notchFreq = freq;
+        // Update notch filter frequency - in per-ear mode only the matched ear's notch moves
+        [this.app.noiseState, this.app.musicState].forEach(state => {
+            if (ear !== 'right' || !state.stereoNotch) state.notchFreq = freq;
+            if (ear !== 'left') state.notchFreqRight = freq;
+        });
+
+        this.app.matchHistory?.add({
+            method: 'guided',
+            ear,
+            frequency: freq,
+            confidence: this.engine.confidenceLevel,
+            marks: this.engine.getMarks(),
+            stimulus: this.engine.getStimulus()
+        });
 
         this.app.autoSaveState();
         this.app.dashboardManager?.updateMatchedFrequency();
@@ -0,0 +1,399 @@
+/**
+ * Headphone Calibration - Per-device level offset and frequency-response correction
+ * Flow: Name the headphones → Threshold at 1 kHz → Loudness balance against the
+ * 1 kHz reference tone at each EQ frequency → Save
+ * The gain offset moves the 1 kHz threshold to a common reference level, so the same
+ * volume setting sounds about as loud on every device. The correction curve is how far
+ * each balance lands from the 40-phon equal-loudness contour; AudioEngine applies both
+ * as an EQ stage before masterGain. Several named devices can be kept and switched.
+ */
+
+class HeadphoneCalibration {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+
+        this.referenceFreq = 1000;
+        this.eqFrequencies = [250, 500, 2000, 4000, 8000];
+        this.referenceThresholdDb = -70;  // where every calibrated device puts the 1 kHz threshold
+        this.referenceSL = 40;            // balance tones 40 dB above threshold (about 40 phon)
+        this.maxBoostDb = 12;
+        this.maxCutDb = -40;
+        this.maxCorrectionDb = 12;
+
+        // Level adjustment (dBFS)
+        this.minLevel = -100;
+        this.maxLevel = -10; // ceiling to protect hearing
+        this.initialStep = 6;
+        this.minStep = 1;
+        this.level = -60;
+        this.step = this.initialStep;
+        this.lastDirection = 0;
+
+        // Results of the current run
+        this.deviceName = '';
+        this.thresholdDb = null;
+        this.balanceIndex = 0;
+        this.balance = [];   // [{ frequency, levelDb }] equal in loudness to the reference
+
+        // Audio nodes
+        this.oscillator = null;
+        this.gainNode = null;
+
+        this.isActive = false;
+        this.onComplete = null;
+    }
+
+    // -- Device Profiles --
+    // { active: name | null, devices: { [name]: { gainDb, eq, thresholdDb, date } } }
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tinnitusHeadphones'));
+            return saved?.devices ? saved : { active: null, devices: {} };
+        } catch {
+            return { active: null, devices: {} };
+        }
+    }
+
+    static store(data) {
+        localStorage.setItem('tinnitusHeadphones', JSON.stringify(data));
+    }
+
+    static getDeviceNames() {
+        return Object.keys(HeadphoneCalibration.load().devices);
+    }
+
+    static getActiveDevice() {
+        const { active, devices } = HeadphoneCalibration.load();
+        return active && devices[active] ? { name: active, ...devices[active] } : null;
+    }
+
+    // Pass null to switch back to uncalibrated output
+    static setActiveDevice(name) {
+        const data = HeadphoneCalibration.load();
+        data.active = name && data.devices[name] ? name : null;
+        HeadphoneCalibration.store(data);
+        return HeadphoneCalibration.getActiveDevice();
+    }
+
+    static saveDevice(name, calibration) {
+        const data = HeadphoneCalibration.load();
+        data.devices[name] = calibration;
+        data.active = name;
+        HeadphoneCalibration.store(data);
+    }
+
+    static deleteDevice(name) {
+        const data = HeadphoneCalibration.load();
+        delete data.devices[name];
+        if (data.active === name) data.active = null;
+        HeadphoneCalibration.store(data);
+    }
+
+    // -- Calculation --
+    // ISO 226:2003 40-phon equal-loudness contour (dB SPL) at the calibration frequencies
+    static equalLoudness40 = { 250: 50.4, 500: 43.19, 1000: 40.01, 2000: 39.23, 4000: 36.65, 8000: 51.8 };
+
+    // Level change that keeps a tone as loud as the 1 kHz reference on flat headphones
+    static getExpectedOffset(frequency) {
+        const contour = HeadphoneCalibration.equalLoudness40;
+        return contour[frequency] - contour[1000];
+    }
+
+    // Gain that moves the measured 1 kHz threshold to the common reference level
+    getGainOffset(thresholdDb = this.thresholdDb) {
+        const offset = thresholdDb - this.referenceThresholdDb;
+        return Math.round(Math.max(this.maxCutDb, Math.min(this.maxBoostDb, offset)) * 10) / 10;
+    }
+
+    // Boost where the headphones came out quiet, cut where they came out loud
+    getCorrectionCurve(referenceLevel = this.getReferenceLevel(), balance = this.balance) {
+        return balance.map(({ frequency, levelDb }) => {
+            const expected = referenceLevel + HeadphoneCalibration.getExpectedOffset(frequency);
+            const gainDb = Math.max(-this.maxCorrectionDb, Math.min(this.maxCorrectionDb, levelDb - expected));
+            return { frequency, gainDb: Math.round(gainDb * 10) / 10 };
+        });
+    }
+
+    // Low enough that every balance tone still fits under the level ceiling
+    getReferenceLevel() {
+        const headroom = Math.max(...this.eqFrequencies.map(f => HeadphoneCalibration.getExpectedOffset(f)));
+        return Math.min(this.maxLevel - headroom, this.thresholdDb + this.referenceSL);
+    }
+
+    buildCalibration() {
+        return {
+            date: new Date().toISOString(),
+            thresholdDb: this.thresholdDb,
+            gainDb: this.getGainOffset(),
+            eq: this.getCorrectionCurve()
+        };
+    }
+
+    // -- Flow --
+    launch() {
+        this.isActive = true;
+        this.stopTone();
+        // Measure the raw device, not the one it's replacing
+        this.audioEngine.setCalibration(null);
+        this.deviceName = HeadphoneCalibration.getActiveDevice()?.name || '';
+        this.thresholdDb = null;
+        this.balance = [];
+        this.balanceIndex = 0;
+        this.createModal();
+        this.showStep(0);
+    }
+
+    close() {
+        this.stopTone();
+        this.audioEngine.stopSource('headphone-calibration');
+        this.isActive = false;
+        this.audioEngine.setCalibration(HeadphoneCalibration.getActiveDevice());
+        const modal = document.getElementById('headphoneCalibrationModal');
+        if (modal) {
+            modal.classList.add('closing');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    saveResult() {
+        const calibration = this.buildCalibration();
+        HeadphoneCalibration.saveDevice(this.deviceName, calibration);
+        if (this.onComplete) this.onComplete(this.deviceName, calibration);
+        this.close();
+        return calibration;
+    }
+
+    // -- Level Adjustment --
+    resetLevel(level) {
+        this.level = Math.max(this.minLevel, Math.min(this.maxLevel, level));
+        this.step = this.initialStep;
+        this.lastDirection = 0;
+        this.applyLevel();
+    }
+
+    // Step the level up (+1) or down (-1); each reversal halves the step for finer control
+    adjustLevel(direction) {
+        if (this.lastDirection && direction !== this.lastDirection) {
+            this.step = Math.max(this.minStep, this.step / 2);
+        }
+        this.lastDirection = direction;
+        this.level = Math.max(this.minLevel, Math.min(this.maxLevel, this.level + direction * this.step));
+        this.applyLevel();
+        this.updateLevelDisplay();
+    }
+
+    static dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    applyLevel() {
+        if (this.gainNode && this.currentStep === 1) {
+            this.gainNode.gain.setTargetAtTime(HeadphoneCalibration.dbToGain(this.level), this.audioEngine.currentTime, 0.02);
+        }
+    }
+
+    // -- Audio --
+    playTone(frequency) {
+        this.stopTone();
+        this.audioEngine.init();
+        this.registerSource();
+        this.oscillator = this.audioEngine.createOscillator(frequency, 'sine');
+        this.gainNode = this.audioEngine.createGain(HeadphoneCalibration.dbToGain(this.level));
+        this.oscillator.connect(this.gainNode);
+        this.audioEngine.connectToMaster(this.gainNode);
+        this.oscillator.start();
+    }
+
+    // Reference tone, then the test tone at the current level, 0.6 s each
+    playComparison(frequency) {
+        this.stopTone();
+        this.audioEngine.init();
+        this.registerSource();
+        const now = this.audioEngine.currentTime;
+        const reference = HeadphoneCalibration.dbToGain(this.getReferenceLevel());
+        const test = HeadphoneCalibration.dbToGain(this.level);
+
+        this.oscillator = this.audioEngine.createOscillator(this.referenceFreq, 'sine');
+        this.gainNode = this.audioEngine.createGain(0);
+        this.oscillator.connect(this.gainNode);
+        this.audioEngine.connectToMaster(this.gainNode);
+
+        this.gainNode.gain.setValueAtTime(reference, now + 0.05);
+        this.gainNode.gain.setValueAtTime(0, now + 0.65);
+        this.oscillator.frequency.setValueAtTime(frequency, now + 0.85);
+        this.gainNode.gain.setValueAtTime(test, now + 0.85);
+        this.gainNode.gain.setValueAtTime(0, now + 1.45);
+        this.oscillator.start(now);
+        this.oscillator.stop(now + 1.5);
+    }
+
+    registerSource() {
+        this.audioEngine.startSource('headphone-calibration', { kind: 'matching', label: 'Headphone calibration', stop: () => this.stopTone() });
+    }
+
+    stopTone() {
+        if (this.oscillator) {
+            try { this.oscillator.stop(); } catch {}
+            try { this.oscillator.disconnect(); } catch {}
+            this.oscillator = null;
+        }
+        this.gainNode = null;
+    }
+
+    // -- UI --
+    createModal() {
+        document.getElementById('headphoneCalibrationModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'guided-modal';
+        modal.id = 'headphoneCalibrationModal';
+        modal.innerHTML = `
+            <div class="guided-modal-content">
+                <button class="guided-modal-close" id="hcClose">&times;</button>
+                <div class="guided-body" id="hcBody"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        requestAnimationFrame(() => modal.classList.add('open'));
+
+        document.getElementById('hcClose').addEventListener('click', () => this.close());
+    }
+
+    showStep(step) {
+        this.currentStep = step;
+        const body = document.getElementById('hcBody');
+        if (!body) return;
+
+        switch (step) {
+            case 0: this.renderSetup(body); break;
+            case 1: this.renderThreshold(body); break;
+            case 2: this.renderBalance(body); break;
+            case 3: this.renderResult(body); break;
+        }
+    }
+
+    // Shared layout for the threshold and balance steps
+    renderAdjustStep(el, { title, desc, confirmLabel, extra = '' }) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <h2>${title}</h2>
+                <p class="gs-desc">${desc}</p>
+                <div class="gs-freq-display">
+                    <span class="gs-freq-val" id="hcLevel">${Math.round(this.level)} dB</span>
+                </div>
+                ${extra}
+                <div class="pm-choices">
+                    <button class="gs-btn secondary" id="hcSofter">🔉 Softer</button>
+                    <button class="gs-btn secondary" id="hcLouder">🔊 Louder</button>
+                </div>
+                <div class="gs-nav">
+                    <button class="gs-btn primary" id="hcConfirm">${confirmLabel}</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('hcSofter').addEventListener('click', () => this.adjustLevel(-1));
+        document.getElementById('hcLouder').addEventListener('click', () => this.adjustLevel(1));
+    }
+
+    updateLevelDisplay() {
+        const el = document.getElementById('hcLevel');
+        if (el) el.textContent = `${Math.round(this.level)} dB`;
+    }
+
+    // -- Step 0: Device Name --
+    renderSetup(el) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">🎧</div>
+                <h2>Calibrate Headphones</h2>
+                <p class="gs-desc">Set your device volume where you normally listen and leave it there. We'll find the quietest tone you can hear, then balance a few tones against a reference so every frequency plays at the right level.</p>
+                <div class="control-group">
+                    <label for="hcDeviceName">Headphone name</label>
+                    <input type="text" id="hcDeviceName" placeholder="e.g. Bedside earbuds" value="${this.deviceName.replace(/"/g, '&quot;')}">
+                </div>
+                <button class="gs-btn primary" id="hcNext">Start</button>
+            </div>
+        `;
+        document.getElementById('hcNext').addEventListener('click', () => {
+            const name = document.getElementById('hcDeviceName').value.trim();
+            if (!name) {
+                document.getElementById('hcDeviceName').focus();
+                return;
+            }
+            this.deviceName = name;
+            this.showStep(1);
+        });
+    }
+
+    // -- Step 1: Threshold at the Reference Frequency --
+    renderThreshold(el) {
+        this.resetLevel(-60);
+        this.renderAdjustStep(el, {
+            title: 'Reference Threshold',
+            desc: `A ${this.referenceFreq} Hz tone is playing in both ears. Make it softer until you can barely hear it.`,
+            confirmLabel: 'Just Audible'
+        });
+        this.playTone(this.referenceFreq);
+        document.getElementById('hcConfirm').addEventListener('click', () => {
+            this.thresholdDb = this.level;
+            this.stopTone();
+            this.balanceIndex = 0;
+            this.balance = [];
+            this.showStep(2);
+        });
+    }
+
+    // -- Step 2: Loudness Balance --
+    renderBalance(el) {
+        const frequency = this.eqFrequencies[this.balanceIndex];
+        this.resetLevel(this.getReferenceLevel() + HeadphoneCalibration.getExpectedOffset(frequency));
+        this.renderAdjustStep(el, {
+            title: `Balance ${frequency} Hz`,
+            desc: `You'll hear the ${this.referenceFreq} Hz reference, then a ${frequency} Hz tone. Adjust the second tone until both sound equally loud.`,
+            confirmLabel: 'Equally Loud',
+            extra: `
+                <div class="hc-progress">Tone ${this.balanceIndex + 1} of ${this.eqFrequencies.length}</div>
+                <button class="gs-btn secondary" id="hcCompare">🔁 Compare</button>
+            `
+        });
+        document.getElementById('hcCompare').addEventListener('click', () => this.playComparison(frequency));
+        document.getElementById('hcSofter').addEventListener('click', () => this.playComparison(frequency));
+        document.getElementById('hcLouder').addEventListener('click', () => this.playComparison(frequency));
+        document.getElementById('hcConfirm').addEventListener('click', () => {
+            this.balance.push({ frequency, levelDb: this.level });
+            this.stopTone();
+            this.balanceIndex++;
+            this.showStep(this.balanceIndex < this.eqFrequencies.length ? 2 : 3);
+        });
+        this.playComparison(frequency);
+    }
+
+    // -- Step 3: Result --
+    renderResult(el) {
+        const calibration = this.buildCalibration();
+        const signed = db => `${db > 0 ? '+' : ''}${db} dB`;
+
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">✅</div>
+                <h2>${this.deviceName}</h2>
+                <div class="gs-result-card">
+                    <div class="gs-result-matches">Level offset: ${signed(calibration.gainDb)}</div>
+                    <div class="hc-curve">
+                        ${calibration.eq.map(b => `<span class="hc-band"><b>${b.frequency >= 1000 ? `${b.frequency / 1000}k` : b.frequency}</b> ${signed(b.gainDb)}</span>`).join('')}
+                    </div>
+                </div>
+                <div class="gs-nav">
+                    <button class="gs-btn secondary" id="hcRetry">Start Over</button>
+                    <button class="gs-btn primary" id="hcSave">Save</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('hcRetry').addEventListener('click', () => this.showStep(0));
+        document.getElementById('hcSave').addEventListener('click', () => this.saveResult());
+    }
+}
+
+window.HeadphoneCalibration = HeadphoneCalibration;
+export { HeadphoneCalibration };
@@ -0,0 +1,385 @@
+/**
+ * Loudness Matching Wizard
+ * Flow: Setup → Hearing threshold → Loudness match → Minimum masking level → Save
+ * Levels are in dB relative to full scale; results are also kept relative to the
+ * threshold (dB SL) so measurements stay comparable if the device volume changes.
+ */
+
+class LoudnessMatchingWizard {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+
+        this.selectedEar = 'both';
+        this.noiseType = 'pink';
+        this.isActive = false;
+
+        // Level adjustment (dBFS)
+        this.minLevel = -90;
+        this.maxLevel = -10; // ceiling to protect hearing
+        this.initialStep = 6;
+        this.minStep = 1;
+        this.level = -60;
+        this.step = this.initialStep;
+        this.lastDirection = 0;
+
+        // Results of the current run
+        this.frequency = 4000;
+        this.thresholdDb = null;
+        this.loudnessDb = null;
+        this.mmlDb = null;
+
+        // Audio nodes
+        this.source = null;
+        this.gainNode = null;
+        this.pannerNode = null;
+
+        this.onComplete = null;
+        this.loadHistory();
+    }
+
+    // -- Storage --
+    loadHistory() {
+        try {
+            this.history = JSON.parse(localStorage.getItem('tinnitusLoudnessHistory')) || { left: [], right: [], both: [] };
+        } catch {
+            this.history = { left: [], right: [], both: [] };
+        }
+    }
+
+    saveHistory() {
+        localStorage.setItem('tinnitusLoudnessHistory', JSON.stringify(this.history));
+    }
+
+    getHistory(ear) {
+        return [...(this.history[ear] || [])];
+    }
+
+    getLatest(ear) {
+        const list = this.history[ear] || [];
+        return list.length ? list[list.length - 1] : null;
+    }
+
+    addMeasurement(measurement) {
+        if (!this.history[measurement.ear]) this.history[measurement.ear] = [];
+        this.history[measurement.ear].push(measurement);
+        this.saveHistory();
+    }
+
+    // -- Flow --
+    launch() {
+        this.isActive = true;
+        this.stopSound();
+        this.thresholdDb = null;
+        this.loudnessDb = null;
+        this.mmlDb = null;
+        this.createModal();
+        this.showStep(0);
+    }
+
+    close() {
+        this.stopSound();
+        this.audioEngine.stopSource('loudness-match');
+        this.isActive = false;
+        const modal = document.getElementById('loudnessMatchingModal');
+        if (modal) {
+            modal.classList.add('closing');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    // Matched frequency for the selected ear, falling back to the other ear
+    getMatchedFrequency() {
+        const { left, right } = this.app.matchedFrequencies;
+        if (this.selectedEar === 'right') return right || left || 4000;
+        return left || right || 4000;
+    }
+
+    // -- Level Adjustment --
+    resetLevel(level) {
+        this.level = Math.max(this.minLevel, Math.min(this.maxLevel, level));
+        this.step = this.initialStep;
+        this.lastDirection = 0;
+        this.applyLevel();
+    }
+
+    // Step the level up (+1) or down (-1); each reversal halves the step for finer control
+    adjustLevel(direction) {
+        if (this.lastDirection && direction !== this.lastDirection) {
+            this.step = Math.max(this.minStep, this.step / 2);
+        }
+        this.lastDirection = direction;
+        this.level = Math.max(this.minLevel, Math.min(this.maxLevel, this.level + direction * this.step));
+        this.applyLevel();
+        this.updateLevelDisplay();
+    }
+
+    static dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    applyLevel() {
+        if (this.gainNode) {
+            this.gainNode.gain.setTargetAtTime(LoudnessMatchingWizard.dbToGain(this.level), this.audioEngine.currentTime, 0.02);
+        }
+    }
+
+    // -- Audio --
+    playTone() {
+        this.stopSound();
+        this.audioEngine.init();
+        this.source = this.audioEngine.createOscillator(this.frequency, 'sine');
+        this.connectSource();
+    }
+
+    playNoise() {
+        this.stopSound();
+        this.audioEngine.init();
+        this.source = this.audioEngine.createNoiseSource(this.noiseType);
+        this.connectSource();
+    }
+
+    connectSource() {
+        this.audioEngine.startSource('loudness-match', { kind: 'matching', label: 'Loudness matching', stop: () => this.stopSound() });
+        const pan = this.selectedEar === 'left' ? -1 : this.selectedEar === 'right' ? 1 : 0;
+        this.gainNode = this.audioEngine.createGain(LoudnessMatchingWizard.dbToGain(this.level));
+        this.pannerNode = this.audioEngine.createPanner(pan);
+        this.source.connect(this.gainNode);
+        this.gainNode.connect(this.pannerNode);
+        this.audioEngine.connectToMaster(this.pannerNode);
+        this.source.start();
+    }
+
+    stopSound() {
+        if (this.source) {
+            try { this.source.stop(); } catch {}
+            try { this.source.disconnect(); } catch {}
+            this.source = null;
+        }
+        this.gainNode = null;
+        this.pannerNode = null;
+    }
+
+    // -- Results --
+    buildMeasurement() {
+        const sl = (db) => db === null || this.thresholdDb === null ? null : db - this.thresholdDb;
+        return {
+            date: new Date().toISOString(),
+            ear: this.selectedEar,
+            frequency: this.frequency,
+            thresholdDb: this.thresholdDb,
+            loudnessDb: this.loudnessDb,
+            loudnessSL: sl(this.loudnessDb),
+            noiseType: this.noiseType,
+            mmlDb: this.mmlDb,
+            mmlSL: sl(this.mmlDb)
+        };
+    }
+
+    saveResult() {
+        const measurement = this.buildMeasurement();
+        this.addMeasurement(measurement);
+        if (this.onComplete) this.onComplete(measurement);
+        this.close();
+        return measurement;
+    }
+
+    // -- UI --
+    createModal() {
+        document.getElementById('loudnessMatchingModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'guided-modal';
+        modal.id = 'loudnessMatchingModal';
+        modal.innerHTML = `
+            <div class="guided-modal-content">
+                <button class="guided-modal-close" id="lmClose">&times;</button>
+                <div class="guided-progress-bar">
+                    <div class="guided-progress-dots">
+                        <span class="gp-dot active" data-step="0">1</span>
+                        <span class="gp-line"></span>
+                        <span class="gp-dot" data-step="1">2</span>
+                        <span class="gp-line"></span>
+                        <span class="gp-dot" data-step="2">3</span>
+                        <span class="gp-line"></span>
+                        <span class="gp-dot" data-step="3">4</span>
+                        <span class="gp-line"></span>
+                        <span class="gp-dot" data-step="4">5</span>
+                    </div>
+                </div>
+                <div class="guided-body" id="lmBody"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        requestAnimationFrame(() => modal.classList.add('open'));
+
+        document.getElementById('lmClose').addEventListener('click', () => this.close());
+    }
+
+    showStep(step) {
+        this.currentStep = step;
+        const body = document.getElementById('lmBody');
+        if (!body) return;
+
+        document.querySelectorAll('#loudnessMatchingModal .gp-dot').forEach((dot, i) => {
+            dot.classList.toggle('active', i <= step);
+            dot.classList.toggle('done', i < step);
+        });
+        document.querySelectorAll('#loudnessMatchingModal .gp-line').forEach((line, i) => {
+            line.classList.toggle('active', i < step);
+        });
+
+        switch (step) {
+            case 0: this.renderSetup(body); break;
+            case 1: this.renderThreshold(body); break;
+            case 2: this.renderLoudness(body); break;
+            case 3: this.renderMasking(body); break;
+            case 4: this.renderResult(body); break;
+        }
+    }
+
+    // -- Step 0: Ear & Noise Selection --
+    renderSetup(el) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">🔊</div>
+                <h2>Loudness & Masking Level</h2>
+                <p class="gs-desc">We'll measure how loud your tinnitus is and how much noise it takes to cover it. Use the same headphones and volume each time so results can be compared.</p>
+                <div class="gs-ear-options">
+                    <button class="gs-ear-btn ${this.selectedEar === 'left' ? 'selected' : ''}" data-ear="left">
+                        <span class="gs-ear-label">Left</span>
+                    </button>
+                    <button class="gs-ear-btn ${this.selectedEar === 'both' ? 'selected' : ''}" data-ear="both">
+                        <span class="gs-ear-label">Both</span>
+                    </button>
+                    <button class="gs-ear-btn ${this.selectedEar === 'right' ? 'selected' : ''}" data-ear="right">
+                        <span class="gs-ear-label">Right</span>
+                    </button>
+                </div>
+                <div class="control-group">
+                    <label for="lmNoiseType">Masking noise</label>
+                    <select id="lmNoiseType">
+                        <option value="pink" ${this.noiseType === 'pink' ? 'selected' : ''}>Pink</option>
+                        <option value="white" ${this.noiseType === 'white' ? 'selected' : ''}>White</option>
+                        <option value="brown" ${this.noiseType === 'brown' ? 'selected' : ''}>Brown</option>
+                    </select>
+                </div>
+                <button class="gs-btn primary" id="lmNext">Start</button>
+            </div>
+        `;
+        el.querySelectorAll('.gs-ear-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.selectedEar = e.currentTarget.dataset.ear;
+                el.querySelectorAll('.gs-ear-btn').forEach(b => b.classList.remove('selected'));
+                e.currentTarget.classList.add('selected');
+            });
+        });
+        document.getElementById('lmNoiseType').addEventListener('change', (e) => { this.noiseType = e.target.value; });
+        document.getElementById('lmNext').addEventListener('click', () => {
+            this.frequency = this.getMatchedFrequency();
+            this.showStep(1);
+        });
+    }
+
+    // Shared layout for the three adjustment steps
+    renderAdjustStep(el, { title, desc, confirmLabel }) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <h2>${title}</h2>
+                <p class="gs-desc">${desc}</p>
+                <div class="gs-freq-display">
+                    <span class="gs-freq-val" id="lmLevel">${this.level} dB</span>
+                </div>
+                <div class="pm-choices">
+                    <button class="gs-btn secondary" id="lmSofter">🔉 Softer</button>
+                    <button class="gs-btn secondary" id="lmLouder">🔊 Louder</button>
+                </div>
+                <div class="gs-nav">
+                    <button class="gs-btn primary" id="lmConfirm">${confirmLabel}</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('lmSofter').addEventListener('click', () => this.adjustLevel(-1));
+        document.getElementById('lmLouder').addEventListener('click', () => this.adjustLevel(1));
+    }
+
+    updateLevelDisplay() {
+        const el = document.getElementById('lmLevel');
+        if (el) el.textContent = `${Math.round(this.level)} dB`;
+    }
+
+    // -- Step 1: Threshold --
+    renderThreshold(el) {
+        this.resetLevel(-60);
+        this.renderAdjustStep(el, {
+            title: 'Hearing Threshold',
+            desc: `A ${this.frequency} Hz tone is playing. Make it softer until you can barely hear it.`,
+            confirmLabel: 'Just Audible'
+        });
+        this.playTone();
+        document.getElementById('lmConfirm').addEventListener('click', () => {
+            this.thresholdDb = this.level;
+            this.showStep(2);
+        });
+    }
+
+    // -- Step 2: Loudness Match --
+    renderLoudness(el) {
+        this.resetLevel(this.thresholdDb + 10);
+        this.renderAdjustStep(el, {
+            title: 'Match the Loudness',
+            desc: 'Adjust the tone until it is as loud as your tinnitus.',
+            confirmLabel: 'Same Loudness'
+        });
+        document.getElementById('lmConfirm').addEventListener('click', () => {
+            this.loudnessDb = this.level;
+            this.showStep(3);
+        });
+    }
+
+    // -- Step 3: Minimum Masking Level --
+    renderMasking(el) {
+        this.resetLevel(this.thresholdDb);
+        this.renderAdjustStep(el, {
+            title: 'Minimum Masking Level',
+            desc: `Raise the ${this.noiseType} noise until you can no longer hear your tinnitus.`,
+            confirmLabel: 'Tinnitus Covered'
+        });
+        this.playNoise();
+        document.getElementById('lmConfirm').addEventListener('click', () => {
+            this.mmlDb = this.level;
+            this.stopSound();
+            this.showStep(4);
+        });
+    }
+
+    // -- Step 4: Result --
+    renderResult(el) {
+        const m = this.buildMeasurement();
+        const previous = this.getLatest(m.ear);
+        const change = (key) => previous && previous[key] !== null && m[key] !== null
+            ? ` (${m[key] - previous[key] >= 0 ? '+' : ''}${Math.round(m[key] - previous[key])} dB since ${new Date(previous.date).toLocaleDateString()})`
+            : '';
+
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">✅</div>
+                <h2>Your Measurements</h2>
+                <div class="gs-result-card">
+                    <div class="gs-result-ear">${m.ear === 'both' ? 'Both Ears' : m.ear === 'left' ? 'Left Ear' : 'Right Ear'} · ${m.frequency} Hz</div>
+                    <div class="gs-result-matches">Tinnitus loudness: ${m.loudnessSL} dB above threshold${change('loudnessSL')}</div>
+                    <div class="gs-result-matches">Minimum masking level (${m.noiseType}): ${m.mmlSL} dB above threshold${change('mmlSL')}</div>
+                </div>
+                <div class="gs-nav">
+                    <button class="gs-btn secondary" id="lmRetry">Start Over</button>
+                    <button class="gs-btn primary" id="lmSave">Save</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('lmRetry').addEventListener('click', () => this.showStep(0));
+        document.getElementById('lmSave').addEventListener('click', () => this.saveResult());
+    }
+}
+
+window.LoudnessMatchingWizard = LoudnessMatchingWizard;
+export { LoudnessMatchingWizard };
@@ -0,0 +1,111 @@
+/**
+ * Match History - Dated record of every confirmed tinnitus frequency match
+ * Keeps method, ear, confidence and marks for each match so pitch drift can be
+ * followed per ear, and gives a recent-trend frequency for the therapy notch.
+ */
+
+class MatchHistory {
+    constructor() {
+        this.trendCount = 5;   // most recent matches that make up the trend
+        this.trendDays = 30;   // ...as long as they fall within this many days
+        this.onChange = null;  // after each new or cleared match, so the app can keep it in the active profile
+        this.load();
+    }
+
+    // -- Storage --
+    load() {
+        try {
+            this.entries = JSON.parse(localStorage.getItem('tinnitusMatchHistory')) || [];
+        } catch {
+            this.entries = [];
+        }
+    }
+
+    save() {
+        localStorage.setItem('tinnitusMatchHistory', JSON.stringify(this.entries));
+    }
+
+    // Swap in another profile's history
+    setHistory(entries) {
+        this.entries = Array.isArray(entries) ? [...entries] : [];
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.changed();
+    }
+
+    changed() {
+        this.save();
+        if (this.onChange) this.onChange();
+    }
+
+    // method: 'slider' | 'sweep' | 'guided' | 'forced-choice'
+    // marks: [{ raw, corrected }] as tapped during the match, if any
+    // stimulus: { type: 'tone' } or { type: 'noise', bandwidth } (octaves)
+    add({ ear = 'both', method, frequency, confidence = null, marks = [], stimulus = { type: 'tone' } }) {
+        if (!(frequency > 0)) return null;
+
+        const entry = {
+            date: new Date().toISOString(),
+            ear,
+            method,
+            frequency: Math.round(frequency * 10) / 10,
+            confidence,
+            marks,
+            stimulus
+        };
+        this.entries.push(entry);
+        this.changed();
+        return entry;
+    }
+
+    // Entries for one ear, oldest first; matches made with both ears count for each
+    getHistory(ear) {
+        if (!ear) return [...this.entries];
+        return this.entries.filter(e => e.ear === ear || e.ear === 'both');
+    }
+
+    getRecent(ear, now = Date.now()) {
+        const since = now - this.trendDays * 86400000;
+        return this.getHistory(ear)
+            .filter(e => new Date(e.date).getTime() >= since)
+            .slice(-this.trendCount);
+    }
+
+    // Median of the recent matches on a log scale, so one odd session doesn't move the notch
+    getTrendFrequency(ear, now = Date.now()) {
+        const logs = this.getRecent(ear, now).map(e => Math.log2(e.frequency)).sort((a, b) => a - b);
+        if (logs.length === 0) return null;
+
+        const mid = Math.floor(logs.length / 2);
+        const median = logs.length % 2 ? logs[mid] : (logs[mid - 1] + logs[mid]) / 2;
+        return Math.round(Math.pow(2, median));
+    }
+
+    // Least-squares slope of pitch against time in cents per week; null until the
+    // matches span at least a day
+    getDrift(ear) {
+        const entries = this.getHistory(ear);
+        if (entries.length < 2) return null;
+
+        const t0 = new Date(entries[0].date).getTime();
+        const xs = entries.map(e => (new Date(e.date).getTime() - t0) / 86400000);
+        const ys = entries.map(e => 1200 * Math.log2(e.frequency));
+        if (Math.max(...xs) - Math.min(...xs) < 1) return null;
+
+        const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+        let num = 0;
+        let den = 0;
+        xs.forEach((x, i) => {
+            num += (x - meanX) * (ys[i] - meanY);
+            den += Math.pow(x - meanX, 2);
+        });
+        return Math.round(num / den * 7);
+    }
+}
+
+window.MatchHistory = MatchHistory;
+export { MatchHistory };
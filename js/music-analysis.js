@@ -0,0 +1,189 @@
+/**
+ * Music Analysis - Long-term spectrum of a music track, and how well it suits a notch
+ * Notching only helps when the music has energy around the tinnitus frequency. Each track
+ * is decoded once and its average spectrum kept in third-octave bands, so a new notch
+ * re-scores the whole library without decoding anything again.
+ */
+
+class MusicAnalysis {
+    constructor(options = {}) {
+        this.renderer = options.renderer || new OfflineRenderer();
+        this.fftSize = options.fftSize || 4096;
+        this.maxFrames = options.maxFrames || 512;  // spread evenly over the track
+        this.framesPerSlice = 32;                   // frames between yields, so the page stays responsive
+    }
+
+    static version = 1;
+
+    // Third-octave band centers from 31.5 Hz to 16 kHz
+    static bandCenters = Array.from({ length: 28 }, (_, i) => 1000 * Math.pow(2, (i - 15) / 3));
+
+    static minNotchDb = -30;            // less energy than this in the notch and notching removes little
+    static mostlyBelowShare = 0.99;     // this much below the notch marks a bass-heavy track
+    static scoreRange = [-40, -15];     // dB of energy in the notch mapped onto a 0-100 score
+
+    async analyzeFile(file) {
+        const buffer = await this.renderer.decodeFile(file);
+        return this.analyzeBuffer(buffer);
+    }
+
+    /**
+     * Average power spectrum of Hann-windowed frames of the mono mix, summed into bands
+     * @param {AudioBuffer} buffer
+     * @returns {Promise<{version, energies}|null>} band energies adding up to 1, or null
+     *   for audio shorter than one frame. Silence has all-zero energies.
+     */
+    async analyzeBuffer(buffer) {
+        const n = this.fftSize;
+        const frames = Math.min(this.maxFrames, Math.floor(buffer.length / n));
+        if (frames === 0) return null;
+
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+        const step = frames > 1 ? (buffer.length - n) / (frames - 1) : 0;
+        const window = Float64Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+        const power = new Float64Array(n / 2);
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+
+        for (let f = 0; f < frames; f++) {
+            const start = Math.round(f * step);
+            for (let i = 0; i < n; i++) {
+                let sum = 0;
+                for (const data of channels) sum += data[start + i];
+                re[i] = (sum / channels.length) * window[i];
+                im[i] = 0;
+            }
+            MusicAnalysis.fft(re, im);
+            for (let k = 1; k < n / 2; k++) power[k] += re[k] * re[k] + im[k] * im[k];
+            if ((f + 1) % this.framesPerSlice === 0) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const energies = new Array(MusicAnalysis.bandCenters.length).fill(0);
+        const binHz = buffer.sampleRate / n;
+        for (let k = 1; k < n / 2; k++) energies[MusicAnalysis.bandIndex(k * binHz)] += power[k];
+        const total = energies.reduce((sum, e) => sum + e, 0);
+        return { version: MusicAnalysis.version, energies: energies.map(e => (total > 0 ? e / total : 0)) };
+    }
+
+    // In-place radix-2 FFT; the length must be a power of two
+    static fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const half = len / 2;
+            const angle = -2 * Math.PI / len;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+            for (let i = 0; i < n; i += len) {
+                let wRe = 1;
+                let wIm = 0;
+                for (let j = 0; j < half; j++) {
+                    const a = i + j;
+                    const b = a + half;
+                    const tRe = re[b] * wRe - im[b] * wIm;
+                    const tIm = re[b] * wIm + im[b] * wRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+                }
+            }
+        }
+    }
+
+    // Frequencies outside the bands count towards the first or last band
+    static bandIndex(freq) {
+        const i = Math.round(3 * Math.log2(freq / 1000)) + 15;
+        return Math.max(0, Math.min(MusicAnalysis.bandCenters.length - 1, i));
+    }
+
+    // Share of the energy between two frequencies, taking energy as spread evenly across
+    // each band on a log-frequency scale
+    static shareBetween(energies, low, high) {
+        const edge = Math.pow(2, 1 / 6);
+        return MusicAnalysis.bandCenters.reduce((share, center, i) => {
+            const bandLow = center / edge;
+            const bandHigh = center * edge;
+            const overlap = Math.log(Math.min(high, bandHigh) / Math.max(low, bandLow));
+            return overlap > 0 ? share + energies[i] * overlap / Math.log(bandHigh / bandLow) : share;
+        }, 0);
+    }
+
+    // Share inside any of the [low, high] intervals, counting overlaps once
+    static shareInside(energies, intervals) {
+        const merged = [];
+        [...intervals].sort((a, b) => a[0] - b[0]).forEach(([low, high]) => {
+            const last = merged[merged.length - 1];
+            if (last && low <= last[1]) last[1] = Math.max(last[1], high);
+            else merged.push([low, high]);
+        });
+        return merged.reduce((share, [low, high]) => share + MusicAnalysis.shareBetween(energies, low, high), 0);
+    }
+
+    /**
+     * How much of a track the notch takes out
+     * @param {Object} analysis - from analyzeBuffer
+     * @param {Object} notch - { freq, rightFreq, width, bands } as from app.getMusicNotch()
+     * @returns {Object|null} { inNotch, below, notchDb, score, lowEnergy, mostlyBelow }, with
+     *   the shares averaged over the ears for a notch per ear; null without both
+     */
+    static evaluate(analysis, notch) {
+        if (!analysis || !notch?.freq) return null;
+        const extra = (notch.bands || []).filter(b => b.depth !== 0).map(b => NotchRecommendation.getEdges(b.freq, b.width));
+        const ears = (notch.rightFreq ? [notch.freq, notch.rightFreq] : [notch.freq]).map(center => {
+            const edges = NotchRecommendation.getEdges(center, notch.width);
+            return {
+                inNotch: MusicAnalysis.shareInside(analysis.energies, [edges, ...extra]),
+                below: MusicAnalysis.shareBetween(analysis.energies, 0, edges[0])
+            };
+        });
+        const inNotch = ears.reduce((sum, e) => sum + e.inNotch, 0) / ears.length;
+        const below = ears.reduce((sum, e) => sum + e.below, 0) / ears.length;
+        const notchDb = 10 * Math.log10(inNotch);
+        const [minDb, maxDb] = MusicAnalysis.scoreRange;
+        const score = Math.round(100 * Math.max(0, Math.min(1, (notchDb - minDb) / (maxDb - minDb))));
+        return {
+            inNotch,
+            below,
+            notchDb,
+            score,
+            lowEnergy: notchDb < MusicAnalysis.minNotchDb,
+            mostlyBelow: below >= MusicAnalysis.mostlyBelowShare
+        };
+    }
+
+    // Best fit first: by score, then by energy in the notch. Tracks without an analysis go last.
+    static rank(tracks, notch) {
+        return tracks
+            .map(track => ({ track, result: MusicAnalysis.evaluate(track.analysis, notch) }))
+            .sort((a, b) => (b.result?.score ?? -1) - (a.result?.score ?? -1) || (b.result?.inNotch ?? -1) - (a.result?.inNotch ?? -1));
+    }
+
+    static formatShare(share) {
+        return `${(share * 100).toFixed(share < 0.01 ? 2 : 1)}%`;
+    }
+
+    // One sentence for a track the notch does little for, or null when it suits the notch
+    static describe(result) {
+        if (!result) return null;
+        if (result.mostlyBelow) {
+            return `Almost all of this track's energy is below the notch (${MusicAnalysis.formatShare(result.below)}), as in bass-heavy music, so the notch takes out very little. Music with more treble works better.`;
+        }
+        if (result.lowEnergy) {
+            return `Only ${MusicAnalysis.formatShare(result.inNotch)} of this track's energy falls in the notch, so the notch takes out very little.`;
+        }
+        return null;
+    }
+}
+
+window.MusicAnalysis = MusicAnalysis;
+export { MusicAnalysis };
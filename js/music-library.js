@@ -0,0 +1,169 @@
+/**
+ * Music Library - Imported tracks and playlists kept in IndexedDB
+ * Audio files are far too large for localStorage, so the library lives in IndexedDB and
+ * survives a reload. Track metadata (title, duration, saved position) and the audio itself
+ * are kept in separate stores, so listing the library never loads the audio. Playlists are
+ * ordered lists of track ids.
+ */
+
+class MusicLibrary {
+    constructor(dbName = 'tinnitusMusic') {
+        this.dbName = dbName;
+        this.db = null; // promise of the open database
+    }
+
+    static version = 1;
+    static durationTimeout = 5000; // ms to wait for a file's metadata before giving up on its duration
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, MusicLibrary.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('tracks', { keyPath: 'id', autoIncrement: true });
+                    db.createObjectStore('files', { keyPath: 'id' });
+                    db.createObjectStore('playlists', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again, e.g. after the user leaves private browsing
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+
+    // Run fn(stores, done) in one transaction. fn issues its requests and passes the result
+    // to done; the promise resolves with it once the transaction has committed.
+    async transaction(names, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(names, mode);
+            const stores = Object.fromEntries(names.map(name => [name, tx.objectStore(name)]));
+            let result;
+            fn(stores, (value) => { result = value; });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // -- Tracks --
+    // { id, title, name, type, size, duration, position, added, analysis }
+    // analysis is left out until the track has been analysed, and null if that failed
+    async addTrack(file) {
+        const duration = await MusicLibrary.readDuration(file);
+        const track = {
+            title: MusicLibrary.titleFromName(file.name),
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            duration,
+            position: 0,
+            added: Date.now()
+        };
+        return this.transaction(['tracks', 'files'], 'readwrite', ({ tracks, files }, done) => {
+            const request = tracks.add(track);
+            request.onsuccess = () => {
+                files.put({ id: request.result, file });
+                done({ ...track, id: request.result });
+            };
+        });
+    }
+
+    // In import order
+    getTracks() {
+        return this.transaction(['tracks'], 'readonly', ({ tracks }, done) => {
+            const request = tracks.getAll();
+            request.onsuccess = () => done(request.result.sort((a, b) => a.added - b.added || a.id - b.id));
+        });
+    }
+
+    getFile(id) {
+        return this.transaction(['files'], 'readonly', ({ files }, done) => {
+            const request = files.get(id);
+            request.onsuccess = () => done(request.result?.file || null);
+        });
+    }
+
+    // Removes the track from every playlist too
+    deleteTrack(id) {
+        return this.transaction(['tracks', 'files', 'playlists'], 'readwrite', ({ tracks, files, playlists }) => {
+            tracks.delete(id);
+            files.delete(id);
+            const request = playlists.getAll();
+            request.onsuccess = () => request.result
+                .filter(p => p.trackIds.includes(id))
+                .forEach(p => playlists.put({ ...p, trackIds: p.trackIds.filter(t => t !== id) }));
+        });
+    }
+
+    updateTrack(id, changes) {
+        return this.transaction(['tracks'], 'readwrite', ({ tracks }) => {
+            const request = tracks.get(id);
+            request.onsuccess = () => {
+                if (request.result) tracks.put({ ...request.result, ...changes });
+            };
+        });
+    }
+
+    savePosition(id, position) {
+        return this.updateTrack(id, { position });
+    }
+
+    // -- Playlists --
+    // { id, name, trackIds }
+    getPlaylists() {
+        return this.transaction(['playlists'], 'readonly', ({ playlists }, done) => {
+            const request = playlists.getAll();
+            request.onsuccess = () => done(request.result);
+        });
+    }
+
+    // Creates the playlist when it has no id yet; resolves with the saved playlist
+    savePlaylist(playlist) {
+        return this.transaction(['playlists'], 'readwrite', ({ playlists }, done) => {
+            const request = playlists.put(playlist);
+            request.onsuccess = () => done({ ...playlist, id: request.result });
+        });
+    }
+
+    deletePlaylist(id) {
+        return this.transaction(['playlists'], 'readwrite', ({ playlists }) => playlists.delete(id));
+    }
+
+    // -- Metadata --
+    static titleFromName(name = '') {
+        return name.replace(/\.[^.]+$/, '').replace(/_/g, ' ').trim() || 'Untitled';
+    }
+
+    // Duration in seconds from the file's own metadata, or null when the browser can't read it.
+    // Some files never fire either event, so the import doesn't wait on them forever.
+    static readDuration(file) {
+        return new Promise(resolve => {
+            const audio = document.createElement('audio');
+            const url = URL.createObjectURL(file);
+            let timer = null;
+            const done = (duration) => {
+                if (!timer) return;
+                clearTimeout(timer);
+                timer = null;
+                URL.revokeObjectURL(url);
+                resolve(Number.isFinite(duration) ? duration : null);
+            };
+            timer = setTimeout(() => done(null), MusicLibrary.durationTimeout);
+            audio.preload = 'metadata';
+            audio.addEventListener('loadedmetadata', () => done(audio.duration));
+            audio.addEventListener('error', () => done(null));
+            audio.src = url;
+        });
+    }
+}
+
+window.MusicLibrary = MusicLibrary;
+export { MusicLibrary };
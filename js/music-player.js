@@ -0,0 +1,587 @@
+/**
+ * Music Player - Library playback for notched music: playlists, shuffle/repeat and gapless
+ * track changes. Two audio elements take turns: while one plays, the next track waits in
+ * the other, and both feed the app's music chain so every track goes through the same
+ * notch. Each track's position is saved, so a track picks up where it was left. Imported
+ * tracks are analysed in the background to rank the library by how well it suits the notch.
+ */
+
+class MusicPlayer {
+    constructor(app) {
+        this.app = app;
+        this.library = new MusicLibrary();
+        this.analysis = new MusicAnalysis();
+        this.available = true;          // false when IndexedDB can't be opened
+        this.analysisQueue = [];        // track ids waiting to be analysed
+        this.analyzing = false;
+
+        this.tracks = [];               // library metadata, in import order
+        this.playlists = [];
+        this.playlistId = null;         // the queue: a playlist, or null for the whole library
+        this.shuffle = false;
+        this.repeat = 'off';            // 'off' | 'all' | 'one'
+        this.sortBy = 'added';          // library order: 'added' | 'suitability'
+        this.order = [];                // track ids in play order
+        this.index = -1;                // where the current track is in order
+        this.lastTrackId = null;        // restored from the last session, cued by load()
+
+        // The two audio elements; decks[active] is the one playing
+        this.decks = [];
+        this.active = 0;
+        this.deckTracks = [null, null];
+        this.deckFiles = [null, null];
+        this.urls = [null, null];
+        this.loadTokens = [0, 0];       // a newer load into a deck makes older ones drop out
+        this.preloaded = null;          // track id waiting in the idle deck
+
+        this.handoffLead = 1;           // seconds before the end to schedule the next track
+        this.handoffTimer = null;
+        this.positionInterval = 5;      // seconds between saved positions while playing
+        this.lastSavedAt = 0;
+        this.resumeMargin = 5;          // positions this close to either end start from the top
+    }
+
+    // -- Queue --
+    get currentId() {
+        return this.deckTracks[this.active];
+    }
+
+    getTrack(id) {
+        return this.tracks.find(t => t.id === id) || null;
+    }
+
+    getPlaylist(id) {
+        return this.playlists.find(p => p.id === id) || null;
+    }
+
+    // A ranked library plays best fit first for the notch as it is now
+    getQueueIds() {
+        const playlist = this.getPlaylist(this.playlistId);
+        if (playlist) return playlist.trackIds.filter(id => this.getTrack(id));
+        if (this.sortBy === 'suitability') return MusicAnalysis.rank(this.tracks, this.app.getMusicNotch()).map(r => r.track.id);
+        return this.tracks.map(t => t.id);
+    }
+
+    // Shuffling puts the current track first, so the rest of the shuffle is still ahead
+    buildOrder(keepId = this.currentId) {
+        const ids = this.getQueueIds();
+        if (this.shuffle) {
+            for (let i = ids.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [ids[i], ids[j]] = [ids[j], ids[i]];
+            }
+            const at = ids.indexOf(keepId);
+            if (at > 0) ids.unshift(...ids.splice(at, 1));
+        }
+        this.order = ids;
+        this.index = ids.indexOf(keepId);
+    }
+
+    // auto is a track ending by itself, which repeat-one replays; skipping by hand moves on
+    getNextIndex(auto = false) {
+        if (this.order.length === 0) return -1;
+        if (auto && this.repeat === 'one' && this.index !== -1) return this.index;
+        if (this.index + 1 < this.order.length) return this.index + 1;
+        return this.repeat === 'off' ? -1 : 0;
+    }
+
+    getPreviousIndex() {
+        if (this.order.length === 0) return -1;
+        if (this.index > 0) return this.index - 1;
+        return this.repeat === 'off' ? Math.max(this.index, 0) : this.order.length - 1;
+    }
+
+    getResumePosition(track) {
+        const position = track?.position || 0;
+        if (position < this.resumeMargin) return 0;
+        if (track.duration && position > track.duration - this.resumeMargin) return 0;
+        return position;
+    }
+
+    // -- Library --
+    async load() {
+        try {
+            this.tracks = await this.library.getTracks();
+            this.playlists = await this.library.getPlaylists();
+        } catch (e) {
+            console.warn('[MusicPlayer] Music library unavailable:', e);
+            this.available = false;
+            this.render();
+            return;
+        }
+        if (!this.getPlaylist(this.playlistId)) this.playlistId = null;
+        const last = this.getTrack(this.lastTrackId) ? this.lastTrackId : null;
+        this.buildOrder(last);
+        if (last !== null) await this.playTrack(last, { autoplay: false });
+        this.render();
+        this.queueAnalysis(this.tracks.filter(t => !('analysis' in t)).map(t => t.id));
+    }
+
+    // Imported tracks join the open playlist. If the library can't be stored, the first file
+    // still plays for this session, as before the library existed.
+    async importFiles(files) {
+        const added = [];
+        for (const file of files) {
+            try {
+                added.push(await this.library.addTrack(file));
+            } catch (e) {
+                console.warn('[MusicPlayer] Could not add', file.name, e);
+            }
+        }
+        if (added.length === 0) {
+            if (files[0]) this.playFile(files[0]);
+            return;
+        }
+        this.tracks.push(...added);
+        const playlist = this.getPlaylist(this.playlistId);
+        if (playlist) await this.savePlaylist({ ...playlist, trackIds: [...playlist.trackIds, ...added.map(t => t.id)] });
+        this.buildOrder();
+        if (this.currentId === null) await this.playTrack(added[0].id, { autoplay: false });
+        else this.preloadNext();
+        this.render();
+        this.queueAnalysis(added.map(t => t.id));
+    }
+
+    playFile(file) {
+        const deck = this.decks[this.active];
+        if (this.urls[this.active]) URL.revokeObjectURL(this.urls[this.active]);
+        this.urls[this.active] = URL.createObjectURL(file);
+        deck.src = this.urls[this.active];
+        this.deckTracks[this.active] = null;
+        this.deckFiles[this.active] = file;
+        this.app.showMusicTrack(file, `${file.name} (not saved to the library)`);
+    }
+
+    async deleteTrack(id) {
+        await this.library.deleteTrack(id);
+        this.tracks = this.tracks.filter(t => t.id !== id);
+        this.playlists = this.playlists.map(p => ({ ...p, trackIds: p.trackIds.filter(t => t !== id) }));
+        this.buildOrder();
+        if (this.preloaded === id || this.deckTracks[1 - this.active] === id) this.preloadNext();
+        this.render();
+    }
+
+    setPosition(id, position) {
+        const track = this.getTrack(id);
+        if (track) track.position = position;
+        this.library.savePosition(id, position).catch(e => console.warn('[MusicPlayer] Could not save position:', e));
+    }
+
+    // A track that played to the end starts from the top next time
+    savePosition() {
+        const id = this.currentId;
+        const deck = this.decks[this.active];
+        if (id === null || !deck) return;
+        this.setPosition(id, deck.ended ? 0 : deck.currentTime);
+        this.lastSavedAt = deck.currentTime;
+    }
+
+    // -- Analysis --
+    // Decoding a whole track takes a lot of memory, so tracks are analysed one at a time.
+    // A track that can't be decoded gets a null analysis and isn't tried again.
+    queueAnalysis(ids) {
+        this.analysisQueue.push(...ids);
+        if (!this.analyzing) this.runAnalysis();
+    }
+
+    async runAnalysis() {
+        this.analyzing = true;
+        while (this.analysisQueue.length) {
+            const track = this.getTrack(this.analysisQueue.shift());
+            if (!track || 'analysis' in track) continue;
+            try {
+                const file = await this.library.getFile(track.id);
+                if (!file) continue;
+                track.analysis = await this.analysis.analyzeFile(file);
+            } catch (e) {
+                console.warn('[MusicPlayer] Could not analyse', track.title, e);
+                track.analysis = null;
+            }
+            await this.library.updateTrack(track.id, { analysis: track.analysis }).catch(e => console.warn('[MusicPlayer] Could not save analysis:', e));
+            this.notchChanged();
+        }
+        this.analyzing = false;
+    }
+
+    // Re-score the library for the app's notch. A ranked queue follows the new ranking,
+    // unless it's shuffled.
+    notchChanged() {
+        if (this.sortBy === 'suitability' && this.playlistId === null && !this.shuffle) {
+            const next = this.order[this.getNextIndex(true)];
+            this.buildOrder();
+            if (this.order[this.getNextIndex(true)] !== next) this.preloadNext();
+        }
+        this.render();
+    }
+
+    setSort(sortBy) {
+        this.sortBy = sortBy === 'suitability' ? 'suitability' : 'added';
+        this.buildOrder();
+        this.preloadNext();
+        this.render();
+        this.app.autoSaveState?.();
+    }
+
+    // -- Playlists --
+    async savePlaylist(playlist) {
+        const saved = await this.library.savePlaylist(playlist);
+        const at = this.playlists.findIndex(p => p.id === saved.id);
+        if (at === -1) this.playlists.push(saved);
+        else this.playlists[at] = saved;
+        return saved;
+    }
+
+    async createPlaylist(name) {
+        const playlist = await this.savePlaylist({ name, trackIds: [] });
+        await this.selectPlaylist(playlist.id);
+        return playlist;
+    }
+
+    async deletePlaylist(id) {
+        await this.library.deletePlaylist(id);
+        this.playlists = this.playlists.filter(p => p.id !== id);
+        if (this.playlistId === id) await this.selectPlaylist(null);
+        else this.render();
+    }
+
+    async addToPlaylist(playlistId, trackId) {
+        const playlist = this.getPlaylist(playlistId);
+        if (!playlist) return;
+        await this.savePlaylist({ ...playlist, trackIds: [...playlist.trackIds, trackId] });
+        this.queueChanged(playlistId);
+    }
+
+    async removeFromPlaylist(playlistId, position) {
+        const playlist = this.getPlaylist(playlistId);
+        if (!playlist) return;
+        await this.savePlaylist({ ...playlist, trackIds: playlist.trackIds.filter((_, i) => i !== position) });
+        this.queueChanged(playlistId);
+    }
+
+    async moveInPlaylist(playlistId, position, offset) {
+        const playlist = this.getPlaylist(playlistId);
+        const to = position + offset;
+        if (!playlist || to < 0 || to >= playlist.trackIds.length) return;
+        const trackIds = [...playlist.trackIds];
+        [trackIds[position], trackIds[to]] = [trackIds[to], trackIds[position]];
+        await this.savePlaylist({ ...playlist, trackIds });
+        this.queueChanged(playlistId);
+    }
+
+    queueChanged(playlistId) {
+        if (playlistId === this.playlistId) {
+            this.buildOrder();
+            this.preloadNext();
+        }
+        this.render();
+    }
+
+    // The current track keeps playing; the new queue takes over when it ends
+    async selectPlaylist(id) {
+        this.playlistId = this.getPlaylist(id) ? id : null;
+        this.buildOrder();
+        if (this.currentId === null && this.order.length > 0) await this.playTrack(this.order[0], { autoplay: false });
+        else this.preloadNext();
+        this.render();
+        this.app.autoSaveState?.();
+    }
+
+    setShuffle(shuffle) {
+        this.shuffle = shuffle;
+        this.buildOrder();
+        this.preloadNext();
+        this.render();
+        this.app.autoSaveState?.();
+    }
+
+    cycleRepeat() {
+        const modes = ['off', 'all', 'one'];
+        this.repeat = modes[(modes.indexOf(this.repeat) + 1) % modes.length];
+        this.preloadNext();
+        this.render();
+        this.app.autoSaveState?.();
+    }
+
+    getSettings() {
+        return { playlistId: this.playlistId, shuffle: this.shuffle, repeat: this.repeat, sortBy: this.sortBy, trackId: this.currentId ?? this.lastTrackId };
+    }
+
+    // Called before load(), which cues the last track once the library is read
+    restoreSettings(settings) {
+        if (!settings) return;
+        this.playlistId = settings.playlistId ?? null;
+        this.shuffle = !!settings.shuffle;
+        this.repeat = ['off', 'all', 'one'].includes(settings.repeat) ? settings.repeat : 'off';
+        this.sortBy = settings.sortBy === 'suitability' ? 'suitability' : 'added';
+        this.lastTrackId = settings.trackId ?? null;
+    }
+
+    // -- Playback --
+    // Load a track into the playing deck, at its saved position
+    async playTrack(id, { autoplay = true } = {}) {
+        this.savePosition();
+        this.cancelHandoff();
+        if (!this.order.includes(id)) this.buildOrder(id);
+        if (!(await this.loadDeck(this.active, id, this.getResumePosition(this.getTrack(id))))) return;
+        this.index = this.order.indexOf(id);
+        this.showTrack();
+        if (autoplay) this.app.playMusic();
+        this.preloadNext();
+        this.render();
+        this.app.autoSaveState?.();
+    }
+
+    async loadDeck(deck, id, position = 0) {
+        const token = ++this.loadTokens[deck];
+        const file = await this.library.getFile(id).catch(() => null);
+        if (token !== this.loadTokens[deck] || !file) return false;
+        const el = this.decks[deck];
+        if (this.urls[deck]) URL.revokeObjectURL(this.urls[deck]);
+        this.urls[deck] = URL.createObjectURL(file);
+        el.src = this.urls[deck];
+        this.deckTracks[deck] = id;
+        this.deckFiles[deck] = file;
+        if (position > 0) {
+            if (el.readyState >= 1) el.currentTime = position;
+            else el.addEventListener('loadedmetadata', () => { el.currentTime = position; }, { once: true });
+        }
+        return true;
+    }
+
+    // Load whatever plays next into the idle deck, so the change needs no loading time.
+    // Repeat-one loads the same track again from the top.
+    async preloadNext() {
+        this.preloaded = null;
+        const nextIndex = this.getNextIndex(true);
+        if (nextIndex === -1) return;
+        const id = this.order[nextIndex];
+        const deck = 1 - this.active;
+        const position = id === this.currentId ? 0 : this.getResumePosition(this.getTrack(id));
+        if (await this.loadDeck(deck, id, position) && deck !== this.active) this.preloaded = id;
+    }
+
+    // Media elements can't be started sample-accurately, so the next deck is started on a
+    // timer from the last timeupdate rather than waiting for 'ended', which fires late
+    onTimeUpdate() {
+        const deck = this.decks[this.active];
+        if (Math.abs(deck.currentTime - this.lastSavedAt) >= this.positionInterval) this.savePosition();
+        const remaining = (deck.duration - deck.currentTime) / (deck.playbackRate || 1);
+        if (this.preloaded !== null && !this.handoffTimer && remaining <= this.handoffLead) {
+            this.handoffTimer = setTimeout(() => this.advance(), Math.max(0, remaining * 1000));
+        }
+    }
+
+    cancelHandoff() {
+        clearTimeout(this.handoffTimer);
+        this.handoffTimer = null;
+    }
+
+    // The current track finished: switch to the waiting deck, or stop at the end of the queue
+    advance() {
+        this.cancelHandoff();
+        if (this.currentId !== null) this.setPosition(this.currentId, 0);
+        const nextIndex = this.getNextIndex(true);
+        if (nextIndex === -1) {
+            this.app.pauseMusic();
+            this.render();
+            return;
+        }
+        const nextId = this.order[nextIndex];
+        if (this.preloaded !== nextId) {
+            this.playTrack(nextId, { autoplay: this.app.musicState.isPlaying });
+            return;
+        }
+        const previous = this.decks[this.active];
+        this.active = 1 - this.active;
+        this.loadTokens[this.active]++;
+        this.preloaded = null;
+        this.index = nextIndex;
+        this.app.musicState.audioElement = this.decks[this.active];
+        // While matching holds the music, the next track waits for the resume
+        if (this.app.audioEngine.isSourceActive('music')) this.decks[this.active].play();
+        previous.pause();
+        this.lastSavedAt = 0;
+        this.showTrack();
+        this.preloadNext();
+        this.render();
+        this.app.autoSaveState?.();
+    }
+
+    next() {
+        const nextIndex = this.getNextIndex(false);
+        if (nextIndex !== -1) this.playTrack(this.order[nextIndex], { autoplay: this.app.musicState.isPlaying });
+    }
+
+    // Restarts the current track when it's a few seconds in, like most players
+    previous() {
+        const deck = this.decks[this.active];
+        if (deck?.currentTime > 3) {
+            deck.currentTime = 0;
+            return;
+        }
+        const previousIndex = this.getPreviousIndex();
+        if (previousIndex !== -1) this.playTrack(this.order[previousIndex], { autoplay: this.app.musicState.isPlaying });
+    }
+
+    showTrack() {
+        const track = this.getTrack(this.currentId);
+        this.app.showMusicTrack(this.deckFiles[this.active], track?.title || '');
+    }
+
+    // -- UI --
+    init(decks) {
+        this.decks = decks;
+        decks.forEach((el, i) => {
+            el.addEventListener('timeupdate', () => { if (i === this.active) this.onTimeUpdate(); });
+            el.addEventListener('ended', () => { if (i === this.active) this.advance(); });
+        });
+        document.getElementById('nextTrack')?.addEventListener('click', () => this.next());
+        document.getElementById('prevTrack')?.addEventListener('click', () => this.previous());
+        document.getElementById('shuffleMusic')?.addEventListener('click', () => this.setShuffle(!this.shuffle));
+        document.getElementById('repeatMusic')?.addEventListener('click', () => this.cycleRepeat());
+        document.getElementById('musicPlaylist')?.addEventListener('change', (e) => this.selectPlaylist(e.target.value ? Number(e.target.value) : null));
+        document.getElementById('musicSort')?.addEventListener('change', (e) => this.setSort(e.target.value));
+        document.getElementById('newPlaylist')?.addEventListener('click', () => {
+            const input = document.getElementById('playlistName');
+            const name = input.value.trim();
+            if (!name) { alert('Please enter a playlist name'); return; }
+            input.value = '';
+            this.createPlaylist(name);
+        });
+        document.getElementById('deletePlaylist')?.addEventListener('click', () => {
+            const playlist = this.getPlaylist(this.playlistId);
+            if (!playlist) { alert('Select a playlist to delete'); return; }
+            if (confirm(`Delete playlist "${playlist.name}"? The tracks stay in your library.`)) this.deletePlaylist(playlist.id);
+        });
+        this.render();
+    }
+
+    static formatDuration(seconds) {
+        if (!Number.isFinite(seconds)) return '--:--';
+        const s = Math.round(seconds);
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    }
+
+    render() {
+        this.renderControls();
+        this.renderPlaylists();
+        this.renderTracks();
+        this.renderAnalysisNote();
+    }
+
+    renderControls() {
+        const shuffle = document.getElementById('shuffleMusic');
+        const repeat = document.getElementById('repeatMusic');
+        if (shuffle) shuffle.classList.toggle('active', this.shuffle);
+        if (repeat) {
+            repeat.classList.toggle('active', this.repeat !== 'off');
+            repeat.textContent = this.repeat === 'one' ? '🔂' : '🔁';
+            repeat.title = `Repeat: ${this.repeat}`;
+        }
+        const next = document.getElementById('nextTrack');
+        const prev = document.getElementById('prevTrack');
+        if (next) next.disabled = this.getNextIndex(false) === -1;
+        if (prev) prev.disabled = this.currentId === null;
+    }
+
+    renderPlaylists() {
+        const sel = document.getElementById('musicPlaylist');
+        if (!sel) return;
+        sel.innerHTML = '<option value="">All tracks</option>';
+        this.playlists.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p.id;
+            opt.textContent = `${p.name} (${p.trackIds.length})`;
+            sel.appendChild(opt);
+        });
+        sel.value = this.playlistId ?? '';
+        const remove = document.getElementById('deletePlaylist');
+        if (remove) remove.disabled = this.playlistId === null;
+        const sort = document.getElementById('musicSort');
+        if (sort) {
+            sort.value = this.sortBy;
+            sort.disabled = this.playlistId !== null;
+        }
+    }
+
+    // Warn when the notch takes out little of the current track
+    renderAnalysisNote() {
+        const note = document.getElementById('musicAnalysisNote');
+        if (!note) return;
+        const text = MusicAnalysis.describe(MusicAnalysis.evaluate(this.getTrack(this.currentId)?.analysis, this.app.getMusicNotch()));
+        note.textContent = text || '';
+        note.style.display = text ? '' : 'none';
+    }
+
+    // Score out of 100 for the notch, marked when the notch does little for the track
+    renderFit(el, track, notch) {
+        if (!('analysis' in track)) {
+            el.textContent = '…';
+            el.title = 'Analysing…';
+            return;
+        }
+        const result = MusicAnalysis.evaluate(track.analysis, notch);
+        if (!result) {
+            el.textContent = '';
+            el.title = track.analysis ? '' : 'This track could not be analysed';
+            return;
+        }
+        const warning = MusicAnalysis.describe(result);
+        el.textContent = warning ? `⚠ ${result.score}` : String(result.score);
+        el.classList.toggle('poor', !!warning);
+        el.title = warning || `${MusicAnalysis.formatShare(result.inNotch)} of this track's energy is in the notch`;
+    }
+
+    // The library view lists every track, in import order or ranked for the notch, with a way
+    // into each playlist; a playlist view lists its tracks in order with controls to reorder them
+    renderTracks() {
+        const list = document.getElementById('musicTrackList');
+        if (!list) return;
+        list.innerHTML = '';
+        if (!this.available) {
+            list.innerHTML = '<p class="control-hint">This browser can\'t keep a music library, so added music plays until the page is closed.</p>';
+            return;
+        }
+        const playlist = this.getPlaylist(this.playlistId);
+        const ids = playlist ? playlist.trackIds : this.getQueueIds();
+        const notch = this.app.getMusicNotch();
+        if (ids.length === 0) {
+            list.innerHTML = `<p class="control-hint">${playlist ? 'Add tracks to this playlist from All tracks.' : 'Add music to build your library.'}</p>`;
+            return;
+        }
+        ids.forEach((id, position) => {
+            const track = this.getTrack(id);
+            if (!track) return;
+            const row = document.createElement('div');
+            row.className = `music-track${id === this.currentId ? ' playing' : ''}`;
+            row.dataset.id = id;
+            const actions = playlist
+                ? `<button class="btn btn-small track-up" title="Move up"${position === 0 ? ' disabled' : ''}>↑</button>
+                   <button class="btn btn-small track-down" title="Move down"${position === ids.length - 1 ? ' disabled' : ''}>↓</button>
+                   <button class="btn btn-small track-remove" title="Remove from playlist">✕</button>`
+                : `${this.playlists.length ? '<select class="track-add"><option value="">+ Playlist</option></select>' : ''}
+                   <button class="btn btn-small track-delete" title="Delete from library">✕</button>`;
+            row.innerHTML = `<button class="track-title"></button><span class="track-fit"></span><span class="track-duration">${MusicPlayer.formatDuration(track.duration)}</span>${actions}`;
+            row.querySelector('.track-title').textContent = track.title;
+            this.renderFit(row.querySelector('.track-fit'), track, notch);
+            this.playlists.forEach(p => {
+                const opt = document.createElement('option');
+                opt.value = p.id;
+                opt.textContent = p.name;
+                row.querySelector('.track-add')?.appendChild(opt);
+            });
+            row.querySelector('.track-title').addEventListener('click', () => this.playTrack(id));
+            row.querySelector('.track-up')?.addEventListener('click', () => this.moveInPlaylist(playlist.id, position, -1));
+            row.querySelector('.track-down')?.addEventListener('click', () => this.moveInPlaylist(playlist.id, position, 1));
+            row.querySelector('.track-remove')?.addEventListener('click', () => this.removeFromPlaylist(playlist.id, position));
+            row.querySelector('.track-add')?.addEventListener('change', (e) => { if (e.target.value) this.addToPlaylist(Number(e.target.value), id); });
+            row.querySelector('.track-delete')?.addEventListener('click', () => {
+                if (confirm(`Delete "${track.title}" from your library?`)) this.deleteTrack(id);
+            });
+            list.appendChild(row);
+        });
+    }
+}
+
+window.MusicPlayer = MusicPlayer;
+export { MusicPlayer };
@@ -0,0 +1,107 @@
+/**
+ * Noise Processor - AudioWorklet that generates white, pink, brown, blue and violet noise sample by sample
+ * Runs on the audio thread, so the output never repeats the way a looped buffer does and a color
+ * change is a crossfade instead of a buffer rebuild on the main thread.
+ * Loaded by AudioEngine.loadNoiseWorklet(); controlled through the node's port:
+ *   { command: 'start' | 'stop', time }      like AudioBufferSourceNode.start/stop
+ *   { command: 'type', type, fadeTime }      crossfade to another color over fadeTime seconds
+ */
+
+const NOISE_COLORS = ['white', 'pink', 'brown', 'blue', 'violet'];
+
+class NoiseProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { type = 'white' } = options?.processorOptions || {};
+        this.startTime = Infinity;   // silent until started
+        this.stopTime = Infinity;
+        this.channels = [];          // per-channel filter state, created on first use
+        // Colors are mixed by power, which stays constant through a crossfade because the
+        // generators are uncorrelated
+        this.power = this.solo(type);
+        this.fade = null;            // { from, to, frames, position }
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    solo(type) {
+        const color = NOISE_COLORS.includes(type) ? type : 'white';
+        return Object.fromEntries(NOISE_COLORS.map(c => [c, c === color ? 1 : 0]));
+    }
+
+    handleMessage({ command, time = 0, type, fadeTime = 0 }) {
+        if (command === 'start') this.startTime = time;
+        else if (command === 'stop') this.stopTime = time;
+        else if (command === 'type') {
+            const to = this.solo(type);
+            const frames = Math.round(fadeTime * sampleRate);
+            if (frames > 0) this.fade = { from: { ...this.power }, to, frames, position: 0 };
+            else { this.power = to; this.fade = null; }
+        }
+    }
+
+    // Advance the crossfade by one block and return the amplitude of each color
+    advanceFade(frames) {
+        if (this.fade) {
+            const { from, to } = this.fade;
+            this.fade.position = Math.min(this.fade.frames, this.fade.position + frames);
+            const p = this.fade.position / this.fade.frames;
+            NOISE_COLORS.forEach(c => { this.power[c] = from[c] * (1 - p) + to[c] * p; });
+            if (p >= 1) this.fade = null;
+        }
+        return Object.fromEntries(NOISE_COLORS.map(c => [c, Math.sqrt(this.power[c])]));
+    }
+
+    getChannelState(ch) {
+        if (!this.channels[ch]) {
+            this.channels[ch] = { pink: [0, 0, 0, 0, 0, 0, 0], brown: 0, blue: [0, 0, 0, 0, 0, 0, 0], lastBlue: 0, lastViolet: 0 };
+        }
+        return this.channels[ch];
+    }
+
+    // Paul Kellet's pink filter; b holds the filter state
+    pinkSample(b) {
+        const w = Math.random() * 2 - 1;
+        b[0] = 0.99886 * b[0] + w * 0.0555179; b[1] = 0.99332 * b[1] + w * 0.0750759; b[2] = 0.96900 * b[2] + w * 0.1538520;
+        b[3] = 0.86650 * b[3] + w * 0.3104856; b[4] = 0.55000 * b[4] + w * 0.5329522; b[5] = -0.7616 * b[5] - w * 0.0168980;
+        const out = (b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + w * 0.5362) * 0.11;
+        b[6] = w * 0.115926;
+        return out;
+    }
+
+    // Same generators and scaling as AudioEngine's buffers: a leaky integrator for brown, and the
+    // first difference of pink and white for blue and violet
+    fill(data, state, gains) {
+        for (let i = 0; i < data.length; i++) {
+            let out = 0;
+            if (gains.white) out += gains.white * (Math.random() * 2 - 1);
+            if (gains.pink) out += gains.pink * this.pinkSample(state.pink);
+            if (gains.brown) {
+                state.brown = (state.brown + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+                out += gains.brown * state.brown * 3.5;
+            }
+            if (gains.blue) {
+                const p = this.pinkSample(state.blue);
+                out += gains.blue * (p - state.lastBlue) * 1.7;
+                state.lastBlue = p;
+            }
+            if (gains.violet) {
+                const w = Math.random() * 2 - 1;
+                out += gains.violet * (w - state.lastViolet) * 0.25;
+                state.lastViolet = w;
+            }
+            data[i] = out;
+        }
+    }
+
+    process(inputs, outputs) {
+        if (currentTime >= this.stopTime) return false;
+        if (currentTime < this.startTime) return true;
+
+        const output = outputs[0];
+        const gains = this.advanceFade(output[0].length);
+        output.forEach((data, ch) => this.fill(data, this.getChannelState(ch), gains));
+        return true;
+    }
+}
+
+registerProcessor('noise-processor', NoiseProcessor);
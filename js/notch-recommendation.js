@@ -0,0 +1,334 @@
+/**
+ * Notch Recommendation - Suggested notch center, width and depth with the reasoning for each
+ * Follows tailor-made notched music training (Okamoto et al., 2010): a one-octave band,
+ * fully removed, centered on the tinnitus pitch. The center comes from the user's matches,
+ * the width grows when the matches are spread out, and a saved hearing screening is checked
+ * for notch edges that fall where hearing is poor. A clinician can override any value.
+ */
+
+class NotchRecommendation {
+    constructor(app) {
+        this.app = app;
+        this.widthOptions = [1, 1.5, 2];    // octaves; the protocol width first
+        this.stereoThresholdCents = 400;    // ears further apart than this get a notch each
+        this.mode = 'noise';                // which player Apply changes
+    }
+
+    // -- Storage --
+    // { center, rightCenter, width, depth, note, date }; null fields follow the recommendation
+    static getOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem('tinnitusNotchOverrides'));
+        } catch {
+            return null;
+        }
+    }
+
+    static saveOverrides(overrides) {
+        if (overrides) {
+            localStorage.setItem('tinnitusNotchOverrides', JSON.stringify(overrides));
+        } else {
+            localStorage.removeItem('tinnitusNotchOverrides');
+        }
+    }
+
+    // -- Recommendation --
+    // Pitch estimate for one ear: the outlier-rejected mean of the recent matches, or of the
+    // marks behind a single match, falling back to the last matched frequency
+    getEarEstimate(ear) {
+        const recent = this.app.matchHistory?.getRecent(ear) || [];
+        const fromMatches = recent.length >= 2;
+        const samples = fromMatches
+            ? recent.map(e => e.frequency)
+            : (recent[0]?.marks || []).map(m => m.corrected ?? m.raw).filter(f => f > 0);
+
+        if (samples.length > 0) {
+            const analysis = SweepEngine.analyzeMatches(samples);
+            return { ear, frequency: analysis.suggested, samples: samples.length, fromMatches, interval: analysis.interval, rejected: analysis.rejected.length };
+        }
+        const frequency = recent[0]?.frequency || this.app.matchedFrequencies?.[ear];
+        return frequency ? { ear, frequency, samples: 1, fromMatches: false, interval: null, rejected: 0 } : null;
+    }
+
+    describeEstimate(estimate) {
+        if (estimate.fromMatches) {
+            const left = estimate.rejected ? `, leaving out ${estimate.rejected} that disagreed` : '';
+            return `Average of your last ${estimate.samples} matches${left}.`;
+        }
+        if (estimate.samples > 1) return `Average of the ${estimate.samples} marks from your last match.`;
+        return 'Your last matched frequency.';
+    }
+
+    // Returns null until there is a match; otherwise
+    // { stereo, center, rightCenter, width, depth, warnings } where each setting is
+    // { value, recommended, reason, overridden }
+    recommend() {
+        const estimates = { left: this.getEarEstimate('left'), right: this.getEarEstimate('right') };
+        const found = [estimates.left, estimates.right].filter(Boolean);
+        if (found.length === 0) return null;
+
+        const apart = found.length === 2 ? Math.abs(1200 * Math.log2(estimates.left.frequency / estimates.right.frequency)) : 0;
+        const stereo = apart > this.stereoThresholdCents;
+        const warnings = [];
+
+        // Center
+        let center;
+        let rightCenter = null;
+        if (stereo) {
+            const reason = `Your ears were matched ${Math.round(apart)} cents apart, so each gets its own notch.`;
+            center = { value: estimates.left.frequency, reason: `${reason} Left: ${this.describeEstimate(estimates.left).toLowerCase()}` };
+            rightCenter = { value: estimates.right.frequency, reason: `Right: ${this.describeEstimate(estimates.right).toLowerCase()}` };
+        } else if (found.length === 2) {
+            center = {
+                value: Math.round(Math.sqrt(estimates.left.frequency * estimates.right.frequency)),
+                reason: `Midway between your left (${estimates.left.frequency} Hz) and right (${estimates.right.frequency} Hz) matches, which are close enough to share one notch.`
+            };
+        } else {
+            center = { value: found[0].frequency, reason: this.describeEstimate(found[0]) };
+        }
+
+        // Width: the protocol's one octave, widened to cover the 95% confidence interval of the
+        // pitch (and, with one shared notch, the gap between the ears)
+        const halfCents = Math.max(0, ...found.map(e => e.interval?.cents || 0));
+        const needed = (2 * halfCents + (stereo ? 0 : apart)) / 1200;
+        const octaves = this.widthOptions.find(w => w >= needed) ?? this.widthOptions[this.widthOptions.length - 1];
+        let widthReason;
+        if (octaves === this.widthOptions[0]) {
+            widthReason = 'One octave centered on your tinnitus pitch, the width used in tailor-made notched music training.';
+            widthReason += halfCents ? ` It covers the ±${halfCents} cent uncertainty in your pitch.` : ' Match again to check how steady your pitch is.';
+        } else {
+            const gap = !stereo && apart ? ' and the gap between your ears' : '';
+            widthReason = `Widened from the standard one octave to ${octaves} octaves to cover the ±${halfCents} cent uncertainty in your pitch${gap}.`;
+        }
+        if (needed > octaves) {
+            warnings.push(`Your matches are too spread out for even the widest notch (${needed.toFixed(1)} octaves needed). Try matching again.`);
+        }
+        const width = { value: String(octaves), reason: widthReason };
+
+        // Depth: always a full notch
+        const depth = { value: 'full', reason: 'The band is removed completely, as in the published protocols.' };
+
+        const result = this.applyOverrides({ stereo, center, rightCenter, width, depth, warnings }, NotchRecommendation.getOverrides());
+
+        // Checked against the hearing screening after overrides, so the warnings match what gets applied
+        const audiogram = typeof AudiogramScreening !== 'undefined' ? AudiogramScreening.getSaved() : null;
+        if (audiogram) {
+            const centers = { left: result.center.value, right: result.rightCenter?.value ?? result.center.value };
+            const hearingWarnings = this.checkHearing(audiogram, centers, result.width.value, ['left', 'right'].filter(ear => estimates[ear]));
+            result.warnings.push(...hearingWarnings);
+            if (hearingWarnings.length === 0 && !result.depth.overridden) result.depth.reason += ' Your hearing screening shows the notch edges are audible.';
+        }
+        return result;
+    }
+
+    // Lower and upper edge in Hz of a notch of the given width select value
+    static getEdges(center, width) {
+        if (typeof width === 'string' && width.startsWith('hz')) {
+            const hz = parseInt(width.substring(2));
+            return [Math.max(1, center - hz), center + hz];
+        }
+        const half = Math.pow(2, parseFloat(width) / 2);
+        return [center / half, center * half];
+    }
+
+    // Severe loss at the center or either edge of the notch, for the ears that were matched
+    checkHearing(audiogram, centers, width, ears) {
+        const severe = AudiogramScreening.severeLossDb;
+        const warnings = [];
+        ears.forEach(ear => {
+            const frequency = centers[ear];
+            const loss = AudiogramScreening.getLossAt(audiogram, ear, frequency);
+            if (loss !== null && loss >= severe) {
+                warnings.push(AudiogramScreening.formatWarning({ ear, frequency, loss }));
+                return;
+            }
+            NotchRecommendation.getEdges(frequency, width).forEach((edge, i) => {
+                const edgeLoss = AudiogramScreening.getLossAt(audiogram, ear, edge);
+                if (edgeLoss !== null && edgeLoss >= severe) {
+                    warnings.push(`The ${i ? 'upper' : 'lower'} edge of the notch (${Math.round(edge)} Hz) falls where your ${ear} ear hears poorly, so that side of the notch may do little.`);
+                }
+            });
+        });
+        return warnings;
+    }
+
+    applyOverrides(result, overrides) {
+        if (!overrides) {
+            ['center', 'rightCenter', 'width', 'depth'].forEach(key => {
+                if (result[key]) Object.assign(result[key], { recommended: result[key].value, overridden: false });
+            });
+            return result;
+        }
+        const reason = `Set by your clinician${overrides.note ? `: ${overrides.note}` : '.'}`;
+        ['center', 'rightCenter', 'width', 'depth'].forEach(key => {
+            const recommended = result[key]?.value ?? null;
+            const value = overrides[key];
+            if (value !== null && value !== undefined && value !== '') {
+                result[key] = { value, recommended, reason, overridden: true };
+            } else if (result[key]) {
+                Object.assign(result[key], { recommended, overridden: false });
+            }
+        });
+        result.stereo = !!result.rightCenter;
+        return result;
+    }
+
+    // Plain values for the player
+    getSettings(result = this.recommend()) {
+        if (!result) return null;
+        return {
+            center: result.center.value,
+            rightCenter: result.rightCenter?.value ?? null,
+            width: result.width.value,
+            depth: result.depth.value
+        };
+    }
+
+    static formatWidth(width) {
+        if (typeof width === 'string' && width.startsWith('hz')) return `±${width.substring(2)} Hz`;
+        const octaves = parseFloat(width);
+        return `${octaves} octave${octaves === 1 ? '' : 's'}`;
+    }
+
+    static formatDepth(depth) {
+        return depth === 'full' ? 'Full' : `${depth} dB`;
+    }
+
+    // -- Flow --
+    launch(mode = 'noise') {
+        this.mode = mode;
+        this.createModal();
+        this.render();
+    }
+
+    close() {
+        const modal = document.getElementById('notchRecommendationModal');
+        if (modal) {
+            modal.classList.add('closing');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    apply() {
+        const settings = this.getSettings();
+        if (settings) this.app.applyNotchSettings(this.mode, settings);
+        this.close();
+    }
+
+    saveOverridesFromForm() {
+        const read = id => document.getElementById(id)?.value.trim() || '';
+        const frequency = id => {
+            const value = parseInt(read(id));
+            return value >= 100 && value <= 15000 ? value : null;
+        };
+        const overrides = {
+            center: frequency('nrCenter'),
+            rightCenter: frequency('nrRightCenter'),
+            width: read('nrWidth') || null,
+            depth: read('nrDepth') || null,
+            note: read('nrNote'),
+            date: new Date().toISOString()
+        };
+        const any = ['center', 'rightCenter', 'width', 'depth'].some(key => overrides[key] !== null);
+        NotchRecommendation.saveOverrides(any ? overrides : null);
+        this.app.saveNotchOverridesToProfile?.();
+        this.render();
+    }
+
+    clearOverrides() {
+        NotchRecommendation.saveOverrides(null);
+        this.app.saveNotchOverridesToProfile?.();
+        this.render();
+    }
+
+    // -- UI --
+    createModal() {
+        document.getElementById('notchRecommendationModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'guided-modal';
+        modal.id = 'notchRecommendationModal';
+        modal.innerHTML = `
+            <div class="guided-modal-content">
+                <button class="guided-modal-close" id="nrClose">&times;</button>
+                <div class="guided-body" id="nrBody"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        requestAnimationFrame(() => modal.classList.add('open'));
+
+        document.getElementById('nrClose').addEventListener('click', () => this.close());
+    }
+
+    render() {
+        const body = document.getElementById('nrBody');
+        if (!body) return;
+
+        const result = this.recommend();
+        if (!result) {
+            body.innerHTML = `
+                <div class="guided-step">
+                    <div class="gs-icon">🎯</div>
+                    <h2>Recommended Notch Settings</h2>
+                    <p class="gs-desc">Match your tinnitus frequency first; the recommendation is built from your matches.</p>
+                    <button class="gs-btn primary" id="nrDone">OK</button>
+                </div>
+            `;
+            document.getElementById('nrDone').addEventListener('click', () => this.close());
+            return;
+        }
+
+        const overrides = NotchRecommendation.getOverrides() || {};
+        const row = (label, setting, format) => `
+            <div class="nr-row${setting.overridden ? ' overridden' : ''}">
+                <div class="nr-label">${label}</div>
+                <div class="nr-value">${format(setting.value)}${setting.overridden && setting.recommended !== null ? `<span class="nr-recommended">recommended ${format(setting.recommended)}</span>` : ''}</div>
+                <div class="nr-reason">${setting.reason}</div>
+            </div>
+        `;
+        const hz = value => `${value} Hz`;
+        const widthOptions = document.getElementById('notchWidth')?.innerHTML.replace(/ selected/g, '') || '';
+        const depthOptions = document.getElementById('notchDepth')?.innerHTML.replace(/ selected/g, '') || '';
+
+        body.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">✨</div>
+                <h2>Recommended Notch Settings</h2>
+                <div class="nr-list">
+                    ${row(result.stereo ? 'Left center' : 'Center', result.center, hz)}
+                    ${result.rightCenter ? row('Right center', result.rightCenter, hz) : ''}
+                    ${row('Width', result.width, NotchRecommendation.formatWidth)}
+                    ${row('Depth', result.depth, NotchRecommendation.formatDepth)}
+                </div>
+                ${this.mode === 'music' ? '<p class="gs-desc">Music is always notched fully, so depth only applies to notched noise.</p>' : ''}
+                ${result.warnings.map(w => `<div class="nr-warning">⚠️ ${w}</div>`).join('')}
+                <details class="nr-override"${NotchRecommendation.getOverrides() ? ' open' : ''}>
+                    <summary>Clinician override</summary>
+                    <p class="gs-desc">Leave a field blank to follow the recommendation.</p>
+                    <label>Center (Hz)<input type="number" id="nrCenter" min="100" max="15000" placeholder="${result.center.recommended}" value="${overrides.center ?? ''}"></label>
+                    <label>Right center (Hz)<input type="number" id="nrRightCenter" min="100" max="15000" placeholder="${result.rightCenter?.recommended ?? 'Same as left'}" value="${overrides.rightCenter ?? ''}"></label>
+                    <label>Width<select id="nrWidth"><option value="">Recommended</option>${widthOptions}</select></label>
+                    <label>Depth<select id="nrDepth"><option value="">Recommended</option>${depthOptions}</select></label>
+                    <label>Note<input type="text" id="nrNote" placeholder="Shown as the reason" value="${overrides.note ?? ''}"></label>
+                    <div class="gs-nav">
+                        <button class="gs-btn secondary" id="nrClearOverrides">Clear</button>
+                        <button class="gs-btn secondary" id="nrSaveOverrides">Save Override</button>
+                    </div>
+                </details>
+                <div class="gs-nav">
+                    <button class="gs-btn secondary" id="nrCancel">Close</button>
+                    <button class="gs-btn primary" id="nrApply">Apply to ${this.mode === 'music' ? 'Music' : 'Noise'}</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('nrWidth').value = overrides.width ?? '';
+        document.getElementById('nrDepth').value = overrides.depth ?? '';
+        document.getElementById('nrSaveOverrides').addEventListener('click', () => this.saveOverridesFromForm());
+        document.getElementById('nrClearOverrides').addEventListener('click', () => this.clearOverrides());
+        document.getElementById('nrCancel').addEventListener('click', () => this.close());
+        document.getElementById('nrApply').addEventListener('click', () => this.apply());
+    }
+}
+
+window.NotchRecommendation = NotchRecommendation;
+export { NotchRecommendation };
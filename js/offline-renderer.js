@@ -0,0 +1,267 @@
+/**
+ * Offline Renderer - Export notched therapy audio as WAV files
+ * Renders noise or music through the notch filter bank with an OfflineAudioContext
+ */
+
+class OfflineRenderer {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.channels = 2;
+        this.maxDuration = 20 * 60; // seconds - rendered audio is held in memory
+    }
+
+    /**
+     * Create an OfflineAudioContext for the requested length
+     */
+    createContext(durationSec, sampleRate = this.sampleRate) {
+        const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineCtx) {
+            throw new Error('Offline rendering is not supported in this browser');
+        }
+        const length = Math.max(1, Math.round(durationSec * sampleRate));
+        return new OfflineCtx(this.channels, length, sampleRate);
+    }
+
+    clampDuration(durationSec) {
+        const dur = parseFloat(durationSec);
+        if (!dur || dur <= 0) return 60;
+        return Math.min(dur, this.maxDuration);
+    }
+
+    /**
+     * Render colored noise through the notch filter bank
+     * @param {Object} options - { type, spectrum, volume, notch: { freq, width, depth }, duration }
+     *   spectrum is the { slope, bands } shape of 'custom' noise
+     * @returns {Promise<AudioBuffer>}
+     */
+    async renderNoise({ type = 'pink', spectrum = null, volume = 0.5, notch, duration = 60 }) {
+        const ctx = this.createContext(this.clampDuration(duration));
+        const engine = AudioEngine.forContext(ctx);
+
+        const source = engine.createNoiseSource(type, spectrum);
+        const output = this.connectNotch(engine, source, notch);
+        const gain = engine.createGain(volume);
+        output.connect(gain);
+        engine.connectToMaster(gain);
+        source.start(0);
+
+        return ctx.startRendering();
+    }
+
+    /**
+     * Render a decoded music buffer through the notch filter bank.
+     * The track loops when the requested duration is longer than the track.
+     * @param {Object} options - { buffer, volume, notch, duration }
+     * @returns {Promise<AudioBuffer>}
+     */
+    async renderMusic({ buffer, volume = 1, notch, duration = null }) {
+        if (!buffer) throw new Error('No music loaded');
+
+        const ctx = this.createContext(this.clampDuration(duration || buffer.duration));
+        const engine = AudioEngine.forContext(ctx);
+
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        const output = this.connectNotch(engine, source, notch);
+        const gain = engine.createGain(volume);
+        output.connect(gain);
+        engine.connectToMaster(gain);
+        source.start(0);
+
+        return ctx.startRendering();
+    }
+
+    /**
+     * Decode an audio File/Blob into an AudioBuffer at the render sample rate
+     */
+    async decodeFile(file) {
+        const data = await file.arrayBuffer();
+        const ctx = this.createContext(1);
+        return ctx.decodeAudioData(data);
+    }
+
+    /**
+     * Insert the notch filter bank after a source node. A notch with a
+     * rightFreq gets a separate bank per ear; any extra bands follow in series.
+     * Returns the node to continue the chain from.
+     */
+    connectNotch(engine, source, notch) {
+        if (!notch || !notch.freq) return source;
+        const bank = notch.rightFreq
+            ? engine.createStereoNotchFilterBank(notch.freq, notch.rightFreq, notch.width, notch.depth)
+            : engine.createNotchFilterBank(notch.freq, notch.width, notch.depth);
+        source.connect(bank.input);
+        if (!notch.bands?.length) return bank.output;
+        const extras = engine.createMultiNotchFilterBank(notch.bands);
+        bank.output.connect(extras.input);
+        return extras.output;
+    }
+
+    // -- WAV Encoding --
+
+    /**
+     * Encode an AudioBuffer as a PCM WAV file
+     * @param {AudioBuffer} buffer
+     * @param {Object} options - { bitDepth: 16|24, metadata: { title, comment, ... } }
+     * @returns {ArrayBuffer}
+     */
+    encodeWAV(buffer, { bitDepth = 16, metadata = {} } = {}) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported bit depth: ${bitDepth}`);
+        }
+
+        const numChannels = buffer.numberOfChannels;
+        const sampleRate = buffer.sampleRate;
+        const numFrames = buffer.length;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = numFrames * blockAlign;
+        const infoChunk = this.buildInfoChunk(metadata);
+        const totalSize = 12 + 24 + infoChunk.length + 8 + dataSize;
+
+        const out = new ArrayBuffer(totalSize);
+        const view = new DataView(out);
+        let offset = 0;
+
+        // RIFF header
+        this.writeString(view, offset, 'RIFF'); offset += 4;
+        view.setUint32(offset, totalSize - 8, true); offset += 4;
+        this.writeString(view, offset, 'WAVE'); offset += 4;
+
+        // fmt chunk
+        this.writeString(view, offset, 'fmt '); offset += 4;
+        view.setUint32(offset, 16, true); offset += 4;
+        view.setUint16(offset, 1, true); offset += 2; // PCM
+        view.setUint16(offset, numChannels, true); offset += 2;
+        view.setUint32(offset, sampleRate, true); offset += 4;
+        view.setUint32(offset, sampleRate * blockAlign, true); offset += 4;
+        view.setUint16(offset, blockAlign, true); offset += 2;
+        view.setUint16(offset, bitDepth, true); offset += 2;
+
+        // LIST/INFO metadata chunk
+        new Uint8Array(out, offset, infoChunk.length).set(infoChunk);
+        offset += infoChunk.length;
+
+        // data chunk
+        this.writeString(view, offset, 'data'); offset += 4;
+        view.setUint32(offset, dataSize, true); offset += 4;
+
+        const channelData = [];
+        for (let ch = 0; ch < numChannels; ch++) channelData.push(buffer.getChannelData(ch));
+
+        for (let i = 0; i < numFrames; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                const s = Math.max(-1, Math.min(1, channelData[ch][i]));
+                if (bitDepth === 16) {
+                    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+                    offset += 2;
+                } else {
+                    const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7FFFFF);
+                    view.setUint8(offset, v & 0xFF);
+                    view.setUint8(offset + 1, (v >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (v >> 16) & 0xFF);
+                    offset += 3;
+                }
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Build a RIFF LIST/INFO chunk. Each entry is null-terminated and word-aligned.
+     */
+    buildInfoChunk(metadata = {}) {
+        const tags = { title: 'INAM', artist: 'IART', comment: 'ICMT', date: 'ICRD', software: 'ISFT', genre: 'IGNR' };
+        const encoder = new TextEncoder();
+        const entries = [];
+
+        Object.entries(tags).forEach(([key, id]) => {
+            if (metadata[key] === undefined || metadata[key] === null || metadata[key] === '') return;
+            const text = encoder.encode(String(metadata[key]));
+            const size = text.length + 1; // null terminator
+            const padded = size + (size % 2);
+            const entry = new Uint8Array(8 + padded);
+            const view = new DataView(entry.buffer);
+            this.writeString(view, 0, id);
+            view.setUint32(4, size, true);
+            entry.set(text, 8);
+            entries.push(entry);
+        });
+
+        const bodySize = 4 + entries.reduce((sum, e) => sum + e.length, 0);
+        const chunk = new Uint8Array(8 + bodySize);
+        const view = new DataView(chunk.buffer);
+        this.writeString(view, 0, 'LIST');
+        view.setUint32(4, bodySize, true);
+        this.writeString(view, 8, 'INFO');
+        let offset = 12;
+        entries.forEach(e => { chunk.set(e, offset); offset += e.length; });
+        return chunk;
+    }
+
+    writeString(view, offset, str) {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    }
+
+    /**
+     * Describe notch settings for the WAV comment field
+     */
+    describeNotch(notch) {
+        if (!notch || !notch.freq) return 'Notch: off';
+        const width = typeof notch.width === 'string' && notch.width.startsWith('hz')
+            ? `±${parseInt(notch.width.substring(2))} Hz`
+            : `${parseFloat(notch.width) || 1} oct`;
+        const freq = notch.rightFreq
+            ? `L ${Math.round(notch.freq)} Hz / R ${Math.round(notch.rightFreq)} Hz`
+            : `${Math.round(notch.freq)} Hz`;
+        const extra = notch.bands?.length ? `; extra ${notch.bands.map(b => `${Math.round(b.freq)} Hz`).join(', ')}` : '';
+        const { db } = new AudioEngine().parseNotchDepth(notch.depth ?? 'full');
+        const depth = db === -Infinity ? 'full' : db === 0 ? 'bypass' : `${Math.round(db)} dB`;
+        return `Notch: ${freq}; width ${width}; depth ${depth}${extra}`;
+    }
+
+    buildMetadata(title, notch) {
+        return {
+            title,
+            artist: 'Tinnitussaurus',
+            comment: this.describeNotch(notch),
+            date: new Date().toISOString().slice(0, 10),
+            software: 'Tinnitussaurus'
+        };
+    }
+
+    // -- High-level export --
+
+    /**
+     * Render and encode notched noise as a WAV Blob
+     */
+    async exportNoise({ type, spectrum, volume, notch, duration, bitDepth = 16 }) {
+        const buffer = await this.renderNoise({ type, spectrum, volume, notch, duration });
+        const title = `Notched ${type} noise`;
+        const wav = this.encodeWAV(buffer, { bitDepth, metadata: this.buildMetadata(title, notch) });
+        return new Blob([wav], { type: 'audio/wav' });
+    }
+
+    /**
+     * Render and encode a notched music file as a WAV Blob
+     */
+    async exportMusic({ file, volume, notch, duration, bitDepth = 16 }) {
+        const buffer = await this.decodeFile(file);
+        const rendered = await this.renderMusic({ buffer, volume, notch, duration });
+        const title = `Notched - ${(file.name || 'music').replace(/\.[^.]+$/, '')}`;
+        const wav = this.encodeWAV(rendered, { bitDepth, metadata: this.buildMetadata(title, notch) });
+        return new Blob([wav], { type: 'audio/wav' });
+    }
+
+    /**
+     * Build a descriptive file name for an export
+     */
+    static fileName(label, notch) {
+        const freq = notch?.freq ? `-${Math.round(notch.freq)}hz` : '';
+        return `tinnitussaurus-${label}${freq}.wav`.replace(/\s+/g, '-').toLowerCase();
+    }
+}
+window.OfflineRenderer = OfflineRenderer;
+export { OfflineRenderer };
@@ -0,0 +1,385 @@
+/**
+ * Forced-Choice Pitch Matching
+ * Bracketing flow: Select Ear → Pick the closer of two tones → Octave check → Save
+ * Each answer halves the search range (in octaves). The candidate is then compared
+ * with half and double its frequency, since octave errors are common in tinnitus matching.
+ */
+
+class PitchMatchingWizard {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+
+        this.minFreq = 250;
+        this.maxFreq = 12000;
+        this.targetWidth = 1 / 6;    // stop bracketing once the range is narrower than this (octaves)
+        this.maxTrials = 14;
+        this.toneDuration = 1;       // seconds
+        this.toneGap = 0.4;          // seconds between the two tones
+        this.volume = 0.3;
+        this.random = Math.random;   // presentation order; replaceable for tests
+
+        this.selectedEar = 'both';
+        this.isActive = false;
+        this.nodes = [];
+        this.replyTimer = null;
+
+        this.onComplete = null;
+        this.reset();
+    }
+
+    reset() {
+        this.phase = 'bracketing'; // 'bracketing' | 'octave' | 'done'
+        this.low = Math.log2(this.minFreq);
+        this.high = Math.log2(this.maxFreq);
+        this.trials = [];
+        this.currentTrial = null;
+        this.candidate = null;
+        this.octaveQueue = [];
+        this.result = null;
+    }
+
+    launch() {
+        this.isActive = true;
+        this.reset();
+        this.createModal();
+        this.showStep(0);
+    }
+
+    close() {
+        this.stopTones();
+        this.audioEngine.stopSource('pitch-match');
+        this.isActive = false;
+        const modal = document.getElementById('pitchMatchingModal');
+        if (modal) {
+            modal.classList.add('closing');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    // -- Protocol --
+
+    // Next pair of tones at 1/4 and 3/4 of the current range, in random order
+    nextBracketTrial() {
+        const width = this.high - this.low;
+        const lower = Math.round(Math.pow(2, this.low + width / 4));
+        const upper = Math.round(Math.pow(2, this.low + width * 3 / 4));
+        const freqs = this.random() < 0.5 ? [lower, upper] : [upper, lower];
+        this.currentTrial = { phase: 'bracketing', freqs, lower, upper };
+        return this.currentTrial;
+    }
+
+    /**
+     * Record the user's answer to the current trial
+     * @param {number|null} choice - index of the chosen tone (0 or 1), or null for "can't tell"
+     */
+    answer(choice) {
+        const trial = this.currentTrial;
+        if (!trial) return;
+        const chosen = choice === null ? null : trial.freqs[choice];
+        this.trials.push({ ...trial, chosen });
+
+        if (trial.phase === 'bracketing') {
+            const mid = (this.low + this.high) / 2;
+            const width = this.high - this.low;
+            if (chosen === trial.lower) this.high = mid;
+            else if (chosen === trial.upper) this.low = mid;
+            else { this.low += width / 4; this.high -= width / 4; } // the match lies between the two
+
+            const bracketCount = this.trials.filter(t => t.phase === 'bracketing').length;
+            if (this.high - this.low <= this.targetWidth || bracketCount >= this.maxTrials) {
+                this.startOctaveCheck();
+            } else {
+                this.nextBracketTrial();
+            }
+            return;
+        }
+
+        if (this.octaveQueue.length) {
+            this.currentTrial = this.octaveQueue.shift();
+        } else {
+            this.finish();
+        }
+    }
+
+    // Compare the candidate with half and double its frequency, each in both presentation orders
+    startOctaveCheck() {
+        this.phase = 'octave';
+        this.candidate = Math.round(Math.pow(2, (this.low + this.high) / 2));
+        const neighbors = [
+            { comparison: 'half', freq: Math.round(this.candidate / 2) },
+            { comparison: 'double', freq: Math.round(this.candidate * 2) }
+        ].filter(n => n.freq >= 100 && n.freq <= 16000);
+
+        const forward = neighbors.map(n => ({ phase: 'octave', comparison: n.comparison, neighbor: n.freq, freqs: [this.candidate, n.freq] }));
+        const reverse = neighbors.map(n => ({ phase: 'octave', comparison: n.comparison, neighbor: n.freq, freqs: [n.freq, this.candidate] }));
+        this.octaveQueue = [...forward, ...reverse];
+        this.currentTrial = this.octaveQueue.shift();
+    }
+
+    finish() {
+        this.phase = 'done';
+        this.currentTrial = null;
+
+        const bracketTrials = this.trials.filter(t => t.phase === 'bracketing');
+        const decisiveness = bracketTrials.length
+            ? bracketTrials.filter(t => t.chosen !== null).length / bracketTrials.length
+            : 1;
+
+        // A comparison is consistent when both presentation orders got the same answer
+        const comparisons = ['half', 'double'].map(comparison => {
+            const answers = this.trials.filter(t => t.phase === 'octave' && t.comparison === comparison);
+            if (!answers.length) return null;
+            const neighborPicks = answers.filter(t => t.chosen === t.neighbor).length;
+            return {
+                comparison,
+                neighbor: answers[0].neighbor,
+                consistent: neighborPicks === 0 || neighborPicks === answers.length,
+                prefersNeighbor: neighborPicks === answers.length
+            };
+        }).filter(Boolean);
+
+        const preferred = comparisons.filter(c => c.prefersNeighbor);
+        // Preferring both half and double contradicts itself, so the octave check fails
+        const octaveConsistency = preferred.length > 1 || !comparisons.length
+            ? 0
+            : comparisons.filter(c => c.consistent).length / comparisons.length;
+        const octaveCorrected = preferred.length === 1;
+
+        this.result = {
+            frequency: octaveCorrected ? preferred[0].neighbor : this.candidate,
+            candidate: this.candidate,
+            ear: this.selectedEar,
+            reliability: Math.round(100 * (0.6 * octaveConsistency + 0.4 * decisiveness)),
+            octaveCorrected,
+            trials: this.trials.length,
+            method: 'forced-choice',
+            timestamp: new Date().toISOString()
+        };
+        return this.result;
+    }
+
+    // -- Audio --
+
+    playTrial() {
+        const trial = this.currentTrial;
+        if (!trial) return 0;
+        this.stopTones();
+        this.audioEngine.init();
+        // Stays registered between trials so therapy doesn't resume under the next pair
+        this.audioEngine.startSource('pitch-match', { kind: 'matching', label: 'Pitch matching', stop: () => this.stopTones() });
+
+        const pan = this.selectedEar === 'left' ? -1 : this.selectedEar === 'right' ? 1 : 0;
+        const start = this.audioEngine.currentTime + 0.05;
+        trial.freqs.forEach((freq, i) => {
+            const t = start + i * (this.toneDuration + this.toneGap);
+            const osc = this.audioEngine.createOscillator(freq, 'sine');
+            const gain = this.audioEngine.createGain(0);
+            const panner = this.audioEngine.createPanner(pan);
+            // Short ramps so onset clicks don't give away which tone is higher
+            gain.gain.setValueAtTime(0, t);
+            gain.gain.linearRampToValueAtTime(this.volume, t + 0.02);
+            gain.gain.setValueAtTime(this.volume, t + this.toneDuration - 0.02);
+            gain.gain.linearRampToValueAtTime(0, t + this.toneDuration);
+            osc.connect(gain);
+            gain.connect(panner);
+            this.audioEngine.connectToMaster(panner);
+            osc.start(t);
+            osc.stop(t + this.toneDuration);
+            this.nodes.push(osc);
+        });
+
+        // Seconds until the pair has finished playing
+        return 0.05 + trial.freqs.length * this.toneDuration + this.toneGap;
+    }
+
+    stopTones() {
+        this.nodes.forEach(osc => {
+            try { osc.stop(); } catch {}
+            try { osc.disconnect(); } catch {}
+        });
+        this.nodes = [];
+        if (this.replyTimer) {
+            clearTimeout(this.replyTimer);
+            this.replyTimer = null;
+        }
+    }
+
+    // -- UI --
+
+    createModal() {
+        document.getElementById('pitchMatchingModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'guided-modal';
+        modal.id = 'pitchMatchingModal';
+        modal.innerHTML = `
+            <div class="guided-modal-content">
+                <button class="guided-modal-close" id="pmClose">&times;</button>
+                <div class="guided-body" id="pmBody"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        requestAnimationFrame(() => modal.classList.add('open'));
+
+        document.getElementById('pmClose').addEventListener('click', () => this.close());
+    }
+
+    showStep(step) {
+        const body = document.getElementById('pmBody');
+        if (!body) return;
+        switch (step) {
+            case 0: this.renderIntro(body); break;
+            case 1: this.renderTrial(body); break;
+            case 2: this.renderResult(body); break;
+        }
+    }
+
+    // -- Step 0: Intro & Ear Selection --
+    renderIntro(el) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">🎯</div>
+                <h2>Forced-Choice Pitch Match</h2>
+                <p class="gs-desc">You'll hear two tones. Pick the one that sounds closer to your tinnitus. We'll narrow it down, then check that the match isn't an octave off.</p>
+                <div class="gs-ear-options">
+                    <button class="gs-ear-btn ${this.selectedEar === 'left' ? 'selected' : ''}" data-ear="left">
+                        <span class="gs-ear-label">Left</span>
+                    </button>
+                    <button class="gs-ear-btn ${this.selectedEar === 'both' ? 'selected' : ''}" data-ear="both">
+                        <span class="gs-ear-label">Both</span>
+                    </button>
+                    <button class="gs-ear-btn ${this.selectedEar === 'right' ? 'selected' : ''}" data-ear="right">
+                        <span class="gs-ear-label">Right</span>
+                    </button>
+                </div>
+                <button class="gs-btn primary" id="pmStart">Start</button>
+            </div>
+        `;
+        el.querySelectorAll('.gs-ear-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.selectedEar = e.currentTarget.dataset.ear;
+                el.querySelectorAll('.gs-ear-btn').forEach(b => b.classList.remove('selected'));
+                e.currentTarget.classList.add('selected');
+            });
+        });
+        document.getElementById('pmStart').addEventListener('click', () => {
+            this.reset();
+            this.nextBracketTrial();
+            this.showStep(1);
+        });
+    }
+
+    // -- Step 1: Trials --
+    renderTrial(el) {
+        const isOctave = this.phase === 'octave';
+        el.innerHTML = `
+            <div class="guided-step">
+                <h2>${isOctave ? 'Octave Check' : 'Which tone is closer?'}</h2>
+                <p class="gs-desc">${isOctave
+                    ? 'One of these tones is an octave away from your match. Pick the one that sounds more like your tinnitus.'
+                    : 'Listen to both tones, then pick the one closer to your tinnitus.'}</p>
+                <div class="pm-trial-count">Trial ${this.trials.length + 1}</div>
+                <div class="pm-choices">
+                    <button class="gs-btn secondary pm-choice" data-choice="0" disabled>1️⃣ First</button>
+                    <button class="gs-btn secondary pm-choice" data-choice="1" disabled>2️⃣ Second</button>
+                </div>
+                <div class="gs-nav">
+                    <button class="gs-btn secondary" id="pmReplay">🔁 Replay</button>
+                    ${isOctave ? '' : '<button class="gs-btn secondary pm-choice" id="pmUnsure" disabled>Can\'t tell</button>'}
+                </div>
+            </div>
+        `;
+
+        const choices = el.querySelectorAll('.pm-choice');
+        const play = () => {
+            choices.forEach(btn => btn.disabled = true);
+            const seconds = this.playTrial();
+            this.replyTimer = setTimeout(() => choices.forEach(btn => btn.disabled = false), seconds * 1000);
+        };
+
+        choices.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const choice = e.currentTarget.dataset.choice;
+                this.stopTones();
+                this.answer(choice === undefined ? null : parseInt(choice));
+                this.showStep(this.phase === 'done' ? 2 : 1);
+            });
+        });
+        document.getElementById('pmReplay').addEventListener('click', play);
+        play();
+    }
+
+    // -- Step 2: Result --
+    renderResult(el) {
+        const r = this.result;
+        const confLabel = r.reliability < 40 ? 'Low' : r.reliability < 75 ? 'Medium' : 'High';
+        const confColor = r.reliability < 40 ? '#ff4444' : r.reliability < 75 ? '#ffaa00' : '#00cc66';
+
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">✅</div>
+                <h2>Your Tinnitus Frequency</h2>
+                <div class="gs-result-card">
+                    <div class="gs-result-freq">${r.frequency} Hz</div>
+                    <div class="gs-result-ear">${r.ear === 'both' ? 'Both Ears' : r.ear === 'left' ? 'Left Ear' : 'Right Ear'}</div>
+                    <div class="gs-confidence">
+                        <div class="gs-conf-bar">
+                            <div class="gs-conf-fill" style="width:${r.reliability}%; background:${confColor};"></div>
+                        </div>
+                        <span class="gs-conf-label">${confLabel} Reliability (${r.reliability}%)</span>
+                    </div>
+                    ${r.octaveCorrected ? `<div class="gs-result-matches">Octave corrected from ${r.candidate} Hz</div>` : ''}
+                </div>
+                <p class="gs-desc">${r.reliability < 40
+                    ? 'Your answers were not very consistent. Consider repeating the test.'
+                    : 'This frequency will be used as the notch center for your therapy sessions.'}</p>
+                <div class="gs-nav">
+                    <button class="gs-btn secondary" id="pmRetry">Try Again</button>
+                    <button class="gs-btn primary" id="pmSave">Save</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('pmRetry').addEventListener('click', () => {
+            this.reset();
+            this.showStep(0);
+        });
+        document.getElementById('pmSave').addEventListener('click', () => this.saveResult(r));
+    }
+
+    saveResult(result) {
+        const { frequency: freq, ear } = result;
+        if (ear === 'left' || ear === 'both') {
+            this.app.matchedFrequencies.left = freq;
+            if (this.app.els?.leftMatchedFreq) this.app.els.leftMatchedFreq.textContent = `${freq} Hz`;
+        }
+        if (ear === 'right' || ear === 'both') {
+            this.app.matchedFrequencies.right = freq;
+            if (this.app.els?.rightMatchedFreq) this.app.els.rightMatchedFreq.textContent = `${freq} Hz`;
+        }
+
+        // Retune the notches through the app so playing filters follow - in per-ear mode only
+        // the matched ear's notch moves
+        const { noiseState, musicState } = this.app;
+        if (ear !== 'right' || !noiseState.stereoNotch) this.app.setNoiseNotchFreq(freq);
+        if (ear !== 'left') this.app.setNoiseNotchFreqRight(freq);
+        if (ear !== 'right' || !musicState.stereoNotch) this.app.setMusicNotchFreq(freq);
+        if (ear !== 'left') this.app.setMusicNotchFreqRight(freq);
+
+        this.app.matchHistory?.add({ method: 'forced-choice', ear, frequency: freq, confidence: result.reliability });
+
+        this.app.autoSaveState();
+        this.app.dashboardManager?.updateMatchedFrequency();
+
+        if (this.app.wizardManager?.isWizardMode) {
+            this.app.wizardManager.completeCurrentStep('frequency-marked');
+        }
+
+        if (this.onComplete) this.onComplete(result);
+
+        this.close();
+    }
+}
+
+window.PitchMatchingWizard = PitchMatchingWizard;
+export { PitchMatchingWizard };
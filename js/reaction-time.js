@@ -0,0 +1,140 @@
+/**
+ * Reaction Time Calibration
+ * Plays short clicks at random intervals and times the user's taps against the
+ * audio clock. The median delay is saved so sweep marks can be taken back to
+ * where the tone was when the user actually heard the match.
+ */
+
+class ReactionTimeCalibration {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+
+        this.trials = 5;
+        this.minGap = 1.5;         // seconds before a click
+        this.maxGap = 3.5;
+        this.minValid = 0.1;       // faster taps are anticipations
+        this.maxValid = 1.0;       // slower taps were missed clicks
+        this.clickFreq = 2000;
+        this.clickVolume = 0.3;
+
+        this.samples = [];
+        this.clickTime = null;     // audio time of the pending click
+        this.click = null;
+        this.isRunning = false;
+
+        this.onProgress = null;
+        this.onComplete = null;
+        this.onInterrupt = null;   // another matching source took over
+        this.reactionTime = ReactionTimeCalibration.getSaved();
+    }
+
+    // -- Storage --
+    static getSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tinnitusReactionTime'));
+            return saved?.reactionTime || 0;
+        } catch {
+            return 0;
+        }
+    }
+
+    save() {
+        localStorage.setItem('tinnitusReactionTime', JSON.stringify({
+            reactionTime: this.reactionTime,
+            samples: this.samples,
+            date: new Date().toISOString()
+        }));
+    }
+
+    // -- Flow --
+    start() {
+        this.audioEngine.init();
+        this.audioEngine.startSource('reaction-time', { kind: 'matching', label: 'Reaction time calibration', stop: () => this.interrupt() });
+        this.samples = [];
+        this.isRunning = true;
+        this.scheduleClick();
+    }
+
+    cancel() {
+        this.isRunning = false;
+        this.stopClick();
+        this.clickTime = null;
+        this.audioEngine.stopSource('reaction-time');
+    }
+
+    interrupt() {
+        this.cancel();
+        if (this.onInterrupt) this.onInterrupt();
+    }
+
+    scheduleClick() {
+        const gap = this.minGap + Math.random() * (this.maxGap - this.minGap);
+        this.clickTime = this.audioEngine.currentTime + gap;
+        this.playClick(this.clickTime);
+    }
+
+    // Returns the measured delay in seconds, or null if the tap was discarded
+    tap() {
+        if (!this.isRunning || this.clickTime === null) return null;
+
+        const delay = this.audioEngine.currentTime - this.clickTime;
+        if (delay < this.minValid) {
+            // Tapped before (or too soon after) the click: try this trial again
+            this.stopClick();
+            this.scheduleClick();
+            return null;
+        }
+
+        const valid = delay <= this.maxValid;
+        if (valid) this.samples.push(delay);
+        if (this.onProgress) this.onProgress(this.samples.length, this.trials);
+
+        if (this.samples.length >= this.trials) {
+            this.finish();
+        } else {
+            this.scheduleClick();
+        }
+        return valid ? delay : null;
+    }
+
+    finish() {
+        this.cancel();
+        this.reactionTime = ReactionTimeCalibration.median(this.samples);
+        this.save();
+        if (this.onComplete) this.onComplete(this.reactionTime);
+        return this.reactionTime;
+    }
+
+    static median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    // -- Audio --
+    playClick(time) {
+        this.stopClick();
+        const osc = this.audioEngine.createOscillator(this.clickFreq, 'square');
+        const gain = this.audioEngine.createGain(0);
+        osc.connect(gain);
+        this.audioEngine.connectToMaster(gain);
+
+        gain.gain.setValueAtTime(this.clickVolume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.03);
+        osc.start(time);
+        osc.stop(time + 0.04);
+        this.click = osc;
+    }
+
+    stopClick() {
+        if (this.click) {
+            try { this.click.stop(); } catch {}
+            try { this.click.disconnect(); } catch {}
+            this.click = null;
+        }
+    }
+}
+
+window.ReactionTimeCalibration = ReactionTimeCalibration;
+export { ReactionTimeCalibration };
@@ -0,0 +1,307 @@
+/**
+ * Residual Inhibition Test
+ * Flow: Setup → Narrowband noise at the matched frequency → Rate relief → Tap when tinnitus returns → Save
+ * Results are kept in a dated history so relief can be tracked over time.
+ */
+
+class ResidualInhibitionTest {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+
+        this.selectedEar = 'both';
+        this.duration = 60;       // seconds of masking stimulus
+        this.bandwidth = 0.5;     // octaves
+        this.volume = 0.3;
+        this.fadeTime = 2;        // seconds
+
+        this.frequency = 4000;
+        this.relief = null;       // 'complete' | 'partial' | 'none'
+        this.stimulusEndedAt = null;
+        this.result = null;
+
+        this.noise = null;
+        this.gainNode = null;
+        this.timer = null;
+        this.isActive = false;
+
+        this.onComplete = null;
+        this.loadHistory();
+    }
+
+    // -- Storage --
+    loadHistory() {
+        try {
+            this.history = JSON.parse(localStorage.getItem('tinnitusResidualInhibition')) || [];
+        } catch {
+            this.history = [];
+        }
+    }
+
+    saveHistory() {
+        localStorage.setItem('tinnitusResidualInhibition', JSON.stringify(this.history));
+    }
+
+    getHistory() {
+        return [...this.history];
+    }
+
+    // -- Flow --
+    launch() {
+        this.isActive = true;
+        this.relief = null;
+        this.result = null;
+        this.createModal();
+        this.showStep(0);
+    }
+
+    close() {
+        this.stopStimulus();
+        this.audioEngine.stopSource('residual-inhibition');
+        this.isActive = false;
+        const modal = document.getElementById('residualInhibitionModal');
+        if (modal) {
+            modal.classList.add('closing');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    getMatchedFrequency() {
+        const { left, right } = this.app.matchedFrequencies;
+        if (this.selectedEar === 'right') return right || left || 4000;
+        return left || right || 4000;
+    }
+
+    // -- Audio --
+    startStimulus() {
+        this.stopStimulus();
+        this.audioEngine.init();
+        this.frequency = this.getMatchedFrequency();
+        // Held until the test closes: therapy sound during the relief timing would mask the result
+        this.audioEngine.startSource('residual-inhibition', { kind: 'matching', label: 'Residual inhibition test', stop: () => this.stopStimulus() });
+
+        const pan = this.selectedEar === 'left' ? -1 : this.selectedEar === 'right' ? 1 : 0;
+        const now = this.audioEngine.currentTime;
+        const end = now + this.duration;
+
+        this.noise = this.audioEngine.createNarrowbandNoise(this.frequency, this.bandwidth);
+        this.gainNode = this.audioEngine.createGain(0);
+        const panner = this.audioEngine.createPanner(pan);
+        this.noise.output.connect(this.gainNode);
+        this.gainNode.connect(panner);
+        this.audioEngine.connectToMaster(panner);
+
+        this.gainNode.gain.setValueAtTime(0, now);
+        this.gainNode.gain.linearRampToValueAtTime(this.volume, now + this.fadeTime);
+        this.gainNode.gain.setValueAtTime(this.volume, end - this.fadeTime);
+        this.gainNode.gain.linearRampToValueAtTime(0, end);
+        this.noise.start(now);
+        this.noise.stop(end);
+
+        this.timer = setTimeout(() => this.onStimulusEnd(), this.duration * 1000);
+    }
+
+    stopStimulus() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.noise) {
+            try { this.noise.stop(); } catch {}
+            try { this.noise.source.disconnect(); } catch {}
+            this.noise = null;
+        }
+        this.gainNode = null;
+    }
+
+    onStimulusEnd() {
+        this.stopStimulus();
+        this.stimulusEndedAt = Date.now();
+        this.showStep(2);
+    }
+
+    // -- Results --
+    rateRelief(relief) {
+        this.relief = relief;
+        if (relief === 'none') {
+            this.recordReturn();
+        } else {
+            this.showStep(3);
+        }
+    }
+
+    recordReturn() {
+        const seconds = this.relief === 'none' ? 0 : Math.round((Date.now() - this.stimulusEndedAt) / 1000);
+        this.result = {
+            date: new Date().toISOString(),
+            ear: this.selectedEar,
+            frequency: this.frequency,
+            bandwidth: this.bandwidth,
+            stimulusDuration: this.duration,
+            relief: this.relief,
+            reliefSeconds: seconds
+        };
+        this.showStep(4);
+        return this.result;
+    }
+
+    saveResult() {
+        if (!this.result) return null;
+        this.history.push(this.result);
+        this.saveHistory();
+        if (this.onComplete) this.onComplete(this.result);
+        this.close();
+        return this.result;
+    }
+
+    static formatDuration(seconds) {
+        const m = Math.floor(seconds / 60);
+        const s = seconds % 60;
+        return m ? `${m}m ${s}s` : `${s}s`;
+    }
+
+    // -- UI --
+    createModal() {
+        document.getElementById('residualInhibitionModal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'guided-modal';
+        modal.id = 'residualInhibitionModal';
+        modal.innerHTML = `
+            <div class="guided-modal-content">
+                <button class="guided-modal-close" id="riClose">&times;</button>
+                <div class="guided-body" id="riBody"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        requestAnimationFrame(() => modal.classList.add('open'));
+
+        document.getElementById('riClose').addEventListener('click', () => this.close());
+    }
+
+    showStep(step) {
+        this.currentStep = step;
+        const body = document.getElementById('riBody');
+        if (!body) return;
+
+        switch (step) {
+            case 0: this.renderSetup(body); break;
+            case 1: this.renderStimulus(body); break;
+            case 2: this.renderRelief(body); break;
+            case 3: this.renderWaiting(body); break;
+            case 4: this.renderResult(body); break;
+        }
+    }
+
+    // -- Step 0: Setup --
+    renderSetup(el) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">⏱️</div>
+                <h2>Residual Inhibition Test</h2>
+                <p class="gs-desc">A band of noise at your matched frequency will play. When it stops, notice whether your tinnitus is quieter and tap when it comes back.</p>
+                <div class="gs-ear-options">
+                    <button class="gs-ear-btn ${this.selectedEar === 'left' ? 'selected' : ''}" data-ear="left">
+                        <span class="gs-ear-label">Left</span>
+                    </button>
+                    <button class="gs-ear-btn ${this.selectedEar === 'both' ? 'selected' : ''}" data-ear="both">
+                        <span class="gs-ear-label">Both</span>
+                    </button>
+                    <button class="gs-ear-btn ${this.selectedEar === 'right' ? 'selected' : ''}" data-ear="right">
+                        <span class="gs-ear-label">Right</span>
+                    </button>
+                </div>
+                <div class="control-group">
+                    <label for="riDuration">Noise duration</label>
+                    <select id="riDuration">
+                        ${[30, 60, 120, 180].map(s => `<option value="${s}" ${s === this.duration ? 'selected' : ''}>${ResidualInhibitionTest.formatDuration(s)}</option>`).join('')}
+                    </select>
+                </div>
+                <button class="gs-btn primary" id="riStart">Start</button>
+            </div>
+        `;
+        el.querySelectorAll('.gs-ear-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.selectedEar = e.currentTarget.dataset.ear;
+                el.querySelectorAll('.gs-ear-btn').forEach(b => b.classList.remove('selected'));
+                e.currentTarget.classList.add('selected');
+            });
+        });
+        document.getElementById('riDuration').addEventListener('change', (e) => { this.duration = parseInt(e.target.value); });
+        document.getElementById('riStart').addEventListener('click', () => {
+            this.startStimulus();
+            this.showStep(1);
+        });
+    }
+
+    // -- Step 1: Stimulus --
+    renderStimulus(el) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">🌊</div>
+                <h2>Listening…</h2>
+                <p class="gs-desc">Noise centered on ${this.frequency} Hz. Relax and keep listening until it stops.</p>
+                <div class="gs-nav">
+                    <button class="gs-btn secondary" id="riStopEarly">Stop Now</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('riStopEarly').addEventListener('click', () => this.onStimulusEnd());
+    }
+
+    // -- Step 2: Rate Relief --
+    renderRelief(el) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <h2>How is your tinnitus now?</h2>
+                <div class="gs-nav">
+                    <button class="gs-btn primary" data-relief="complete">Gone</button>
+                    <button class="gs-btn primary" data-relief="partial">Quieter</button>
+                    <button class="gs-btn secondary" data-relief="none">No Change</button>
+                </div>
+            </div>
+        `;
+        el.querySelectorAll('[data-relief]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.rateRelief(e.currentTarget.dataset.relief));
+        });
+    }
+
+    // -- Step 3: Wait for Return --
+    renderWaiting(el) {
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">🤫</div>
+                <h2>Enjoy the quiet</h2>
+                <p class="gs-desc">Tap the button as soon as your tinnitus is back to its usual level.</p>
+                <button class="gs-btn primary" id="riReturned">My Tinnitus Is Back</button>
+            </div>
+        `;
+        document.getElementById('riReturned').addEventListener('click', () => this.recordReturn());
+    }
+
+    // -- Step 4: Result --
+    renderResult(el) {
+        const r = this.result;
+        const summary = r.relief === 'none'
+            ? 'No residual inhibition this time.'
+            : `${r.relief === 'complete' ? 'Complete' : 'Partial'} relief for ${ResidualInhibitionTest.formatDuration(r.reliefSeconds)}`;
+
+        el.innerHTML = `
+            <div class="guided-step">
+                <div class="gs-icon">✅</div>
+                <h2>Test Complete</h2>
+                <div class="gs-result-card">
+                    <div class="gs-result-ear">${r.frequency} Hz · ${ResidualInhibitionTest.formatDuration(r.stimulusDuration)} of noise</div>
+                    <div class="gs-result-matches">${summary}</div>
+                </div>
+                <div class="gs-nav">
+                    <button class="gs-btn secondary" id="riRetry">Start Over</button>
+                    <button class="gs-btn primary" id="riSave">Save</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('riRetry').addEventListener('click', () => this.showStep(0));
+        document.getElementById('riSave').addEventListener('click', () => this.saveResult());
+    }
+}
+
+window.ResidualInhibitionTest = ResidualInhibitionTest;
+export { ResidualInhibitionTest };
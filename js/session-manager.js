@@ -2,9 +2,13 @@ class SessionManager {
     constructor() {
         this.isRunning = false; this.isPaused = false; this.startTime = null; this.pausedTime = 0;
         this.targetDuration = 60 * 60 * 1000; this.timerInterval = null; this.currentSession = null;
-        this.callbacks = { onTick: null, onComplete: null, onStart: null, onStop: null };
+        this.callbacks = { onTick: null, onComplete: null, onStart: null, onStop: null, onDoseWarning: null };
         this.wakeLock = null; // Wake Lock API to prevent screen sleep
+        // Sound exposure: sampled from the estimated output level (dB SPL) while anything plays
+        this.levelSource = null; this.exposureInterval = null; this.exposureSampleMs = 5000;
+        this.doseWarnings = [50, 80, 100]; // % of the daily limit
         this.loadHistory();
+        this.loadDoseHistory();
     }
     loadHistory() { const saved = localStorage.getItem('tinnitusSessionHistory'); this.history = saved ? JSON.parse(saved) : []; }
     saveHistory() { localStorage.setItem('tinnitusSessionHistory', JSON.stringify(this.history)); }
@@ -88,6 +92,38 @@ class SessionManager {
             weekSessions: weekSessions.length, weekTime, weekTimeFormatted: SessionManager.formatTime(weekTime), streak };
     }
     on(event, cb) { if (this.callbacks.hasOwnProperty(event)) this.callbacks[event] = cb; }
+
+    // -- Sound Exposure --
+    // Daily noise dose per NIOSH: 85 dBA for 8 hours is 100%, and every 3 dB louder halves the
+    // allowed time. One record per local day: { date: 'YYYY-MM-DD', dose, minutes, peakDb, warned }
+    loadDoseHistory() { const saved = localStorage.getItem('tinnitusDoseHistory'); this.doseHistory = saved ? JSON.parse(saved) : []; }
+    saveDoseHistory() { localStorage.setItem('tinnitusDoseHistory', JSON.stringify(this.doseHistory)); }
+    getDoseHistory(days = 7) { return this.doseHistory.slice(-days); }
+    getTodayDose() { return this.doseHistory.find(d => d.date === SessionManager.dayKey(new Date()))?.dose || 0; }
+    static dayKey(date) { return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`; }
+    static getAllowedTime(levelDb) { return 8 * 60 * 60 * 1000 / Math.pow(2, (levelDb - 85) / 3); }
+    // levelSource() returns the current level in dB SPL, or null when nothing is playing
+    setLevelSource(fn) {
+        this.levelSource = fn;
+        if (this.exposureInterval) clearInterval(this.exposureInterval);
+        this.exposureInterval = fn ? setInterval(() => this.sampleExposure(), this.exposureSampleMs) : null;
+    }
+    sampleExposure() { const level = this.levelSource?.(); if (level !== null && level !== undefined && Number.isFinite(level)) this.addExposure(level, this.exposureSampleMs); }
+    addExposure(levelDb, ms, date = new Date()) {
+        const key = SessionManager.dayKey(date);
+        let day = this.doseHistory.find(d => d.date === key);
+        if (!day) { day = { date: key, dose: 0, minutes: 0, peakDb: null, warned: [] }; this.doseHistory.push(day); }
+        const before = day.dose;
+        day.dose += 100 * ms / SessionManager.getAllowedTime(levelDb);
+        day.minutes += ms / 60000;
+        day.peakDb = day.peakDb === null ? Math.round(levelDb) : Math.max(day.peakDb, Math.round(levelDb));
+        // Warn once per day as each limit is crossed
+        const crossed = this.doseWarnings.filter(w => before < w && day.dose >= w && !day.warned.includes(w));
+        day.warned.push(...crossed);
+        this.saveDoseHistory();
+        if (crossed.length && this.callbacks.onDoseWarning) this.callbacks.onDoseWarning({ dose: day.dose, limit: Math.max(...crossed) });
+        return day;
+    }
 }
 window.SessionManager = SessionManager;
 export { SessionManager };
@@ -0,0 +1,561 @@
+/**
+ * Soundscape Mixer - Notched noise layered with ambience loops and tones
+ * Each layer plays through its own notch and volume into a mix bus, and the whole mix is
+ * notched again before it reaches the master, so rain or a fan under the noise can't fill
+ * the notch back in. The mix notch follows the matched frequency until it is set by hand.
+ * Ambience is either a bundled loop, synthesized on first use, or an audio file imported
+ * for the session. Named presets keep the layers and the mix notch and travel with profiles.
+ */
+
+class SoundscapeMixer {
+    constructor(app) {
+        this.app = app;
+        this.audioEngine = app.audioEngine;
+        this.maxLayers = 6;
+        this.loopSeconds = 8;       // length of the bundled ambience loops
+        this.spliceSeconds = 0.05;  // crossfade where a bundled loop wraps around
+
+        // The mix: layers are { id, kind, volume, notch: { freq, width, depth } } plus
+        // type (noise), sound and imported (ambience) or frequency and waveform (tone).
+        // A null notch freq follows the mix notch; the mix notch's follows the matched frequency.
+        this.layers = [];
+        this.notch = { freq: null, width: 1, depth: 'full' };
+        this.volume = 0.6;
+        this.nextId = 1;
+
+        this.buffers = new Map();   // bundled ambience name → AudioBuffer
+        this.imports = new Map();   // imported file name → AudioBuffer, kept for the session only
+        this.isPlaying = false;
+        this.startPending = false;  // Play was pressed while the noise worklet loads
+        this.nodes = null;          // { bus, bank, gain, fader } while the mix is sounding
+        this.layerNodes = new Map(); // layer id → { source, bank, gain, fader }
+    }
+
+    static noiseTypes = { white: 'White', pink: 'Pink', brown: 'Brown', blue: 'Blue', violet: 'Violet', grey: 'Grey' };
+    static ambience = { rain: 'Rain', ocean: 'Ocean waves', fan: 'Fan' };
+    static waveforms = { sine: 'Sine', triangle: 'Triangle' };
+    static layerDefaults = {
+        noise: { type: 'pink', volume: 0.5 },
+        ambience: { sound: 'rain', imported: false, volume: 0.5 },
+        tone: { frequency: 440, waveform: 'sine', volume: 0.1 }
+    };
+
+    // -- Presets --
+    // { [name]: { volume, notch, layers } }, the same shape as getMix()
+    static getPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('tinnitusSoundscapes')) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    static savePresets(presets) {
+        if (presets && Object.keys(presets).length > 0) {
+            localStorage.setItem('tinnitusSoundscapes', JSON.stringify(presets));
+        } else {
+            localStorage.removeItem('tinnitusSoundscapes');
+        }
+    }
+
+    static getPresetNames() {
+        return Object.keys(SoundscapeMixer.getPresets());
+    }
+
+    static savePreset(name, mix) {
+        const presets = SoundscapeMixer.getPresets();
+        presets[name] = mix;
+        SoundscapeMixer.savePresets(presets);
+    }
+
+    static deletePreset(name) {
+        const presets = SoundscapeMixer.getPresets();
+        delete presets[name];
+        SoundscapeMixer.savePresets(presets);
+    }
+
+    // -- Mix --
+    createLayer(kind, options = {}) {
+        const defaults = SoundscapeMixer.layerDefaults[kind];
+        const { id, notch, ...settings } = options;
+        return {
+            ...defaults, ...settings, kind,
+            id: this.nextId++,
+            notch: { freq: null, width: 1, depth: 0, ...notch }
+        };
+    }
+
+    getLayer(id) {
+        return this.layers.find(l => l.id === id);
+    }
+
+    getMix() {
+        return {
+            volume: this.volume,
+            notch: { ...this.notch },
+            layers: this.layers.map(({ id, ...layer }) => ({ ...layer, notch: { ...layer.notch } }))
+        };
+    }
+
+    // Replace the whole mix, e.g. from a preset; a playing mix crossfades to the new layers
+    setMix(mix) {
+        const fadeTime = this.audioEngine.crossfadeTime;
+        this.layers.forEach(layer => this.releaseLayer(layer, fadeTime));
+        this.volume = mix?.volume ?? this.volume;
+        this.notch = { freq: null, width: 1, depth: 'full', ...mix?.notch };
+        this.layers = (mix?.layers || [])
+            .filter(l => SoundscapeMixer.layerDefaults[l.kind])
+            .slice(0, this.maxLayers)
+            .map(l => this.createLayer(l.kind, l));
+        if (this.nodes) {
+            this.updateMixNotch();
+            this.updateVolume();
+            this.layers.forEach(layer => this.startLayer(layer, fadeTime));
+        }
+        this.render();
+    }
+
+    getNotchFreq() {
+        return this.notch.freq ?? (this.app.getNotchTarget?.('left') || this.app.getNotchTarget?.('right') || 4000);
+    }
+
+    getLayerNotchFreq(layer) {
+        return layer.notch.freq ?? this.getNotchFreq();
+    }
+
+    addLayer(kind, options = {}) {
+        if (this.layers.length >= this.maxLayers) return null;
+        const layer = this.createLayer(kind, options);
+        this.layers.push(layer);
+        this.startLayer(layer);
+        this.render();
+        this.app.autoSaveState?.();
+        return layer;
+    }
+
+    removeLayer(id) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+        this.releaseLayer(layer);
+        this.layers.splice(this.layers.indexOf(layer), 1);
+        this.render();
+        this.app.autoSaveState?.();
+    }
+
+    // Volume and notch changes retune the playing layer; a new sound crossfades to a new source
+    updateLayer(id, changes) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+        const { notch, ...settings } = changes;
+        Object.assign(layer, settings);
+        if (notch) layer.notch = { ...layer.notch, ...notch };
+
+        const nodes = this.layerNodes.get(id);
+        if (nodes) {
+            const t = this.audioEngine.currentTime;
+            if ('volume' in changes) nodes.gain.gain.setTargetAtTime(layer.volume, t, 0.01);
+            if (notch) nodes.bank.update(this.getLayerNotchFreq(layer), layer.notch.width, layer.notch.depth);
+            if ('frequency' in changes && layer.kind === 'tone') nodes.source.frequency.setTargetAtTime(layer.frequency, t, 0.01);
+            if ('waveform' in changes) nodes.source.type = layer.waveform;
+            const retyped = 'type' in changes && nodes.source.setType?.(layer.type);
+            if (('type' in changes && !retyped) || 'sound' in changes) this.crossfadeLayer(layer);
+        }
+        this.app.autoSaveState?.();
+    }
+
+    setMixNotch(changes) {
+        this.notch = { ...this.notch, ...changes };
+        this.updateMixNotch();
+        this.render();
+        this.app.autoSaveState?.();
+    }
+
+    // Layer notches that follow the mix notch move with it
+    updateMixNotch() {
+        if (!this.nodes) return;
+        this.nodes.bank.update(this.getNotchFreq(), this.notch.width, this.notch.depth);
+        this.layers.forEach(layer => {
+            const nodes = this.layerNodes.get(layer.id);
+            if (nodes && layer.notch.freq === null) nodes.bank.update(this.getNotchFreq(), layer.notch.width, layer.notch.depth);
+        });
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        this.updateVolume();
+        this.app.autoSaveState?.();
+    }
+
+    updateVolume() {
+        this.nodes?.gain.gain.setTargetAtTime(this.volume * this.app.masterVolume, this.audioEngine.currentTime, 0.01);
+    }
+
+    // -- Audio --
+    start() {
+        if (this.isPlaying || this.startPending) return;
+        if (this.layers.length === 0) return;
+        this.audioEngine.init();
+        // Noise layers use the worklet generator; wait for it like the noise player does
+        if (this.audioEngine.noiseWorkletReady === null) {
+            this.startPending = true;
+            this.renderTransport();
+            this.audioEngine.loadNoiseWorklet().catch(() => false).then(() => {
+                if (!this.startPending) return; // stopped while loading
+                this.startPending = false;
+                this.createPlayback();
+            });
+            return;
+        }
+        this.createPlayback();
+    }
+
+    createPlayback() {
+        if (this.isPlaying || this.layers.length === 0) {
+            this.renderTransport();
+            return;
+        }
+        this.audioEngine.startSource('soundscape', {
+            kind: 'therapy', label: 'Soundscape',
+            stop: () => this.stop(), pause: () => this.pause(), resume: () => this.resume()
+        });
+        this.createMix();
+        this.isPlaying = true;
+        this.renderTransport();
+    }
+
+    stop() {
+        this.startPending = false;
+        this.releaseMix();
+        this.isPlaying = false;
+        this.audioEngine.stopSource('soundscape');
+        this.renderTransport();
+    }
+
+    // While matching holds the mix, the graph is released but isPlaying stays set. Resuming
+    // builds it afresh, so notches following the matched frequency pick up a new match.
+    pause() {
+        this.releaseMix();
+    }
+
+    resume() {
+        this.createMix();
+    }
+
+    // layers → mix bus → mix notch → volume → fader → master
+    createMix(fadeTime = this.audioEngine.fadeTime) {
+        const engine = this.audioEngine;
+        const bus = engine.createGain(1);
+        const bank = engine.createNotchFilterBank(this.getNotchFreq(), this.notch.width, this.notch.depth);
+        const gain = engine.createGain(this.volume * this.app.masterVolume);
+        const fader = engine.createGain(0);
+        bus.connect(bank.input);
+        bank.output.connect(gain);
+        gain.connect(fader);
+        engine.connectToMaster(fader);
+        this.nodes = { bus, bank, gain, fader };
+        this.layers.forEach(layer => this.startLayer(layer, 0));
+        engine.fadeIn(fader, fadeTime);
+    }
+
+    releaseMix(fadeTime = this.audioEngine.fadeTime) {
+        if (!this.nodes) return;
+        const sources = [...this.layerNodes.values()].map(n => n.source);
+        this.audioEngine.releaseChain({ fader: this.nodes.fader, sources }, fadeTime);
+        this.layerNodes.clear();
+        this.nodes = null;
+    }
+
+    // source → layer notch → layer volume → layer fader → mix bus. Imported layers whose file
+    // hasn't been imported this session stay silent.
+    startLayer(layer, fadeTime = this.audioEngine.fadeTime) {
+        if (!this.nodes) return;
+        const source = this.createLayerSource(layer);
+        if (!source) return;
+        const engine = this.audioEngine;
+        const bank = engine.createNotchFilterBank(this.getLayerNotchFreq(layer), layer.notch.width, layer.notch.depth);
+        const gain = engine.createGain(layer.volume);
+        const fader = engine.createGain(fadeTime ? 0 : 1);
+        source.connect(bank.input);
+        bank.output.connect(gain);
+        gain.connect(fader);
+        fader.connect(this.nodes.bus);
+        source.start();
+        if (fadeTime) engine.fadeIn(fader, fadeTime);
+        this.layerNodes.set(layer.id, { source, bank, gain, fader });
+    }
+
+    releaseLayer(layer, fadeTime = this.audioEngine.fadeTime) {
+        const nodes = this.layerNodes.get(layer.id);
+        if (!nodes) return;
+        this.audioEngine.releaseChain({ fader: nodes.fader, sources: [nodes.source] }, fadeTime);
+        this.layerNodes.delete(layer.id);
+    }
+
+    crossfadeLayer(layer) {
+        this.releaseLayer(layer, this.audioEngine.crossfadeTime);
+        this.startLayer(layer, this.audioEngine.crossfadeTime);
+    }
+
+    createLayerSource(layer) {
+        const engine = this.audioEngine;
+        if (layer.kind === 'noise') return engine.createNoiseSource(layer.type);
+        if (layer.kind === 'tone') return engine.createOscillator(layer.frequency, layer.waveform);
+        const buffer = layer.imported ? this.imports.get(layer.sound) : this.getAmbienceBuffer(layer.sound);
+        if (!buffer) return null;
+        const source = engine.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        return source;
+    }
+
+    // -- Ambience --
+    getAmbienceBuffer(sound) {
+        if (!SoundscapeMixer.ambience[sound]) return null;
+        if (!this.buffers.has(sound)) this.buffers.set(sound, this.createAmbienceBuffer(sound));
+        return this.buffers.get(sound);
+    }
+
+    // Each channel is generated a little past the loop length and the overrun is crossfaded
+    // into the start, so the loop wraps without a click
+    createAmbienceBuffer(sound) {
+        const ctx = this.audioEngine.audioContext;
+        const sr = ctx.sampleRate;
+        const length = Math.round(sr * this.loopSeconds);
+        const splice = Math.round(sr * this.spliceSeconds);
+        const buffer = ctx.createBuffer(2, length, sr);
+        for (let ch = 0; ch < 2; ch++) {
+            const raw = SoundscapeMixer.generateAmbience(sound, length + splice, length, sr);
+            const data = buffer.getChannelData(ch);
+            for (let i = 0; i < length; i++) {
+                if (i < splice) {
+                    const p = i / splice;
+                    data[i] = raw[i] * Math.sqrt(p) + raw[length + i] * Math.sqrt(1 - p);
+                } else {
+                    data[i] = raw[i];
+                }
+            }
+        }
+        return buffer;
+    }
+
+    // Noise shaped into each sound. period is the loop length, so slow swells repeat in step
+    // with the loop.
+    static generateAmbience(sound, length, period, sr) {
+        const data = new Float32Array(length);
+        let low = 0, brown = 0, drop = 0;
+        for (let i = 0; i < length; i++) {
+            const w = Math.random() * 2 - 1;
+            low = 0.9 * low + 0.1 * w;
+            brown = (brown + 0.02 * w) / 1.02;
+            if (sound === 'rain') {
+                // Bright hiss with about 60 short drops a second
+                if (Math.random() < 60 / sr) drop = 0.3 + 0.5 * Math.random();
+                drop *= 0.995;
+                data[i] = (w - low) * 0.25 + w * drop * 0.5;
+            } else if (sound === 'ocean') {
+                // Deep rumble that swells once per loop
+                const swell = 0.2 + 0.8 * Math.pow(Math.sin(Math.PI * i / period), 2);
+                data[i] = brown * 3.5 * swell;
+            } else {
+                // Steady rumble with a motor hum and a slight blade flutter
+                const t = i / sr;
+                const flutter = 1 + 0.15 * Math.sin(2 * Math.PI * 6 * t);
+                data[i] = brown * 2.5 * flutter + 0.04 * Math.sin(2 * Math.PI * 100 * t) + 0.02 * Math.sin(2 * Math.PI * 200 * t);
+            }
+        }
+        return data;
+    }
+
+    // Decode a user's loop and add it as a layer. Layers from a preset that were waiting for
+    // this file start playing.
+    async importLoop(file) {
+        this.audioEngine.init();
+        let buffer;
+        try {
+            buffer = await this.audioEngine.audioContext.decodeAudioData(await file.arrayBuffer());
+        } catch (e) {
+            console.warn('[SoundscapeMixer] Could not decode', file.name, e);
+            alert(`Couldn't open "${file.name}" as audio.`);
+            return null;
+        }
+        this.imports.set(file.name, buffer);
+        const waiting = this.layers.filter(l => l.imported && l.sound === file.name);
+        if (waiting.length > 0) {
+            waiting.forEach(layer => { if (!this.layerNodes.has(layer.id)) this.startLayer(layer); });
+            this.render();
+            return waiting[0];
+        }
+        return this.addLayer('ambience', { sound: file.name, imported: true });
+    }
+
+    // -- UI --
+    init() {
+        document.getElementById('startSoundscape')?.addEventListener('click', () => this.start());
+        document.getElementById('stopSoundscape')?.addEventListener('click', () => this.stop());
+        document.getElementById('addNoiseLayer')?.addEventListener('click', () => this.addLayer('noise'));
+        document.getElementById('addAmbienceLayer')?.addEventListener('click', () => this.addLayer('ambience'));
+        document.getElementById('addToneLayer')?.addEventListener('click', () => this.addLayer('tone'));
+        document.getElementById('importAmbience')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importLoop(file);
+            e.target.value = '';
+        });
+        document.getElementById('soundscapeVolume')?.addEventListener('input', (e) => {
+            document.getElementById('soundscapeVolumeDisplay').textContent = `${e.target.value}%`;
+            this.setVolume(e.target.value / 100);
+        });
+        document.getElementById('soundscapeNotchFreq')?.addEventListener('change', (e) => {
+            const freq = parseInt(e.target.value);
+            this.setMixNotch({ freq: Number.isNaN(freq) ? null : Math.max(100, Math.min(15000, freq)) });
+        });
+        document.getElementById('useMatchedFreqSoundscape')?.addEventListener('click', () => this.setMixNotch({ freq: null }));
+        document.getElementById('soundscapeNotchWidth')?.addEventListener('change', (e) => this.setMixNotch({ width: e.target.value }));
+        document.getElementById('soundscapeNotchDepth')?.addEventListener('change', (e) => this.setMixNotch({ depth: this.app.normalizeNotchDepth?.(e.target.value) ?? e.target.value }));
+        document.getElementById('soundscapePreset')?.addEventListener('change', (e) => this.loadPreset(e.target.value));
+        document.getElementById('saveSoundscapePreset')?.addEventListener('click', () => this.savePresetFromForm());
+        document.getElementById('deleteSoundscapePreset')?.addEventListener('click', () => this.deleteSelectedPreset());
+        this.render();
+        this.renderPresets();
+    }
+
+    savePresetFromForm() {
+        const input = document.getElementById('soundscapePresetName');
+        const name = input.value.trim() || document.getElementById('soundscapePreset').value;
+        if (!name) { alert('Please enter a preset name'); return; }
+        if (this.layers.length === 0) { alert('Add a layer before saving a preset'); return; }
+        SoundscapeMixer.savePreset(name, this.getMix());
+        this.app.saveSoundscapesToProfile?.();
+        input.value = '';
+        this.renderPresets(name);
+    }
+
+    loadPreset(name) {
+        const mix = SoundscapeMixer.getPresets()[name];
+        if (!mix) return;
+        this.setMix(mix);
+        this.app.autoSaveState?.();
+    }
+
+    deleteSelectedPreset() {
+        const name = document.getElementById('soundscapePreset').value;
+        if (!name) { alert('Select a preset to delete'); return; }
+        if (!confirm(`Delete soundscape "${name}"?`)) return;
+        SoundscapeMixer.deletePreset(name);
+        this.app.saveSoundscapesToProfile?.();
+        this.renderPresets();
+    }
+
+    renderPresets(selected = '') {
+        const sel = document.getElementById('soundscapePreset');
+        if (!sel) return;
+        sel.innerHTML = '<option value="">-- Load Preset --</option>';
+        SoundscapeMixer.getPresetNames().forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            sel.appendChild(opt);
+        });
+        sel.value = selected;
+    }
+
+    render() {
+        this.renderLayers();
+        this.renderMixControls();
+        this.renderTransport();
+    }
+
+    renderTransport() {
+        const start = document.getElementById('startSoundscape');
+        const stop = document.getElementById('stopSoundscape');
+        if (start) start.disabled = this.isPlaying || this.startPending || this.layers.length === 0;
+        if (stop) stop.disabled = !this.isPlaying;
+        ['addNoiseLayer', 'addAmbienceLayer', 'addToneLayer'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = this.layers.length >= this.maxLayers;
+        });
+    }
+
+    renderMixControls() {
+        const freq = document.getElementById('soundscapeNotchFreq');
+        if (!freq) return;
+        freq.value = this.getNotchFreq();
+        const hint = document.getElementById('soundscapeNotchHint');
+        if (hint) hint.textContent = this.notch.freq === null ? 'Following your matched frequency.' : 'Set by hand.';
+        document.getElementById('soundscapeNotchWidth').value = this.notch.width;
+        document.getElementById('soundscapeNotchDepth').value = this.notch.depth;
+        document.getElementById('soundscapeVolume').value = Math.round(this.volume * 100);
+        document.getElementById('soundscapeVolumeDisplay').textContent = `${Math.round(this.volume * 100)}%`;
+    }
+
+    // Options for a layer's sound: bundled ambience, this session's imports, and the imported
+    // file a preset expects when it hasn't been imported yet
+    getSoundOptions(layer) {
+        const options = Object.entries(SoundscapeMixer.ambience).map(([value, label]) => ({ value, label }));
+        this.imports.forEach((_, name) => options.push({ value: name, label: name }));
+        if (layer.imported && !this.imports.has(layer.sound)) options.push({ value: layer.sound, label: `${layer.sound} (import again)` });
+        return options;
+    }
+
+    renderLayers() {
+        const list = document.getElementById('soundscapeLayers');
+        if (!list) return;
+        const widthOptions = document.getElementById('soundscapeNotchWidth')?.innerHTML || '';
+        const depthOptions = `<option value="0">Off</option>${document.getElementById('soundscapeNotchDepth')?.innerHTML || ''}`;
+        const optionList = (entries) => entries.map(({ value, label }) => `<option value="${value}">${label}</option>`).join('');
+        const fromMap = (map) => Object.entries(map).map(([value, label]) => ({ value, label }));
+        list.innerHTML = '';
+        if (this.layers.length === 0) {
+            list.innerHTML = '<p class="control-hint">Add noise, ambience or a tone to start a mix.</p>';
+            return;
+        }
+        this.layers.forEach(layer => {
+            const row = document.createElement('div');
+            row.className = `soundscape-layer layer-${layer.kind}`;
+            row.dataset.id = layer.id;
+            let sound;
+            if (layer.kind === 'noise') sound = `<select class="layer-type">${optionList(fromMap(SoundscapeMixer.noiseTypes))}</select>`;
+            else if (layer.kind === 'ambience') sound = `<select class="layer-sound">${optionList(this.getSoundOptions(layer))}</select>`;
+            else sound = `<input type="number" class="layer-frequency" min="100" max="15000" value="${layer.frequency}"><span>Hz</span><select class="layer-waveform">${optionList(fromMap(SoundscapeMixer.waveforms))}</select>`;
+            row.innerHTML = `<div class="layer-head"><span class="layer-kind">${{ noise: 'Noise', ambience: 'Ambience', tone: 'Tone' }[layer.kind]}</span>${sound}<button class="btn btn-small layer-remove" title="Remove layer">✕</button></div>
+                <div class="layer-volume"><label>Volume</label><input type="range" min="0" max="100" value="${Math.round(layer.volume * 100)}"><span>${Math.round(layer.volume * 100)}%</span></div>
+                <div class="layer-notch"><label>Notch</label><input type="number" min="100" max="15000" value="${this.getLayerNotchFreq(layer)}"><span>Hz</span>
+                <select class="layer-notch-width">${widthOptions}</select><select class="layer-notch-depth">${depthOptions}</select></div>`;
+
+            row.querySelector('.layer-type')?.addEventListener('change', (e) => this.updateLayer(layer.id, { type: e.target.value }));
+            row.querySelector('.layer-sound')?.addEventListener('change', (e) => this.updateLayer(layer.id, { sound: e.target.value, imported: !SoundscapeMixer.ambience[e.target.value] }));
+            row.querySelector('.layer-frequency')?.addEventListener('change', (e) => {
+                const freq = Math.max(100, Math.min(15000, parseInt(e.target.value) || layer.frequency));
+                e.target.value = freq;
+                this.updateLayer(layer.id, { frequency: freq });
+            });
+            row.querySelector('.layer-waveform')?.addEventListener('change', (e) => this.updateLayer(layer.id, { waveform: e.target.value }));
+            if (row.querySelector('.layer-type')) row.querySelector('.layer-type').value = layer.type;
+            if (row.querySelector('.layer-sound')) row.querySelector('.layer-sound').value = layer.sound;
+            if (row.querySelector('.layer-waveform')) row.querySelector('.layer-waveform').value = layer.waveform;
+
+            const volume = row.querySelector('.layer-volume input');
+            volume.addEventListener('input', (e) => {
+                row.querySelector('.layer-volume span').textContent = `${e.target.value}%`;
+                this.updateLayer(layer.id, { volume: e.target.value / 100 });
+            });
+
+            const [notchFreq] = row.querySelectorAll('.layer-notch input');
+            const notchWidth = row.querySelector('.layer-notch-width');
+            const notchDepth = row.querySelector('.layer-notch-depth');
+            notchWidth.value = String(layer.notch.width);
+            notchDepth.value = String(layer.notch.depth);
+            notchFreq.addEventListener('change', (e) => {
+                const freq = parseInt(e.target.value);
+                this.updateLayer(layer.id, { notch: { freq: Number.isNaN(freq) ? null : Math.max(100, Math.min(15000, freq)) } });
+                e.target.value = this.getLayerNotchFreq(layer);
+            });
+            notchWidth.addEventListener('change', (e) => this.updateLayer(layer.id, { notch: { width: e.target.value } }));
+            notchDepth.addEventListener('change', (e) => this.updateLayer(layer.id, { notch: { depth: this.app.normalizeNotchDepth?.(e.target.value) ?? e.target.value } }));
+            row.querySelector('.layer-remove').addEventListener('click', () => this.removeLayer(layer.id));
+            list.appendChild(row);
+        });
+    }
+}
+
+window.SoundscapeMixer = SoundscapeMixer;
+export { SoundscapeMixer };
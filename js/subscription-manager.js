@@ -4,6 +4,17 @@
  */
 
 class SubscriptionManager {
+    // Feature flag behind each noise type
+    static noiseTypeFeatures = {
+        pink: 'pinkNoise',
+        white: 'whiteNoise',
+        brown: 'brownNoise',
+        blue: 'blueNoise',
+        violet: 'violetNoise',
+        grey: 'greyNoise',
+        custom: 'customNoise'
+    };
+
     constructor() {
         // Subscription state
         this.isPremium = false;
@@ -24,6 +35,10 @@ class SubscriptionManager {
             pinkNoise: true,          // Always free
             whiteNoise: false,        // Premium
             brownNoise: false,        // Premium
+            blueNoise: false,         // Premium
+            violetNoise: false,       // Premium
+            greyNoise: false,         // Premium
+            customNoise: false,       // Premium (drawn spectrum)
             musicNotching: false,     // Premium
             advancedControls: false,  // Premium (fine-tune, phase inversion)
             unlimitedSessions: false, // Premium
@@ -185,6 +200,10 @@ class SubscriptionManager {
         
         this.features.whiteNoise = hasAccess;
         this.features.brownNoise = hasAccess;
+        this.features.blueNoise = hasAccess;
+        this.features.violetNoise = hasAccess;
+        this.features.greyNoise = hasAccess;
+        this.features.customNoise = hasAccess;
         this.features.musicNotching = hasAccess;
         this.features.advancedControls = hasAccess;
         this.features.unlimitedSessions = hasAccess;
@@ -200,6 +219,13 @@ class SubscriptionManager {
         return this.features[featureName] === true;
     }
     
+    /**
+     * Check if a noise type can be played, by the feature flag behind it
+     */
+    hasNoiseType(type) {
+        return this.hasFeature(SubscriptionManager.noiseTypeFeatures[type]);
+    }
+    
     /**
      * Lock a feature and show paywall if not available
      * Returns true if user has access, false if locked
@@ -221,7 +247,7 @@ class SubscriptionManager {
      */
     getFeatureMessage(featureName) {
         const messages = {
-            'All Noise Types': 'Access white and brown noise for varied therapy options',
+            'All Noise Types': 'Access white, brown, blue, violet, grey and custom-spectrum noise for varied therapy options',
             'Music Notching': 'Play your favorite music with notched audio therapy',
             'Advanced Controls': 'Use advanced frequency matching tools',
             'Unlimited Sessions': 'Remove the 30-minute session limit',
@@ -0,0 +1,502 @@
+/**
+ * Sweep Engine - Shared tone sweep behind the sweep panel and the guided wizard
+ * Owns the stimulus (a tone or a narrow band of noise), log-scale stepping,
+ * refine pass, marks and confidence.
+ * Reports progress through events and never touches the DOM.
+ *
+ * The sweep is scheduled on the Web Audio clock as exponential ramps, so it keeps
+ * moving when frames drop or the tab is hidden. The frequency at any moment (for
+ * display or for a mark) is computed from audioContext.currentTime.
+ *
+ * Events:
+ *   frequency (freq, progress)      every animation step
+ *   mark      (freq, confidence, raw) a frequency was marked (raw = before reaction-time correction)
+ *   pass      (pass, low, high)     the refine pass started
+ *   complete  (marks, confidence)   the sweep finished
+ */
+
+class SweepEngine {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.isRunning = false;
+        this.isPaused = false;
+
+        // Sweep parameters
+        this.startFreq = 1000;
+        this.endFreq = 12000;
+        this.currentFreq = this.startFreq;
+        this.sweepSpeed = 0.04; // octaves per second
+        this.direction = 'ascending'; // 'ascending' | 'descending' | 'pingpong'
+        this.ear = 'both';
+        this.volume = 0.3;
+        this.stimulus = 'tone';  // 'tone' | 'noise' (narrowband noise for hissing tinnitus)
+        this.bandwidth = 0.33;   // noise band width in octaves
+
+        // Active pass (the second pass narrows around the first-pass marks)
+        this.passLow = this.startFreq;
+        this.passHigh = this.endFreq;
+        this.heading = 1;
+        this.pass = 1;
+        this.autoRefine = true;
+        this.refineMargin = 0.25;     // octaves either side of the marks
+        this.refineSpeedFactor = 0.5;
+        this.coarseMatches = [];
+
+        // Marks, corrected for reaction time; rawFrequencies keeps what was playing at the tap
+        this.matchedFrequencies = [];
+        this.rawFrequencies = [];
+        this.coarseRaw = [];
+        this.confidenceLevel = 0;
+        this.reactionTime = 0; // seconds between hearing the match and pressing the button
+
+        // Audio nodes (oscillator for a tone, noise for a noise band)
+        this.oscillator = null;
+        this.noise = null;
+        this.gainNode = null;
+        this.pannerNode = null;
+
+        // Ramps scheduled for the rest of the pass: [{ t0, t1, f0, f1, heading }]
+        this.segments = [];
+        this.endTimer = null;
+
+        // Display animation
+        this.animationId = null;
+
+        // Name the sweep plays under in the audio engine's source registry
+        this.sourceName = 'sweep';
+        this.sourceLabel = 'Frequency sweep';
+
+        this.listeners = { frequency: [], mark: [], pass: [], complete: [], interrupt: [] };
+    }
+
+    // -- Events --
+    on(event, callback) {
+        this.listeners[event]?.push(callback);
+        return this;
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+        return this;
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(cb => cb(...args));
+    }
+
+    // -- Transport --
+    start() {
+        if (this.isRunning && !this.isPaused) return;
+
+        this.audioEngine.init();
+
+        if (this.isPaused) {
+            // Resume from pause
+            this.togglePause();
+            return;
+        }
+
+        // Start fresh; this pauses therapy and stops other matching sounds
+        this.audioEngine.startSource(this.sourceName, { kind: 'matching', label: this.sourceLabel, stop: () => this.interrupt() });
+        this.pass = 1;
+        this.coarseMatches = [];
+        this.setPassRange(this.startFreq, this.endFreq);
+        this.gainNode = this.audioEngine.createGain(this.volume);
+
+        const panValue = this.ear === 'left' ? -1 : this.ear === 'right' ? 1 : 0;
+        this.pannerNode = this.audioEngine.createPanner(panValue);
+
+        if (this.stimulus === 'noise') {
+            this.noise = this.audioEngine.createNarrowbandNoise(this.currentFreq, this.bandwidth);
+            this.noise.output.connect(this.gainNode);
+        } else {
+            this.oscillator = this.audioEngine.createOscillator(this.currentFreq, 'sine');
+            this.oscillator.connect(this.gainNode);
+        }
+        this.gainNode.connect(this.pannerNode);
+        this.audioEngine.connectToMaster(this.pannerNode);
+        (this.noise || this.oscillator).start();
+
+        this.isRunning = true;
+        this.scheduleFrom(this.audioEngine.currentTime);
+        this.animate();
+    }
+
+    togglePause() {
+        if (!this.isRunning) return;
+
+        const now = this.audioEngine.currentTime;
+        this.isPaused = !this.isPaused;
+
+        if (this.isPaused) {
+            // Hold the tone where it is and drop the remaining ramps
+            this.syncTo(now);
+            this.clearSchedule(now);
+            this.getFrequencyParams().forEach(param => param.setValueAtTime(this.currentFreq, now));
+        } else {
+            this.scheduleFrom(now);
+            this.animate();
+        }
+    }
+
+    stop() {
+        this.isRunning = false;
+        this.isPaused = false;
+        this.clearSchedule();
+
+        if (this.oscillator) {
+            try { this.oscillator.stop(); } catch {}
+            try { this.oscillator.disconnect(); } catch {}
+            this.oscillator = null;
+        }
+        if (this.noise) {
+            try { this.noise.stop(); } catch {}
+            try { this.noise.source.disconnect(); } catch {}
+            this.noise = null;
+        }
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        this.gainNode = null;
+        this.pannerNode = null;
+        this.pass = 1;
+        this.audioEngine.stopSource(this.sourceName);
+    }
+
+    // Stopped because another sound took over; listeners reset their transport controls
+    interrupt() {
+        this.stop();
+        this.emit('interrupt');
+    }
+
+    reset() {
+        this.stop();
+        this.coarseMatches = [];
+        this.coarseRaw = [];
+        this.setPassRange(this.startFreq, this.endFreq);
+        this.matchedFrequencies = [];
+        this.rawFrequencies = [];
+        this.confidenceLevel = 0;
+    }
+
+    // Jump to a frequency; a running sweep carries on from there
+    seek(freq) {
+        this.currentFreq = freq;
+        if (this.isRunning && !this.isPaused) {
+            this.scheduleFrom(this.audioEngine.currentTime);
+        }
+    }
+
+    // -- Audio-Clock Scheduling --
+
+    // Lay out the rest of the pass as exponential ramps starting at `time`
+    scheduleFrom(time) {
+        const speed = this.getCurrentSpeed();
+        const segments = [];
+        let t = time;
+        let f = this.currentFreq;
+
+        const addSegment = (target, heading) => {
+            const duration = Math.abs(Math.log2(target / f)) / speed;
+            segments.push({ t0: t, t1: t + duration, f0: f, f1: target, heading });
+            t += duration;
+            f = target;
+        };
+
+        addSegment(this.heading > 0 ? this.passHigh : this.passLow, this.heading);
+        if (this.direction === 'pingpong' && this.heading > 0) {
+            addSegment(this.passLow, -1);
+        }
+
+        this.clearSchedule(time);
+        this.segments = segments;
+
+        this.getFrequencyParams().forEach(param => {
+            param.setValueAtTime(this.currentFreq, time);
+            segments.forEach(seg => param.exponentialRampToValueAtTime(seg.f1, seg.t1));
+        });
+
+        this.scheduleEndCheck();
+    }
+
+    clearSchedule(time) {
+        clearTimeout(this.endTimer);
+        this.endTimer = null;
+        this.segments = [];
+        if (time !== undefined) this.getFrequencyParams().forEach(param => param.cancelScheduledValues(time));
+    }
+
+    // The oscillator frequency, or the center of both band-pass filters for a noise band
+    getFrequencyParams() {
+        if (this.noise) return this.noise.filters.map(f => f.frequency);
+        return this.oscillator ? [this.oscillator.frequency] : [];
+    }
+
+    // What was played, to store alongside a match
+    getStimulus() {
+        return this.stimulus === 'noise' ? { type: 'noise', bandwidth: this.bandwidth } : { type: 'tone' };
+    }
+
+    // Catch the end of the pass even when animation frames are throttled
+    scheduleEndCheck() {
+        clearTimeout(this.endTimer);
+        const last = this.segments[this.segments.length - 1];
+        if (!last) return;
+        const remaining = Math.max(0, last.t1 - this.audioEngine.currentTime);
+        this.endTimer = setTimeout(() => {
+            if (this.update()) this.scheduleEndCheck();
+        }, remaining * 1000 + 20);
+    }
+
+    getSegmentAt(time) {
+        return this.segments.find(seg => time < seg.t1) || this.segments[this.segments.length - 1] || null;
+    }
+
+    // Frequency the oscillator is playing at audio time `time`
+    getFrequencyAt(time) {
+        const seg = this.getSegmentAt(time);
+        if (!seg) return this.currentFreq;
+        const span = seg.t1 - seg.t0;
+        const x = span > 0 ? Math.max(0, Math.min(1, (time - seg.t0) / span)) : 1;
+        return seg.f0 * Math.pow(seg.f1 / seg.f0, x);
+    }
+
+    syncTo(time) {
+        const seg = this.getSegmentAt(time);
+        if (!seg) return;
+        this.currentFreq = this.getFrequencyAt(time);
+        this.heading = seg.heading;
+    }
+
+    // Read the sweep position off the audio clock; returns false once the pass has ended
+    update() {
+        if (!this.isRunning || this.isPaused) return false;
+
+        const now = this.audioEngine.currentTime;
+        const last = this.segments[this.segments.length - 1];
+        this.syncTo(now);
+
+        if (last && now >= last.t1) {
+            this.currentFreq = last.f1;
+            this.onPassEnd();
+            return false;
+        }
+
+        this.emit('frequency', this.currentFreq, this.getProgress());
+        return true;
+    }
+
+    animate() {
+        if (this.update()) {
+            this.animationId = requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    // -- Passes --
+    getCurrentSpeed() {
+        return this.pass === 2 ? this.sweepSpeed * this.refineSpeedFactor : this.sweepSpeed;
+    }
+
+    // Position of the current frequency within the pass, on a log scale (0-1)
+    getProgress() {
+        const span = Math.log2(this.passHigh / this.passLow);
+        if (span <= 0) return 0;
+        return Math.max(0, Math.min(1, Math.log2(this.currentFreq / this.passLow) / span));
+    }
+
+    setPassRange(low, high) {
+        this.passLow = Math.min(low, high);
+        this.passHigh = Math.max(low, high);
+        this.heading = this.direction === 'descending' ? -1 : 1;
+        this.currentFreq = this.heading > 0 ? this.passLow : this.passHigh;
+    }
+
+    // Narrow range around the marks, padded by refineMargin and kept inside the first pass
+    getRefineRange(marks) {
+        const pad = Math.pow(2, this.refineMargin);
+        const low = Math.max(Math.min(this.startFreq, this.endFreq), Math.min(...marks) / pad);
+        const high = Math.min(Math.max(this.startFreq, this.endFreq), Math.max(...marks) * pad);
+        return { low: Math.round(low), high: Math.round(high) };
+    }
+
+    // Stray taps and octave errors are left out of the refine range
+    startRefinePass() {
+        const { kept } = SweepEngine.analyzeMatches(this.matchedFrequencies);
+        const { low, high } = this.getRefineRange(kept);
+        this.pass = 2;
+        this.coarseMatches = [...this.matchedFrequencies];
+        this.coarseRaw = [...this.rawFrequencies];
+        this.matchedFrequencies = [];
+        this.rawFrequencies = [];
+        this.calculateConfidence();
+        this.setPassRange(low, high);
+        this.scheduleFrom(this.audioEngine.currentTime);
+        this.emit('pass', this.pass, this.passLow, this.passHigh);
+        if (this.animationId) cancelAnimationFrame(this.animationId);
+        this.animationId = requestAnimationFrame(() => this.animate());
+    }
+
+    onPassEnd() {
+        // First pass with marks: zoom in on them with a slower second pass
+        if (this.pass === 1 && this.autoRefine && this.matchedFrequencies.length > 0) {
+            this.startRefinePass();
+            return;
+        }
+
+        // Nothing marked on the second pass: fall back to the first-pass marks
+        if (this.pass === 2 && this.matchedFrequencies.length === 0 && this.coarseMatches.length > 0) {
+            this.matchedFrequencies = [...this.coarseMatches];
+            this.rawFrequencies = [...this.coarseRaw];
+            this.calculateConfidence();
+        }
+
+        this.stop();
+        this.emit('complete', [...this.matchedFrequencies], this.confidenceLevel);
+    }
+
+    // -- Marks --
+    // Marks read the audio clock, so a busy UI thread doesn't shift them. While the
+    // sweep moves, the mark is taken back by the reaction time to where the tone
+    // was when the user heard it; a paused tone is marked as it stands.
+    mark() {
+        if (!this.isRunning) return null;
+
+        const now = this.audioEngine.currentTime;
+        if (!this.isPaused) this.syncTo(now);
+        const raw = Math.round(this.currentFreq);
+        const freq = this.isPaused ? raw : Math.round(this.getFrequencyAt(now - this.reactionTime));
+
+        this.matchedFrequencies.push(freq);
+        this.rawFrequencies.push(raw);
+        this.calculateConfidence();
+        this.emit('mark', freq, this.confidenceLevel, raw);
+        return freq;
+    }
+
+    clearMarks() {
+        this.matchedFrequencies = [];
+        this.rawFrequencies = [];
+        this.coarseMatches = [];
+        this.coarseRaw = [];
+        this.confidenceLevel = 0;
+    }
+
+    // Marks as { raw, corrected } pairs for display
+    getMarks() {
+        return this.matchedFrequencies.map((corrected, i) => ({
+            raw: this.rawFrequencies[i] ?? corrected,
+            corrected
+        }));
+    }
+
+    getAnalysis() {
+        return SweepEngine.analyzeMatches(this.matchedFrequencies);
+    }
+
+    getSuggestedFrequency() {
+        return this.getAnalysis().suggested;
+    }
+
+    calculateConfidence() {
+        this.confidenceLevel = SweepEngine.calculateConfidence(this.matchedFrequencies);
+        return this.confidenceLevel;
+    }
+
+    static calculateConfidence(freqs) {
+        return SweepEngine.analyzeMatches(freqs).confidence;
+    }
+
+    // -- Match Statistics --
+    // Pitch is judged on a log scale, so marks are compared in cents: a 50 Hz
+    // wobble at 8 kHz counts the same as 6 Hz at 1 kHz.
+    //
+    // 1. Octave errors: marks a whole number of octaves (±octaveTolerance cents)
+    //    away from the largest cluster are rejected.
+    // 2. Outliers: marks more than 3 scaled MADs (and at least outlierFloor cents)
+    //    from the median of the rest are rejected.
+    // 3. The suggestion is the geometric mean of the kept marks, with a 95%
+    //    interval from the t-distribution.
+    //
+    // Confidence loses a point for every 4 cents of interval half-width (a
+    // ±1 semitone interval scores 75) and is scaled by the share of marks kept.
+    // A single kept mark scores 30.
+    static analyzeMatches(freqs, { octaveTolerance = 100, outlierFloor = 50 } = {}) {
+        const result = { suggested: null, confidence: 0, interval: null, spreadCents: 0, kept: [], rejected: [] };
+        if (freqs.length === 0) return result;
+
+        const cents = freqs.map(f => 1200 * Math.log2(f));
+        const median = SweepEngine.median(cents);
+
+        // Which octave (relative to the median) each mark sits in, if it sits close to one
+        const octaveOf = cents.map(c => {
+            const k = Math.round((c - median) / 1200);
+            return Math.abs(c - median - k * 1200) <= octaveTolerance ? k : null;
+        });
+        const counts = new Map();
+        octaveOf.forEach(k => { if (k !== null) counts.set(k, (counts.get(k) || 0) + 1); });
+        const mainOctave = [...counts.keys()]
+            .sort((a, b) => counts.get(b) - counts.get(a) || Math.abs(a) - Math.abs(b))[0] ?? 0;
+
+        const candidates = [];
+        freqs.forEach((freq, index) => {
+            if (octaveOf[index] !== null && octaveOf[index] !== mainOctave) {
+                result.rejected.push({ freq, index, reason: 'octave' });
+            } else {
+                candidates.push(index);
+            }
+        });
+
+        const center = SweepEngine.median(candidates.map(i => cents[i]));
+        const mad = 1.4826 * SweepEngine.median(candidates.map(i => Math.abs(cents[i] - center)));
+        const limit = Math.max(3 * mad, outlierFloor);
+        const kept = candidates.filter(i => {
+            if (Math.abs(cents[i] - center) <= limit) return true;
+            result.rejected.push({ freq: freqs[i], index: i, reason: 'outlier' });
+            return false;
+        });
+        result.rejected.sort((a, b) => a.index - b.index);
+        result.kept = kept.map(i => freqs[i]);
+
+        const n = kept.length;
+        const mean = kept.reduce((sum, i) => sum + cents[i], 0) / n;
+        const toHz = c => Math.round(Math.pow(2, c / 1200));
+        result.suggested = toHz(mean);
+
+        let base = 30;
+        if (n > 1) {
+            const sd = Math.sqrt(kept.reduce((sum, i) => sum + Math.pow(cents[i] - mean, 2), 0) / (n - 1));
+            const half = SweepEngine.tValue(n - 1) * sd / Math.sqrt(n);
+            result.spreadCents = Math.round(sd);
+            result.interval = { low: toHz(mean - half), high: toHz(mean + half), cents: Math.round(half) };
+            base = Math.max(0, Math.min(100, 100 - half / 4));
+        }
+        result.confidence = Math.round(base * n / freqs.length);
+        return result;
+    }
+
+    static median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    // Two-sided 95% Student t critical value
+    static tValue(df) {
+        const table = [12.71, 4.30, 3.18, 2.78, 2.57, 2.45, 2.36, 2.31, 2.26, 2.23];
+        if (df <= table.length) return table[df - 1];
+        return df < 30 ? 2.1 : 1.96;
+    }
+
+    static rejectionLabel(reason) {
+        return reason === 'octave' ? 'octave error' : 'outlier';
+    }
+}
+
+window.SweepEngine = SweepEngine;
+export { SweepEngine };
@@ -15,6 +15,8 @@ class ToneMatcherUI {
             fineTune: 0,
             volume: 0.5,
             waveform: 'sine',
+            stimulus: 'tone',   // 'tone' | 'noise' (narrowband noise for hissing tinnitus)
+            bandwidth: 0.33,    // noise band width in octaves
             phaseInverted: false,
             enabled: true
         };
@@ -24,6 +26,8 @@ class ToneMatcherUI {
             fineTune: 0,
             volume: 0.5,
             waveform: 'sine',
+            stimulus: 'tone',
+            bandwidth: 0.33,
             phaseInverted: false,
             enabled: true
         };
@@ -113,6 +117,8 @@ class ToneMatcherUI {
         const waveformSelect = document.getElementById('unifiedToneWaveform');
         const fineTuneSlider = document.getElementById('unifiedToneFineTune');
         const fineTuneDisplay = document.getElementById('unifiedToneFineTuneDisplay');
+        const stimulusSelect = document.getElementById('unifiedToneStimulus');
+        const bandwidthSelect = document.getElementById('unifiedToneBandwidth');
         
         if (freqSlider) freqSlider.value = settings.frequency;
         if (freqInput) freqInput.value = settings.frequency;
@@ -121,6 +127,9 @@ class ToneMatcherUI {
         if (waveformSelect) waveformSelect.value = settings.waveform;
         if (fineTuneSlider) fineTuneSlider.value = settings.fineTune;
         if (fineTuneDisplay) fineTuneDisplay.textContent = `${settings.fineTune} Hz`;
+        if (stimulusSelect) stimulusSelect.value = settings.stimulus;
+        if (bandwidthSelect) bandwidthSelect.value = settings.bandwidth;
+        this.updateStimulusControls(settings.stimulus);
         
         // Update visualizer if it exists
         if (this.app.visualizers && this.app.visualizers.unified) {
@@ -171,6 +180,22 @@ class ToneMatcherUI {
             });
         }
         
+        // Stimulus: a tone, or a band of noise for hissing tinnitus
+        const stimulusSelect = document.getElementById('unifiedToneStimulus');
+        if (stimulusSelect) {
+            stimulusSelect.addEventListener('change', (e) => {
+                this.updateSetting('stimulus', e.target.value);
+                this.updateStimulusControls(e.target.value);
+            });
+        }
+        
+        const bandwidthSelect = document.getElementById('unifiedToneBandwidth');
+        if (bandwidthSelect) {
+            bandwidthSelect.addEventListener('change', (e) => {
+                this.updateSetting('bandwidth', parseFloat(e.target.value));
+            });
+        }
+        
         // Fine Tune
         const fineTuneSlider = document.getElementById('unifiedToneFineTune');
         if (fineTuneSlider) {
@@ -267,6 +292,14 @@ class ToneMatcherUI {
         }
     }
     
+    // Waveform only applies to tones, bandwidth only to noise bands
+    updateStimulusControls(stimulus) {
+        const waveformGroup = document.getElementById('unifiedToneWaveform')?.closest('.control-group');
+        const bandwidthGroup = document.getElementById('unifiedToneBandwidthGroup');
+        if (waveformGroup) waveformGroup.style.display = stimulus === 'noise' ? 'none' : '';
+        if (bandwidthGroup) bandwidthGroup.style.display = stimulus === 'noise' ? '' : 'none';
+    }
+    
     startTone() {
         console.log('[ToneMatcherUI] Starting tone...');
         
@@ -274,17 +307,21 @@ class ToneMatcherUI {
         this.app.toneState.left = { 
             ...this.leftSettings, 
             osc: null, 
+            noise: null, 
             gain: null, 
             panner: null, 
-            phaseGain: null 
+            phaseGain: null,
+            fader: null
         };
         
         this.app.toneState.right = { 
             ...this.rightSettings, 
             osc: null, 
+            noise: null, 
             gain: null, 
             panner: null, 
-            phaseGain: null 
+            phaseGain: null,
+            fader: null
         };
         
         // Call app's startTone method
@@ -311,10 +348,10 @@ class ToneMatcherUI {
     }
     
     applyAudioSettings() {
-        // Update the existing audio nodes with new settings
+        // Update the playing tone in place; the app ramps or crossfades instead of restarting
         if (this.isPlaying) {
-            this.stopTone();
-            setTimeout(() => this.startTone(), 50);
+            this.app.updateToneSettings('left', { ...this.leftSettings });
+            this.app.updateToneSettings('right', { ...this.rightSettings });
         }
     }
     
@@ -356,6 +393,18 @@ class ToneMatcherUI {
             this.app.wizard.completeCurrentStep('frequency-marked');
         }
         
+        // Keep a dated record of the match
+        const settings = this.selectedEar === 'right' ? this.rightSettings : this.leftSettings;
+        const marked = settings.frequency + settings.fineTune;
+        this.app.matchHistory?.add({
+            method: 'slider',
+            ear: this.selectedEar,
+            frequency: marked,
+            marks: [{ raw: marked, corrected: marked }],
+            stimulus: settings.stimulus === 'noise' ? { type: 'noise', bandwidth: settings.bandwidth } : { type: 'tone' }
+        });
+        this.app.dashboardManager?.updateMatchedFrequency();
+        
         // Auto-save
         if (this.app.autoSaveState) {
             this.app.autoSaveState();
@@ -5,7 +5,9 @@ class SpectrumVisualizer {
         this.analyzer = analyzerNode;
         this.animationId = null;
         this.notchFrequency = null;
+        this.notchFrequencyRight = null; // set when each ear has its own notch
         this.notchWidth = 1;
+        this.extraNotches = []; // additional { freq, width } bands for multi-tone tinnitus
         this.initCanvas();
     }
     initCanvas() { 
@@ -26,8 +28,26 @@ class SpectrumVisualizer {
         console.log('[SpectrumVisualizer] Canvas initialized:', this.canvas.id, `${this.canvas.width}x${this.canvas.height}`);
     }
     setAnalyzer(a) { this.analyzer = a; if (this.analyzer) this.analyzer.smoothingTimeConstant = 0.8; }
-    setNotch(f, w = 1) { this.notchFrequency = f; this.notchWidth = w; }
-    clearNotch() { this.notchFrequency = null; }
+    setNotch(f, w = 1, rightF = null, extra = []) { this.notchFrequency = f; this.notchWidth = w; this.notchFrequencyRight = rightF; this.extraNotches = extra; }
+    clearNotch() { this.notchFrequency = null; this.notchFrequencyRight = null; this.extraNotches = []; }
+    // Notch bands to shade: one shared band (or one per ear in stereo mode), plus any extra bands
+    getNotchBands() {
+        if (!this.notchFrequency) return [];
+        const primary = !this.notchFrequencyRight
+            ? [{ freq: this.notchFrequency, label: `${Math.round(this.notchFrequency)} Hz` }]
+            : [
+                { freq: this.notchFrequency, label: `L ${Math.round(this.notchFrequency)} Hz` },
+                { freq: this.notchFrequencyRight, label: `R ${Math.round(this.notchFrequencyRight)} Hz` }
+            ];
+        const extra = this.extraNotches.filter(b => b.freq).map(b => ({ freq: b.freq, width: b.width ?? 1, label: `${Math.round(b.freq)} Hz` }));
+        return [...primary, ...extra];
+    }
+    // Band edges for octave-based (e.g. 1) or Hz-based (e.g. "hz50") widths
+    getNotchEdges(f, w = this.notchWidth) {
+        if (typeof w === 'string' && w.startsWith('hz')) { const hz = parseInt(w.substring(2)); return { lower: f - hz, upper: f + hz }; }
+        const oct = parseFloat(w) || 1;
+        return { lower: f / Math.pow(2, oct / 2), upper: f * Math.pow(2, oct / 2) };
+    }
     freqToX(f) { const minLog = Math.log10(20), maxLog = Math.log10(20000); return ((Math.log10(f) - minLog) / (maxLog - minLog)) * this.canvas.width; }
     draw() {
         if (!this.ctx || !this.canvas) return;
@@ -36,17 +56,16 @@ class SpectrumVisualizer {
         this.ctx.strokeStyle = 'rgba(255,255,255,0.1)'; this.ctx.lineWidth = 1;
         [100,500,1000,2000,5000,10000].forEach(f => { const x = this.freqToX(f); this.ctx.beginPath(); this.ctx.moveTo(x, 0); this.ctx.lineTo(x, h); this.ctx.stroke(); });
         
-        // Draw notch indicator if set
-        if (this.notchFrequency) {
-            const lower = this.notchFrequency / Math.pow(2, this.notchWidth / 2);
-            const upper = this.notchFrequency * Math.pow(2, this.notchWidth / 2);
-            const x1 = this.freqToX(lower), x2 = this.freqToX(upper), cx = this.freqToX(this.notchFrequency);
+        // Draw notch indicator(s) if set
+        const bands = this.getNotchBands().map(b => ({ ...b, ...this.getNotchEdges(b.freq, b.width) }));
+        bands.forEach((band, i) => {
+            const x1 = this.freqToX(band.lower), x2 = this.freqToX(band.upper), cx = this.freqToX(band.freq);
             this.ctx.fillStyle = 'rgba(255,82,82,0.2)'; this.ctx.fillRect(x1, 0, x2 - x1, h);
             this.ctx.strokeStyle = '#ff5252'; this.ctx.lineWidth = 2; this.ctx.setLineDash([5, 5]);
             this.ctx.beginPath(); this.ctx.moveTo(cx, 0); this.ctx.lineTo(cx, h); this.ctx.stroke(); this.ctx.setLineDash([]);
             this.ctx.fillStyle = '#ff5252'; this.ctx.font = 'bold 24px sans-serif'; this.ctx.textAlign = 'center';
-            this.ctx.fillText(`${Math.round(this.notchFrequency)} Hz`, cx, 30);
-        }
+            this.ctx.fillText(band.label, cx, 30 + i * 28);
+        });
         
         // Draw spectrum data if analyzer available
         if (this.analyzer) {
@@ -64,12 +83,7 @@ class SpectrumVisualizer {
                     const f = (i * sr) / (this.analyzer.fftSize);
                     if (f < 20 || f > 20000) continue;
                     const x = this.freqToX(f), barH = (data[i] / 255) * h * 0.9;
-                    let inNotch = false;
-                    if (this.notchFrequency) {
-                        const lower = this.notchFrequency / Math.pow(2, this.notchWidth / 2);
-                        const upper = this.notchFrequency * Math.pow(2, this.notchWidth / 2);
-                        inNotch = f >= lower && f <= upper;
-                    }
+                    const inNotch = bands.some(b => f >= b.lower && f <= b.upper);
                     this.ctx.fillStyle = inNotch ? 'rgba(255,82,82,0.5)' : gradient;
                     this.ctx.fillRect(x - 2, h - barH, 4, barH);
                 }
@@ -163,6 +177,83 @@ class WaveformVisualizer {
     start() { if (!this.animationId) { this.reinitCanvas(); this.animate(); } }
     stop() { if (this.animationId) { cancelAnimationFrame(this.animationId); this.animationId = null; } }
 }
+// Drawable octave-band EQ for custom-spectrum noise. Drag across the canvas to set each band's
+// gain; the slope shows as a dashed tilt through 1 kHz and the solid curve is the sum of both.
+class SpectrumEditor {
+    constructor(canvasId, frequencies = [], maxGain = 12) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.frequencies = frequencies; this.maxGain = maxGain;
+        this.slope = 0; this.gains = frequencies.map(() => 0);
+        this.drawing = false; this.onChange = null;
+        this.initCanvas();
+        this.bindEvents();
+    }
+    initCanvas() {
+        if (!this.canvas) {
+            console.warn('[SpectrumEditor] Canvas element not found');
+            return;
+        }
+        const r = this.canvas.getBoundingClientRect();
+        if (r.width === 0 || r.height === 0) { this.canvas.width = 600; this.canvas.height = 160; }
+        else { this.canvas.width = r.width * 2; this.canvas.height = r.height * 2; }
+    }
+    bindEvents() {
+        if (!this.canvas) return;
+        this.canvas.addEventListener('pointerdown', (e) => { this.drawing = true; this.handlePointer(e); });
+        this.canvas.addEventListener('pointermove', (e) => { if (this.drawing) this.handlePointer(e); });
+        ['pointerup', 'pointerleave'].forEach(type => this.canvas.addEventListener(type, () => { this.drawing = false; }));
+    }
+    setSpectrum({ slope = 0, bands = [] } = {}) { this.slope = slope; this.gains = this.frequencies.map((_, i) => bands[i] || 0); this.draw(); }
+    getSpectrum() { return { slope: this.slope, bands: [...this.gains] }; }
+    // Bands sit at even spacing on a log scale, with half an octave of margin at each end
+    freqToX(f) {
+        const first = Math.log2(this.frequencies[0]) - 0.5, last = Math.log2(this.frequencies[this.frequencies.length - 1]) + 0.5;
+        return (Math.log2(f) - first) / (last - first) * this.canvas.width;
+    }
+    gainToY(g) { return this.canvas.height / 2 - (g / this.maxGain) * this.canvas.height * 0.4; }
+    // Nearest band to a canvas point, and the band gain (on top of the slope) that puts the curve
+    // at that height, rounded to 0.5 dB
+    pointToBand(x, y) {
+        let index = 0;
+        this.frequencies.forEach((f, i) => { if (Math.abs(this.freqToX(f) - x) < Math.abs(this.freqToX(this.frequencies[index]) - x)) index = i; });
+        const level = (this.canvas.height / 2 - y) / (this.canvas.height * 0.4) * this.maxGain;
+        const gain = level - this.slope * Math.log2(this.frequencies[index] / 1000);
+        return { index, gain: Math.round(Math.max(-this.maxGain, Math.min(this.maxGain, gain)) * 2) / 2 };
+    }
+    handlePointer(e) {
+        const r = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - r.left) * this.canvas.width / (r.width || this.canvas.width);
+        const y = (e.clientY - r.top) * this.canvas.height / (r.height || this.canvas.height);
+        const { index, gain } = this.pointToBand(x, y);
+        if (this.gains[index] === gain) return;
+        this.gains[index] = gain;
+        this.draw();
+        if (this.onChange) this.onChange(this.getSpectrum());
+    }
+    draw() {
+        if (!this.ctx || !this.canvas) return;
+        const w = this.canvas.width, h = this.canvas.height;
+        const tilt = f => this.slope * Math.log2(f / 1000);
+        this.ctx.fillStyle = 'rgba(0,0,0,0.4)'; this.ctx.fillRect(0, 0, w, h);
+        this.ctx.strokeStyle = 'rgba(255,255,255,0.1)'; this.ctx.lineWidth = 1;
+        this.ctx.beginPath(); this.ctx.moveTo(0, h / 2); this.ctx.lineTo(w, h / 2); this.ctx.stroke();
+        this.ctx.fillStyle = 'rgba(255,255,255,0.5)'; this.ctx.font = '20px sans-serif'; this.ctx.textAlign = 'center';
+        this.frequencies.forEach(f => this.ctx.fillText(f >= 1000 ? `${f / 1000}k` : `${f}`, this.freqToX(f), h - 8));
+
+        // Slope alone, then slope plus the drawn bands
+        const [first, last] = [this.frequencies[0], this.frequencies[this.frequencies.length - 1]];
+        this.ctx.strokeStyle = 'rgba(255,255,255,0.4)'; this.ctx.setLineDash([5, 5]);
+        this.ctx.beginPath(); this.ctx.moveTo(this.freqToX(first), this.gainToY(tilt(first))); this.ctx.lineTo(this.freqToX(last), this.gainToY(tilt(last))); this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        this.ctx.strokeStyle = '#00d9ff'; this.ctx.lineWidth = 3; this.ctx.beginPath();
+        this.frequencies.forEach((f, i) => { const x = this.freqToX(f), y = this.gainToY(tilt(f) + this.gains[i]); i === 0 ? this.ctx.moveTo(x, y) : this.ctx.lineTo(x, y); });
+        this.ctx.stroke();
+        this.ctx.fillStyle = '#00d9ff';
+        this.frequencies.forEach((f, i) => { this.ctx.beginPath(); this.ctx.arc(this.freqToX(f), this.gainToY(tilt(f) + this.gains[i]), 8, 0, Math.PI * 2); this.ctx.fill(); });
+    }
+}
 window.SpectrumVisualizer = SpectrumVisualizer;
 window.WaveformVisualizer = WaveformVisualizer;
-export { SpectrumVisualizer, WaveformVisualizer };
+window.SpectrumEditor = SpectrumEditor;
+export { SpectrumVisualizer, WaveformVisualizer, SpectrumEditor };
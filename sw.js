@@ -7,11 +7,26 @@ const urlsToCache = [
   '/styles.css',
   '/app.js',
   '/js/audio-engine.js',
+  '/js/noise-processor.js',
   '/js/visualizer.js',
   '/js/session-manager.js',
   '/js/guided-matching.js',
   '/js/notification-manager.js',
   '/js/export-manager.js',
+  '/js/offline-renderer.js',
+  '/js/pitch-matching.js',
+  '/js/loudness-matching.js',
+  '/js/residual-inhibition.js',
+  '/js/sweep-engine.js',
+  '/js/reaction-time.js',
+  '/js/match-history.js',
+  '/js/audiogram.js',
+  '/js/headphone-calibration.js',
+  '/js/notch-recommendation.js',
+  '/js/soundscape-mixer.js',
+  '/js/music-library.js',
+  '/js/music-analysis.js',
+  '/js/music-player.js',
   '/manifest.json',
   '/icons/icon-72x72.png',
   '/icons/icon-96x96.png',
@@ -3,7 +3,7 @@
  * Tests the real AudioEngine class from ../js/audio-engine.js
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { AudioEngine } from '../js/audio-engine.js';
 
 // Helper to create a mock AudioParam with both value storage and Web Audio methods
@@ -14,6 +14,7 @@ function createMockAudioParam(initialValue = 0) {
     setTargetAtTime: vi.fn(function (v) { this.value = v; }),
     linearRampToValueAtTime: vi.fn(function (v) { this.value = v; }),
     exponentialRampToValueAtTime: vi.fn(function (v) { this.value = v; }),
+    cancelScheduledValues: vi.fn(),
   };
 }
 
@@ -55,6 +56,17 @@ function createEnhancedMockAudioContext() {
       disconnect: vi.fn(),
       getByteFrequencyData: vi.fn(),
       getByteTimeDomainData: vi.fn(),
+      getFloatTimeDomainData: vi.fn(),
+    })),
+
+    createDynamicsCompressor: vi.fn(() => ({
+      threshold: createMockAudioParam(-24),
+      knee: createMockAudioParam(30),
+      ratio: createMockAudioParam(12),
+      attack: createMockAudioParam(0.003),
+      release: createMockAudioParam(0.25),
+      connect: vi.fn(),
+      disconnect: vi.fn(),
     })),
 
     createBiquadFilter: vi.fn(() => ({
@@ -66,6 +78,18 @@ function createEnhancedMockAudioContext() {
       disconnect: vi.fn(),
     })),
 
+    createChannelSplitter: vi.fn((outputs) => ({
+      numberOfOutputs: outputs,
+      connect: vi.fn(),
+      disconnect: vi.fn(),
+    })),
+
+    createChannelMerger: vi.fn((inputs) => ({
+      numberOfInputs: inputs,
+      connect: vi.fn(),
+      disconnect: vi.fn(),
+    })),
+
     createBufferSource: vi.fn(() => ({
       buffer: null,
       loop: false,
@@ -154,6 +178,25 @@ describe('AudioEngine', () => {
     });
   });
 
+  describe('forContext', () => {
+    it('should wrap an existing context without constructing a new one', () => {
+      const offlineCtx = createEnhancedMockAudioContext();
+      global.window.AudioContext.mockClear();
+
+      const offlineEngine = AudioEngine.forContext(offlineCtx);
+
+      expect(offlineEngine.audioContext).toBe(offlineCtx);
+      expect(global.window.AudioContext).not.toHaveBeenCalled();
+    });
+
+    it('should connect a master gain to the wrapped context destination', () => {
+      const offlineCtx = createEnhancedMockAudioContext();
+      const offlineEngine = AudioEngine.forContext(offlineCtx);
+
+      expect(offlineEngine.masterGain.connect).toHaveBeenCalledWith(offlineCtx.destination);
+    });
+  });
+
   describe('currentTime', () => {
     it('should return audioContext.currentTime', () => {
       mockCtx.currentTime = 1.5;
@@ -323,6 +366,270 @@ describe('AudioEngine', () => {
       const bank = engine.createNotchFilterBank(4000, 'hz100', 1);
       expect(bank.filters.length).toBeGreaterThan(0);
     });
+
+    it('should mix the filtered path with a dry path', () => {
+      const bank = engine.createNotchFilterBank(4000, 1, -20);
+      expect(bank.input.connect).toHaveBeenCalledWith(bank.dry);
+      expect(bank.input.connect).toHaveBeenCalledWith(bank.filters[0]);
+      expect(bank.filters[bank.filters.length - 1].connect).toHaveBeenCalledWith(bank.wet);
+      expect(bank.dry.connect).toHaveBeenCalledWith(bank.output);
+      expect(bank.wet.connect).toHaveBeenCalledWith(bank.output);
+    });
+
+    it('should keep Q independent of depth', () => {
+      const full = engine.createNotchFilterBank(4000, 1, 'full');
+      const shallow = engine.createNotchFilterBank(4000, 1, -10);
+      expect(shallow.filters[0].Q.value).toBe(full.filters[0].Q.value);
+    });
+
+    it('should silence the filtered path for a 0 dB depth', () => {
+      const bank = engine.createNotchFilterBank(4000, 1, 0);
+      expect(bank.dry.gain.value).toBe(1);
+      expect(bank.wet.gain.value).toBe(0);
+    });
+
+    it('should use true notches for a full depth and peaking cuts otherwise', () => {
+      const full = engine.createNotchFilterBank(4000, 1, 'full');
+      const partial = engine.createNotchFilterBank(4000, 1, -20);
+      full.filters.forEach((f) => expect(f.type).toBe('notch'));
+      partial.filters.forEach((f) => {
+        expect(f.type).toBe('peaking');
+        expect(f.gain.value).toBeLessThan(0);
+      });
+      expect(partial.dry.gain.value).toBe(0);
+      expect(partial.wet.gain.value).toBe(1);
+    });
+
+    it('should retune filter type and gain when depth is updated', () => {
+      const bank = engine.createNotchFilterBank(4000, 1, 'full');
+      bank.update(4000, 1, -20);
+      bank.filters.forEach((f) => {
+        expect(f.type).toBe('peaking');
+        expect(f.gain.setTargetAtTime).toHaveBeenCalledWith(expect.any(Number), engine.currentTime, 0.01);
+        expect(f.gain.setTargetAtTime.mock.calls[0][0]).toBeLessThan(0);
+      });
+      expect(bank.dry.gain.setTargetAtTime).toHaveBeenCalledWith(0, engine.currentTime, 0.01);
+      expect(bank.wet.gain.setTargetAtTime).toHaveBeenCalledWith(1, engine.currentTime, 0.01);
+    });
+
+    it('should switch to the dry path when updated to 0 dB', () => {
+      const bank = engine.createNotchFilterBank(4000, 1, -20);
+      bank.update(4000, 1, 0);
+      expect(bank.dry.gain.setTargetAtTime).toHaveBeenCalledWith(1, engine.currentTime, 0.01);
+      expect(bank.wet.gain.setTargetAtTime).toHaveBeenCalledWith(0, engine.currentTime, 0.01);
+    });
+  });
+
+  describe('getNotchFilterLayout', () => {
+    it('should place a filter on the center frequency for every width', () => {
+      ['hz50', 'hz100', 'hz250', 0.25, 0.5, 1, 1.5, 2].forEach((width) => {
+        const freqs = engine.getNotchFilterLayout(4000, width).map((l) => l.freq);
+        expect(freqs.some((f) => Math.abs(f - 4000) < 1e-6)).toBe(true);
+      });
+    });
+
+    it('should space octave-wide filters evenly on a log scale', () => {
+      const freqs = engine.getNotchFilterLayout(4000, 1).map((l) => l.freq);
+      const ratios = freqs.slice(1).map((f, i) => f / freqs[i]);
+      ratios.forEach((r) => expect(r).toBeCloseTo(Math.pow(2, 1 / AudioEngine.notchSteps), 10));
+    });
+
+    it('should run the filters past both band edges', () => {
+      const freqs = engine.getNotchFilterLayout(7000, 'hz100').map((l) => l.freq);
+      expect(freqs[AudioEngine.notchOverhang]).toBeCloseTo(6900, 6);
+      expect(freqs[AudioEngine.notchOverhang + AudioEngine.notchSteps]).toBeCloseTo(7100, 6);
+      expect(Math.min(...freqs)).toBeLessThan(6900);
+      expect(Math.max(...freqs)).toBeGreaterThan(7100);
+    });
+
+    it('should use the same filter count for every width', () => {
+      const count = AudioEngine.notchSteps + 2 * AudioEngine.notchOverhang + 1;
+      ['hz50', 'hz250', 0.25, 1, 2].forEach((width) => {
+        expect(engine.getNotchFilterLayout(4000, width)).toHaveLength(count);
+      });
+    });
+
+    it('should scale filter Q with the width', () => {
+      const centerIndex = AudioEngine.notchOverhang + AudioEngine.notchSteps / 2;
+      const narrow = engine.getNotchFilterLayout(4000, 0.5)[centerIndex].Q;
+      const wide = engine.getNotchFilterLayout(4000, 2)[centerIndex].Q;
+      expect(narrow).toBeGreaterThan(wide);
+    });
+
+    it('should pin filters outside the audible range and leave them flat', () => {
+      const low = engine.getNotchFilterLayout(100, 'hz250');
+      const high = engine.getNotchFilterLayout(15000, 2);
+      expect(low[0]).toEqual({ freq: 20, Q: 1, flat: true });
+      expect(high[high.length - 1]).toEqual({ freq: 20000, Q: 1, flat: true });
+      const settings = engine.getNotchFilterSettings(100, 'hz250', 'full');
+      expect(settings[0]).toMatchObject({ type: 'peaking', gain: 0 });
+    });
+  });
+
+  describe('parseNotchDepth', () => {
+    it('should treat full depth as a complete notch', () => {
+      expect(engine.parseNotchDepth('full')).toEqual({ db: -Infinity, dry: 0, wet: 1 });
+    });
+
+    it('should send dB attenuation through the filters only', () => {
+      expect(engine.parseNotchDepth(-40)).toEqual({ db: -40, dry: 0, wet: 1 });
+    });
+
+    it('should bypass at 0 dB', () => {
+      expect(engine.parseNotchDepth(0)).toEqual({ db: 0, dry: 1, wet: 0 });
+    });
+
+    it('should read legacy fractional depths', () => {
+      expect(engine.parseNotchDepth(1).db).toBe(-Infinity);
+      expect(engine.parseNotchDepth(0.5).db).toBeCloseTo(-6.02, 2);
+    });
+
+    it('should accept dB strings from select elements', () => {
+      expect(engine.parseNotchDepth('-20').db).toBe(-20);
+    });
+  });
+
+  describe('getNotchResponse', () => {
+    const passband = [100, 250, 500, 1000, 12000, 16000];
+
+    it('should attenuate by the requested dB at the notch center', () => {
+      [-10, -20, -40].forEach((db) => {
+        const [center] = engine.getNotchResponse([4000], 4000, 1, db);
+        expect(center).toBeCloseTo(db, 1);
+      });
+    });
+
+    it('should hold the requested depth across the band', () => {
+      const inBand = [3000, 3500, 4500, 5000];
+      [-10, -20, -40].forEach((db) => {
+        engine.getNotchResponse(inBand, 4000, 1, db).forEach((response) => {
+          expect(Math.abs(response - db)).toBeLessThan(Math.abs(db) / 10);
+        });
+      });
+      engine.getNotchResponse(inBand, 4000, 1, 'full').forEach((response) => {
+        expect(response).toBeLessThan(-40);
+      });
+    });
+
+    it('should hold the requested depth across Hz-based bands', () => {
+      engine.getNotchResponse([3875, 3900, 4100, 4125], 4000, 'hz250', -20).forEach((response) => {
+        expect(Math.abs(response + 20)).toBeLessThan(2);
+      });
+    });
+
+    it('should reach far below -60 dB at the center of a full notch', () => {
+      const [center] = engine.getNotchResponse([4000], 4000, 1, 'full');
+      expect(center).toBeLessThan(-60);
+    });
+
+    it('should keep the passband flat', () => {
+      ['full', -20].forEach((depth) => {
+        engine.getNotchResponse(passband, 4000, 1, depth).forEach((db) => {
+          expect(Math.abs(db)).toBeLessThan(0.5);
+        });
+      });
+    });
+
+    it('should never boost any frequency', () => {
+      const freqs = Array.from({ length: 200 }, (_, i) => 20 * Math.pow(1000, i / 199));
+      engine.getNotchResponse(freqs, 4000, 1, -20).forEach((db) => {
+        expect(db).toBeLessThanOrEqual(1e-6);
+      });
+    });
+
+    it('should be exactly flat when bypassed', () => {
+      engine.getNotchResponse([...passband, 4000], 4000, 1, 0).forEach((db) => {
+        expect(db).toBeCloseTo(0, 10);
+      });
+    });
+
+    it('should attenuate deeper for deeper settings', () => {
+      const [shallow] = engine.getNotchResponse([4000], 4000, 1, -10);
+      const [deep] = engine.getNotchResponse([4000], 4000, 1, -40);
+      expect(deep).toBeLessThan(shallow);
+    });
+  });
+
+  describe('Stereo Notch Filter Bank', () => {
+    it('should build one filter bank per ear at its own frequency', () => {
+      const bank = engine.createStereoNotchFilterBank(4000, 6000, 1, 1);
+      const leftCenters = bank.left.filters.map((f) => f.frequency.value);
+      const rightCenters = bank.right.filters.map((f) => f.frequency.value);
+
+      expect(leftCenters[AudioEngine.notchOverhang]).toBeCloseTo(4000 / Math.SQRT2, 3);
+      expect(rightCenters[AudioEngine.notchOverhang]).toBeCloseTo(6000 / Math.SQRT2, 3);
+      expect(bank.filters.length).toBe(bank.left.filters.length + bank.right.filters.length);
+    });
+
+    it('should split channels into each bank and merge them back', () => {
+      const bank = engine.createStereoNotchFilterBank(4000, 6000, 1, 1);
+      const splitter = mockCtx.createChannelSplitter.mock.results[0].value;
+
+      expect(bank.input.connect).toHaveBeenCalledWith(splitter);
+      expect(splitter.connect).toHaveBeenCalledWith(bank.left.input, 0);
+      expect(splitter.connect).toHaveBeenCalledWith(bank.right.input, 1);
+      expect(bank.left.output.connect).toHaveBeenCalledWith(bank.output, 0, 0);
+      expect(bank.right.output.connect).toHaveBeenCalledWith(bank.output, 0, 1);
+    });
+
+    it('should upmix mono input to stereo before splitting', () => {
+      const bank = engine.createStereoNotchFilterBank(4000, 6000);
+      expect(bank.input.channelCount).toBe(2);
+      expect(bank.input.channelCountMode).toBe('explicit');
+      expect(bank.input.channelInterpretation).toBe('speakers');
+    });
+
+    it('should update each ear independently', () => {
+      const bank = engine.createStereoNotchFilterBank(4000, 6000, 1, 1);
+      const leftUpdate = vi.spyOn(bank.left, 'update');
+      const rightUpdate = vi.spyOn(bank.right, 'update');
+
+      bank.update(3000, 8000, 'hz100', 0.5);
+
+      expect(leftUpdate).toHaveBeenCalledWith(3000, 'hz100', 0.5);
+      expect(rightUpdate).toHaveBeenCalledWith(8000, 'hz100', 0.5);
+    });
+  });
+
+  describe('Multi-Band Notch Filter Bank', () => {
+    it('should build one filter bank per band with its own width and depth', () => {
+      const bank = engine.createMultiNotchFilterBank([
+        { freq: 4000, width: 1, depth: 1 },
+        { freq: 7000, width: 'hz100', depth: -20 }
+      ]);
+
+      expect(bank.banks.length).toBe(2);
+      expect(bank.banks[0].filters[0].type).toBe('notch');
+      expect(bank.banks[1].filters[0].type).toBe('peaking');
+      expect(bank.banks[1].filters[AudioEngine.notchOverhang].frequency.value).toBeCloseTo(6900, 6);
+      expect(bank.filters.length).toBe(bank.banks[0].filters.length + bank.banks[1].filters.length);
+    });
+
+    it('should chain the bands in series', () => {
+      const bank = engine.createMultiNotchFilterBank([{ freq: 3000 }, { freq: 6000 }, { freq: 9000 }]);
+
+      expect(bank.banks[0].output.connect).toHaveBeenCalledWith(bank.banks[1].input);
+      expect(bank.banks[1].output.connect).toHaveBeenCalledWith(bank.banks[2].input);
+      expect(bank.input).toBe(bank.banks[0].input);
+      expect(bank.output).toBe(bank.banks[2].output);
+    });
+
+    it('should pass audio straight through when there are no bands', () => {
+      const bank = engine.createMultiNotchFilterBank([]);
+      expect(bank.filters).toEqual([]);
+      expect(bank.input).toBe(bank.output);
+    });
+
+    it('should update each band from a new band list', () => {
+      const bank = engine.createMultiNotchFilterBank([{ freq: 3000 }, { freq: 6000 }]);
+      const firstUpdate = vi.spyOn(bank.banks[0], 'update');
+      const secondUpdate = vi.spyOn(bank.banks[1], 'update');
+
+      bank.update([{ freq: 3500, width: 0.5, depth: -40 }, { freq: 6500 }]);
+
+      expect(firstUpdate).toHaveBeenCalledWith(3500, 0.5, -40);
+      expect(secondUpdate).toHaveBeenCalledWith(6500, 1, 'full');
+    });
   });
 
   describe('Noise Buffers', () => {
@@ -342,6 +649,21 @@ describe('AudioEngine', () => {
       expect(buf.numberOfChannels).toBe(2);
     });
 
+    it('should create blue and violet noise buffers with 2 channels', () => {
+      expect(engine.createBlueNoiseBuffer(1).numberOfChannels).toBe(2);
+      expect(engine.createVioletNoiseBuffer(1).numberOfChannels).toBe(2);
+    });
+
+    it('should make violet noise from the first difference of white noise', () => {
+      vi.spyOn(Math, 'random').mockReturnValueOnce(1).mockReturnValueOnce(0).mockReturnValue(0.5);
+      const d = engine.createVioletNoiseBuffer(1).getChannelData(0);
+      // white: 1, -1, 0, 0, ...
+      expect(d[1]).toBeCloseTo(-0.5, 10);
+      expect(d[2]).toBeCloseTo(0.25, 10);
+      expect(d[3]).toBe(0);
+      vi.restoreAllMocks();
+    });
+
     it('should fill buffer channel data', () => {
       const buf = engine.createWhiteNoiseBuffer(1);
       // getChannelData should have been called for each channel
@@ -370,6 +692,219 @@ describe('AudioEngine', () => {
     });
   });
 
+  describe('Shaped Noise', () => {
+    it('should build grey noise from white noise and the equal-loudness contour', () => {
+      expect(engine.getNoiseSpectrum('grey')).toEqual({ base: 'white', slope: 0, eq: AudioEngine.greyNoiseEq });
+    });
+
+    it('should leave the generator colors unshaped', () => {
+      expect(engine.getNoiseSpectrum('violet')).toEqual({ base: 'violet', slope: 0, eq: null });
+    });
+
+    it('should take a custom slope from the nearest generator color', () => {
+      const shape = engine.getNoiseSpectrum('custom', { slope: -4, bands: [] });
+      expect(shape.base).toBe('pink');
+      expect(shape.slope).toBe(-3);
+      // The remaining -1 dB/octave tilts the EQ around 1 kHz
+      expect(shape.eq[4]).toBe(0);
+      expect(shape.eq[5]).toBe(-1);
+      expect(shape.eq[0]).toBeCloseTo(Math.log2(1000 / 63), 10);
+    });
+
+    it('should add the drawn band gains on top of the slope', () => {
+      const shape = engine.getNoiseSpectrum('custom', { slope: 6, bands: [0, 0, 0, 0, 0, 0, 5] });
+      expect(shape.base).toBe('violet');
+      expect(shape.eq[6]).toBe(5);
+      expect(shape.eq[8]).toBe(0);
+    });
+
+    it('should clamp steep slopes to brown or violet', () => {
+      expect(engine.getNoiseSpectrum('custom', { slope: -9 }).base).toBe('brown');
+      expect(engine.getNoiseSpectrum('custom', { slope: 12 }).base).toBe('violet');
+    });
+
+    it('should trim the output to the power of the base color', () => {
+      const flat = AudioEngine.noiseEqBands.map(() => 0);
+      expect(engine.getSpectrumTrim(flat)).toBeCloseTo(0, 10);
+      expect(engine.getSpectrumTrim(flat.map(() => 6), -3)).toBeCloseTo(-6, 10);
+      // A boost only in the 63 Hz band barely changes the power of white noise...
+      const bass = flat.map((g, i) => (i === 0 ? 12 : 0));
+      expect(engine.getSpectrumTrim(bass, 0)).toBeGreaterThan(-0.5);
+      // ...but matters for brown, whose power sits in the low bands
+      expect(engine.getSpectrumTrim(bass, -6)).toBeLessThan(-5);
+    });
+
+    it('should chain one peaking filter per octave band for grey noise', () => {
+      const grey = engine.createNoiseSource('grey');
+      expect(grey.source.loop).toBe(true);
+      expect(grey.filters).toHaveLength(AudioEngine.noiseEqBands.length);
+      expect(grey.filters.every(f => f.type === 'peaking')).toBe(true);
+      expect(grey.filters[0].gain.value).toBe(24);
+      expect(grey.source.connect).toHaveBeenCalledWith(grey.filters[0]);
+      expect(grey.filters[8].connect).toHaveBeenCalledWith(grey.output);
+    });
+
+    it('should behave like a source node', () => {
+      const custom = engine.createNoiseSource('custom', { slope: 0, bands: [] });
+      const dest = { connect: vi.fn() };
+      custom.connect(dest);
+      custom.start();
+      custom.stop();
+      custom.disconnect();
+      expect(custom.output.connect).toHaveBeenCalledWith(dest);
+      expect(custom.source.start).toHaveBeenCalled();
+      expect(custom.source.stop).toHaveBeenCalled();
+      expect(custom.output.disconnect).toHaveBeenCalled();
+    });
+
+    it('should retune a custom spectrum in place while the base color holds', () => {
+      const custom = engine.createNoiseSource('custom', { slope: 0, bands: [] });
+      expect(custom.update({ slope: 1, bands: [0, 0, 0, 0, 0, 0, 0, 0, 4] })).toBe(true);
+      expect(custom.filters[8].gain.setTargetAtTime).toHaveBeenCalledWith(8, expect.any(Number), 0.05);
+      expect(custom.update({ slope: 3, bands: [] })).toBe(false);
+    });
+  });
+
+  describe('Noise Worklet', () => {
+    let workletEngine;
+
+    function createWorkletEngine(addModule) {
+      const ctx = createEnhancedMockAudioContext();
+      ctx.audioWorklet = { addModule };
+      global.window.AudioContext = vi.fn(() => ctx);
+      const e = new AudioEngine();
+      e.init();
+      return e;
+    }
+
+    beforeEach(() => {
+      vi.stubGlobal('AudioWorkletNode', vi.fn(function (ctx, name, options) {
+        this.name = name;
+        this.options = options;
+        this.port = { postMessage: vi.fn() };
+        this.connect = vi.fn();
+        this.disconnect = vi.fn();
+      }));
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should fall back to buffers without AudioWorklet support', async () => {
+      expect(engine.noiseWorkletReady).toBe(false);
+      await expect(engine.loadNoiseWorklet()).resolves.toBe(false);
+      expect(engine.createNoiseSource('pink').loop).toBe(true);
+    });
+
+    it('should load the processor module once on init', async () => {
+      const addModule = vi.fn().mockResolvedValue(undefined);
+      workletEngine = createWorkletEngine(addModule);
+      expect(workletEngine.noiseWorkletReady).toBeNull();
+      workletEngine.init();
+      await expect(workletEngine.loadNoiseWorklet()).resolves.toBe(true);
+      expect(addModule).toHaveBeenCalledTimes(1);
+      expect(addModule.mock.calls[0][0]).toMatch(/noise-processor\.js$/);
+    });
+
+    it('should use buffers while the worklet is still loading', () => {
+      workletEngine = createWorkletEngine(() => new Promise(() => {}));
+      expect(workletEngine.createNoiseSource('white').loop).toBe(true);
+    });
+
+    it('should fall back to buffers when the module fails to load', async () => {
+      workletEngine = createWorkletEngine(vi.fn().mockRejectedValue(new Error('blocked')));
+      await expect(workletEngine.loadNoiseWorklet()).resolves.toBe(false);
+      expect(workletEngine.createNoiseSource('white').loop).toBe(true);
+    });
+
+    it('should create a stereo worklet source once loaded', async () => {
+      workletEngine = createWorkletEngine(vi.fn().mockResolvedValue(undefined));
+      await workletEngine.loadNoiseWorklet();
+      const src = workletEngine.createNoiseSource('brown');
+      expect(src.name).toBe('noise-processor');
+      expect(src.options).toEqual({ numberOfInputs: 0, outputChannelCount: [2], processorOptions: { type: 'brown' } });
+    });
+
+    it('should start, stop and crossfade through the port', async () => {
+      workletEngine = createWorkletEngine(vi.fn().mockResolvedValue(undefined));
+      await workletEngine.loadNoiseWorklet();
+      const src = workletEngine.createNoiseSource('white');
+      src.start();
+      src.setType('pink', 2);
+      src.stop(5);
+      expect(src.port.postMessage.mock.calls.map(c => c[0])).toEqual([
+        { command: 'start', time: 0 },
+        { command: 'type', type: 'pink', fadeTime: 2 },
+        { command: 'stop', time: 5 }
+      ]);
+    });
+
+    it('should only crossfade between generator colors', async () => {
+      workletEngine = createWorkletEngine(vi.fn().mockResolvedValue(undefined));
+      await workletEngine.loadNoiseWorklet();
+      const src = workletEngine.createNoiseSource('white');
+      expect(src.setType('violet')).toBe(true);
+      expect(src.setType('grey')).toBe(false);
+      expect(src.port.postMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should shape grey noise from a worklet source', async () => {
+      workletEngine = createWorkletEngine(vi.fn().mockResolvedValue(undefined));
+      await workletEngine.loadNoiseWorklet();
+      const grey = workletEngine.createNoiseSource('grey');
+      expect(grey.source.name).toBe('noise-processor');
+      expect(grey.source.options.processorOptions).toEqual({ type: 'white' });
+    });
+
+    it('should keep narrowband noise working on the worklet source', async () => {
+      workletEngine = createWorkletEngine(vi.fn().mockResolvedValue(undefined));
+      await workletEngine.loadNoiseWorklet();
+      const nb = workletEngine.createNarrowbandNoise(4000);
+      nb.start();
+      expect(nb.source.port.postMessage).toHaveBeenCalledWith({ command: 'start', time: 0 });
+      expect(nb.source.connect).toHaveBeenCalledWith(nb.filters[0]);
+    });
+  });
+
+  describe('Narrowband Noise', () => {
+    it('should filter looping noise through two bandpass stages', () => {
+      const nb = engine.createNarrowbandNoise(6000);
+      expect(nb.source.loop).toBe(true);
+      expect(nb.filters).toHaveLength(2);
+      expect(nb.filters.every(f => f.type === 'bandpass')).toBe(true);
+      expect(nb.source.connect).toHaveBeenCalledWith(nb.filters[0]);
+      expect(nb.filters[0].connect).toHaveBeenCalledWith(nb.filters[1]);
+      expect(nb.output).toBe(nb.filters[1]);
+    });
+
+    it('should center the band on the given frequency', () => {
+      const nb = engine.createNarrowbandNoise(6000);
+      nb.filters.forEach(f => expect(f.frequency.setValueAtTime).toHaveBeenCalledWith(6000, expect.any(Number)));
+    });
+
+    it('should derive Q from the bandwidth in octaves', () => {
+      const nb = engine.createNarrowbandNoise(4000, 1);
+      expect(nb.filters[0].Q.setValueAtTime).toHaveBeenCalledWith(expect.closeTo(Math.SQRT2, 10), expect.any(Number));
+    });
+
+    it('should glide center and bandwidth on update', () => {
+      const nb = engine.createNarrowbandNoise(4000, 1);
+      nb.update(3000, 1 / 3);
+      const ratio = Math.pow(2, 1 / 3);
+      expect(nb.filters[1].frequency.setTargetAtTime).toHaveBeenLastCalledWith(3000, expect.any(Number), 0.01);
+      expect(nb.filters[1].Q.setTargetAtTime).toHaveBeenLastCalledWith(expect.closeTo(Math.sqrt(ratio) / (ratio - 1), 10), expect.any(Number), 0.01);
+    });
+
+    it('should start and stop the underlying source', () => {
+      const nb = engine.createNarrowbandNoise();
+      nb.start(1);
+      nb.stop(2);
+      expect(nb.source.start).toHaveBeenCalledWith(1);
+      expect(nb.source.stop).toHaveBeenCalledWith(2);
+    });
+  });
+
   describe('Analyzer', () => {
     it('should create analyzer with default FFT size 2048', () => {
       const analyzer = engine.createAnalyzer();
@@ -408,7 +943,16 @@ describe('AudioEngine', () => {
     it('should connect a node to master gain via connectToMaster', () => {
       const osc = engine.createOscillator(440);
       engine.connectToMaster(osc);
-      expect(osc.connect).toHaveBeenCalledWith(engine.masterGain);
+      // Through the headphone calibration stage, which is a straight path when uncalibrated
+      expect(osc.connect).toHaveBeenCalledWith(engine.calibrationInput);
+      expect(engine.calibrationInput.connect).toHaveBeenCalledWith(engine.masterGain);
+    });
+
+    it('should connect straight to master gain when there is no calibration stage', () => {
+      const offlineEngine = AudioEngine.forContext(createEnhancedMockAudioContext());
+      const osc = offlineEngine.createOscillator(440);
+      offlineEngine.connectToMaster(osc);
+      expect(osc.connect).toHaveBeenCalledWith(offlineEngine.masterGain);
     });
   });
 
@@ -424,6 +968,74 @@ describe('AudioEngine', () => {
     });
   });
 
+  describe('Safety Limiter', () => {
+    it('should route the master bus through the limiter to the destination', () => {
+      expect(engine.masterGain.connect).toHaveBeenCalledWith(engine.limiter);
+      expect(engine.limiter.connect).toHaveBeenCalledWith(engine.limiterTrim);
+      expect(engine.limiterTrim.connect).toHaveBeenCalledWith(mockCtx.destination);
+      expect(engine.limiterTrim.connect).toHaveBeenCalledWith(engine.outputMeter);
+    });
+
+    it('should limit hard at the threshold', () => {
+      expect(engine.limiter.threshold.setValueAtTime).toHaveBeenCalledWith(-6, 0);
+      expect(engine.limiter.knee.setValueAtTime).toHaveBeenCalledWith(0, 0);
+      expect(engine.limiter.ratio.setValueAtTime).toHaveBeenCalledWith(20, 0);
+    });
+
+    it('should trim out the automatic makeup gain', () => {
+      const trimDb = 20 * Math.log10(engine.limiterTrim.gain.setValueAtTime.mock.calls[0][0]);
+      expect(trimDb).toBeCloseTo(0.6 * -6 * (1 - 1 / 20), 10);
+    });
+
+    it('should measure the output level in dBFS', () => {
+      engine.outputMeter.getFloatTimeDomainData.mockImplementation((data) => data.fill(0.1));
+      expect(engine.getOutputLevel()).toBeCloseTo(-20, 5);
+      expect(engine.estimateSpl()).toBeCloseTo(80, 5);
+    });
+
+    it('should report silence as no level', () => {
+      expect(engine.getOutputLevel()).toBe(-Infinity);
+      expect(engine.estimateSpl()).toBeNull();
+      expect(new AudioEngine().getOutputLevel()).toBeNull();
+    });
+  });
+
+  describe('Headphone Calibration', () => {
+    it('should pass audio through unchanged when uncalibrated', () => {
+      expect(engine.calibrationInput.gain.setValueAtTime).toHaveBeenCalledWith(1, 0);
+      expect(engine.calibrationFilters).toEqual([]);
+    });
+
+    it('should apply the gain offset and a peaking filter per correction', () => {
+      engine.setCalibration({ gainDb: -20, eq: [{ frequency: 4000, gainDb: 3 }, { frequency: 1000, gainDb: 0 }, { frequency: 8000, gainDb: -2 }] });
+      expect(engine.calibrationInput.gain.setValueAtTime).toHaveBeenLastCalledWith(0.1, 0);
+      expect(engine.calibrationFilters).toHaveLength(2);
+      const [peak4k, peak8k] = engine.calibrationFilters;
+      expect(peak4k.type).toBe('peaking');
+      expect(peak4k.frequency.setValueAtTime).toHaveBeenCalledWith(4000, 0);
+      expect(peak4k.gain.setValueAtTime).toHaveBeenCalledWith(3, 0);
+      expect(engine.calibrationInput.connect).toHaveBeenLastCalledWith(peak4k);
+      expect(peak4k.connect).toHaveBeenCalledWith(peak8k);
+      expect(peak8k.connect).toHaveBeenCalledWith(engine.masterGain);
+    });
+
+    it('should replace the previous filters when the device changes', () => {
+      engine.setCalibration({ gainDb: 0, eq: [{ frequency: 4000, gainDb: 3 }] });
+      const old = engine.calibrationFilters[0];
+      engine.setCalibration(null);
+      expect(old.disconnect).toHaveBeenCalled();
+      expect(engine.calibrationFilters).toEqual([]);
+      expect(engine.calibrationInput.connect).toHaveBeenLastCalledWith(engine.masterGain);
+    });
+
+    it('should apply a calibration set before init', () => {
+      const fresh = new AudioEngine();
+      fresh.setCalibration({ gainDb: 6, eq: [] });
+      fresh.init();
+      expect(fresh.calibrationInput.gain.setValueAtTime).toHaveBeenCalledWith(expect.closeTo(1.995, 3), 0);
+    });
+  });
+
   describe('Master Volume', () => {
     it('should set master volume via setMasterVolume', () => {
       engine.setMasterVolume(0.7);
@@ -436,6 +1048,159 @@ describe('AudioEngine', () => {
     });
   });
 
+  describe('Sources', () => {
+    // A source whose stop reports back to the engine, like the app's sources do
+    function source(name, kind, { pausable = true } = {}) {
+      const s = {
+        stop: vi.fn(() => engine.stopSource(name)),
+        pause: pausable ? vi.fn() : null,
+        resume: pausable ? vi.fn() : null
+      };
+      engine.startSource(name, { kind, label: name, ...s });
+      return s;
+    }
+
+    it('should report what is playing in start order', () => {
+      source('noise', 'therapy');
+      source('music', 'therapy');
+      expect(engine.getPlaying()).toEqual([
+        { name: 'noise', kind: 'therapy', label: 'noise', paused: false },
+        { name: 'music', kind: 'therapy', label: 'music', paused: false }
+      ]);
+      engine.stopSource('noise');
+      expect(engine.getPlaying().map(s => s.name)).toEqual(['music']);
+    });
+
+    it('should pause therapy while matching plays and resume it afterwards', () => {
+      const noise = source('noise', 'therapy');
+      source('sweep', 'matching');
+      expect(noise.pause).toHaveBeenCalled();
+      expect(engine.isSourceActive('noise')).toBe(false);
+      expect(engine.getPlaying()[0].paused).toBe(true);
+
+      engine.stopSource('sweep');
+      expect(noise.resume).toHaveBeenCalled();
+      expect(engine.isSourceActive('noise')).toBe(true);
+    });
+
+    it('should stop therapy that cannot pause', () => {
+      const noise = source('noise', 'therapy', { pausable: false });
+      source('sweep', 'matching');
+      expect(noise.stop).toHaveBeenCalled();
+      expect(engine.getPlaying().map(s => s.name)).toEqual(['sweep']);
+    });
+
+    it('should let only one matching source play', () => {
+      const tone = source('tone', 'matching');
+      source('sweep', 'matching');
+      expect(tone.stop).toHaveBeenCalled();
+      expect(engine.getPlaying().map(s => s.name)).toEqual(['sweep']);
+    });
+
+    it('should keep therapy paused when one matching source replaces another', () => {
+      const noise = source('noise', 'therapy');
+      source('tone', 'matching');
+      source('sweep', 'matching');
+      expect(noise.resume).not.toHaveBeenCalled();
+      expect(noise.pause).toHaveBeenCalledTimes(1);
+      engine.stopSource('sweep');
+      expect(noise.resume).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop matching and resume therapy when therapy starts', () => {
+      const noise = source('noise', 'therapy');
+      const sweep = source('sweep', 'matching');
+      source('music', 'therapy');
+      expect(sweep.stop).toHaveBeenCalled();
+      expect(noise.resume).toHaveBeenCalled();
+      expect(engine.getPlaying().every(s => !s.paused)).toBe(true);
+    });
+
+    it('should notify listeners of every change', () => {
+      const listener = vi.fn();
+      engine.onSourcesChange(listener);
+      source('noise', 'therapy');
+      expect(listener).toHaveBeenLastCalledWith([{ name: 'noise', kind: 'therapy', label: 'noise', paused: false }]);
+      engine.stopSource('noise');
+      expect(listener).toHaveBeenLastCalledWith([]);
+    });
+
+    it('should ignore stopping a source that is not playing', () => {
+      const listener = vi.fn();
+      engine.onSourcesChange(listener);
+      engine.stopSource('sweep');
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should tear everything down without resuming paused sources', () => {
+      const noise = source('noise', 'therapy');
+      const sweep = source('sweep', 'matching');
+      engine.stopAllSources();
+      expect(noise.stop).toHaveBeenCalled();
+      expect(sweep.stop).toHaveBeenCalled();
+      expect(noise.resume).not.toHaveBeenCalled();
+      expect(engine.getPlaying()).toEqual([]);
+    });
+  });
+
+  describe('Fades', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      mockCtx.currentTime = 5;
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should fade a new fader in from silence', () => {
+      const fader = engine.createGain(0);
+      const end = engine.fadeIn(fader);
+      expect(end).toBeCloseTo(5 + engine.fadeTime, 10);
+      expect(fader.gain.setValueAtTime).toHaveBeenLastCalledWith(0, 5);
+      expect(fader.gain.linearRampToValueAtTime).toHaveBeenCalledWith(1, end);
+    });
+
+    it('should start a fade from wherever the gain is', () => {
+      const fader = engine.createGain(1);
+      fader.gain.value = 0.4;
+      engine.fadeOut(fader, 0.5);
+      expect(fader.gain.cancelScheduledValues).toHaveBeenCalledWith(5);
+      expect(fader.gain.setValueAtTime).toHaveBeenLastCalledWith(0.4, 5);
+      expect(fader.gain.linearRampToValueAtTime).toHaveBeenCalledWith(0, 5.5);
+    });
+
+    it('should hold the current value where the browser supports it', () => {
+      const fader = engine.createGain(1);
+      fader.gain.cancelAndHoldAtTime = vi.fn();
+      engine.fadeOut(fader);
+      expect(fader.gain.cancelAndHoldAtTime).toHaveBeenCalledWith(5);
+      expect(fader.gain.cancelScheduledValues).not.toHaveBeenCalled();
+    });
+
+    it('should stop a released chain once silent and disconnect it afterwards', () => {
+      const fader = engine.createGain(1);
+      const osc = engine.createOscillator(1000);
+      const output = engine.createPanner(0);
+      const released = vi.fn();
+      const end = engine.releaseChain({ fader, sources: [osc], output, onReleased: released }, 0.3);
+
+      expect(fader.gain.linearRampToValueAtTime).toHaveBeenCalledWith(0, end);
+      expect(osc.stop).toHaveBeenCalledWith(end);
+      expect(output.disconnect).not.toHaveBeenCalled();
+      vi.advanceTimersByTime(350);
+      expect(output.disconnect).toHaveBeenCalled();
+      expect(released).toHaveBeenCalled();
+    });
+
+    it('should disconnect the fader when there is no separate output', () => {
+      const fader = engine.createGain(1);
+      engine.releaseChain({ fader });
+      vi.runAllTimers();
+      expect(fader.disconnect).toHaveBeenCalled();
+    });
+  });
+
   describe('Media Element Source', () => {
     it('should create media element source from element', () => {
       const mockElement = { src: 'test.mp3' };
@@ -646,7 +1411,7 @@ describe('AudioEngine - Edge Cases', () => {
   });
 });
 
-describe('AudioEngine - octaveWidth fallback in createNotchFilterBank', () => {
+describe('AudioEngine - parsed band edges in createNotchFilterBank', () => {
   let engine;
 
   beforeEach(() => {
@@ -659,9 +1424,7 @@ describe('AudioEngine - octaveWidth fallback in createNotchFilterBank', () => {
     engine.init();
   });
 
-  it('should fall back to 1 when octaveWidth is 0', () => {
-    // Stub parseNotchWidth to return an object with octaveWidth=0 (falsy)
-    // This exercises the `parsed.octaveWidth || 1` fallback on line 37
+  it('should lay the band out between the parsed edges', () => {
     vi.spyOn(engine, 'parseNotchWidth').mockReturnValue({
       lowerFreq: 900,
       upperFreq: 1100,
@@ -670,8 +1433,9 @@ describe('AudioEngine - octaveWidth fallback in createNotchFilterBank', () => {
     });
 
     const bank = engine.createNotchFilterBank(1000, 1, 1);
-    // With octaveWidth=0, fallback to 1 → numFilters = ceil(1 * 4) = 4
-    expect(bank.filters.length).toBe(5); // 0..numFilters inclusive
+    const freqs = bank.filters.map((f) => f.frequency.value);
+    expect(freqs[AudioEngine.notchOverhang]).toBeCloseTo(900, 6);
+    expect(freqs[AudioEngine.notchOverhang + AudioEngine.notchSteps]).toBeCloseTo(1100, 6);
   });
 });
 
@@ -0,0 +1,409 @@
+/**
+ * Audiogram Screening Tests
+ * Tests the REAL AudiogramScreening from js/audiogram.js
+ * Covers the up-down staircase, test order, pulsed tone playback,
+ * loss interpolation, severe-loss warnings and the screening flow.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AudiogramScreening } from '../js/audiogram.js';
+import { AudioEngine } from '../js/audio-engine.js';
+
+function createMockApp() {
+  return {
+    audioEngine: {
+      init: vi.fn(),
+      createOscillator: vi.fn(() => ({ connect: vi.fn(), disconnect: vi.fn(), start: vi.fn(), stop: vi.fn() })),
+      createGain: vi.fn(() => ({
+        gain: { setValueAtTime: vi.fn(), linearRampToValueAtTime: vi.fn() },
+        connect: vi.fn()
+      })),
+      createPanner: vi.fn((pan) => ({ pan, connect: vi.fn() })),
+      connectToMaster: vi.fn(),
+      startSource: vi.fn(),
+      stopSource: vi.fn(),
+      currentTime: 2
+    },
+    matchedFrequencies: { left: 6000, right: null }
+  };
+}
+
+const sampleResult = {
+  date: '2026-03-01T10:00:00.000Z',
+  extended: false,
+  thresholds: {
+    left: [
+      { frequency: 1000, db: -60 },
+      { frequency: 2000, db: -60 },
+      { frequency: 4000, db: -30 },
+      { frequency: 8000, db: null }
+    ],
+    right: [
+      { frequency: 1000, db: -55 },
+      { frequency: 8000, db: -50 }
+    ]
+  }
+};
+
+describe('AudiogramScreening', () => {
+  let screening;
+  let mockApp;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    document.body.innerHTML = '';
+    vi.stubGlobal('requestAnimationFrame', vi.fn());
+    mockApp = createMockApp();
+    screening = new AudiogramScreening(mockApp);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  // Answer as a listener who hears every tone at or above `threshold` dBFS
+  function runStaircase(threshold) {
+    let result;
+    const index = screening.testIndex;
+    while (screening.testIndex === index) {
+      result = screening.respond(screening.staircase.level >= threshold);
+    }
+    return result;
+  }
+
+  describe('Staircase', () => {
+    beforeEach(() => {
+      screening.begin();
+    });
+
+    it('should step down 10 dB after a response and up 5 dB after a miss', () => {
+      screening.respond(true);
+      expect(screening.staircase.level).toBe(-50);
+      screening.respond(false);
+      expect(screening.staircase.level).toBe(-45);
+    });
+
+    it('should settle on the lowest level heard on two ascending runs', () => {
+      expect(runStaircase(-57)).toBe(-55);
+      expect(screening.thresholds.left).toEqual([{ frequency: 1000, db: -55 }]);
+    });
+
+    it('should step up by 10 dB until the first tone is heard', () => {
+      screening.respond(false);
+      expect(screening.staircase.level).toBe(-30);
+      expect(runStaircase(-25)).toBe(-25);
+    });
+
+    it('should record no response when nothing is heard below the ceiling', () => {
+      expect(runStaircase(0)).toBeNull();
+      expect(screening.thresholds.left[0].db).toBeNull();
+    });
+
+    it('should stop at the floor for tones heard at every level', () => {
+      expect(runStaircase(-200)).toBe(-100);
+    });
+
+    it('should not step below the floor after the first response', () => {
+      screening.staircase.level = -95;
+      screening.respond(true);
+      expect(screening.staircase.level).toBe(-100);
+      expect(screening.respond(true)).toBe(-100);
+    });
+
+    it('should record no response when tones stop being heard on the way up', () => {
+      screening.respond(true);   // -50
+      let result;
+      while (result === undefined) result = screening.respond(false);
+      expect(result).toBeNull();
+      expect(screening.thresholds.left).toEqual([{ frequency: 1000, db: null }]);
+    });
+
+    it('should record no response at the trial limit without an ascending hit', () => {
+      screening.maxTrials = 3;
+      screening.respond(true);   // -50
+      screening.respond(true);   // -60, descending
+      expect(screening.respond(true)).toBeNull();
+    });
+
+    it('should ignore responses once every test is done', () => {
+      screening.tests = [{ ear: 'left', frequency: 1000 }];
+      runStaircase(-57);
+      expect(screening.isFinished()).toBe(true);
+      expect(screening.getCurrentTest()).toBeNull();
+      expect(screening.respond(true)).toBeUndefined();
+    });
+
+    it('should give up after the trial limit', () => {
+      screening.maxTrials = 4;
+      screening.respond(true);   // -50
+      screening.respond(false);  // -45
+      screening.respond(true);   // ascending hit at -45
+      expect(screening.respond(false)).toBe(-45);
+    });
+
+    it('should start a fresh staircase for the next test', () => {
+      runStaircase(-57);
+      expect(screening.getCurrentTest()).toEqual({ ear: 'left', frequency: 2000 });
+      expect(screening.staircase.level).toBe(-40);
+    });
+  });
+
+  describe('Test order', () => {
+    it('should test every standard frequency in each ear', () => {
+      screening.begin();
+      expect(screening.tests).toHaveLength(16);
+      expect(screening.tests[0]).toEqual({ ear: 'left', frequency: 1000 });
+      expect(screening.tests[8]).toEqual({ ear: 'right', frequency: 1000 });
+    });
+
+    it('should add the extended high frequencies after 8 kHz', () => {
+      screening.includeExtended = true;
+      screening.begin();
+      expect(screening.tests.slice(0, 10).map(t => t.frequency))
+        .toEqual([1000, 2000, 3000, 4000, 6000, 8000, 10000, 12000, 500, 250]);
+    });
+
+    it('should test the extended frequencies in both ears', () => {
+      screening.includeExtended = true;
+      screening.begin();
+      expect(screening.tests).toHaveLength(20);
+      expect(screening.tests.slice(10, 20).map(t => t.frequency))
+        .toEqual([1000, 2000, 3000, 4000, 6000, 8000, 10000, 12000, 500, 250]);
+      expect(screening.tests[10].ear).toBe('right');
+    });
+
+    it('should sort extended results after 8 kHz', () => {
+      screening.includeExtended = true;
+      screening.begin();
+      while (!screening.isFinished()) runStaircase(-57);
+      const result = screening.buildResult();
+      expect(result.extended).toBe(true);
+      expect(result.thresholds.right.map(t => t.frequency)).toEqual([250, 500, 1000, 2000, 3000, 4000, 6000, 8000, 10000, 12000]);
+    });
+
+    it('should start each screening from scratch', () => {
+      screening.begin();
+      runStaircase(-57);
+      screening.includeExtended = true;
+      screening.begin();
+      expect(screening.testIndex).toBe(0);
+      expect(screening.thresholds).toEqual({ left: [], right: [] });
+      expect(screening.staircase.level).toBe(-40);
+    });
+
+    it('should sort the result by frequency', () => {
+      screening.begin();
+      while (!screening.isFinished()) runStaircase(-57);
+      const result = screening.buildResult();
+      expect(result.thresholds.left.map(t => t.frequency)).toEqual([250, 500, 1000, 2000, 3000, 4000, 6000, 8000]);
+      expect(result.thresholds.right.every(t => t.db === -55)).toBe(true);
+    });
+  });
+
+  describe('Audio', () => {
+    beforeEach(() => {
+      screening.begin();
+    });
+
+    it('should pulse the tone in the ear under test', () => {
+      screening.playTone();
+      expect(mockApp.audioEngine.createOscillator).toHaveBeenCalledWith(1000, 'sine');
+      expect(mockApp.audioEngine.createPanner).toHaveBeenCalledWith(-1);
+      const ramps = screening.gainNode.gain.linearRampToValueAtTime.mock.calls;
+      expect(ramps).toHaveLength(6);
+      expect(ramps[0][0]).toBeCloseTo(Math.pow(10, -40 / 20), 10);
+    });
+
+    it('should play the right ear on the right', () => {
+      screening.testIndex = 8;
+      screening.playTone();
+      expect(mockApp.audioEngine.createPanner).toHaveBeenCalledWith(1);
+    });
+
+    it('should play nothing once the screening is finished', () => {
+      screening.testIndex = screening.tests.length;
+      screening.staircase = null;
+      screening.playTone();
+      expect(mockApp.audioEngine.createOscillator).not.toHaveBeenCalled();
+    });
+
+    it('should tolerate a tone that already stopped', () => {
+      screening.playTone();
+      screening.oscillator.stop.mockImplementation(() => { throw new Error('InvalidStateError'); });
+      screening.oscillator.disconnect.mockImplementation(() => { throw new Error('InvalidAccessError'); });
+      expect(() => screening.stopTone()).not.toThrow();
+      expect(screening.oscillator).toBeNull();
+    });
+
+    it('should stop the previous tone before the next', () => {
+      screening.playTone();
+      const first = screening.oscillator;
+      screening.playTone();
+      expect(first.disconnect).toHaveBeenCalled();
+    });
+
+    it('should pause therapy until closed', () => {
+      const registry = new AudioEngine();
+      registry.startSource('noise', { kind: 'therapy', stop: vi.fn(), pause: vi.fn(), resume: vi.fn() });
+      mockApp.audioEngine.startSource.mockImplementation((name, options) => registry.startSource(name, options));
+      mockApp.audioEngine.stopSource.mockImplementation((name) => registry.stopSource(name));
+
+      screening.playTone();
+      expect(mockApp.audioEngine.startSource).toHaveBeenCalledWith('audiogram', expect.objectContaining({ kind: 'matching' }));
+      expect(registry.isSourceActive('noise')).toBe(false);
+
+      screening.close();
+      expect(registry.isSourceActive('noise')).toBe(true);
+      expect(registry.getPlaying()).toHaveLength(1);
+    });
+
+    it('should go quiet when another matching source takes over', () => {
+      screening.playTone();
+      const osc = screening.oscillator;
+      mockApp.audioEngine.startSource.mock.calls[0][1].stop();
+      expect(osc.stop).toHaveBeenCalled();
+      expect(screening.oscillator).toBeNull();
+    });
+  });
+
+  describe('Analysis', () => {
+    it('should measure loss from the best threshold', () => {
+      expect(AudiogramScreening.getReference(sampleResult)).toBe(-60);
+      expect(AudiogramScreening.getLossAt(sampleResult, 'left', 4000)).toBe(30);
+      expect(AudiogramScreening.getLossAt(sampleResult, 'right', 1000)).toBe(5);
+    });
+
+    it('should interpolate on a log-frequency scale', () => {
+      expect(AudiogramScreening.getLossAt(sampleResult, 'left', 2000 * Math.SQRT2)).toBe(15);
+    });
+
+    it('should use the nearest test frequency outside the tested range', () => {
+      expect(AudiogramScreening.getLossAt(sampleResult, 'right', 500)).toBe(5);
+    });
+
+    it('should treat no response as unmeasurable loss', () => {
+      expect(AudiogramScreening.getLossAt(sampleResult, 'left', 6000)).toBe(Infinity);
+    });
+
+    it('should return null without a screening', () => {
+      expect(AudiogramScreening.getLossAt(null, 'left', 4000)).toBeNull();
+    });
+
+    it('should use the highest test frequency above the tested range', () => {
+      expect(AudiogramScreening.getLossAt(sampleResult, 'right', 12000)).toBe(10);
+      expect(AudiogramScreening.getLossAt(sampleResult, 'left', 12000)).toBe(Infinity);
+    });
+
+    it('should describe an unmeasurable loss in the warning', () => {
+      expect(AudiogramScreening.formatWarning({ ear: 'left', frequency: 6000, loss: Infinity }))
+        .toContain('beyond what the screening could measure');
+      expect(AudiogramScreening.formatWarning({ ear: 'right', frequency: 6000, loss: 55 }))
+        .toContain('55 dB below your best');
+    });
+
+    it('should warn only for ears matched in a region of severe loss', () => {
+      const warnings = AudiogramScreening.getSevereLossWarnings(sampleResult, { left: 6000, right: 8000 });
+      expect(warnings).toEqual([{ ear: 'left', frequency: 6000, loss: Infinity }]);
+      expect(AudiogramScreening.formatWarning(warnings[0])).toContain('6000 Hz');
+    });
+  });
+
+  describe('Flow', () => {
+    it('should run the screening from the modal and save the audiogram', () => {
+      const complete = vi.fn();
+      screening.onComplete = complete;
+      screening.launch();
+      document.getElementById('agStart').click();
+      expect(document.querySelector('#agBody h2').textContent).toBe('Left Ear · 1000 Hz');
+
+      while (screening.currentStep === 1) {
+        const heard = screening.staircase.level >= -57;
+        document.getElementById(heard ? 'agHeard' : 'agNotHeard').click();
+      }
+      expect(document.getElementById('agChart')).not.toBeNull();
+      document.getElementById('agSave').click();
+
+      expect(complete).toHaveBeenCalledWith(expect.objectContaining({ extended: false }));
+      expect(AudiogramScreening.getSaved().thresholds.right).toHaveLength(8);
+    });
+
+    it('should show the last screening on the setup step', () => {
+      AudiogramScreening.save(sampleResult);
+      screening.launch();
+      expect(document.getElementById('agPreviousChart')).not.toBeNull();
+    });
+
+    it('should show a warning on the result when the match is in a region of severe loss', () => {
+      screening.begin();
+      screening.thresholds = sampleResult.thresholds;
+      screening.createModal();
+      screening.showStep(2);
+      expect(document.querySelector('.ag-warning').textContent).toContain('left ear');
+    });
+
+    it('should draw extended screenings and skip ears without thresholds', () => {
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      vi.spyOn(canvas, 'getContext').mockReturnValue(ctx);
+      const arc = vi.spyOn(ctx, 'arc');
+      AudiogramScreening.drawAudiogram(canvas, { extended: true, thresholds: { left: [{ frequency: 12000, db: -50 }] } });
+      expect(arc).not.toHaveBeenCalled();
+      AudiogramScreening.drawAudiogram(canvas, { extended: false, thresholds: { left: [], right: [{ frequency: 1000, db: -50 }] } });
+      expect(arc).toHaveBeenCalledTimes(1);
+    });
+
+    it('should draw only the grid without any thresholds', () => {
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      vi.spyOn(canvas, 'getContext').mockReturnValue(ctx);
+      const moveTo = vi.spyOn(ctx, 'moveTo');
+      AudiogramScreening.drawAudiogram(canvas, { thresholds: { left: [{ frequency: 1000, db: null }], right: [] } });
+      expect(moveTo).toHaveBeenCalledTimes(10);
+      expect(() => AudiogramScreening.drawAudiogram(null, sampleResult)).not.toThrow();
+    });
+
+    it('should keep the extended option checked and follow changes', () => {
+      screening.includeExtended = true;
+      screening.launch();
+      const checkbox = document.getElementById('agExtended');
+      expect(checkbox.checked).toBe(true);
+      checkbox.checked = false;
+      checkbox.dispatchEvent(new Event('change'));
+      expect(screening.includeExtended).toBe(false);
+    });
+
+    it('should replay the tone and start over from the result', () => {
+      screening.launch();
+      document.getElementById('agStart').click();
+      document.getElementById('agReplay').click();
+      expect(mockApp.audioEngine.createOscillator).toHaveBeenCalledTimes(2);
+      screening.showStep(2);
+      document.getElementById('agRetry').click();
+      expect(screening.currentStep).toBe(0);
+    });
+
+    it('should ignore steps and close once the modal is gone', () => {
+      expect(() => screening.showStep(1)).not.toThrow();
+      expect(() => screening.close()).not.toThrow();
+      screening.launch();
+      screening.launch();
+      expect(document.querySelectorAll('#audiogramModal')).toHaveLength(1);
+      document.getElementById('agClose').click();
+      expect(screening.isActive).toBe(false);
+    });
+
+    it('should read a corrupt saved screening as none', () => {
+      localStorage.setItem('tinnitusAudiogram', '{not json');
+      expect(AudiogramScreening.getSaved()).toBeNull();
+    });
+
+    it('should clear the saved screening', () => {
+      AudiogramScreening.save(sampleResult);
+      AudiogramScreening.save(null);
+      expect(AudiogramScreening.getSaved()).toBeNull();
+    });
+  });
+});
@@ -5,6 +5,14 @@
  */
 
 import { DashboardManager } from '../js/dashboard-manager.js';
+import { MatchHistory } from '../js/match-history.js';
+import { AudiogramScreening } from '../js/audiogram.js';
+import { AudioEngine } from '../js/audio-engine.js';
+
+// Register a source the way the app does, so the dashboard sees it in the engine's registry
+function play(app, name, kind = 'therapy') {
+  app.audioEngine.startSource(name, { kind, stop: () => app.audioEngine.stopSource(name), pause: vi.fn(), resume: vi.fn() });
+}
 
 describe('DashboardManager', () => {
   let dashboard;
@@ -41,6 +49,7 @@ describe('DashboardManager', () => {
       noiseState: { isPlaying: false },
       musicState: { isPlaying: false },
       toneState: { isPlaying: false },
+      audioEngine: new AudioEngine(),
       matchedFrequencies: { left: null, right: null },
       sessionManager: {
         isRunning: false,
@@ -156,35 +165,35 @@ describe('DashboardManager', () => {
     });
 
     it('should show Therapy Active when noise is playing', () => {
-      mockApp.noiseState.isPlaying = true;
+      play(mockApp, 'noise');
       dashboard.updateDashboard();
       const statusText = document.getElementById('statusText');
       expect(statusText.textContent).toContain('Therapy Active');
     });
 
     it('should add status-therapy class when noise is playing', () => {
-      mockApp.noiseState.isPlaying = true;
+      play(mockApp, 'noise');
       dashboard.updateDashboard();
       const indicator = document.getElementById('statusIndicator');
       expect(indicator.classList.contains('status-therapy')).toBe(true);
     });
 
     it('should show Music Therapy Active when music is playing', () => {
-      mockApp.musicState.isPlaying = true;
+      play(mockApp, 'music');
       dashboard.updateDashboard();
       const statusText = document.getElementById('statusText');
       expect(statusText.textContent).toContain('Music Therapy Active');
     });
 
     it('should show Frequency Matching when tone is playing', () => {
-      mockApp.toneState.isPlaying = true;
+      play(mockApp, 'tone', 'matching');
       dashboard.updateDashboard();
       const statusText = document.getElementById('statusText');
       expect(statusText.textContent).toContain('Frequency Matching');
     });
 
     it('should add status-matching class when tone is playing', () => {
-      mockApp.toneState.isPlaying = true;
+      play(mockApp, 'tone', 'matching');
       dashboard.updateDashboard();
       const indicator = document.getElementById('statusIndicator');
       expect(indicator.classList.contains('status-matching')).toBe(true);
@@ -204,22 +213,30 @@ describe('DashboardManager', () => {
       expect(indicator.classList.contains('status-paused')).toBe(true);
     });
 
-    it('should prioritize noise therapy over tone matching', () => {
-      mockApp.noiseState.isPlaying = true;
-      mockApp.toneState.isPlaying = true;
+    it('should show matching while it holds therapy paused', () => {
+      play(mockApp, 'noise');
+      play(mockApp, 'sweep', 'matching');
       dashboard.updateDashboard();
       const statusText = document.getElementById('statusText');
-      expect(statusText.textContent).toContain('Therapy Active');
-      expect(statusText.textContent).not.toContain('Frequency Matching');
+      expect(statusText.textContent).toContain('Frequency Matching (therapy paused)');
+      expect(document.getElementById('statusIndicator').classList.contains('status-matching')).toBe(true);
+    });
+
+    it('should show therapy again once matching ends', () => {
+      play(mockApp, 'noise');
+      play(mockApp, 'sweep', 'matching');
+      mockApp.audioEngine.stopSource('sweep');
+      dashboard.updateDashboard();
+      expect(document.getElementById('statusText').textContent).toBe('🟢 Therapy Active');
     });
 
     it('should remove previous status classes when status changes', () => {
-      mockApp.noiseState.isPlaying = true;
+      play(mockApp, 'noise');
       dashboard.updateDashboard();
       const indicator = document.getElementById('statusIndicator');
       expect(indicator.classList.contains('status-therapy')).toBe(true);
 
-      mockApp.noiseState.isPlaying = false;
+      mockApp.audioEngine.stopSource('noise');
       dashboard.updateDashboard();
       expect(indicator.classList.contains('status-therapy')).toBe(false);
       expect(indicator.classList.contains('status-idle')).toBe(true);
@@ -520,7 +537,7 @@ describe('DashboardManager', () => {
     });
 
     it('should update dashboard state when refresh is called', () => {
-      mockApp.noiseState.isPlaying = true;
+      play(mockApp, 'noise');
       mockApp.matchedFrequencies.left = 8000;
       mockApp.sessionManager.getStats = () => ({
         todayTime: 900000,
@@ -546,4 +563,132 @@ describe('DashboardManager', () => {
       expect(document.getElementById('dashboardFreqValue').textContent).toBe('8000 Hz');
     });
   });
+
+  describe('Pitch Drift (updateDrift)', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+      localStorage.clear();
+      mockApp.matchHistory = new MatchHistory();
+      mockApp.notchFollowsTrend = false;
+      mockApp.autoSaveState = vi.fn();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    function addOn(days, ear, frequency) {
+      vi.setSystemTime(new Date(Date.parse('2026-03-01T10:00:00Z') + days * 86400000));
+      mockApp.matchHistory.add({ method: 'sweep', ear, frequency });
+    }
+
+    it('should hide the panel until there is a match history', () => {
+      dashboard.init();
+      expect(document.getElementById('driftDashboard').style.display).toBe('none');
+    });
+
+    it('should summarize trend and drift for each ear with matches', () => {
+      addOn(0, 'left', 6000);
+      addOn(7, 'left', 6000 * Math.pow(2, 50 / 1200));
+      dashboard.init();
+
+      const summary = document.getElementById('driftSummary');
+      expect(document.getElementById('driftDashboard').style.display).toBe('block');
+      expect(summary.querySelector('.drift-left .drift-rate').textContent).toBe('+50 cents/week');
+      expect(summary.querySelector('.drift-right')).toBeNull();
+    });
+
+    it('should say when there is not enough data for drift', () => {
+      addOn(0, 'right', 7000);
+      dashboard.init();
+      expect(document.querySelector('.drift-right .drift-rate').textContent).toBe('not enough data for drift');
+      expect(document.querySelector('.drift-right .drift-trend').textContent).toBe('7000 Hz trend');
+    });
+
+    it('should refresh when a new match is recorded', () => {
+      dashboard.init();
+      addOn(0, 'left', 5000);
+      dashboard.updateMatchedFrequency();
+      expect(document.getElementById('driftDashboard').style.display).toBe('block');
+    });
+
+    it('should toggle the notch following the trend', () => {
+      addOn(0, 'left', 5000);
+      dashboard.init();
+      const follow = document.getElementById('notchFollowsTrend');
+      follow.checked = true;
+      follow.dispatchEvent(new Event('change'));
+      expect(mockApp.notchFollowsTrend).toBe(true);
+      expect(mockApp.autoSaveState).toHaveBeenCalled();
+    });
+
+    it('should reflect the saved follow-trend setting', () => {
+      addOn(0, 'left', 5000);
+      mockApp.notchFollowsTrend = true;
+      dashboard.init();
+      expect(document.getElementById('notchFollowsTrend').checked).toBe(true);
+    });
+  });
+
+  describe('Hearing Warning (updateHearingWarning)', () => {
+    beforeEach(() => {
+      localStorage.clear();
+      AudiogramScreening.save({
+        date: '2026-03-01T10:00:00.000Z',
+        extended: false,
+        thresholds: {
+          left: [{ frequency: 2000, db: -70 }, { frequency: 4000, db: -65 }, { frequency: 8000, db: -10 }],
+          right: [{ frequency: 2000, db: -70 }, { frequency: 4000, db: -65 }, { frequency: 8000, db: -60 }]
+        }
+      });
+    });
+
+    it('should stay hidden without a screening', () => {
+      localStorage.clear();
+      mockApp.matchedFrequencies = { left: 8000, right: null };
+      dashboard.init();
+      expect(document.getElementById('hearingWarning').style.display).toBe('none');
+    });
+
+    it('should warn when the matched frequency is in a region of severe loss', () => {
+      mockApp.matchedFrequencies = { left: 8000, right: 8000 };
+      dashboard.init();
+      const warning = document.getElementById('hearingWarning');
+      expect(warning.style.display).toBe('block');
+      expect(warning.textContent).toContain('left ear');
+      expect(warning.textContent).not.toContain('right ear');
+    });
+
+    it('should not warn where hearing is good', () => {
+      mockApp.matchedFrequencies = { left: 2000, right: null };
+      dashboard.init();
+      expect(document.getElementById('hearingWarning').style.display).toBe('none');
+    });
+  });
+
+  describe('Sound Dose (updateDose)', () => {
+    it('should stay hidden until listening has been recorded', () => {
+      dashboard.init();
+      expect(document.getElementById('doseDashboard').style.display).toBe('none');
+    });
+
+    it("should show today's dose and a bar for each day", () => {
+      mockApp.sessionManager.getDoseHistory = () => [
+        { date: '2026-03-01', dose: 30, minutes: 60 },
+        { date: '2026-03-02', dose: 120, minutes: 300 }
+      ];
+      mockApp.sessionManager.getTodayDose = () => 120;
+      dashboard.init();
+
+      expect(document.getElementById('doseDashboard').style.display).toBe('block');
+      expect(document.getElementById('doseToday').textContent).toBe('120%');
+      const fill = document.getElementById('doseFill');
+      expect(fill.style.width).toBe('100%');
+      expect(fill.classList.contains('dose-over')).toBe(true);
+      const bars = document.querySelectorAll('.dose-day-bar');
+      expect(bars).toHaveLength(2);
+      expect(bars[0].classList.contains('dose-ok')).toBe(true);
+    });
+  });
 });
@@ -39,6 +39,11 @@ function seedSessions(sessions) {
     localStorage.setItem('tinnitusSessionHistory', JSON.stringify(sessions));
 }
 
+/** Convenience: seed localStorage with daily sound-dose history. */
+function seedDose(days) {
+    localStorage.setItem('tinnitusDoseHistory', JSON.stringify(days));
+}
+
 // ---------------------------------------------------------------------------
 // Test suite
 // ---------------------------------------------------------------------------
@@ -124,6 +129,17 @@ describe('ExportManager', () => {
     // -----------------------------------------------------------------
     // 3. dateStamp
     // -----------------------------------------------------------------
+    describe('getResidualInhibitionTests', () => {
+        it('returns an empty array when localStorage is empty', () => {
+            expect(manager.getResidualInhibitionTests()).toEqual([]);
+        });
+
+        it('returns an empty array when stored JSON is corrupted', () => {
+            localStorage.setItem('tinnitusResidualInhibition', '{bad');
+            expect(manager.getResidualInhibitionTests()).toEqual([]);
+        });
+    });
+
     describe('dateStamp', () => {
         it('returns a string in YYYY-MM-DD format', () => {
             const stamp = manager.dateStamp();
@@ -236,6 +252,27 @@ describe('ExportManager', () => {
         });
     });
 
+    // -----------------------------------------------------------------
+    // 5b. generateDoseCSV
+    // -----------------------------------------------------------------
+    describe('generateDoseCSV', () => {
+        it('returns null when no listening has been recorded', () => {
+            expect(manager.generateDoseCSV()).toBeNull();
+        });
+
+        it('generates one rounded row per day', () => {
+            seedDose([{ date: '2025-04-01', dose: 42.6, minutes: 95.4, peakDb: 78, warned: [] }]);
+            const lines = manager.generateDoseCSV().split('\n');
+            expect(lines[0]).toBe('Date,Dose (% of daily limit),Listening (min),Peak level (dB SPL, est.)');
+            expect(lines[1]).toBe('2025-04-01,43,95,78');
+        });
+
+        it('returns an empty array from getDoseHistory on corrupt storage', () => {
+            localStorage.setItem('tinnitusDoseHistory', 'not json');
+            expect(manager.getDoseHistory()).toEqual([]);
+        });
+    });
+
     // -----------------------------------------------------------------
     // 6. generateTextReport
     // -----------------------------------------------------------------
@@ -328,6 +365,42 @@ describe('ExportManager', () => {
             expect(report).toContain('Avg severity: 5.0/10');
         });
 
+        it('shows "No listening recorded" when there is no sound-dose history', () => {
+            const report = manager.generateTextReport();
+            expect(report).toContain('No listening recorded');
+        });
+
+        it('lists daily sound exposure, newest first', () => {
+            seedDose([
+                { date: '2025-05-10', dose: 20, minutes: 60, peakDb: 70 },
+                { date: '2025-05-11', dose: 85.2, minutes: 240, peakDb: 82 },
+            ]);
+            const report = manager.generateTextReport();
+            const older = report.indexOf('2025-05-10  20% of daily limit, 60 min, peak ~70 dB SPL');
+            const newer = report.indexOf('2025-05-11  85% of daily limit, 240 min, peak ~82 dB SPL');
+            expect(older).toBeGreaterThan(-1);
+            expect(newer).toBeGreaterThan(-1);
+            expect(newer).toBeLessThan(older);
+        });
+
+        it('shows "No tests recorded" when there are no residual inhibition tests', () => {
+            const report = manager.generateTextReport();
+            expect(report).toContain('No tests recorded');
+        });
+
+        it('lists residual inhibition tests, newest first', () => {
+            localStorage.setItem('tinnitusResidualInhibition', JSON.stringify([
+                { date: '2025-05-10T12:00:00Z', ear: 'left', frequency: 6000, stimulusDuration: 60, relief: 'partial', reliefSeconds: 45 },
+                { date: '2025-05-11T12:00:00Z', ear: 'both', frequency: 6000, stimulusDuration: 120, relief: 'none', reliefSeconds: 0 },
+            ]));
+            const report = manager.generateTextReport();
+            const partial = report.indexOf('60s noise (left): partial relief for 45s');
+            const none = report.indexOf('120s noise (both): no relief');
+            expect(partial).toBeGreaterThan(-1);
+            expect(none).toBeGreaterThan(-1);
+            expect(none).toBeLessThan(partial);
+        });
+
         it('limits display to 30 most recent entries', () => {
             const entries = Array.from({ length: 35 }, (_, i) => ({
                 date: `2025-01-${String(i + 1).padStart(2, '0')}T00:00:00Z`,
@@ -466,6 +539,30 @@ describe('ExportManager', () => {
             );
         });
 
+        it('calls alert when csv-dose has no data', async () => {
+            await manager.shareReport('csv-dose');
+            expect(alert).toHaveBeenCalledWith('No data to export.');
+        });
+
+        it('generates correct filename for csv-dose format', async () => {
+            seedDose([{ date: '2025-01-01', dose: 10, minutes: 30, peakDb: 70 }]);
+
+            vi.stubGlobal('navigator', {
+                ...navigator,
+                canShare: undefined,
+            });
+
+            const downloadSpy = vi.spyOn(manager, 'downloadFile').mockImplementation(() => {});
+
+            await manager.shareReport('csv-dose');
+
+            expect(downloadSpy).toHaveBeenCalledWith(
+                expect.any(String),
+                expect.stringMatching(/^tinnitus-sound-dose-\d{4}-\d{2}-\d{2}\.csv$/),
+                'text/csv',
+            );
+        });
+
         it('generates correct filename for csv-sessions format', async () => {
             seedSessions([{ date: '2025-01-01', duration: 60000 }]);
 
@@ -566,13 +663,13 @@ describe('ExportManager', () => {
             expect(modal.classList.contains('open')).toBe(true);
         });
 
-        it('renders three format buttons with correct data-format values', () => {
+        it('renders four format buttons with correct data-format values', () => {
             manager.showExportModal();
             const buttons = document.querySelectorAll('.export-option');
-            expect(buttons.length).toBe(3);
+            expect(buttons.length).toBe(4);
 
             const formats = Array.from(buttons).map((b) => b.dataset.format);
-            expect(formats).toEqual(['text', 'csv-journal', 'csv-sessions']);
+            expect(formats).toEqual(['text', 'csv-journal', 'csv-sessions', 'csv-dose']);
         });
 
         it('renders a close button', () => {
@@ -1,10 +1,13 @@
 /**
  * Frequency Sweep Manager Tests
  * Tests the REAL FrequencySweepManager from js/frequency-sweep.js
- * Tests sweep range, speed, start/pause/stop, matching, and confidence
+ * Tests the sweep panel UI driving the shared SweepEngine: range, speed,
+ * start/pause/stop, matching, and confidence display
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../js/sweep-engine.js';
+import '../js/reaction-time.js';
 import { FrequencySweepManager } from '../js/frequency-sweep.js';
 
 describe('FrequencySweepManager', () => {
@@ -12,13 +15,17 @@ describe('FrequencySweepManager', () => {
     let mockAudioEngine;
     let mockOscillator;
 
+    // Drive the audio clock from a millisecond counter that starts at 1000
+    function useClock(getMs) {
+        Object.defineProperty(mockAudioEngine, 'currentTime', {
+            get: () => (getMs() - 1000) / 1000,
+            configurable: true
+        });
+    }
+
     beforeEach(() => {
         vi.useFakeTimers();
-
-        // Mock performance.now to return a stable value so animate() delta is 0
-        // on the initial call from start(). Tests that need to advance time
-        // will override this with their own spy.
-        vi.spyOn(performance, 'now').mockReturnValue(1000);
+        localStorage.clear();
 
         // Mock requestAnimationFrame to capture the callback without running it
         vi.stubGlobal('requestAnimationFrame', vi.fn((cb) => {
@@ -43,7 +50,12 @@ describe('FrequencySweepManager', () => {
 
         // Create a mock oscillator that is returned by createOscillator
         mockOscillator = {
-            frequency: { value: 440, setTargetAtTime: vi.fn() },
+            frequency: {
+                value: 440,
+                setValueAtTime: vi.fn(),
+                exponentialRampToValueAtTime: vi.fn(),
+                cancelScheduledValues: vi.fn()
+            },
             type: 'sine',
             connect: vi.fn(),
             disconnect: vi.fn(),
@@ -63,6 +75,8 @@ describe('FrequencySweepManager', () => {
                 connect: vi.fn()
             })),
             connectToMaster: vi.fn(),
+            startSource: vi.fn(),
+            stopSource: vi.fn(),
             currentTime: 0
         };
 
@@ -71,7 +85,7 @@ describe('FrequencySweepManager', () => {
 
     afterEach(() => {
         // Clean up: stop sweep if running to cancel animation frames
-        if (sweep.isRunning) {
+        if (sweep.engine.isRunning) {
             sweep.stop();
         }
         vi.useRealTimers();
@@ -81,22 +95,28 @@ describe('FrequencySweepManager', () => {
 
     describe('Initialization', () => {
         it('should start with default sweep range 1000-12000 Hz', () => {
-            expect(sweep.startFreq).toBe(1000);
-            expect(sweep.endFreq).toBe(12000);
+            expect(sweep.engine.startFreq).toBe(1000);
+            expect(sweep.engine.endFreq).toBe(12000);
+        });
+
+        it('should start with default speed 0.04 octaves/sec', () => {
+            expect(sweep.engine.sweepSpeed).toBe(0.04);
         });
 
-        it('should start with default speed 100 Hz/sec', () => {
-            expect(sweep.sweepSpeed).toBe(100);
+        it('should default to an ascending sweep with auto-refine', () => {
+            expect(sweep.engine.direction).toBe('ascending');
+            expect(sweep.engine.autoRefine).toBe(true);
+            expect(sweep.engine.pass).toBe(1);
         });
 
         it('should not be running initially', () => {
-            expect(sweep.isRunning).toBe(false);
-            expect(sweep.isPaused).toBe(false);
+            expect(sweep.engine.isRunning).toBe(false);
+            expect(sweep.engine.isPaused).toBe(false);
         });
 
         it('should have empty matched frequencies', () => {
-            expect(sweep.matchedFrequencies).toEqual([]);
-            expect(sweep.confidenceLevel).toBe(0);
+            expect(sweep.engine.matchedFrequencies).toEqual([]);
+            expect(sweep.engine.confidenceLevel).toBe(0);
         });
 
         it('should store the audio engine reference', () => {
@@ -104,9 +124,9 @@ describe('FrequencySweepManager', () => {
         });
 
         it('should have null audio nodes before starting', () => {
-            expect(sweep.oscillator).toBeNull();
-            expect(sweep.gainNode).toBeNull();
-            expect(sweep.pannerNode).toBeNull();
+            expect(sweep.engine.oscillator).toBeNull();
+            expect(sweep.engine.gainNode).toBeNull();
+            expect(sweep.engine.pannerNode).toBeNull();
         });
 
         it('should initialize callback slots as null', () => {
@@ -172,13 +192,13 @@ describe('FrequencySweepManager', () => {
 
         it('should start sweep and set isRunning to true', () => {
             sweep.start();
-            expect(sweep.isRunning).toBe(true);
-            expect(sweep.isPaused).toBe(false);
+            expect(sweep.engine.isRunning).toBe(true);
+            expect(sweep.engine.isPaused).toBe(false);
         });
 
         it('should set current freq to start freq on fresh start', () => {
             sweep.start();
-            expect(sweep.currentFreq).toBe(1000);
+            expect(sweep.engine.currentFreq).toBe(1000);
         });
 
         it('should call audioEngine.init() on start', () => {
@@ -205,12 +225,12 @@ describe('FrequencySweepManager', () => {
             mockAudioEngine.createOscillator.mockClear();
 
             // Manually set currentFreq to simulate progress
-            sweep.currentFreq = 5000;
+            sweep.engine.seek(5000);
             sweep.start(); // should not reset
 
             // Should not create new oscillator
             expect(mockAudioEngine.createOscillator).not.toHaveBeenCalled();
-            expect(sweep.currentFreq).toBe(5000);
+            expect(sweep.engine.currentFreq).toBe(5000);
         });
 
         it('should enable the match button when started', () => {
@@ -234,21 +254,21 @@ describe('FrequencySweepManager', () => {
         it('should pause a running sweep', () => {
             sweep.start();
             sweep.togglePause();
-            expect(sweep.isRunning).toBe(true);
-            expect(sweep.isPaused).toBe(true);
+            expect(sweep.engine.isRunning).toBe(true);
+            expect(sweep.engine.isPaused).toBe(true);
         });
 
         it('should resume from pause', () => {
             sweep.start();
             sweep.togglePause();
             sweep.togglePause(); // resume
-            expect(sweep.isPaused).toBe(false);
-            expect(sweep.isRunning).toBe(true);
+            expect(sweep.engine.isPaused).toBe(false);
+            expect(sweep.engine.isRunning).toBe(true);
         });
 
         it('should not pause if not running', () => {
             sweep.togglePause();
-            expect(sweep.isPaused).toBe(false);
+            expect(sweep.engine.isPaused).toBe(false);
         });
 
         it('should update pause button text when paused', () => {
@@ -283,8 +303,8 @@ describe('FrequencySweepManager', () => {
         it('should stop a running sweep', () => {
             sweep.start();
             sweep.stop();
-            expect(sweep.isRunning).toBe(false);
-            expect(sweep.isPaused).toBe(false);
+            expect(sweep.engine.isRunning).toBe(false);
+            expect(sweep.engine.isPaused).toBe(false);
         });
 
         it('should stop and disconnect the oscillator', () => {
@@ -292,7 +312,7 @@ describe('FrequencySweepManager', () => {
             sweep.stop();
             expect(mockOscillator.stop).toHaveBeenCalled();
             expect(mockOscillator.disconnect).toHaveBeenCalled();
-            expect(sweep.oscillator).toBeNull();
+            expect(sweep.engine.oscillator).toBeNull();
         });
 
         it('should cancel animation frame', () => {
@@ -304,9 +324,9 @@ describe('FrequencySweepManager', () => {
         it('should null out audio nodes', () => {
             sweep.start();
             sweep.stop();
-            expect(sweep.oscillator).toBeNull();
-            expect(sweep.gainNode).toBeNull();
-            expect(sweep.pannerNode).toBeNull();
+            expect(sweep.engine.oscillator).toBeNull();
+            expect(sweep.engine.gainNode).toBeNull();
+            expect(sweep.engine.pannerNode).toBeNull();
         });
 
         it('should disable the match button', () => {
@@ -315,6 +335,14 @@ describe('FrequencySweepManager', () => {
             const matchBtn = document.getElementById('matchThisFreq');
             expect(matchBtn.disabled).toBe(true);
         });
+
+        it('should reset its controls when another sound takes over', () => {
+            sweep.start();
+            sweep.engine.interrupt();
+            expect(sweep.engine.isRunning).toBe(false);
+            expect(document.getElementById('matchThisFreq').disabled).toBe(true);
+            expect(mockAudioEngine.stopSource).toHaveBeenCalledWith('sweep');
+        });
     });
 
     describe('Sweep Control - reset()', () => {
@@ -324,15 +352,15 @@ describe('FrequencySweepManager', () => {
 
         it('should reset to initial state', () => {
             sweep.start();
-            sweep.currentFreq = 8000;
-            sweep.matchedFrequencies = [4000, 4500];
-            sweep.confidenceLevel = 70;
+            sweep.engine.seek(8000);
+            sweep.engine.matchedFrequencies = [4000, 4500];
+            sweep.engine.confidenceLevel = 70;
             sweep.reset();
 
-            expect(sweep.isRunning).toBe(false);
-            expect(sweep.currentFreq).toBe(1000);
-            expect(sweep.matchedFrequencies).toEqual([]);
-            expect(sweep.confidenceLevel).toBe(0);
+            expect(sweep.engine.isRunning).toBe(false);
+            expect(sweep.engine.currentFreq).toBe(1000);
+            expect(sweep.engine.matchedFrequencies).toEqual([]);
+            expect(sweep.engine.confidenceLevel).toBe(0);
         });
 
         it('should stop the oscillator when resetting', () => {
@@ -348,42 +376,42 @@ describe('FrequencySweepManager', () => {
         });
 
         it('should allow custom start frequency', () => {
-            sweep.startFreq = 2000;
+            sweep.engine.startFreq = 2000;
             sweep.start();
-            expect(sweep.currentFreq).toBe(2000);
+            expect(sweep.engine.currentFreq).toBe(2000);
         });
 
         it('should allow custom end frequency', () => {
-            sweep.endFreq = 8000;
-            expect(sweep.endFreq).toBe(8000);
+            sweep.engine.endFreq = 8000;
+            expect(sweep.engine.endFreq).toBe(8000);
         });
 
         it('should update startFreq via input field change event', () => {
             const input = document.getElementById('sweepStartFreq');
             input.value = '2000';
             input.dispatchEvent(new Event('change'));
-            expect(sweep.startFreq).toBe(2000);
+            expect(sweep.engine.startFreq).toBe(2000);
         });
 
         it('should update endFreq via input field change event', () => {
             const input = document.getElementById('sweepEndFreq');
             input.value = '8000';
             input.dispatchEvent(new Event('change'));
-            expect(sweep.endFreq).toBe(8000);
+            expect(sweep.engine.endFreq).toBe(8000);
         });
 
         it('should clamp start frequency to valid range', () => {
             const input = document.getElementById('sweepStartFreq');
             input.value = '50';
             input.dispatchEvent(new Event('change'));
-            expect(sweep.startFreq).toBe(100);
+            expect(sweep.engine.startFreq).toBe(100);
         });
 
         it('should clamp start frequency max to 15000', () => {
             const input = document.getElementById('sweepStartFreq');
             input.value = '20000';
             input.dispatchEvent(new Event('change'));
-            expect(sweep.startFreq).toBe(15000);
+            expect(sweep.engine.startFreq).toBe(15000);
         });
     });
 
@@ -394,16 +422,30 @@ describe('FrequencySweepManager', () => {
 
         it('should update sweepSpeed via dropdown change event', () => {
             const select = document.getElementById('sweepSpeed');
-            select.value = '200';
+            select.value = '0.08';
             select.dispatchEvent(new Event('change'));
-            expect(sweep.sweepSpeed).toBe(200);
+            expect(sweep.engine.sweepSpeed).toBe(0.08);
         });
 
         it('should set speed to slow via dropdown', () => {
             const select = document.getElementById('sweepSpeed');
-            select.value = '50';
+            select.value = '0.02';
             select.dispatchEvent(new Event('change'));
-            expect(sweep.sweepSpeed).toBe(50);
+            expect(sweep.engine.sweepSpeed).toBe(0.02);
+        });
+
+        it('should update direction via dropdown', () => {
+            const select = document.getElementById('sweepDirection');
+            select.value = 'pingpong';
+            select.dispatchEvent(new Event('change'));
+            expect(sweep.engine.direction).toBe('pingpong');
+        });
+
+        it('should toggle auto-refine via checkbox', () => {
+            const checkbox = document.getElementById('sweepAutoRefine');
+            checkbox.checked = false;
+            checkbox.dispatchEvent(new Event('change'));
+            expect(sweep.engine.autoRefine).toBe(false);
         });
     });
 
@@ -413,13 +455,12 @@ describe('FrequencySweepManager', () => {
         });
 
         it('should advance frequency based on elapsed time during animate()', () => {
-            // Arrange: mock performance.now to control time
+            // Arrange: control the audio clock
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
-            // After start(), lastUpdateTime = 1000 and animate() was called once.
-            // The first animate() call computes delta from lastUpdateTime.
+            // start() schedules the ramp from the audio clock and animates once.
             // Capture the animate callback passed to requestAnimationFrame.
             const animateCallback = requestAnimationFrame.mock.calls[0][0];
 
@@ -428,40 +469,97 @@ describe('FrequencySweepManager', () => {
             requestAnimationFrame.mockClear();
             animateCallback();
 
-            // With speed=100 Hz/sec and delta=1s, freq should advance by 100
-            expect(sweep.currentFreq).toBeCloseTo(1100, 0);
+            // With speed=0.04 oct/sec and delta=1s, freq rises by 2^0.04
+            expect(sweep.engine.currentFreq).toBeCloseTo(1000 * Math.pow(2, 0.04), 6);
+        });
+
+        it('should spend equal time in every octave', () => {
+            let timeNow = 1000;
+            useClock(() => timeNow);
+
+            sweep.start();
+            sweep.engine.seek(1000);
+            timeNow += 25000; // 1 octave at 0.04 oct/sec
+            sweep.engine.animate();
+            expect(sweep.engine.currentFreq).toBeCloseTo(2000, 6);
+
+            sweep.engine.seek(5000);
+            timeNow += 25000;
+            sweep.engine.animate();
+            expect(sweep.engine.currentFreq).toBeCloseTo(10000, 6);
+        });
+
+        it('should sweep downward from the top in descending mode', () => {
+            let timeNow = 1000;
+            useClock(() => timeNow);
+
+            sweep.engine.direction = 'descending';
+            sweep.start();
+            expect(sweep.engine.currentFreq).toBe(12000);
+
+            timeNow += 25000;
+            sweep.engine.animate();
+            expect(sweep.engine.currentFreq).toBeCloseTo(6000, 6);
+        });
+
+        it('should turn around at the top in ping-pong mode', () => {
+            let timeNow = 1000;
+            useClock(() => timeNow);
+
+            sweep.engine.direction = 'pingpong';
+            sweep.start();
+            const leg = Math.log2(12) / 0.04;
+            timeNow += 100000; // past the top
+            sweep.engine.animate();
+            const turned = 12000 * Math.pow(2, -0.04 * (100 - leg));
+            expect(sweep.engine.isRunning).toBe(true);
+            expect(sweep.engine.currentFreq).toBeCloseTo(turned, 6);
+            expect(sweep.engine.heading).toBe(-1);
+
+            timeNow += 25000;
+            sweep.engine.animate();
+            expect(sweep.engine.currentFreq).toBeCloseTo(turned / 2, 6);
+        });
+
+        it('should complete a ping-pong sweep back at the bottom', () => {
+            let timeNow = 1000;
+            useClock(() => timeNow);
+
+            sweep.engine.direction = 'pingpong';
+            sweep.start();
+            timeNow += 100000;
+            sweep.engine.animate();
+            timeNow += 100000;
+            sweep.engine.animate();
+            expect(sweep.engine.isRunning).toBe(false);
+            expect(sweep.engine.currentFreq).toBe(1000);
         });
 
         it('should not advance when paused', () => {
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
             sweep.togglePause();
 
             // Try calling animate directly -- it should bail out
-            sweep.animate();
-            expect(sweep.currentFreq).toBe(1000);
+            sweep.engine.animate();
+            expect(sweep.engine.currentFreq).toBe(1000);
         });
 
         it('should not advance when stopped', () => {
-            sweep.currentFreq = 1000;
+            sweep.engine.seek(1000);
             // animate() when not running should do nothing
-            sweep.animate();
-            expect(sweep.currentFreq).toBe(1000);
+            sweep.engine.animate();
+            expect(sweep.engine.currentFreq).toBe(1000);
         });
 
-        it('should update the oscillator frequency during animation', () => {
-            let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
-
+        it('should schedule the oscillator sweep as an exponential ramp', () => {
             sweep.start();
-            const animateCallback = requestAnimationFrame.mock.calls[0][0];
-
-            timeNow = 2000;
-            animateCallback();
 
-            expect(mockOscillator.frequency.setTargetAtTime).toHaveBeenCalled();
+            expect(mockOscillator.frequency.setValueAtTime).toHaveBeenCalledWith(1000, 0);
+            expect(mockOscillator.frequency.exponentialRampToValueAtTime)
+                .toHaveBeenCalledWith(12000, expect.any(Number));
         });
 
         it('should fire onFrequencyUpdate callback during animation', () => {
@@ -469,7 +567,7 @@ describe('FrequencySweepManager', () => {
             sweep.on('onFrequencyUpdate', updateCb);
 
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
             const animateCallback = requestAnimationFrame.mock.calls[0][0];
@@ -482,17 +580,17 @@ describe('FrequencySweepManager', () => {
 
         it('should schedule the next animation frame during sweep', () => {
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
             requestAnimationFrame.mockClear();
 
             const animateCallback = requestAnimationFrame.mock.calls[0]?.[0] ||
-                (() => sweep.animate());
+                (() => sweep.engine.animate());
 
             timeNow = 1100;
             // Call animate directly since we cleared mock
-            sweep.animate();
+            sweep.engine.animate();
 
             expect(requestAnimationFrame).toHaveBeenCalled();
         });
@@ -508,7 +606,7 @@ describe('FrequencySweepManager', () => {
             sweep.on('onSweepComplete', completeCb);
 
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
             const animateCallback = requestAnimationFrame.mock.calls[0][0];
@@ -518,13 +616,13 @@ describe('FrequencySweepManager', () => {
             timeNow = 1000 + 120 * 1000; // 120 seconds later
             animateCallback();
 
-            expect(sweep.isRunning).toBe(false);
+            expect(sweep.engine.isRunning).toBe(false);
             expect(completeCb).toHaveBeenCalled();
         });
 
         it('should cap frequency at end freq on completion', () => {
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
             const animateCallback = requestAnimationFrame.mock.calls[0][0];
@@ -532,12 +630,12 @@ describe('FrequencySweepManager', () => {
             timeNow = 1000 + 200 * 1000;
             animateCallback();
 
-            expect(sweep.currentFreq).toBe(12000);
+            expect(sweep.engine.currentFreq).toBe(12000);
         });
 
         it('should call alert on sweep complete', () => {
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
             const animateCallback = requestAnimationFrame.mock.calls[0][0];
@@ -553,18 +651,24 @@ describe('FrequencySweepManager', () => {
             sweep.on('onSweepComplete', completeCb);
 
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
 
             // Mark a frequency before completing
-            sweep.currentFreq = 4000;
-            sweep.matchedFrequencies.push(4000);
+            sweep.engine.seek(4000);
+            sweep.engine.matchedFrequencies.push(4000);
             sweep.calculateConfidence();
 
+            // First pass ends and the refine pass starts
             const animateCallback = requestAnimationFrame.mock.calls[0][0];
             timeNow = 1000 + 200 * 1000;
             animateCallback();
+            expect(completeCb).not.toHaveBeenCalled();
+
+            // Refine pass ends with no new marks
+            timeNow += 200 * 1000;
+            sweep.engine.animate();
 
             expect(completeCb).toHaveBeenCalledWith(
                 expect.arrayContaining([4000]),
@@ -573,6 +677,99 @@ describe('FrequencySweepManager', () => {
         });
     });
 
+    describe('Refine Pass', () => {
+        let timeNow;
+
+        beforeEach(() => {
+            sweep.init();
+            timeNow = 1000;
+            useClock(() => timeNow);
+        });
+
+        function finishPass() {
+            timeNow += 200 * 1000;
+            sweep.engine.animate();
+        }
+
+        it('should start a narrower pass around the marks', () => {
+            sweep.start();
+            sweep.engine.seek(4000);
+            sweep.markCurrentFrequency();
+            sweep.engine.seek(5000);
+            sweep.markCurrentFrequency();
+            finishPass();
+
+            expect(sweep.engine.isRunning).toBe(true);
+            expect(sweep.engine.pass).toBe(2);
+            expect(sweep.engine.passLow).toBe(Math.round(4000 / Math.pow(2, 0.25)));
+            expect(sweep.engine.passHigh).toBe(Math.round(5000 * Math.pow(2, 0.25)));
+            expect(sweep.engine.currentFreq).toBe(sweep.engine.passLow);
+            expect(sweep.engine.coarseMatches).toEqual([4000, 5000]);
+            expect(sweep.engine.matchedFrequencies).toEqual([]);
+        });
+
+        it('should sweep the second pass at a slower speed', () => {
+            sweep.start();
+            sweep.engine.seek(4000);
+            sweep.markCurrentFrequency();
+            finishPass();
+
+            const start = sweep.engine.currentFreq;
+            timeNow += 1000;
+            sweep.engine.animate();
+            expect(sweep.engine.currentFreq).toBeCloseTo(start * Math.pow(2, 0.02), 6);
+        });
+
+        it('should keep the refine range inside the original sweep range', () => {
+            expect(sweep.engine.getRefineRange([1050, 11800])).toEqual({ low: 1000, high: 12000 });
+        });
+
+        it('should report the second-pass marks on completion', () => {
+            const completeCb = vi.fn();
+            sweep.on('onSweepComplete', completeCb);
+            sweep.start();
+            sweep.engine.seek(4000);
+            sweep.markCurrentFrequency();
+            finishPass();
+
+            sweep.engine.seek(4200);
+            sweep.markCurrentFrequency();
+            finishPass();
+
+            expect(completeCb).toHaveBeenCalledWith([4200], expect.any(Number));
+            expect(sweep.engine.pass).toBe(1);
+        });
+
+        it('should skip the second pass when auto-refine is off', () => {
+            sweep.engine.autoRefine = false;
+            sweep.start();
+            sweep.engine.seek(4000);
+            sweep.markCurrentFrequency();
+            finishPass();
+            expect(sweep.engine.isRunning).toBe(false);
+        });
+
+        it('should skip the second pass when nothing was marked', () => {
+            sweep.start();
+            finishPass();
+            expect(sweep.engine.isRunning).toBe(false);
+            expect(sweep.engine.pass).toBe(1);
+        });
+
+        it('should show the narrowed range and pass label', () => {
+            sweep.start();
+            sweep.engine.seek(4000);
+            sweep.markCurrentFrequency();
+            finishPass();
+            expect(document.getElementById('sweepStartLabel').textContent).toBe(`${sweep.engine.passLow} Hz`);
+            expect(document.getElementById('sweepPassLabel').textContent).toContain('Pass 2');
+
+            sweep.stop();
+            expect(document.getElementById('sweepStartLabel').textContent).toBe('1000 Hz');
+            expect(document.getElementById('sweepPassLabel').textContent).toBe('');
+        });
+    });
+
     describe('Frequency Matching', () => {
         beforeEach(() => {
             sweep.init();
@@ -582,21 +779,21 @@ describe('FrequencySweepManager', () => {
             // markCurrentFrequency returns undefined (no explicit return) when not running
             const result = sweep.markCurrentFrequency();
             expect(result).toBeUndefined();
-            expect(sweep.matchedFrequencies).toEqual([]);
+            expect(sweep.engine.matchedFrequencies).toEqual([]);
         });
 
         it('should record matched frequency', () => {
             sweep.start();
-            sweep.currentFreq = 4500;
+            sweep.engine.seek(4500);
             sweep.markCurrentFrequency();
-            expect(sweep.matchedFrequencies).toContain(4500);
+            expect(sweep.engine.matchedFrequencies).toContain(4500);
         });
 
         it('should round matched frequency', () => {
             sweep.start();
-            sweep.currentFreq = 4500.7;
+            sweep.engine.seek(4500.7);
             sweep.markCurrentFrequency();
-            expect(sweep.matchedFrequencies).toContain(4501);
+            expect(sweep.engine.matchedFrequencies).toContain(4501);
         });
 
         it('should fire onMatch callback with frequency, confidence, and ear', () => {
@@ -604,7 +801,7 @@ describe('FrequencySweepManager', () => {
             sweep.on('onMatch', matchCb);
 
             sweep.start();
-            sweep.currentFreq = 4000;
+            sweep.engine.seek(4000);
 
             // Set ear to left
             const earSelect = document.getElementById('sweepEar');
@@ -620,7 +817,7 @@ describe('FrequencySweepManager', () => {
             sweep.on('onMatch', matchCb);
 
             sweep.start();
-            sweep.currentFreq = 4000;
+            sweep.engine.seek(4000);
 
             const earSelect = document.getElementById('sweepEar');
 
@@ -635,25 +832,25 @@ describe('FrequencySweepManager', () => {
 
         it('should accumulate multiple matches', () => {
             sweep.start();
-            sweep.currentFreq = 4000;
+            sweep.engine.seek(4000);
             sweep.markCurrentFrequency();
-            sweep.currentFreq = 4200;
+            sweep.engine.seek(4200);
             sweep.markCurrentFrequency();
-            sweep.currentFreq = 4100;
+            sweep.engine.seek(4100);
             sweep.markCurrentFrequency();
-            expect(sweep.matchedFrequencies).toHaveLength(3);
+            expect(sweep.engine.matchedFrequencies).toHaveLength(3);
         });
 
         it('should trigger haptic feedback if navigator.vibrate is available', () => {
             sweep.start();
-            sweep.currentFreq = 5000;
+            sweep.engine.seek(5000);
             sweep.markCurrentFrequency();
             expect(navigator.vibrate).toHaveBeenCalledWith(50);
         });
 
         it('should add matched CSS class briefly for visual feedback', () => {
             sweep.start();
-            sweep.currentFreq = 5000;
+            sweep.engine.seek(5000);
             const matchBtn = document.getElementById('matchThisFreq');
             sweep.markCurrentFrequency();
             expect(matchBtn.classList.contains('matched')).toBe(true);
@@ -661,7 +858,7 @@ describe('FrequencySweepManager', () => {
 
         it('should show matched frequencies in the matches list', () => {
             sweep.start();
-            sweep.currentFreq = 5000;
+            sweep.engine.seek(5000);
             sweep.markCurrentFrequency();
 
             const matchesContainer = document.getElementById('sweepMatches');
@@ -673,7 +870,7 @@ describe('FrequencySweepManager', () => {
             sweep.on('onMatch', matchCb);
 
             sweep.start();
-            sweep.currentFreq = 4000;
+            sweep.engine.seek(4000);
 
             // Remove sweepEar element to trigger the ?.value || 'both' fallback on line 348
             document.getElementById('sweepEar')?.remove();
@@ -688,7 +885,7 @@ describe('FrequencySweepManager', () => {
         it('should call useFrequency when .btn-use-freq is clicked', () => {
             sweep.init();
             sweep.start();
-            sweep.currentFreq = 5000;
+            sweep.engine.seek(5000);
 
             // markCurrentFrequency internally calls updateMatchesList which creates the button
             sweep.markCurrentFrequency();
@@ -707,8 +904,8 @@ describe('FrequencySweepManager', () => {
             sweep.on('onMatch', matchCb);
 
             sweep.start();
-            sweep.currentFreq = 6000;
-            sweep.matchedFrequencies = [6000];
+            sweep.engine.seek(6000);
+            sweep.engine.matchedFrequencies = [6000];
             sweep.calculateConfidence();
 
             // Set ear
@@ -725,7 +922,7 @@ describe('FrequencySweepManager', () => {
             const matchCb = vi.fn();
             sweep.on('onMatch', matchCb);
 
-            sweep.matchedFrequencies = [5000];
+            sweep.engine.matchedFrequencies = [5000];
             sweep.calculateConfidence();
 
             // Remove sweepEar element to test fallback
@@ -738,19 +935,58 @@ describe('FrequencySweepManager', () => {
 
         it('should not throw when onMatch callback is not set', () => {
             sweep.init();
-            sweep.matchedFrequencies = [5000];
+            sweep.engine.matchedFrequencies = [5000];
             sweep.calculateConfidence();
 
             expect(() => sweep.useFrequency(5000)).not.toThrow();
         });
 
+        it('should show the confidence interval with the suggestion', () => {
+            sweep.init();
+            sweep.engine.matchedFrequencies = [5000, 5050, 4950];
+            sweep.updateMatchesList();
+            expect(document.querySelector('.match-interval').textContent).toMatch(/95% range \d+–\d+ Hz \(±43 cents\)/);
+        });
+
+        it('should list rejected marks apart from the kept ones', () => {
+            sweep.init();
+            sweep.engine.matchedFrequencies = [5000, 5020, 4980, 10000, 7000];
+            sweep.updateMatchesList();
+            const kept = [...document.querySelectorAll('#matchesList .match-chip:not(.rejected)')].map(c => c.textContent);
+            const rejected = [...document.querySelectorAll('.match-rejected .match-chip')].map(c => c.textContent);
+            expect(kept).toEqual(['5000 Hz', '5020 Hz', '4980 Hz']);
+            expect(rejected).toEqual(['10000 Hz · octave error', '7000 Hz · outlier']);
+            expect(document.querySelector('.btn-use-freq').dataset.freq).toBe('5000');
+        });
+
+        it('should fire onConfirm with the marks when a frequency is used', () => {
+            const confirmCb = vi.fn();
+            sweep.on('onConfirm', confirmCb);
+            sweep.init();
+            sweep.start();
+            sweep.engine.seek(5000);
+            sweep.markCurrentFrequency();
+
+            document.querySelector('.btn-use-freq').click();
+            expect(confirmCb).toHaveBeenCalledWith(5000, 30, 'both', [{ raw: 5000, corrected: 5000 }], { type: 'tone' });
+        });
+
+        it('should not fire onConfirm for individual marks', () => {
+            const confirmCb = vi.fn();
+            sweep.on('onConfirm', confirmCb);
+            sweep.init();
+            sweep.start();
+            sweep.markCurrentFrequency();
+            expect(confirmCb).not.toHaveBeenCalled();
+        });
+
         it('should handle updateMatchesList with missing DOM elements', () => {
             sweep.init();
             // Remove the matches container
             document.getElementById('sweepMatches')?.remove();
             document.getElementById('matchesList')?.remove();
 
-            sweep.matchedFrequencies = [5000];
+            sweep.engine.matchedFrequencies = [5000];
             // Should not throw
             expect(() => sweep.updateMatchesList()).not.toThrow();
         });
@@ -763,48 +999,48 @@ describe('FrequencySweepManager', () => {
 
         it('should be 0 with no matches', () => {
             sweep.calculateConfidence();
-            expect(sweep.confidenceLevel).toBe(0);
+            expect(sweep.engine.confidenceLevel).toBe(0);
         });
 
         it('should be 30 with single match', () => {
-            sweep.matchedFrequencies = [4000];
+            sweep.engine.matchedFrequencies = [4000];
             sweep.calculateConfidence();
-            expect(sweep.confidenceLevel).toBe(30);
+            expect(sweep.engine.confidenceLevel).toBe(30);
         });
 
         it('should be high (100) with perfectly consistent matches', () => {
-            sweep.matchedFrequencies = [4000, 4000, 4000];
+            sweep.engine.matchedFrequencies = [4000, 4000, 4000];
             sweep.calculateConfidence();
-            expect(sweep.confidenceLevel).toBe(100);
+            expect(sweep.engine.confidenceLevel).toBe(100);
         });
 
         it('should be lower with spread-out matches', () => {
-            sweep.matchedFrequencies = [3000, 5000, 7000];
+            sweep.engine.matchedFrequencies = [3000, 5000, 7000];
             sweep.calculateConfidence();
-            expect(sweep.confidenceLevel).toBeLessThan(100);
+            expect(sweep.engine.confidenceLevel).toBeLessThan(100);
         });
 
         it('should clamp between 0 and 100', () => {
-            sweep.matchedFrequencies = [1000, 15000]; // huge spread
+            sweep.engine.matchedFrequencies = [1000, 15000]; // huge spread
             sweep.calculateConfidence();
-            expect(sweep.confidenceLevel).toBeGreaterThanOrEqual(0);
-            expect(sweep.confidenceLevel).toBeLessThanOrEqual(100);
+            expect(sweep.engine.confidenceLevel).toBeGreaterThanOrEqual(0);
+            expect(sweep.engine.confidenceLevel).toBeLessThanOrEqual(100);
         });
 
         it('should increase confidence with more consistent data', () => {
-            sweep.matchedFrequencies = [4000, 4500]; // 500 Hz spread
+            sweep.engine.matchedFrequencies = [4000, 4500]; // 500 Hz spread
             sweep.calculateConfidence();
-            const lowConfidence = sweep.confidenceLevel;
+            const lowConfidence = sweep.engine.confidenceLevel;
 
-            sweep.matchedFrequencies = [4000, 4010]; // 10 Hz spread
+            sweep.engine.matchedFrequencies = [4000, 4010]; // 10 Hz spread
             sweep.calculateConfidence();
-            const highConfidence = sweep.confidenceLevel;
+            const highConfidence = sweep.engine.confidenceLevel;
 
             expect(highConfidence).toBeGreaterThan(lowConfidence);
         });
 
         it('should update the confidence label in the DOM', () => {
-            sweep.matchedFrequencies = [4000];
+            sweep.engine.matchedFrequencies = [4000];
             sweep.calculateConfidence();
 
             const label = document.getElementById('confidenceLabel');
@@ -877,7 +1113,7 @@ describe('FrequencySweepManager', () => {
 
         it('should not create new oscillator when resuming from pause', () => {
             sweep.start();
-            sweep.currentFreq = 5000;
+            sweep.engine.seek(5000);
             sweep.togglePause(); // pause
 
             mockAudioEngine.createOscillator.mockClear();
@@ -886,15 +1122,141 @@ describe('FrequencySweepManager', () => {
             // When resuming from pause, no new oscillator is created
             expect(mockAudioEngine.createOscillator).not.toHaveBeenCalled();
             // Frequency should remain where we left off
-            expect(sweep.currentFreq).toBe(5000);
+            expect(sweep.engine.currentFreq).toBe(5000);
         });
 
         it('should restore isRunning=true and isPaused=false on resume', () => {
             sweep.start();
             sweep.togglePause();
             sweep.start(); // resume
-            expect(sweep.isRunning).toBe(true);
-            expect(sweep.isPaused).toBe(false);
+            expect(sweep.engine.isRunning).toBe(true);
+            expect(sweep.engine.isPaused).toBe(false);
+        });
+    });
+
+    describe('Stimulus', () => {
+        beforeEach(() => {
+            mockAudioEngine.createNarrowbandNoise = vi.fn(() => ({
+                source: { disconnect: vi.fn() },
+                output: { connect: vi.fn() },
+                filters: [],
+                start: vi.fn(),
+                stop: vi.fn()
+            }));
+            sweep.init();
+        });
+
+        it('should show the bandwidth only for a noise band', () => {
+            const bandwidth = document.getElementById('sweepBandwidth');
+            expect(bandwidth.style.display).toBe('none');
+            const select = document.getElementById('sweepStimulus');
+            select.value = 'noise';
+            select.dispatchEvent(new Event('change'));
+            expect(sweep.engine.stimulus).toBe('noise');
+            expect(bandwidth.style.display).not.toBe('none');
+        });
+
+        it('should sweep a noise band of the chosen width', () => {
+            const select = document.getElementById('sweepStimulus');
+            select.value = 'noise';
+            select.dispatchEvent(new Event('change'));
+            const bandwidth = document.getElementById('sweepBandwidth');
+            bandwidth.value = '0.5';
+            bandwidth.dispatchEvent(new Event('change'));
+
+            sweep.start();
+            expect(mockAudioEngine.createNarrowbandNoise).toHaveBeenCalledWith(1000, 0.5);
+            expect(mockAudioEngine.createOscillator).not.toHaveBeenCalled();
+        });
+
+        it('should pass the stimulus to onConfirm', () => {
+            const confirmCb = vi.fn();
+            sweep.on('onConfirm', confirmCb);
+            sweep.engine.stimulus = 'noise';
+            sweep.engine.bandwidth = 1;
+            sweep.start();
+            sweep.engine.seek(5000);
+            sweep.markCurrentFrequency();
+
+            document.querySelector('.btn-use-freq').click();
+            expect(confirmCb.mock.calls[0][4]).toEqual({ type: 'noise', bandwidth: 1 });
+        });
+    });
+
+    describe('Reaction Time', () => {
+        beforeEach(() => {
+            sweep.init();
+            vi.spyOn(sweep.calibration, 'playClick').mockImplementation(() => {});
+        });
+
+        it('should show that reaction time is not calibrated yet', () => {
+            expect(document.getElementById('reactionTimeValue').textContent).toBe('Not calibrated');
+            expect(sweep.engine.reactionTime).toBe(0);
+        });
+
+        it('should load a saved reaction time into the engine', () => {
+            localStorage.setItem('tinnitusReactionTime', JSON.stringify({ reactionTime: 0.3 }));
+            const reloaded = new FrequencySweepManager(mockAudioEngine);
+            expect(reloaded.engine.reactionTime).toBe(0.3);
+            expect(reloaded.formatReactionTime()).toBe('300 ms');
+        });
+
+        it('should swap the calibrate button for a tap button while calibrating', () => {
+            document.getElementById('calibrateReaction').click();
+            expect(sweep.calibration.isRunning).toBe(true);
+            expect(document.getElementById('reactionTap').style.display).toBe('');
+            expect(document.getElementById('calibrateReaction').style.display).toBe('none');
+            expect(document.getElementById('reactionTimeValue').textContent).toBe('Click 1 of 5…');
+        });
+
+        it('should apply the calibrated delay to the engine', () => {
+            let timeNow = 1000;
+            useClock(() => timeNow);
+            sweep.startCalibration();
+            for (let i = 0; i < 5; i++) {
+                timeNow = 1000 + (sweep.calibration.clickTime + 0.25) * 1000;
+                document.getElementById('reactionTap').click();
+            }
+            expect(sweep.engine.reactionTime).toBeCloseTo(0.25, 6);
+            expect(document.getElementById('reactionTimeValue').textContent).toBe('250 ms');
+            expect(sweep.calibration.isRunning).toBe(false);
+            expect(document.getElementById('calibrateReaction').style.display).toBe('');
+        });
+
+        it('should stop a running sweep before calibrating', () => {
+            sweep.start();
+            sweep.startCalibration();
+            expect(sweep.engine.isRunning).toBe(false);
+        });
+
+        it('should cancel calibration when a sweep starts', () => {
+            sweep.startCalibration();
+            sweep.start();
+            expect(sweep.calibration.isRunning).toBe(false);
+            expect(document.getElementById('calibrateReaction').style.display).toBe('');
+        });
+
+        it('should list both corrected and tapped frequencies', () => {
+            let timeNow = 1000;
+            useClock(() => timeNow);
+            sweep.engine.reactionTime = 0.5;
+            sweep.start();
+            timeNow += 25000;
+            sweep.markCurrentFrequency();
+
+            const chip = document.querySelector('#matchesList .match-chip');
+            const raw = sweep.engine.rawFrequencies[0];
+            expect(raw).toBe(2000);
+            expect(sweep.engine.matchedFrequencies[0]).toBe(Math.round(2000 * Math.pow(2, -0.02)));
+            expect(chip.textContent).toContain(`${sweep.engine.matchedFrequencies[0]} Hz`);
+            expect(chip.querySelector('.match-raw').textContent).toContain('tapped at 2000 Hz');
+        });
+
+        it('should not show a tapped value when no correction applied', () => {
+            sweep.start();
+            sweep.engine.seek(4000);
+            sweep.markCurrentFrequency();
+            expect(document.querySelector('#matchesList .match-raw')).toBeNull();
         });
     });
 
@@ -905,7 +1267,7 @@ describe('FrequencySweepManager', () => {
 
         it('should update frequency display text during animation', () => {
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
             const animateCallback = requestAnimationFrame.mock.calls[0][0];
@@ -914,12 +1276,12 @@ describe('FrequencySweepManager', () => {
             animateCallback();
 
             const freqDisplay = document.getElementById('sweepCurrentFreq');
-            expect(freqDisplay.textContent).toBe('1100 Hz');
+            expect(freqDisplay.textContent).toBe('1028 Hz');
         });
 
         it('should update progress bar during animation', () => {
             let timeNow = 1000;
-            vi.spyOn(performance, 'now').mockImplementation(() => timeNow);
+            useClock(() => timeNow);
 
             sweep.start();
             const animateCallback = requestAnimationFrame.mock.calls[0][0];
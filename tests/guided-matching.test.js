@@ -7,12 +7,19 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../js/sweep-engine.js';
+import '../js/reaction-time.js';
 import { GuidedMatchingWizard } from '../js/guided-matching.js';
 
 // Helper to create a mock oscillator with spyable methods
 function createMockOscillator() {
   return {
-    frequency: { value: 440, setTargetAtTime: vi.fn() },
+    frequency: {
+        value: 440,
+        setValueAtTime: vi.fn(),
+        exponentialRampToValueAtTime: vi.fn(),
+        cancelScheduledValues: vi.fn()
+    },
     type: 'sine',
     connect: vi.fn(),
     disconnect: vi.fn(),
@@ -45,6 +52,8 @@ function createMockApp() {
       createGain: vi.fn(() => createMockGainNode()),
       createPanner: vi.fn(() => createMockPannerNode()),
       connectToMaster: vi.fn(),
+      startSource: vi.fn(),
+      stopSource: vi.fn(),
       currentTime: 0
     },
     matchedFrequencies: { left: 0, right: 0 },
@@ -150,42 +159,42 @@ describe('GuidedMatchingWizard', () => {
     });
 
     it('should default isPlaying to false', () => {
-      expect(wizard.isPlaying).toBe(false);
+      expect(wizard.engine.isRunning).toBe(false);
     });
 
     it('should default isPaused to false', () => {
-      expect(wizard.isPaused).toBe(false);
+      expect(wizard.engine.isPaused).toBe(false);
     });
 
     it('should default currentFreq to 1000', () => {
-      expect(wizard.currentFreq).toBe(1000);
+      expect(wizard.engine.currentFreq).toBe(1000);
     });
 
-    it('should default sweepSpeed to 100', () => {
-      expect(wizard.sweepSpeed).toBe(100);
+    it('should share the sweep engine defaults (0.04 octaves/sec)', () => {
+      expect(wizard.engine.sweepSpeed).toBe(0.04);
     });
 
     it('should default startFreq to 1000 and endFreq to 12000', () => {
-      expect(wizard.startFreq).toBe(1000);
-      expect(wizard.endFreq).toBe(12000);
+      expect(wizard.engine.startFreq).toBe(1000);
+      expect(wizard.engine.endFreq).toBe(12000);
     });
 
     it('should default volume to 0.3', () => {
-      expect(wizard.volume).toBe(0.3);
+      expect(wizard.engine.volume).toBe(0.3);
     });
 
     it('should default matchedFrequencies to empty array', () => {
-      expect(wizard.matchedFrequencies).toEqual([]);
+      expect(wizard.engine.matchedFrequencies).toEqual([]);
     });
 
     it('should default oscillator, gainNode, pannerNode to null', () => {
-      expect(wizard.oscillator).toBeNull();
-      expect(wizard.gainNode).toBeNull();
-      expect(wizard.pannerNode).toBeNull();
+      expect(wizard.engine.oscillator).toBeNull();
+      expect(wizard.engine.gainNode).toBeNull();
+      expect(wizard.engine.pannerNode).toBeNull();
     });
 
     it('should default animationId to null', () => {
-      expect(wizard.animationId).toBeNull();
+      expect(wizard.engine.animationId).toBeNull();
     });
 
     it('should default onComplete to null', () => {
@@ -209,9 +218,9 @@ describe('GuidedMatchingWizard', () => {
     });
 
     it('should reset matchedFrequencies to empty array', () => {
-      wizard.matchedFrequencies = [4000, 5000];
+      wizard.engine.matchedFrequencies = [4000, 5000];
       wizard.launch();
-      expect(wizard.matchedFrequencies).toEqual([]);
+      expect(wizard.engine.matchedFrequencies).toEqual([]);
     });
 
     it('should call stopSweep to clean up any running sweep', () => {
@@ -386,7 +395,7 @@ describe('GuidedMatchingWizard', () => {
     });
 
     it('should render confirm for step 3', () => {
-      wizard.matchedFrequencies = [5000];
+      wizard.engine.matchedFrequencies = [5000];
       const spy = vi.spyOn(wizard, 'renderConfirm');
       wizard.showStep(3);
       expect(spy).toHaveBeenCalled();
@@ -429,7 +438,7 @@ describe('GuidedMatchingWizard', () => {
 
     it('should navigate from sweep (step 2) to confirm (step 3) via Next and stop sweep', () => {
       wizard.showStep(2);
-      wizard.matchedFrequencies = [5000];
+      wizard.engine.matchedFrequencies = [5000];
       // Re-render so next button is enabled
       wizard.showStep(2);
       const stopSpy = vi.spyOn(wizard, 'stopSweep');
@@ -439,12 +448,12 @@ describe('GuidedMatchingWizard', () => {
     });
 
     it('should navigate back from confirm (step 3) to sweep (step 2) and reset state', () => {
-      wizard.matchedFrequencies = [5000, 6000];
+      wizard.engine.matchedFrequencies = [5000, 6000];
       wizard.showStep(3);
       document.getElementById('gsBack').click();
       expect(wizard.currentStep).toBe(2);
-      expect(wizard.matchedFrequencies).toEqual([]);
-      expect(wizard.currentFreq).toBe(wizard.startFreq);
+      expect(wizard.engine.matchedFrequencies).toEqual([]);
+      expect(wizard.engine.currentFreq).toBe(wizard.engine.startFreq);
     });
   });
 
@@ -530,12 +539,12 @@ describe('GuidedMatchingWizard', () => {
 
     it('should create oscillator with startFreq and sine type', () => {
       wizard.startSweep();
-      expect(mockApp.audioEngine.createOscillator).toHaveBeenCalledWith(wizard.startFreq, 'sine');
+      expect(mockApp.audioEngine.createOscillator).toHaveBeenCalledWith(wizard.engine.startFreq, 'sine');
     });
 
     it('should create gain node with volume', () => {
       wizard.startSweep();
-      expect(mockApp.audioEngine.createGain).toHaveBeenCalledWith(wizard.volume);
+      expect(mockApp.audioEngine.createGain).toHaveBeenCalledWith(wizard.engine.volume);
     });
 
     it('should create panner with 0 for both ears', () => {
@@ -558,19 +567,19 @@ describe('GuidedMatchingWizard', () => {
 
     it('should connect oscillator -> gain -> panner -> master', () => {
       wizard.startSweep();
-      expect(wizard.oscillator.connect).toHaveBeenCalledWith(wizard.gainNode);
-      expect(wizard.gainNode.connect).toHaveBeenCalledWith(wizard.pannerNode);
-      expect(mockApp.audioEngine.connectToMaster).toHaveBeenCalledWith(wizard.pannerNode);
+      expect(wizard.engine.oscillator.connect).toHaveBeenCalledWith(wizard.engine.gainNode);
+      expect(wizard.engine.gainNode.connect).toHaveBeenCalledWith(wizard.engine.pannerNode);
+      expect(mockApp.audioEngine.connectToMaster).toHaveBeenCalledWith(wizard.engine.pannerNode);
     });
 
     it('should start the oscillator', () => {
       wizard.startSweep();
-      expect(wizard.oscillator.start).toHaveBeenCalled();
+      expect(wizard.engine.oscillator.start).toHaveBeenCalled();
     });
 
     it('should set isPlaying to true', () => {
       wizard.startSweep();
-      expect(wizard.isPlaying).toBe(true);
+      expect(wizard.engine.isRunning).toBe(true);
     });
 
     it('should enable the match button', () => {
@@ -593,19 +602,19 @@ describe('GuidedMatchingWizard', () => {
 
     it('should handle resume from pause without creating new nodes', () => {
       wizard.startSweep();
-      wizard.isPaused = true;
+      wizard.engine.isPaused = true;
       mockApp.audioEngine.createOscillator.mockClear();
       wizard.startSweep();
       // Should not create new oscillator when resuming
       expect(mockApp.audioEngine.createOscillator).not.toHaveBeenCalled();
-      expect(wizard.isPaused).toBe(false);
-      expect(wizard.isPlaying).toBe(true);
+      expect(wizard.engine.isPaused).toBe(false);
+      expect(wizard.engine.isRunning).toBe(true);
     });
 
     it('should set currentFreq to startFreq on fresh start', () => {
-      wizard.currentFreq = 5000;
+      wizard.engine.seek(5000);
       wizard.startSweep();
-      expect(wizard.currentFreq).toBe(wizard.startFreq);
+      expect(wizard.engine.currentFreq).toBe(wizard.engine.startFreq);
     });
   });
 
@@ -619,33 +628,33 @@ describe('GuidedMatchingWizard', () => {
     });
 
     it('should do nothing if not playing', () => {
-      wizard.isPlaying = false;
+      wizard.engine.isRunning = false;
       wizard.togglePause();
-      expect(wizard.isPaused).toBe(false);
+      expect(wizard.engine.isPaused).toBe(false);
     });
 
     it('should toggle isPaused to true when playing', () => {
       wizard.startSweep();
       wizard.togglePause();
-      expect(wizard.isPaused).toBe(true);
+      expect(wizard.engine.isPaused).toBe(true);
     });
 
     it('should toggle isPaused back to false and restart animation', () => {
       wizard.startSweep();
       wizard.togglePause(); // pause
-      expect(wizard.isPaused).toBe(true);
-      const animateSpy = vi.spyOn(wizard, 'animateSweep');
+      expect(wizard.engine.isPaused).toBe(true);
+      const animateSpy = vi.spyOn(wizard.engine, 'animate');
       wizard.togglePause(); // unpause
-      expect(wizard.isPaused).toBe(false);
+      expect(wizard.engine.isPaused).toBe(false);
       expect(animateSpy).toHaveBeenCalled();
     });
 
-    it('should update lastUpdateTime when resuming', () => {
+    it('should reschedule the sweep from the audio clock when resuming', () => {
       wizard.startSweep();
       wizard.togglePause(); // pause
-      performance._setTime(5000);
+      mockApp.audioEngine.currentTime = 5;
       wizard.togglePause(); // resume
-      expect(wizard.lastUpdateTime).toBe(5000);
+      expect(wizard.engine.oscillator.frequency.setValueAtTime).toHaveBeenLastCalledWith(wizard.engine.currentFreq, 5);
     });
   });
 
@@ -661,111 +670,100 @@ describe('GuidedMatchingWizard', () => {
 
     it('should set isPlaying to false', () => {
       wizard.stopSweep();
-      expect(wizard.isPlaying).toBe(false);
+      expect(wizard.engine.isRunning).toBe(false);
     });
 
     it('should set isPaused to false', () => {
-      wizard.isPaused = true;
+      wizard.engine.isPaused = true;
       wizard.stopSweep();
-      expect(wizard.isPaused).toBe(false);
+      expect(wizard.engine.isPaused).toBe(false);
     });
 
     it('should stop the oscillator', () => {
-      const osc = wizard.oscillator;
+      const osc = wizard.engine.oscillator;
       wizard.stopSweep();
       expect(osc.stop).toHaveBeenCalled();
     });
 
     it('should disconnect the oscillator', () => {
-      const osc = wizard.oscillator;
+      const osc = wizard.engine.oscillator;
       wizard.stopSweep();
       expect(osc.disconnect).toHaveBeenCalled();
     });
 
     it('should null out oscillator', () => {
       wizard.stopSweep();
-      expect(wizard.oscillator).toBeNull();
+      expect(wizard.engine.oscillator).toBeNull();
     });
 
     it('should cancel animation frame', () => {
-      const animId = wizard.animationId;
+      const animId = wizard.engine.animationId;
       wizard.stopSweep();
       expect(cancelAnimationFrame).toHaveBeenCalledWith(animId);
     });
 
     it('should null out animationId', () => {
       wizard.stopSweep();
-      expect(wizard.animationId).toBeNull();
+      expect(wizard.engine.animationId).toBeNull();
     });
 
     it('should null out gainNode and pannerNode', () => {
       wizard.stopSweep();
-      expect(wizard.gainNode).toBeNull();
-      expect(wizard.pannerNode).toBeNull();
+      expect(wizard.engine.gainNode).toBeNull();
+      expect(wizard.engine.pannerNode).toBeNull();
     });
 
     it('should handle stopSweep when no oscillator exists', () => {
-      wizard.oscillator = null;
-      wizard.animationId = null;
+      wizard.engine.oscillator = null;
+      wizard.engine.animationId = null;
       expect(() => wizard.stopSweep()).not.toThrow();
     });
   });
 
   // ---------------------------------------------------------------
-  // 11. animateSweep()
+  // 11. Sweep animation (engine.animate)
   // ---------------------------------------------------------------
-  describe('animateSweep()', () => {
+  describe('Sweep animation', () => {
     beforeEach(() => {
       wizard.launch();
       wizard.showStep(2);
     });
 
     it('should return immediately if not playing', () => {
-      wizard.isPlaying = false;
+      wizard.engine.isRunning = false;
       requestAnimationFrame.mockClear();
-      wizard.animateSweep();
+      wizard.engine.animate();
       expect(requestAnimationFrame).not.toHaveBeenCalled();
     });
 
     it('should return immediately if paused', () => {
-      wizard.isPlaying = true;
-      wizard.isPaused = true;
+      wizard.engine.isRunning = true;
+      wizard.engine.isPaused = true;
       requestAnimationFrame.mockClear();
-      wizard.animateSweep();
+      wizard.engine.animate();
       expect(requestAnimationFrame).not.toHaveBeenCalled();
     });
 
     it('should advance frequency based on sweepSpeed and dt', () => {
       wizard.startSweep();
-      // startSweep sets lastUpdateTime to 1000 and calls animateSweep
-      // Clear to control manually
-      wizard.isPaused = true; // stop auto-advance
-      wizard.isPaused = false;
-
-      const initialFreq = wizard.currentFreq;
-      // Advance time by 500ms (0.5s)
-      performance._setTime(1500);
-      wizard.lastUpdateTime = 1000;
-      wizard.animateSweep();
-      // sweepSpeed = 100 Hz/s, dt = 0.5s => freq should advance by 50 Hz
-      expect(wizard.currentFreq).toBeCloseTo(initialFreq + 50, 0);
+      const initialFreq = wizard.engine.currentFreq;
+      // Advance the audio clock by 0.5s
+      mockApp.audioEngine.currentTime = 0.5;
+      wizard.engine.animate();
+      // sweepSpeed = 0.04 oct/s, dt = 0.5s => freq should rise by 2^0.02
+      expect(wizard.engine.currentFreq).toBeCloseTo(initialFreq * Math.pow(2, 0.02), 6);
     });
 
-    it('should update oscillator frequency', () => {
+    it('should schedule the oscillator sweep as an exponential ramp', () => {
       wizard.startSweep();
-      performance._setTime(1500);
-      wizard.lastUpdateTime = 1000;
-      // Manually call animateSweep (clear previous rAF calls)
-      requestAnimationFrame.mockClear();
-      wizard.animateSweep();
-      expect(wizard.oscillator.frequency.setTargetAtTime).toHaveBeenCalled();
+      expect(wizard.engine.oscillator.frequency.exponentialRampToValueAtTime)
+        .toHaveBeenCalledWith(wizard.engine.endFreq, expect.any(Number));
     });
 
     it('should update the frequency display', () => {
       wizard.startSweep();
-      performance._setTime(1500);
-      wizard.lastUpdateTime = 1000;
-      wizard.animateSweep();
+      mockApp.audioEngine.currentTime = 0.5;
+      wizard.engine.animate();
       const freqVal = document.getElementById('gsFreqVal');
       expect(freqVal.textContent).toContain('Hz');
     });
@@ -773,31 +771,28 @@ describe('GuidedMatchingWizard', () => {
     it('should request another animation frame', () => {
       wizard.startSweep();
       requestAnimationFrame.mockClear();
-      performance._setTime(1100);
-      wizard.lastUpdateTime = 1000;
-      wizard.animateSweep();
+      mockApp.audioEngine.currentTime = 0.1;
+      wizard.engine.animate();
       expect(requestAnimationFrame).toHaveBeenCalled();
     });
 
     it('should call onSweepComplete when freq reaches endFreq', () => {
       wizard.startSweep();
       const completeSpy = vi.spyOn(wizard, 'onSweepComplete');
-      wizard.currentFreq = 11999;
+      wizard.engine.seek(11999);
       // Advance by enough to push past endFreq
-      performance._setTime(2000);
-      wizard.lastUpdateTime = 1000;
-      wizard.animateSweep();
+      mockApp.audioEngine.currentTime = 1;
+      wizard.engine.animate();
       expect(completeSpy).toHaveBeenCalled();
     });
 
     it('should cap currentFreq at endFreq when completing', () => {
       wizard.startSweep();
       vi.spyOn(wizard, 'onSweepComplete').mockImplementation(() => {});
-      wizard.currentFreq = 11999;
-      performance._setTime(2000);
-      wizard.lastUpdateTime = 1000;
-      wizard.animateSweep();
-      expect(wizard.currentFreq).toBe(wizard.endFreq);
+      wizard.engine.seek(11999);
+      mockApp.audioEngine.currentTime = 1;
+      wizard.engine.animate();
+      expect(wizard.engine.currentFreq).toBe(wizard.engine.endFreq);
     });
   });
 
@@ -811,37 +806,37 @@ describe('GuidedMatchingWizard', () => {
     });
 
     it('should do nothing if not playing', () => {
-      wizard.isPlaying = false;
+      wizard.engine.isRunning = false;
       wizard.markFrequency();
-      expect(wizard.matchedFrequencies).toEqual([]);
+      expect(wizard.engine.matchedFrequencies).toEqual([]);
     });
 
     it('should record rounded current frequency', () => {
       wizard.startSweep();
-      wizard.currentFreq = 4567.8;
+      wizard.engine.seek(4567.8);
       wizard.markFrequency();
-      expect(wizard.matchedFrequencies).toContain(4568);
+      expect(wizard.engine.matchedFrequencies).toContain(4568);
     });
 
     it('should push multiple frequencies', () => {
       wizard.startSweep();
-      wizard.currentFreq = 3000;
+      wizard.engine.seek(3000);
       wizard.markFrequency();
-      wizard.currentFreq = 5000;
+      wizard.engine.seek(5000);
       wizard.markFrequency();
-      expect(wizard.matchedFrequencies).toEqual([3000, 5000]);
+      expect(wizard.engine.matchedFrequencies).toEqual([3000, 5000]);
     });
 
     it('should call navigator.vibrate', () => {
       wizard.startSweep();
-      wizard.currentFreq = 4000;
+      wizard.engine.seek(4000);
       wizard.markFrequency();
       expect(navigator.vibrate).toHaveBeenCalledWith(50);
     });
 
     it('should add pulse class to match button and remove after 400ms', () => {
       wizard.startSweep();
-      wizard.currentFreq = 4000;
+      wizard.engine.seek(4000);
       wizard.markFrequency();
       const btn = document.getElementById('gsMatchBtn');
       expect(btn.classList.contains('pulse')).toBe(true);
@@ -851,7 +846,7 @@ describe('GuidedMatchingWizard', () => {
 
     it('should show match info and update count', () => {
       wizard.startSweep();
-      wizard.currentFreq = 4000;
+      wizard.engine.seek(4000);
       wizard.markFrequency();
       const info = document.getElementById('gsMatchInfo');
       const count = document.getElementById('gsMatchCount');
@@ -861,7 +856,7 @@ describe('GuidedMatchingWizard', () => {
 
     it('should enable the Next button', () => {
       wizard.startSweep();
-      wizard.currentFreq = 4000;
+      wizard.engine.seek(4000);
       wizard.markFrequency();
       const nextBtn = document.getElementById('gsNext');
       expect(nextBtn.disabled).toBe(false);
@@ -869,11 +864,11 @@ describe('GuidedMatchingWizard', () => {
 
     it('should increment match count correctly', () => {
       wizard.startSweep();
-      wizard.currentFreq = 3000;
+      wizard.engine.seek(3000);
       wizard.markFrequency();
-      wizard.currentFreq = 4000;
+      wizard.engine.seek(4000);
       wizard.markFrequency();
-      wizard.currentFreq = 5000;
+      wizard.engine.seek(5000);
       wizard.markFrequency();
       const count = document.getElementById('gsMatchCount');
       expect(count.textContent).toBe('3');
@@ -885,46 +880,46 @@ describe('GuidedMatchingWizard', () => {
   // ---------------------------------------------------------------
   describe('calculateConfidence()', () => {
     it('should return 0 for no matches', () => {
-      wizard.matchedFrequencies = [];
+      wizard.engine.matchedFrequencies = [];
       expect(wizard.calculateConfidence()).toBe(0);
     });
 
     it('should return 30 for exactly 1 match', () => {
-      wizard.matchedFrequencies = [5000];
+      wizard.engine.matchedFrequencies = [5000];
       expect(wizard.calculateConfidence()).toBe(30);
     });
 
     it('should return 100 for identical matches (zero stdDev)', () => {
-      wizard.matchedFrequencies = [5000, 5000, 5000];
+      wizard.engine.matchedFrequencies = [5000, 5000, 5000];
       expect(wizard.calculateConfidence()).toBe(100);
     });
 
     it('should return high confidence for closely grouped matches', () => {
-      wizard.matchedFrequencies = [5000, 5010, 4990];
+      wizard.engine.matchedFrequencies = [5000, 5010, 4990];
       const confidence = wizard.calculateConfidence();
       expect(confidence).toBeGreaterThan(90);
     });
 
     it('should return lower confidence for spread matches', () => {
-      wizard.matchedFrequencies = [2000, 8000];
+      wizard.engine.matchedFrequencies = [2000, 8000];
       const confidence = wizard.calculateConfidence();
       expect(confidence).toBeLessThan(50);
     });
 
     it('should clamp to 0 minimum', () => {
-      wizard.matchedFrequencies = [1000, 12000];
+      wizard.engine.matchedFrequencies = [1000, 12000];
       const confidence = wizard.calculateConfidence();
       expect(confidence).toBeGreaterThanOrEqual(0);
     });
 
     it('should clamp to 100 maximum', () => {
-      wizard.matchedFrequencies = [5000, 5000];
+      wizard.engine.matchedFrequencies = [5000, 5000];
       const confidence = wizard.calculateConfidence();
       expect(confidence).toBeLessThanOrEqual(100);
     });
 
     it('should return a rounded integer', () => {
-      wizard.matchedFrequencies = [5000, 5050, 5100];
+      wizard.engine.matchedFrequencies = [5000, 5050, 5100];
       const confidence = wizard.calculateConfidence();
       expect(confidence).toBe(Math.round(confidence));
     });
@@ -947,6 +942,23 @@ describe('GuidedMatchingWizard', () => {
       expect(mockApp.matchedFrequencies.right).toBe(testFreq);
     });
 
+    it('should record the match with its confidence and marks', () => {
+      mockApp.matchHistory = { add: vi.fn() };
+      wizard.selectedEar = 'left';
+      wizard.engine.matchedFrequencies = [6000, 6010];
+      wizard.engine.rawFrequencies = [6040, 6050];
+      wizard.engine.calculateConfidence();
+      wizard.saveResult(testFreq);
+      expect(mockApp.matchHistory.add).toHaveBeenCalledWith({
+        method: 'guided',
+        ear: 'left',
+        frequency: testFreq,
+        confidence: wizard.engine.confidenceLevel,
+        marks: [{ raw: 6040, corrected: 6000 }, { raw: 6050, corrected: 6010 }],
+        stimulus: { type: 'tone' }
+      });
+    });
+
     it('should save only to left when selectedEar is left', () => {
       wizard.selectedEar = 'left';
       wizard.saveResult(testFreq);
@@ -990,6 +1002,29 @@ describe('GuidedMatchingWizard', () => {
       expect(mockApp.musicState.notchFreq).toBe(testFreq);
     });
 
+    it('should only move the right-ear notch for a right-ear match in per-ear mode', () => {
+      mockApp.noiseState = { notchFreq: 3000, notchFreqRight: 3000, stereoNotch: true };
+      wizard.selectedEar = 'right';
+      wizard.saveResult(testFreq);
+      expect(mockApp.noiseState.notchFreq).toBe(3000);
+      expect(mockApp.noiseState.notchFreqRight).toBe(testFreq);
+    });
+
+    it('should only move the left-ear notch for a left-ear match in per-ear mode', () => {
+      mockApp.musicState = { notchFreq: 3000, notchFreqRight: 3000, stereoNotch: true };
+      wizard.selectedEar = 'left';
+      wizard.saveResult(testFreq);
+      expect(mockApp.musicState.notchFreq).toBe(testFreq);
+      expect(mockApp.musicState.notchFreqRight).toBe(3000);
+    });
+
+    it('should move the shared notch for a right-ear match when not in per-ear mode', () => {
+      wizard.selectedEar = 'right';
+      wizard.saveResult(testFreq);
+      expect(mockApp.noiseState.notchFreq).toBe(testFreq);
+      expect(mockApp.noiseState.notchFreqRight).toBe(testFreq);
+    });
+
     it('should call autoSaveState', () => {
       wizard.saveResult(testFreq);
       expect(mockApp.autoSaveState).toHaveBeenCalled();
@@ -1060,7 +1095,7 @@ describe('GuidedMatchingWizard', () => {
   describe('renderConfirm with empty matches', () => {
     it('should render with avg=0 when matchedFrequencies is empty', () => {
       wizard.launch();
-      wizard.matchedFrequencies = [];
+      wizard.engine.matchedFrequencies = [];
       wizard.showStep(3);
       const body = document.getElementById('guidedBody');
       expect(body.innerHTML).toContain('0 Hz');
@@ -1076,7 +1111,7 @@ describe('GuidedMatchingWizard', () => {
       wizard.showStep(2);
       wizard.startSweep();
       // Make stop throw
-      wizard.oscillator.stop = vi.fn(() => { throw new Error('already stopped'); });
+      wizard.engine.oscillator.stop = vi.fn(() => { throw new Error('already stopped'); });
       expect(() => wizard.stopSweep()).not.toThrow();
     });
 
@@ -1085,7 +1120,7 @@ describe('GuidedMatchingWizard', () => {
       wizard.showStep(2);
       wizard.startSweep();
       // Make disconnect throw
-      wizard.oscillator.disconnect = vi.fn(() => { throw new Error('already disconnected'); });
+      wizard.engine.oscillator.disconnect = vi.fn(() => { throw new Error('already disconnected'); });
       expect(() => wizard.stopSweep()).not.toThrow();
     });
   });
@@ -1107,20 +1142,75 @@ describe('GuidedMatchingWizard', () => {
     });
 
     it('should go to step 3 if there are matched frequencies', () => {
-      wizard.matchedFrequencies = [5000];
+      wizard.engine.matchedFrequencies = [5000];
       wizard.onSweepComplete();
       expect(wizard.currentStep).toBe(3);
     });
 
     it('should reset and re-render sweep if no matched frequencies', () => {
-      wizard.matchedFrequencies = [];
+      wizard.engine.matchedFrequencies = [];
       const renderSpy = vi.spyOn(wizard, 'renderSweep');
       wizard.onSweepComplete();
-      expect(wizard.currentFreq).toBe(wizard.startFreq);
+      expect(wizard.engine.currentFreq).toBe(wizard.engine.startFreq);
       expect(renderSpy).toHaveBeenCalled();
     });
   });
 
+  // ---------------------------------------------------------------
+  // Shared sweep engine wiring
+  // ---------------------------------------------------------------
+  describe('Sweep engine events', () => {
+    beforeEach(() => {
+      wizard.launch();
+      wizard.showStep(2);
+      wizard.startSweep();
+    });
+
+    it('should update the display on engine frequency events', () => {
+      wizard.engine.seek(4321);
+      wizard.engine.emit('frequency', 4321, 0.5);
+      expect(document.getElementById('gsFreqVal').textContent).toBe('4321 Hz');
+    });
+
+    it('should show the narrowed range when the refine pass starts', () => {
+      wizard.engine.seek(4000);
+      wizard.markFrequency();
+      wizard.engine.onPassEnd();
+      expect(wizard.engine.pass).toBe(2);
+      expect(document.getElementById('gsSweepLow').textContent).toBe(`${wizard.engine.passLow} Hz`);
+      expect(document.getElementById('gsMatchCount').textContent).toBe('0');
+    });
+
+    it('should move to confirm when the engine completes with marks', () => {
+      wizard.engine.autoRefine = false;
+      wizard.engine.seek(4000);
+      wizard.markFrequency();
+      wizard.engine.onPassEnd();
+      expect(wizard.currentStep).toBe(3);
+    });
+
+    it('should pass the selected ear to the engine', () => {
+      wizard.stopSweep();
+      wizard.selectedEar = 'left';
+      wizard.startSweep();
+      expect(wizard.engine.ear).toBe('left');
+    });
+
+    it('should play under its own source name', () => {
+      expect(mockApp.audioEngine.startSource).toHaveBeenCalledWith('guided-sweep', expect.objectContaining({ kind: 'matching' }));
+    });
+
+    it('should reset the sweep controls when another sound takes over', () => {
+      document.getElementById('gsStartSweep').click();
+      document.getElementById('gsMatchBtn').disabled = false;
+      wizard.engine.interrupt();
+      expect(wizard.engine.isRunning).toBe(false);
+      expect(document.getElementById('gsStartSweep').style.display).toBe('');
+      expect(document.getElementById('gsPauseSweep').style.display).toBe('none');
+      expect(document.getElementById('gsMatchBtn').disabled).toBe(true);
+    });
+  });
+
   // ---------------------------------------------------------------
   // Additional: updateSweepDisplay()
   // ---------------------------------------------------------------
@@ -1131,29 +1221,28 @@ describe('GuidedMatchingWizard', () => {
     });
 
     it('should update frequency text', () => {
-      wizard.currentFreq = 5555;
+      wizard.engine.seek(5555);
       wizard.updateSweepDisplay();
       const freqVal = document.getElementById('gsFreqVal');
       expect(freqVal.textContent).toBe('5555 Hz');
     });
 
     it('should update progress bar width', () => {
-      wizard.currentFreq = 6500; // midway between 1000 and 12000
+      wizard.engine.seek(Math.sqrt(1000 * 12000)); // log midpoint of 1000-12000
       wizard.updateSweepDisplay();
       const fill = document.getElementById('gsSweepFill');
-      const expectedPct = ((6500 - 1000) / (12000 - 1000)) * 100;
-      expect(fill.style.width).toBe(`${expectedPct}%`);
+      expect(parseFloat(fill.style.width)).toBeCloseTo(50, 6);
     });
 
     it('should show 0% at startFreq', () => {
-      wizard.currentFreq = 1000;
+      wizard.engine.seek(1000);
       wizard.updateSweepDisplay();
       const fill = document.getElementById('gsSweepFill');
       expect(fill.style.width).toBe('0%');
     });
 
     it('should show 100% at endFreq', () => {
-      wizard.currentFreq = 12000;
+      wizard.engine.seek(12000);
       wizard.updateSweepDisplay();
       const fill = document.getElementById('gsSweepFill');
       expect(fill.style.width).toBe('100%');
@@ -1201,17 +1290,42 @@ describe('GuidedMatchingWizard', () => {
   // Additional: Confirm step rendering
   // ---------------------------------------------------------------
   describe('Confirm step rendering', () => {
-    it('should display average frequency', () => {
+    it('should display the suggested frequency on a log scale', () => {
       wizard.launch();
-      wizard.matchedFrequencies = [4000, 6000];
+      wizard.engine.matchedFrequencies = [4000, 9000];
       wizard.showStep(3);
       const body = document.getElementById('guidedBody');
-      expect(body.innerHTML).toContain('5000 Hz');
+      expect(body.querySelector('.gs-result-freq').textContent).toBe('6000 Hz');
+    });
+
+    it('should show the confidence interval', () => {
+      wizard.launch();
+      wizard.engine.matchedFrequencies = [5000, 5050, 4950];
+      wizard.showStep(3);
+      const interval = document.querySelector('.gs-result-interval');
+      expect(interval.textContent).toMatch(/95% range \d+–\d+ Hz/);
+    });
+
+    it('should list rejected marks separately', () => {
+      wizard.launch();
+      wizard.engine.matchedFrequencies = [5000, 5020, 4980, 10000, 7000];
+      wizard.showStep(3);
+      const body = document.getElementById('guidedBody');
+      expect(body.querySelector('.gs-result-matches').textContent).toBe('3 match(es): 5000 Hz, 5020 Hz, 4980 Hz');
+      expect(body.querySelector('.gs-result-rejected').textContent)
+        .toBe('Left out: 10000 Hz (octave error), 7000 Hz (outlier)');
+    });
+
+    it('should not show a rejected list when every mark is kept', () => {
+      wizard.launch();
+      wizard.engine.matchedFrequencies = [5000, 5020];
+      wizard.showStep(3);
+      expect(document.querySelector('.gs-result-rejected')).toBeNull();
     });
 
     it('should display ear label for both ears', () => {
       wizard.launch();
-      wizard.matchedFrequencies = [5000];
+      wizard.engine.matchedFrequencies = [5000];
       wizard.selectedEar = 'both';
       wizard.showStep(3);
       const body = document.getElementById('guidedBody');
@@ -1220,7 +1334,7 @@ describe('GuidedMatchingWizard', () => {
 
     it('should display ear label for left ear', () => {
       wizard.launch();
-      wizard.matchedFrequencies = [5000];
+      wizard.engine.matchedFrequencies = [5000];
       wizard.selectedEar = 'left';
       wizard.showStep(3);
       const body = document.getElementById('guidedBody');
@@ -1229,7 +1343,7 @@ describe('GuidedMatchingWizard', () => {
 
     it('should display ear label for right ear', () => {
       wizard.launch();
-      wizard.matchedFrequencies = [5000];
+      wizard.engine.matchedFrequencies = [5000];
       wizard.selectedEar = 'right';
       wizard.showStep(3);
       const body = document.getElementById('guidedBody');
@@ -1238,7 +1352,7 @@ describe('GuidedMatchingWizard', () => {
 
     it('should call saveResult when Save button is clicked', () => {
       wizard.launch();
-      wizard.matchedFrequencies = [5000, 5100];
+      wizard.engine.matchedFrequencies = [5000, 5100];
       wizard.showStep(3);
       const saveSpy = vi.spyOn(wizard, 'saveResult');
       document.getElementById('gsSave').click();
@@ -1247,7 +1361,7 @@ describe('GuidedMatchingWizard', () => {
 
     it('should display confidence label', () => {
       wizard.launch();
-      wizard.matchedFrequencies = [5000, 5000, 5000];
+      wizard.engine.matchedFrequencies = [5000, 5000, 5000];
       wizard.showStep(3);
       const body = document.getElementById('guidedBody');
       expect(body.innerHTML).toContain('High Confidence');
@@ -1255,7 +1369,7 @@ describe('GuidedMatchingWizard', () => {
 
     it('should display match count and frequencies', () => {
       wizard.launch();
-      wizard.matchedFrequencies = [3000, 5000, 7000];
+      wizard.engine.matchedFrequencies = [3000, 5000, 7000];
       wizard.showStep(3);
       const body = document.getElementById('guidedBody');
       expect(body.innerHTML).toContain('3 match(es)');
@@ -0,0 +1,211 @@
+/**
+ * Headphone Calibration Tests
+ * Tests the REAL HeadphoneCalibration from js/headphone-calibration.js
+ * Covers the gain offset from the 1 kHz threshold, the correction curve from
+ * loudness balancing, named device profiles and the calibration flow.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HeadphoneCalibration } from '../js/headphone-calibration.js';
+import { AudioEngine } from '../js/audio-engine.js';
+
+function createMockOscillator() {
+  return {
+    frequency: { setValueAtTime: vi.fn() },
+    connect: vi.fn(),
+    disconnect: vi.fn(),
+    start: vi.fn(),
+    stop: vi.fn()
+  };
+}
+
+function createMockApp() {
+  return {
+    audioEngine: {
+      init: vi.fn(),
+      createOscillator: vi.fn(() => createMockOscillator()),
+      createGain: vi.fn((value) => ({ gain: { value, setValueAtTime: vi.fn(), setTargetAtTime: vi.fn() }, connect: vi.fn() })),
+      connectToMaster: vi.fn(),
+      startSource: vi.fn(),
+      stopSource: vi.fn(),
+      setCalibration: vi.fn(),
+      currentTime: 3
+    }
+  };
+}
+
+describe('HeadphoneCalibration', () => {
+  let calibration;
+  let mockApp;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    document.body.innerHTML = '';
+    vi.stubGlobal('requestAnimationFrame', vi.fn());
+    mockApp = createMockApp();
+    calibration = new HeadphoneCalibration(mockApp);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('Gain offset', () => {
+    it('should cut loud headphones so the threshold lands on the reference', () => {
+      expect(calibration.getGainOffset(-85)).toBe(-15);
+    });
+
+    it('should boost quiet headphones up to the limit', () => {
+      expect(calibration.getGainOffset(-62)).toBe(8);
+      expect(calibration.getGainOffset(-30)).toBe(12);
+    });
+  });
+
+  describe('Correction curve', () => {
+    it('should follow the equal-loudness contour relative to 1 kHz', () => {
+      expect(HeadphoneCalibration.getExpectedOffset(1000)).toBe(0);
+      expect(HeadphoneCalibration.getExpectedOffset(8000)).toBeCloseTo(11.79, 2);
+    });
+
+    it('should leave headphones flat when the balance matches the contour', () => {
+      const curve = calibration.getCorrectionCurve(-30, [
+        { frequency: 4000, levelDb: -30 + HeadphoneCalibration.getExpectedOffset(4000) }
+      ]);
+      expect(curve).toEqual([{ frequency: 4000, gainDb: 0 }]);
+    });
+
+    it('should boost where the tone had to be turned up and cut where it was turned down', () => {
+      const curve = calibration.getCorrectionCurve(-30, [
+        { frequency: 2000, levelDb: -30 + HeadphoneCalibration.getExpectedOffset(2000) + 4 },
+        { frequency: 8000, levelDb: -30 + HeadphoneCalibration.getExpectedOffset(8000) - 6 }
+      ]);
+      expect(curve).toEqual([{ frequency: 2000, gainDb: 4 }, { frequency: 8000, gainDb: -6 }]);
+    });
+
+    it('should keep the balance tones under the level ceiling', () => {
+      calibration.thresholdDb = -40;
+      expect(calibration.getReferenceLevel() + HeadphoneCalibration.getExpectedOffset(8000)).toBeCloseTo(-10, 10);
+      calibration.thresholdDb = -80;
+      expect(calibration.getReferenceLevel()).toBe(-40);
+    });
+
+    it('should limit each correction', () => {
+      const [band] = calibration.getCorrectionCurve(-30, [{ frequency: 250, levelDb: 0 }]);
+      expect(band.gainDb).toBe(12);
+    });
+  });
+
+  describe('Device profiles', () => {
+    const device = { date: '2026-03-01T10:00:00.000Z', thresholdDb: -80, gainDb: -10, eq: [] };
+
+    it('should start uncalibrated', () => {
+      expect(HeadphoneCalibration.getActiveDevice()).toBeNull();
+      expect(HeadphoneCalibration.getDeviceNames()).toEqual([]);
+    });
+
+    it('should save a device and make it active', () => {
+      HeadphoneCalibration.saveDevice('Earbuds', device);
+      expect(HeadphoneCalibration.getActiveDevice()).toEqual({ name: 'Earbuds', ...device });
+    });
+
+    it('should switch between named devices', () => {
+      HeadphoneCalibration.saveDevice('Earbuds', device);
+      HeadphoneCalibration.saveDevice('Studio', { ...device, gainDb: 4 });
+      expect(HeadphoneCalibration.setActiveDevice('Earbuds').gainDb).toBe(-10);
+      expect(HeadphoneCalibration.getDeviceNames()).toEqual(['Earbuds', 'Studio']);
+      expect(HeadphoneCalibration.setActiveDevice(null)).toBeNull();
+    });
+
+    it('should ignore unknown device names', () => {
+      expect(HeadphoneCalibration.setActiveDevice('Missing')).toBeNull();
+    });
+
+    it('should fall back to uncalibrated when the active device is deleted', () => {
+      HeadphoneCalibration.saveDevice('Earbuds', device);
+      HeadphoneCalibration.deleteDevice('Earbuds');
+      expect(HeadphoneCalibration.getActiveDevice()).toBeNull();
+    });
+
+    it('should survive corrupt storage', () => {
+      localStorage.setItem('tinnitusHeadphones', 'not json');
+      expect(HeadphoneCalibration.getDeviceNames()).toEqual([]);
+    });
+  });
+
+  describe('Audio', () => {
+    it('should play the reference then the test tone at their levels', () => {
+      calibration.thresholdDb = -70;
+      calibration.level = -40;
+      calibration.playComparison(4000);
+      const osc = calibration.oscillator;
+      const gain = calibration.gainNode.gain;
+      expect(mockApp.audioEngine.createOscillator).toHaveBeenCalledWith(1000, 'sine');
+      expect(osc.frequency.setValueAtTime).toHaveBeenCalledWith(4000, expect.closeTo(3.85, 10));
+      expect(gain.setValueAtTime).toHaveBeenCalledWith(expect.closeTo(Math.pow(10, -30 / 20), 10), expect.closeTo(3.05, 10));
+      expect(gain.setValueAtTime).toHaveBeenCalledWith(expect.closeTo(Math.pow(10, -40 / 20), 10), expect.closeTo(3.85, 10));
+    });
+
+    it('should pause therapy until closed', () => {
+      const registry = new AudioEngine();
+      registry.startSource('noise', { kind: 'therapy', stop: vi.fn(), pause: vi.fn(), resume: vi.fn() });
+      mockApp.audioEngine.startSource.mockImplementation((name, options) => registry.startSource(name, options));
+      mockApp.audioEngine.stopSource.mockImplementation((name) => registry.stopSource(name));
+
+      calibration.launch();
+      calibration.playTone(1000);
+      calibration.playComparison(4000);
+      expect(mockApp.audioEngine.startSource).toHaveBeenCalledWith('headphone-calibration', expect.objectContaining({ kind: 'matching' }));
+      expect(registry.isSourceActive('noise')).toBe(false);
+
+      calibration.close();
+      expect(registry.isSourceActive('noise')).toBe(true);
+      expect(registry.getPlaying()).toHaveLength(1);
+    });
+  });
+
+  describe('Flow', () => {
+    it('should measure the raw device and restore the active one on close', () => {
+      HeadphoneCalibration.saveDevice('Earbuds', { gainDb: -10, eq: [] });
+      calibration.launch();
+      expect(mockApp.audioEngine.setCalibration).toHaveBeenCalledWith(null);
+      calibration.close();
+      expect(mockApp.audioEngine.setCalibration).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'Earbuds' }));
+    });
+
+    it('should require a device name', () => {
+      calibration.launch();
+      document.getElementById('hcNext').click();
+      expect(calibration.currentStep).toBe(0);
+    });
+
+    it('should run the calibration and save the device', () => {
+      const complete = vi.fn();
+      calibration.onComplete = complete;
+      calibration.launch();
+      document.getElementById('hcDeviceName').value = 'Bedside earbuds';
+      document.getElementById('hcNext').click();
+
+      // Threshold: -60 → -54 → -57 (the reversal halves the step)
+      document.getElementById('hcLouder').click();
+      document.getElementById('hcSofter').click();
+      expect(calibration.level).toBe(-57);
+      for (let i = 0; i < 6; i++) document.getElementById('hcSofter').click();
+      document.getElementById('hcConfirm').click();
+      expect(calibration.thresholdDb).toBe(-75);
+
+      // Balance: one step louder at 250 Hz, the rest as suggested
+      document.getElementById('hcLouder').click();
+      while (calibration.currentStep === 2) document.getElementById('hcConfirm').click();
+      document.getElementById('hcSave').click();
+
+      const saved = HeadphoneCalibration.getActiveDevice();
+      expect(saved.name).toBe('Bedside earbuds');
+      expect(saved.gainDb).toBe(-5);
+      expect(saved.eq.map(b => b.gainDb)).toEqual([6, 0, 0, 0, 0]);
+      expect(complete).toHaveBeenCalledWith('Bedside earbuds', expect.objectContaining({ thresholdDb: -75 }));
+    });
+  });
+});
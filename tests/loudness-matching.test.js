@@ -0,0 +1,377 @@
+/**
+ * Loudness Matching Tests
+ * Tests the REAL LoudnessMatchingWizard from js/loudness-matching.js
+ * Covers level adjustment, threshold-relative results, masking noise
+ * playback and per-ear measurement history.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LoudnessMatchingWizard } from '../js/loudness-matching.js';
+import { AudioEngine } from '../js/audio-engine.js';
+
+function createMockSource() {
+  return { connect: vi.fn(), disconnect: vi.fn(), start: vi.fn(), stop: vi.fn() };
+}
+
+function createMockApp() {
+  return {
+    audioEngine: {
+      init: vi.fn(),
+      createOscillator: vi.fn(() => createMockSource()),
+      createNoiseSource: vi.fn(() => createMockSource()),
+      createGain: vi.fn((value) => ({ gain: { value, setTargetAtTime: vi.fn() }, connect: vi.fn() })),
+      createPanner: vi.fn((pan) => ({ pan, connect: vi.fn() })),
+      connectToMaster: vi.fn(),
+      startSource: vi.fn(),
+      stopSource: vi.fn(),
+      currentTime: 5
+    },
+    matchedFrequencies: { left: 6000, right: null }
+  };
+}
+
+describe('LoudnessMatchingWizard', () => {
+  let wizard;
+  let mockApp;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    document.body.innerHTML = '';
+    vi.stubGlobal('requestAnimationFrame', vi.fn());
+    mockApp = createMockApp();
+    wizard = new LoudnessMatchingWizard(mockApp);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('Level adjustment', () => {
+    it('should step by the initial step size', () => {
+      wizard.resetLevel(-60);
+      wizard.adjustLevel(1);
+      expect(wizard.level).toBe(-54);
+    });
+
+    it('should halve the step on each reversal down to the minimum', () => {
+      wizard.resetLevel(-60);
+      wizard.adjustLevel(1);  // -54
+      wizard.adjustLevel(-1); // step 3 → -57
+      wizard.adjustLevel(1);  // step 1.5 → -55.5
+      expect(wizard.level).toBe(-55.5);
+      wizard.adjustLevel(-1);
+      wizard.adjustLevel(1);
+      expect(wizard.step).toBe(1);
+    });
+
+    it('should never exceed the safety ceiling', () => {
+      wizard.resetLevel(-12);
+      wizard.adjustLevel(1);
+      expect(wizard.level).toBe(-10);
+      wizard.resetLevel(0);
+      expect(wizard.level).toBe(-10);
+    });
+
+    it('should ramp the playing gain to the new level', () => {
+      wizard.frequency = 6000;
+      wizard.resetLevel(-40);
+      wizard.playTone();
+      wizard.adjustLevel(-1);
+      expect(wizard.gainNode.gain.setTargetAtTime).toHaveBeenCalledWith(
+        LoudnessMatchingWizard.dbToGain(-46), 5, 0.02
+      );
+    });
+
+    it('should never drop below the floor', () => {
+      wizard.resetLevel(-88);
+      wizard.adjustLevel(-1);
+      expect(wizard.level).toBe(-90);
+    });
+
+    it('should only track the level while nothing is playing', () => {
+      expect(() => wizard.resetLevel(-30)).not.toThrow();
+      expect(wizard.level).toBe(-30);
+    });
+
+    it('should convert dB to linear gain', () => {
+      expect(LoudnessMatchingWizard.dbToGain(0)).toBe(1);
+      expect(LoudnessMatchingWizard.dbToGain(-20)).toBeCloseTo(0.1, 10);
+    });
+  });
+
+  describe('Audio', () => {
+    it('should play the tone at the matched frequency for the selected ear', () => {
+      wizard.selectedEar = 'left';
+      wizard.frequency = wizard.getMatchedFrequency();
+      wizard.playTone();
+      expect(mockApp.audioEngine.createOscillator).toHaveBeenCalledWith(6000, 'sine');
+      expect(mockApp.audioEngine.createPanner).toHaveBeenCalledWith(-1);
+    });
+
+    it('should center the tone for both ears and pan right for the right ear', () => {
+      wizard.playTone();
+      wizard.selectedEar = 'right';
+      wizard.playTone();
+      expect(mockApp.audioEngine.createPanner.mock.calls.map(([pan]) => pan)).toEqual([0, 1]);
+    });
+
+    it('should prefer the right ear\'s own match', () => {
+      wizard.selectedEar = 'right';
+      mockApp.matchedFrequencies.right = 8000;
+      expect(wizard.getMatchedFrequency()).toBe(8000);
+    });
+
+    it('should fall back to the other ear\'s match', () => {
+      wizard.selectedEar = 'right';
+      expect(wizard.getMatchedFrequency()).toBe(6000);
+      mockApp.matchedFrequencies.left = null;
+      expect(wizard.getMatchedFrequency()).toBe(4000);
+      wizard.selectedEar = 'left';
+      expect(wizard.getMatchedFrequency()).toBe(4000);
+    });
+
+    it('should use the chosen noise color for masking', () => {
+      wizard.noiseType = 'brown';
+      wizard.playNoise();
+      expect(mockApp.audioEngine.createNoiseSource).toHaveBeenCalledWith('brown');
+      expect(mockApp.audioEngine.connectToMaster).toHaveBeenCalledWith(wizard.pannerNode);
+    });
+
+    it('should tolerate a source that already stopped', () => {
+      wizard.playTone();
+      wizard.source.stop.mockImplementation(() => { throw new Error('InvalidStateError'); });
+      wizard.source.disconnect.mockImplementation(() => { throw new Error('InvalidAccessError'); });
+      expect(() => wizard.stopSound()).not.toThrow();
+      expect(wizard.source).toBeNull();
+    });
+
+    it('should stop the previous source before starting another', () => {
+      wizard.playTone();
+      const tone = wizard.source;
+      wizard.playNoise();
+      expect(tone.stop).toHaveBeenCalled();
+      expect(tone.disconnect).toHaveBeenCalled();
+    });
+
+    it('should pause therapy until closed', () => {
+      const registry = new AudioEngine();
+      registry.startSource('noise', { kind: 'therapy', stop: vi.fn(), pause: vi.fn(), resume: vi.fn() });
+      mockApp.audioEngine.startSource.mockImplementation((name, options) => registry.startSource(name, options));
+      mockApp.audioEngine.stopSource.mockImplementation((name) => registry.stopSource(name));
+
+      wizard.launch();
+      wizard.playTone();
+      wizard.playNoise();
+      expect(mockApp.audioEngine.startSource).toHaveBeenCalledWith('loudness-match', expect.objectContaining({ kind: 'matching' }));
+      expect(registry.isSourceActive('noise')).toBe(false);
+
+      wizard.close();
+      expect(registry.isSourceActive('noise')).toBe(true);
+      expect(registry.getPlaying()).toHaveLength(1);
+    });
+
+    it('should go quiet when another matching source takes over', () => {
+      wizard.playTone();
+      const tone = wizard.source;
+      mockApp.audioEngine.startSource.mock.calls[0][1].stop();
+      expect(tone.stop).toHaveBeenCalled();
+      expect(wizard.source).toBeNull();
+    });
+  });
+
+  describe('Measurements', () => {
+    beforeEach(() => {
+      wizard.selectedEar = 'left';
+      wizard.frequency = 6000;
+      wizard.thresholdDb = -70;
+      wizard.loudnessDb = -58;
+      wizard.noiseType = 'white';
+      wizard.mmlDb = -52;
+    });
+
+    it('should express results relative to the threshold', () => {
+      const m = wizard.buildMeasurement();
+      expect(m).toMatchObject({
+        ear: 'left', frequency: 6000, noiseType: 'white',
+        thresholdDb: -70, loudnessDb: -58, loudnessSL: 12, mmlDb: -52, mmlSL: 18
+      });
+      expect(typeof m.date).toBe('string');
+    });
+
+    it('should store measurements per ear', () => {
+      wizard.saveResult();
+      wizard.selectedEar = 'right';
+      wizard.saveResult();
+      expect(wizard.getHistory('left')).toHaveLength(1);
+      expect(wizard.getHistory('right')).toHaveLength(1);
+      expect(wizard.getHistory('both')).toHaveLength(0);
+    });
+
+    it('should persist history across instances', () => {
+      wizard.saveResult();
+      const reloaded = new LoudnessMatchingWizard(mockApp);
+      expect(reloaded.getLatest('left')).toMatchObject({ loudnessSL: 12, mmlSL: 18 });
+    });
+
+    it('should return the most recent measurement', () => {
+      wizard.saveResult();
+      wizard.loudnessDb = -50;
+      wizard.saveResult();
+      expect(wizard.getLatest('left').loudnessSL).toBe(20);
+      expect(wizard.getLatest('right')).toBeNull();
+    });
+
+    it('should leave dB SL empty without a threshold', () => {
+      wizard.thresholdDb = null;
+      wizard.mmlDb = null;
+      const m = wizard.buildMeasurement();
+      expect(m.loudnessSL).toBeNull();
+      expect(m.mmlSL).toBeNull();
+    });
+
+    it('should start a list for an ear missing from the stored history', () => {
+      localStorage.setItem('tinnitusLoudnessHistory', JSON.stringify({ left: [] }));
+      const reloaded = new LoudnessMatchingWizard(mockApp);
+      expect(reloaded.getHistory('both')).toEqual([]);
+      expect(reloaded.getLatest('both')).toBeNull();
+      reloaded.addMeasurement({ ear: 'both', loudnessSL: 8 });
+      expect(reloaded.getLatest('both').loudnessSL).toBe(8);
+    });
+
+    it('should start with an empty history when the saved one is corrupt', () => {
+      localStorage.setItem('tinnitusLoudnessHistory', '{not json');
+      const reloaded = new LoudnessMatchingWizard(mockApp);
+      expect(reloaded.history).toEqual({ left: [], right: [], both: [] });
+    });
+
+    it('should pass the measurement to onComplete', () => {
+      wizard.onComplete = vi.fn();
+      const m = wizard.saveResult();
+      expect(wizard.onComplete).toHaveBeenCalledWith(m);
+    });
+  });
+
+  describe('Modal flow', () => {
+    it('should open on the setup step', () => {
+      wizard.launch();
+      expect(document.getElementById('loudnessMatchingModal')).not.toBeNull();
+      expect(document.getElementById('lmNoiseType')).not.toBeNull();
+    });
+
+    it('should walk through threshold, loudness and masking', () => {
+      wizard.launch();
+      document.querySelector('.gs-ear-btn[data-ear="left"]').click();
+      document.getElementById('lmNext').click();
+      expect(wizard.frequency).toBe(6000);
+      expect(mockApp.audioEngine.createOscillator).toHaveBeenCalled();
+
+      document.getElementById('lmSofter').click();
+      document.getElementById('lmConfirm').click();
+      expect(wizard.thresholdDb).toBe(-66);
+      expect(wizard.level).toBe(-56);
+
+      document.getElementById('lmLouder').click();
+      document.getElementById('lmConfirm').click();
+      expect(wizard.loudnessDb).toBe(-50);
+      expect(mockApp.audioEngine.createNoiseSource).toHaveBeenCalledWith('pink');
+
+      document.getElementById('lmLouder').click();
+      document.getElementById('lmConfirm').click();
+      expect(wizard.mmlDb).toBe(-60);
+      expect(wizard.source).toBeNull();
+      expect(document.getElementById('lmSave')).not.toBeNull();
+    });
+
+    it('should choose the masking noise color', () => {
+      wizard.launch();
+      const select = document.getElementById('lmNoiseType');
+      select.value = 'white';
+      select.dispatchEvent(new Event('change'));
+      expect(wizard.noiseType).toBe('white');
+    });
+
+    it('should highlight the previous ear and noise choices', () => {
+      wizard.selectedEar = 'right';
+      wizard.noiseType = 'brown';
+      wizard.launch();
+      expect(document.querySelector('.gs-ear-btn.selected').dataset.ear).toBe('right');
+      expect(document.querySelector('#lmNoiseType option[selected]').value).toBe('brown');
+      wizard.selectedEar = 'left';
+      wizard.noiseType = 'white';
+      wizard.launch();
+      expect(document.querySelector('.gs-ear-btn.selected').dataset.ear).toBe('left');
+      expect(document.querySelector('#lmNoiseType option[selected]').value).toBe('white');
+    });
+
+    it('should name the measured ear on the result', () => {
+      wizard.thresholdDb = -70;
+      wizard.createModal();
+      ['left', 'right', 'both'].forEach((ear) => {
+        wizard.selectedEar = ear;
+        wizard.showStep(4);
+        expect(document.querySelector('.gs-result-ear').textContent)
+          .toContain({ left: 'Left Ear', right: 'Right Ear', both: 'Both Ears' }[ear]);
+      });
+    });
+
+    it('should skip the change when the previous measurement lacks it', () => {
+      wizard.addMeasurement({ ear: 'both', date: '2026-01-01T00:00:00.000Z', loudnessSL: null, mmlSL: 20 });
+      wizard.thresholdDb = -70;
+      wizard.loudnessDb = -55;
+      wizard.mmlDb = null;
+      wizard.createModal();
+      wizard.showStep(4);
+      expect(document.getElementById('lmBody').textContent).not.toContain('since');
+    });
+
+    it('should start over or save from the result', () => {
+      wizard.launch();
+      wizard.thresholdDb = -70;
+      wizard.loudnessDb = -58;
+      wizard.mmlDb = -52;
+      wizard.showStep(4);
+      document.getElementById('lmRetry').click();
+      expect(wizard.currentStep).toBe(0);
+
+      wizard.showStep(4);
+      document.getElementById('lmSave').click();
+      expect(wizard.getLatest('both')).toMatchObject({ loudnessSL: 12, mmlSL: 18 });
+      expect(wizard.isActive).toBe(false);
+    });
+
+    it('should ignore steps and close once the modal is gone', () => {
+      expect(() => wizard.showStep(1)).not.toThrow();
+      expect(() => wizard.close()).not.toThrow();
+    });
+
+    it('should close from the close button', () => {
+      wizard.launch();
+      document.getElementById('lmClose').click();
+      expect(wizard.isActive).toBe(false);
+    });
+
+    it('should show the change since the previous measurement', () => {
+      wizard.addMeasurement({ ear: 'both', date: '2026-01-01T00:00:00.000Z', loudnessSL: 10, mmlSL: 20 });
+      wizard.thresholdDb = -70;
+      wizard.loudnessDb = -55;
+      wizard.mmlDb = -55;
+      wizard.createModal();
+      wizard.showStep(4);
+      expect(document.getElementById('lmBody').textContent).toContain('+5 dB since');
+      expect(document.getElementById('lmBody').textContent).toContain('-5 dB since');
+    });
+
+    it('should stop sound and remove the modal on close', () => {
+      wizard.launch();
+      wizard.playTone();
+      const tone = wizard.source;
+      wizard.close();
+      vi.advanceTimersByTime(300);
+      expect(tone.stop).toHaveBeenCalled();
+      expect(document.getElementById('loudnessMatchingModal')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Match History Tests
+ * Tests the REAL MatchHistory from js/match-history.js
+ * Covers dated entries, per-ear filtering, swapping in a profile's history,
+ * the recent trend used by the notch and drift in cents per week.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MatchHistory } from '../js/match-history.js';
+
+describe('MatchHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    localStorage.clear();
+    history = new MatchHistory();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Add a match `days` after the start date
+  function addOn(days, ear, frequency) {
+    vi.setSystemTime(new Date(Date.parse('2026-03-01T10:00:00Z') + days * 86400000));
+    return history.add({ method: 'sweep', ear, frequency });
+  }
+
+  describe('Entries', () => {
+    it('should record a dated entry with method, ear, confidence and marks', () => {
+      const marks = [{ raw: 6050, corrected: 6000 }];
+      const entry = history.add({ method: 'guided', ear: 'left', frequency: 6000, confidence: 82, marks });
+      expect(entry).toEqual({
+        date: '2026-03-01T10:00:00.000Z', ear: 'left', method: 'guided', frequency: 6000, confidence: 82, marks,
+        stimulus: { type: 'tone' }
+      });
+    });
+
+    it('should default to both ears, no confidence and no marks', () => {
+      expect(history.add({ method: 'slider', frequency: 4002.54 })).toMatchObject({
+        ear: 'both', confidence: null, marks: [], frequency: 4002.5
+      });
+    });
+
+    it('should record a noise band stimulus with its bandwidth', () => {
+      history.add({ method: 'slider', ear: 'left', frequency: 8000, stimulus: { type: 'noise', bandwidth: 0.5 } });
+      expect(new MatchHistory().getHistory('left')[0].stimulus).toEqual({ type: 'noise', bandwidth: 0.5 });
+    });
+
+    it('should ignore matches without a frequency', () => {
+      expect(history.add({ method: 'slider', frequency: null })).toBeNull();
+      expect(history.getHistory()).toEqual([]);
+    });
+
+    it('should persist across instances', () => {
+      history.add({ method: 'slider', ear: 'right', frequency: 7000 });
+      expect(new MatchHistory().getHistory('right')).toHaveLength(1);
+    });
+
+    it('should start empty when the saved history is corrupt', () => {
+      localStorage.setItem('tinnitusMatchHistory', '{not json');
+      expect(new MatchHistory().getHistory()).toEqual([]);
+    });
+
+    it('should count both-ear matches for each ear', () => {
+      history.add({ method: 'slider', ear: 'left', frequency: 5000 });
+      history.add({ method: 'slider', ear: 'both', frequency: 6000 });
+      history.add({ method: 'slider', ear: 'right', frequency: 7000 });
+      expect(history.getHistory('left').map(e => e.frequency)).toEqual([5000, 6000]);
+      expect(history.getHistory('right').map(e => e.frequency)).toEqual([6000, 7000]);
+      expect(history.getHistory()).toHaveLength(3);
+    });
+
+    it('should clear the history', () => {
+      history.add({ method: 'slider', frequency: 5000 });
+      history.clear();
+      expect(new MatchHistory().getHistory()).toEqual([]);
+    });
+
+    it('should report new and cleared matches', () => {
+      const onChange = vi.fn();
+      history.onChange = onChange;
+      history.add({ method: 'slider', frequency: 5000 });
+      history.add({ method: 'slider', frequency: 0 });
+      history.clear();
+      expect(onChange).toHaveBeenCalledTimes(2);
+    });
+
+    it('should swap in another profile\'s history without reporting a change', () => {
+      const onChange = vi.fn();
+      history.add({ method: 'slider', frequency: 5000 });
+      history.onChange = onChange;
+      history.setHistory([{ date: '2026-02-01T10:00:00.000Z', ear: 'left', method: 'sweep', frequency: 6000 }]);
+      expect(new MatchHistory().getHistory().map(e => e.frequency)).toEqual([6000]);
+      history.setHistory(undefined);
+      expect(history.getHistory()).toEqual([]);
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Trend', () => {
+    it('should return null without matches', () => {
+      expect(history.getTrendFrequency('left')).toBeNull();
+    });
+
+    it('should use the median so one odd match does not move the notch', () => {
+      [6000, 6100, 3000, 6050, 5950].forEach((f, day) => addOn(day, 'left', f));
+      expect(history.getTrendFrequency('left')).toBe(6000);
+    });
+
+    it('should only consider the most recent matches', () => {
+      [4000, 4000, 4000, 6000, 6000, 6000, 6000, 6000].forEach((f, day) => addOn(day, 'left', f));
+      expect(history.getTrendFrequency('left')).toBe(6000);
+    });
+
+    it('should ignore matches older than the trend window', () => {
+      addOn(0, 'left', 4000);
+      addOn(40, 'left', 6000);
+      expect(history.getTrendFrequency('left')).toBe(6000);
+    });
+
+    it('should average the middle pair on a log scale', () => {
+      addOn(0, 'right', 4000);
+      addOn(1, 'right', 9000);
+      expect(history.getTrendFrequency('right')).toBe(6000);
+    });
+  });
+
+  describe('Drift', () => {
+    it('should need two matches at least a day apart', () => {
+      addOn(0, 'left', 6000);
+      expect(history.getDrift('left')).toBeNull();
+      history.add({ method: 'slider', ear: 'left', frequency: 6100 });
+      expect(history.getDrift('left')).toBeNull();
+    });
+
+    it('should report drift in cents per week', () => {
+      addOn(0, 'left', 6000);
+      addOn(7, 'left', 6000 * Math.pow(2, 100 / 1200));
+      addOn(14, 'left', 6000 * Math.pow(2, 200 / 1200));
+      expect(history.getDrift('left')).toBe(100);
+    });
+
+    it('should report downward drift as negative', () => {
+      addOn(0, 'right', 8000);
+      addOn(14, 'right', 4000);
+      expect(history.getDrift('right')).toBe(-600);
+    });
+  });
+});
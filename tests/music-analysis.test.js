@@ -0,0 +1,198 @@
+/**
+ * Music Analysis Tests
+ * Tests the REAL MusicAnalysis from js/music-analysis.js
+ * Covers the long-term spectrum of decoded audio, the share of energy the
+ * notch takes out, bass-heavy tracks and ranking the library.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import '../js/offline-renderer.js';
+import { NotchRecommendation } from '../js/notch-recommendation.js';
+import { MusicAnalysis } from '../js/music-analysis.js';
+
+const sampleRate = 44100;
+
+function createBuffer(channels, seconds = 1) {
+  const length = Math.round(seconds * sampleRate);
+  const data = channels.map(fn => Float32Array.from({ length }, (_, i) => fn(i / sampleRate)));
+  return { numberOfChannels: data.length, sampleRate, length, getChannelData: (c) => data[c] };
+}
+
+const sine = (freq, amp = 0.5) => (t) => amp * Math.sin(2 * Math.PI * freq * t);
+const band = (freq) => MusicAnalysis.bandIndex(freq);
+
+// All the energy in the bands given, shared evenly
+function profile(...freqs) {
+  const energies = new Array(MusicAnalysis.bandCenters.length).fill(0);
+  freqs.forEach(f => { energies[band(f)] += 1 / freqs.length; });
+  return { version: MusicAnalysis.version, energies };
+}
+
+const flat = () => ({ version: 1, energies: MusicAnalysis.bandCenters.map(() => 1 / MusicAnalysis.bandCenters.length) });
+
+describe('MusicAnalysis', () => {
+  describe('Spectrum', () => {
+    it('should match a plain DFT', () => {
+      const input = [1, 2, 0, -1, 3, 0.5, -2, 1];
+      const re = Float64Array.from(input);
+      const im = new Float64Array(8);
+      MusicAnalysis.fft(re, im);
+      input.forEach((_, k) => {
+        const dftRe = input.reduce((s, x, n) => s + x * Math.cos(-2 * Math.PI * k * n / 8), 0);
+        const dftIm = input.reduce((s, x, n) => s + x * Math.sin(-2 * Math.PI * k * n / 8), 0);
+        expect(re[k]).toBeCloseTo(dftRe, 10);
+        expect(im[k]).toBeCloseTo(dftIm, 10);
+      });
+    });
+
+    it('should put a tone in its third-octave band', async () => {
+      const result = await new MusicAnalysis().analyzeBuffer(createBuffer([sine(4000)]));
+      expect(result.version).toBe(MusicAnalysis.version);
+      expect(result.energies).toHaveLength(MusicAnalysis.bandCenters.length);
+      expect(result.energies.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+      expect(result.energies[band(4000)]).toBeGreaterThan(0.99);
+    });
+
+    it('should mix the channels down', async () => {
+      const result = await new MusicAnalysis().analyzeBuffer(createBuffer([sine(250), sine(8000)]));
+      expect(result.energies[band(250)]).toBeCloseTo(0.5, 1);
+      expect(result.energies[band(8000)]).toBeCloseTo(0.5, 1);
+    });
+
+    it('should spread frames over a long track', async () => {
+      const analysis = new MusicAnalysis({ maxFrames: 4 });
+      const fft = vi.spyOn(MusicAnalysis, 'fft');
+      await analysis.analyzeBuffer(createBuffer([sine(1000)], 3));
+      expect(fft).toHaveBeenCalledTimes(4);
+      fft.mockRestore();
+    });
+
+    it('should give nothing for audio shorter than a frame', async () => {
+      expect(await new MusicAnalysis().analyzeBuffer(createBuffer([sine(1000)], 0.05))).toBeNull();
+    });
+
+    it('should give all-zero energies for silence', async () => {
+      const result = await new MusicAnalysis().analyzeBuffer(createBuffer([() => 0]));
+      expect(result.energies.every(e => e === 0)).toBe(true);
+    });
+
+    it('should decode files with the renderer', async () => {
+      const renderer = { decodeFile: vi.fn(async () => createBuffer([sine(2000)])) };
+      const file = new File(['x'], 'song.mp3');
+      const result = await new MusicAnalysis({ renderer }).analyzeFile(file);
+      expect(renderer.decodeFile).toHaveBeenCalledWith(file);
+      expect(result.energies[band(2000)]).toBeGreaterThan(0.99);
+    });
+
+    it('should keep frequencies outside the bands in the end bands', () => {
+      expect(MusicAnalysis.bandIndex(10)).toBe(0);
+      expect(MusicAnalysis.bandIndex(20000)).toBe(MusicAnalysis.bandCenters.length - 1);
+      expect(MusicAnalysis.bandCenters[band(1000)]).toBe(1000);
+    });
+  });
+
+  describe('Notch share', () => {
+    it('should share a band by its overlap on a log scale', () => {
+      const { energies } = profile(1000);
+      expect(MusicAnalysis.shareBetween(energies, 1000, 2000)).toBeCloseTo(0.5, 10);
+      expect(MusicAnalysis.shareBetween(energies, 0, 20000)).toBeCloseTo(1, 10);
+      expect(MusicAnalysis.shareBetween(energies, 2000, 4000)).toBe(0);
+    });
+
+    it('should count overlapping notches once', () => {
+      const { energies } = flat();
+      const one = MusicAnalysis.shareInside(energies, [[2000, 4000]]);
+      expect(MusicAnalysis.shareInside(energies, [[2000, 4000], [2500, 3500]])).toBeCloseTo(one, 10);
+      expect(MusicAnalysis.shareInside(energies, [[2000, 4000], [500, 1000]])).toBeCloseTo(2 * one, 10);
+    });
+
+    it('should score a track with energy across the spectrum highly', () => {
+      const result = MusicAnalysis.evaluate(flat(), { freq: 4000, width: '1', bands: [] });
+      expect(result.inNotch).toBeCloseTo(3 / 28, 10);
+      expect(result.score).toBe(100);
+      expect(result.lowEnergy).toBe(false);
+      expect(result.mostlyBelow).toBe(false);
+      expect(MusicAnalysis.describe(result)).toBeNull();
+    });
+
+    it('should flag a bass-heavy track', () => {
+      const result = MusicAnalysis.evaluate(profile(63, 125), { freq: 4000, width: '1' });
+      expect(result.inNotch).toBe(0);
+      expect(result.below).toBeCloseTo(1, 10);
+      expect(result.notchDb).toBe(-Infinity);
+      expect(result.score).toBe(0);
+      expect(result.mostlyBelow).toBe(true);
+      expect(MusicAnalysis.describe(result)).toContain('bass-heavy');
+    });
+
+    it('should warn when little energy is in the notch', () => {
+      const { energies } = profile(500);
+      energies[band(500)] = 0.9;
+      energies[band(10000)] = 0.0995;
+      energies[band(4000)] = 0.0005;
+      const result = MusicAnalysis.evaluate({ version: 1, energies }, { freq: 4000, width: '1' });
+      expect(result.lowEnergy).toBe(true);
+      expect(result.mostlyBelow).toBe(false);
+      expect(MusicAnalysis.describe(result)).toBe('Only 0.05% of this track\'s energy falls in the notch, so the notch takes out very little.');
+    });
+
+    it('should score between the ends of the range', () => {
+      const energies = profile(500).energies.map((e, i) => (i === band(4000) ? 0.01 : e * 0.99));
+      const result = MusicAnalysis.evaluate({ version: 1, energies }, { freq: 4000, width: '1' });
+      expect(result.notchDb).toBeCloseTo(-20, 5);
+      expect(result.score).toBe(80);
+    });
+
+    it('should average the ears of a stereo notch', () => {
+      const analysis = profile(4000);
+      const result = MusicAnalysis.evaluate(analysis, { freq: 4000, rightFreq: 500, width: '1' });
+      expect(result.inNotch).toBeCloseTo(0.5, 10);
+    });
+
+    it('should include the additional notches that are on', () => {
+      const analysis = profile(4000, 1000);
+      const notch = { freq: 4000, width: '1', bands: [{ freq: 1000, width: '1', depth: 'full' }] };
+      expect(MusicAnalysis.evaluate(analysis, notch).inNotch).toBeCloseTo(1, 10);
+      notch.bands[0].depth = 0;
+      expect(MusicAnalysis.evaluate(analysis, notch).inNotch).toBeCloseTo(0.5, 10);
+    });
+
+    it('should use the notch edges of Hz widths', () => {
+      const [low, high] = NotchRecommendation.getEdges(4000, 'hz250');
+      const result = MusicAnalysis.evaluate(flat(), { freq: 4000, width: 'hz250' });
+      expect(result.inNotch).toBeCloseTo(MusicAnalysis.shareBetween(flat().energies, low, high), 10);
+    });
+
+    it('should have nothing to say without an analysis or a notch', () => {
+      expect(MusicAnalysis.evaluate(null, { freq: 4000, width: '1' })).toBeNull();
+      expect(MusicAnalysis.evaluate(flat(), null)).toBeNull();
+      expect(MusicAnalysis.describe(null)).toBeNull();
+    });
+  });
+
+  describe('Ranking', () => {
+    it('should rank the best fit first and unanalysed tracks last', () => {
+      const tracks = [
+        { id: 1, analysis: profile(63) },
+        { id: 2 },
+        { id: 3, analysis: flat() },
+        { id: 4, analysis: { version: 1, energies: profile(500).energies.map((e, i) => (i === band(4000) ? 0.001 : e * 0.999)) } },
+        { id: 5, analysis: null }
+      ];
+      const ranked = MusicAnalysis.rank(tracks, { freq: 4000, width: '1' });
+      expect(ranked.map(r => r.track.id)).toEqual([3, 4, 1, 2, 5]);
+      expect(ranked[0].result.score).toBe(100);
+      expect(ranked[3].result).toBeNull();
+    });
+
+    it('should keep the order when the notch is off', () => {
+      const tracks = [{ id: 1, analysis: profile(63) }, { id: 2, analysis: flat() }];
+      expect(MusicAnalysis.rank(tracks, null).map(r => r.track.id)).toEqual([1, 2]);
+    });
+
+    it('should format shares', () => {
+      expect(MusicAnalysis.formatShare(0.1234)).toBe('12.3%');
+      expect(MusicAnalysis.formatShare(0.00042)).toBe('0.04%');
+    });
+  });
+});
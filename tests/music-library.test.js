@@ -0,0 +1,295 @@
+/**
+ * Music Library Tests
+ * Tests the REAL MusicLibrary from js/music-library.js
+ * Runs against a small in-memory IndexedDB: tracks and their audio, saved
+ * positions, playlists, database failures and a browser without IndexedDB,
+ * plus reading a file's duration from its metadata.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MusicLibrary } from '../js/music-library.js';
+
+// Just enough of IndexedDB for the library: requests complete on a later task and a
+// transaction completes once none are left, like the real thing
+function createFakeIndexedDB() {
+  const databases = new Map();
+
+  const createTransaction = (db) => {
+    const tx = { pending: 0, done: false, error: null };
+    const settle = () => {
+      if (tx.pending > 0 || tx.done) return;
+      tx.done = true;
+      tx.oncomplete?.();
+    };
+    const request = (fn) => {
+      const req = {};
+      tx.pending++;
+      setTimeout(() => {
+        try {
+          req.result = fn();
+          req.onsuccess?.();
+        } catch (e) {
+          req.error = tx.error = e;
+          tx.done = true;
+          tx.onabort?.();
+        }
+        tx.pending--;
+        settle();
+      });
+      return req;
+    };
+    tx.objectStore = (name) => {
+      const store = db.stores.get(name);
+      const keyOf = (value) => value[store.keyPath] ?? store.nextKey++;
+      const write = (value, unique) => request(() => {
+        const key = keyOf(value);
+        if (unique && store.records.has(key)) throw new Error('ConstraintError');
+        store.records.set(key, { ...value, [store.keyPath]: key });
+        return key;
+      });
+      return {
+        add: (value) => write(value, true),
+        put: (value) => write(value, false),
+        get: (key) => request(() => (store.records.has(key) ? { ...store.records.get(key) } : undefined)),
+        getAll: () => request(() => [...store.records.values()].map(v => ({ ...v }))),
+        delete: (key) => request(() => { store.records.delete(key); })
+      };
+    };
+    setTimeout(settle);
+    return tx;
+  };
+
+  return {
+    databases,
+    open(name, version) {
+      const req = {};
+      setTimeout(() => {
+        let db = databases.get(name);
+        if (!db) {
+          db = {
+            version: 0,
+            stores: new Map(),
+            createObjectStore(store, { keyPath, autoIncrement = false }) {
+              this.stores.set(store, { keyPath, autoIncrement, nextKey: 1, records: new Map() });
+            },
+            transaction: () => createTransaction(db)
+          };
+          databases.set(name, db);
+        }
+        req.result = db;
+        if (db.version < version) {
+          db.version = version;
+          req.onupgradeneeded?.();
+        }
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+}
+
+const audioFile = (name, size = 1000) => new File([new Uint8Array(size)], name, { type: 'audio/mpeg' });
+
+describe('MusicLibrary', () => {
+  let fakeDB;
+  let library;
+
+  beforeEach(() => {
+    fakeDB = createFakeIndexedDB();
+    vi.stubGlobal('indexedDB', fakeDB);
+    vi.spyOn(MusicLibrary, 'readDuration').mockResolvedValue(180);
+    library = new MusicLibrary();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('Database', () => {
+    it('should create the stores on first open', async () => {
+      await library.open();
+      const db = fakeDB.databases.get('tinnitusMusic');
+      expect(db.version).toBe(MusicLibrary.version);
+      expect([...db.stores.keys()]).toEqual(['tracks', 'files', 'playlists']);
+    });
+
+    it('should open the database once', async () => {
+      const open = vi.spyOn(fakeDB, 'open');
+      await Promise.all([library.open(), library.getTracks(), library.getPlaylists()]);
+      expect(open).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject without IndexedDB and try again later', async () => {
+      vi.stubGlobal('indexedDB', undefined);
+      await expect(library.getTracks()).rejects.toThrow('IndexedDB is not available');
+      vi.stubGlobal('indexedDB', fakeDB);
+      await expect(library.getTracks()).resolves.toEqual([]);
+    });
+
+    it('should reject when the database can\'t be opened', async () => {
+      vi.spyOn(fakeDB, 'open').mockImplementation(() => {
+        const req = {};
+        setTimeout(() => {
+          req.error = new Error('QuotaExceededError');
+          req.onerror();
+        });
+        return req;
+      });
+      await expect(library.getTracks()).rejects.toThrow('QuotaExceededError');
+    });
+
+    it('should reject when a transaction aborts', async () => {
+      await library.open();
+      fakeDB.databases.get('tinnitusMusic').stores.get('tracks').records = {
+        values() { throw new Error('UnknownError'); }
+      };
+      await expect(library.getTracks()).rejects.toThrow('UnknownError');
+    });
+
+    it('should keep the library across instances', async () => {
+      await library.addTrack(audioFile('Calm_Piano.mp3'));
+      const reopened = new MusicLibrary();
+      expect((await reopened.getTracks()).map(t => t.title)).toEqual(['Calm Piano']);
+    });
+  });
+
+  describe('Tracks', () => {
+    it('should store the title, duration and audio of an added track', async () => {
+      const file = audioFile('Ocean_Waves.mp3', 2048);
+      const track = await library.addTrack(file);
+      expect(track).toMatchObject({ id: 1, title: 'Ocean Waves', name: 'Ocean_Waves.mp3', type: 'audio/mpeg', size: 2048, duration: 180, position: 0 });
+      expect(MusicLibrary.readDuration).toHaveBeenCalledWith(file);
+      expect(await library.getFile(track.id)).toBe(file);
+    });
+
+    it('should list tracks in import order', async () => {
+      const now = vi.spyOn(Date, 'now');
+      now.mockReturnValue(2000);
+      await library.addTrack(audioFile('b.mp3'));
+      now.mockReturnValue(1000);
+      await library.addTrack(audioFile('a.mp3'));
+      now.mockReturnValue(2000);
+      await library.addTrack(audioFile('c.mp3'));
+      expect((await library.getTracks()).map(t => t.title)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should return null for missing audio', async () => {
+      expect(await library.getFile(42)).toBeNull();
+    });
+
+    it('should save the playback position', async () => {
+      const track = await library.addTrack(audioFile('song.mp3'));
+      await library.savePosition(track.id, 64.5);
+      expect((await library.getTracks())[0].position).toBe(64.5);
+    });
+
+    it('should store a track\'s analysis alongside its metadata', async () => {
+      const track = await library.addTrack(audioFile('song.mp3'));
+      await library.updateTrack(track.id, { analysis: { version: 1, energies: [0.5, 0.5] } });
+      expect((await library.getTracks())[0]).toMatchObject({ title: 'song', position: 0, analysis: { version: 1, energies: [0.5, 0.5] } });
+    });
+
+    it('should ignore positions for deleted tracks', async () => {
+      await library.savePosition(7, 10);
+      expect(await library.getTracks()).toEqual([]);
+    });
+
+    it('should delete the audio and remove the track from playlists', async () => {
+      const a = await library.addTrack(audioFile('a.mp3'));
+      const b = await library.addTrack(audioFile('b.mp3'));
+      await library.savePlaylist({ name: 'Evening', trackIds: [a.id, b.id, a.id] });
+      await library.savePlaylist({ name: 'Morning', trackIds: [b.id] });
+
+      await library.deleteTrack(a.id);
+
+      expect((await library.getTracks()).map(t => t.id)).toEqual([b.id]);
+      expect(await library.getFile(a.id)).toBeNull();
+      expect((await library.getPlaylists()).map(p => p.trackIds)).toEqual([[b.id], [b.id]]);
+    });
+  });
+
+  describe('Playlists', () => {
+    it('should create a playlist and update it by id', async () => {
+      const created = await library.savePlaylist({ name: 'Focus', trackIds: [] });
+      expect(created).toEqual({ id: 1, name: 'Focus', trackIds: [] });
+
+      await library.savePlaylist({ ...created, trackIds: [3, 1] });
+      expect(await library.getPlaylists()).toEqual([{ id: 1, name: 'Focus', trackIds: [3, 1] }]);
+    });
+
+    it('should delete a playlist', async () => {
+      const focus = await library.savePlaylist({ name: 'Focus', trackIds: [] });
+      await library.savePlaylist({ name: 'Sleep', trackIds: [] });
+      await library.deletePlaylist(focus.id);
+      expect((await library.getPlaylists()).map(p => p.name)).toEqual(['Sleep']);
+    });
+  });
+
+  describe('Metadata', () => {
+    it('should make a title from the file name', () => {
+      expect(MusicLibrary.titleFromName('My_Song.final.flac')).toBe('My Song.final');
+      expect(MusicLibrary.titleFromName('track')).toBe('track');
+      expect(MusicLibrary.titleFromName('.mp3')).toBe('Untitled');
+    });
+  });
+
+  describe('readDuration', () => {
+    let audio;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      MusicLibrary.readDuration.mockRestore();
+      audio = Object.assign(new EventTarget(), { duration: NaN });
+      const createElement = document.createElement.bind(document);
+      vi.spyOn(document, 'createElement').mockImplementation((tag) => (tag === 'audio' ? audio : createElement(tag)));
+      vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:track');
+      vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should read the duration from the file\'s metadata', async () => {
+      const duration = MusicLibrary.readDuration(audioFile('song.mp3'));
+      expect(audio.preload).toBe('metadata');
+      expect(audio.src).toBe('blob:track');
+      audio.duration = 215.5;
+      audio.dispatchEvent(new Event('loadedmetadata'));
+      expect(await duration).toBe(215.5);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:track');
+    });
+
+    it('should resolve to null for an unbounded duration', async () => {
+      const duration = MusicLibrary.readDuration(audioFile('stream.mp3'));
+      audio.duration = Infinity;
+      audio.dispatchEvent(new Event('loadedmetadata'));
+      expect(await duration).toBeNull();
+    });
+
+    it('should resolve to null when the browser can\'t read the file', async () => {
+      const duration = MusicLibrary.readDuration(audioFile('broken.mp3'));
+      audio.dispatchEvent(new Event('error'));
+      expect(await duration).toBeNull();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:track');
+    });
+
+    it('should give up when the metadata never arrives', async () => {
+      const duration = MusicLibrary.readDuration(audioFile('stalled.mp3'));
+      vi.advanceTimersByTime(MusicLibrary.durationTimeout);
+      expect(await duration).toBeNull();
+      expect(URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore events after it has resolved', async () => {
+      const duration = MusicLibrary.readDuration(audioFile('late.mp3'));
+      audio.dispatchEvent(new Event('error'));
+      audio.duration = 100;
+      audio.dispatchEvent(new Event('loadedmetadata'));
+      vi.advanceTimersByTime(MusicLibrary.durationTimeout);
+      expect(await duration).toBeNull();
+      expect(URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+    });
+  });
+});
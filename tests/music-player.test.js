@@ -0,0 +1,733 @@
+/**
+ * Music Player Tests
+ * Tests the REAL MusicPlayer from js/music-player.js
+ * Covers the play queue, shuffle and repeat, the gapless hand-over between the
+ * two audio elements, saved positions, playlists, ranking by notch fit and the
+ * library view.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../js/music-library.js';
+import '../js/offline-renderer.js';
+import '../js/notch-recommendation.js';
+import { MusicAnalysis } from '../js/music-analysis.js';
+import { MusicPlayer } from '../js/music-player.js';
+
+const track = (id, extra = {}) => ({ id, title: `Track ${id}`, name: `track${id}.mp3`, duration: 200, position: 0, added: id, ...extra });
+
+// In-memory stand-in for MusicLibrary
+function createMockLibrary(tracks = [], playlists = []) {
+  let nextId = 100;
+  return {
+    getTracks: vi.fn(async () => tracks.map(t => ({ ...t }))),
+    getPlaylists: vi.fn(async () => playlists.map(p => ({ ...p }))),
+    getFile: vi.fn(async (id) => new File(['x'], `track${id}.mp3`)),
+    addTrack: vi.fn(async (file) => track(nextId++, { title: file.name })),
+    deleteTrack: vi.fn(async () => {}),
+    savePosition: vi.fn(async () => {}),
+    updateTrack: vi.fn(async () => {}),
+    savePlaylist: vi.fn(async (p) => ({ ...p, id: p.id ?? nextId++ })),
+    deletePlaylist: vi.fn(async () => {})
+  };
+}
+
+// An audio element the test can move through time
+function createDeck() {
+  const deck = new EventTarget();
+  Object.assign(deck, {
+    src: '',
+    currentTime: 0,
+    duration: 200,
+    readyState: 1,
+    ended: false,
+    paused: true,
+    playbackRate: 1,
+    play: vi.fn(() => { deck.paused = false; }),
+    pause: vi.fn(() => { deck.paused = true; })
+  });
+  return deck;
+}
+
+function createMockApp() {
+  const app = {
+    musicState: { isPlaying: false, audioElement: null },
+    audioEngine: { isSourceActive: vi.fn(() => app.musicState.isPlaying) },
+    getMusicNotch: vi.fn(() => ({ freq: 4000, rightFreq: null, width: '1', depth: 'full', bands: [] })),
+    showMusicTrack: vi.fn(),
+    playMusic: vi.fn(() => { app.musicState.isPlaying = true; }),
+    pauseMusic: vi.fn(() => { app.musicState.isPlaying = false; }),
+    autoSaveState: vi.fn()
+  };
+  return app;
+}
+
+const flush = async () => { for (let i = 0; i < 10; i++) await Promise.resolve(); };
+
+// Long-term spectra with the energy shared evenly between the bands given
+function analysisAt(...freqs) {
+  const energies = MusicAnalysis.bandCenters.map(() => 0);
+  freqs.forEach(f => { energies[MusicAnalysis.bandIndex(f)] += 1 / freqs.length; });
+  return { version: MusicAnalysis.version, energies };
+}
+
+describe('MusicPlayer', () => {
+  let player;
+  let mockApp;
+  let decks;
+  let createObjectURL;
+  let revokeObjectURL;
+
+  const setup = async (tracks = [track(1), track(2), track(3)], playlists = [], settings = null) => {
+    player.library = createMockLibrary(tracks, playlists);
+    player.restoreSettings(settings);
+    await player.load();
+    await flush();
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="prevTrack"></button><button id="nextTrack"></button>
+      <button id="shuffleMusic"></button><button id="repeatMusic"></button>
+      <select id="musicPlaylist"></select><button id="deletePlaylist"></button>
+      <input id="playlistName"><button id="newPlaylist"></button>
+      <select id="musicSort"><option value="added"></option><option value="suitability"></option></select>
+      <p id="musicAnalysisNote"></p>
+      <div id="musicTrackList"></div>`;
+    createObjectURL = URL.createObjectURL;
+    revokeObjectURL = URL.revokeObjectURL;
+    URL.createObjectURL = vi.fn(file => `blob:${file.name}`);
+    URL.revokeObjectURL = vi.fn();
+    mockApp = createMockApp();
+    decks = [createDeck(), createDeck()];
+    mockApp.musicState.audioElement = decks[0];
+    player = new MusicPlayer(mockApp);
+    player.analysis = { analyzeFile: vi.fn(async () => analysisAt(4000)) };
+    player.init(decks);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+    document.body.innerHTML = '';
+  });
+
+  describe('Queue', () => {
+    beforeEach(() => setup());
+
+    it('should play the library in import order', () => {
+      expect(player.order).toEqual([1, 2, 3]);
+    });
+
+    it('should stop at the end unless repeating', () => {
+      player.index = 2;
+      expect(player.getNextIndex()).toBe(-1);
+      player.repeat = 'all';
+      expect(player.getNextIndex()).toBe(0);
+    });
+
+    it('should replay the track on repeat-one but skip by hand', () => {
+      player.index = 1;
+      player.repeat = 'one';
+      expect(player.getNextIndex(true)).toBe(1);
+      expect(player.getNextIndex(false)).toBe(2);
+    });
+
+    it('should wrap backwards only when repeating', () => {
+      player.index = 0;
+      expect(player.getPreviousIndex()).toBe(0);
+      player.repeat = 'all';
+      expect(player.getPreviousIndex()).toBe(2);
+    });
+
+    it('should shuffle with the current track first', async () => {
+      await player.playTrack(2, { autoplay: false });
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      player.setShuffle(true);
+      expect(player.order[0]).toBe(2);
+      expect([...player.order].sort()).toEqual([1, 2, 3]);
+      expect(player.index).toBe(0);
+      expect(mockApp.autoSaveState).toHaveBeenCalled();
+    });
+
+    it('should cycle repeat modes', () => {
+      player.cycleRepeat();
+      expect(player.repeat).toBe('all');
+      player.cycleRepeat();
+      expect(player.repeat).toBe('one');
+      expect(document.getElementById('repeatMusic').textContent).toBe('🔂');
+      player.cycleRepeat();
+      expect(player.repeat).toBe('off');
+    });
+
+    it('should step back through the queue', () => {
+      player.index = 2;
+      expect(player.getPreviousIndex()).toBe(1);
+    });
+
+    it('should have nothing to play from an empty queue', () => {
+      player.order = [];
+      expect(player.getNextIndex()).toBe(-1);
+      expect(player.getPreviousIndex()).toBe(-1);
+    });
+
+    it('should move the current track to the front of a shuffle', async () => {
+      await player.playTrack(2, { autoplay: false });
+      vi.spyOn(Math, 'random').mockReturnValue(0.99);
+      player.setShuffle(true);
+      expect(player.order).toEqual([2, 1, 3]);
+    });
+  });
+
+  describe('Playlists', () => {
+    const playlists = [{ id: 10, name: 'Evening', trackIds: [3, 1, 99] }];
+
+    it('should queue a playlist and leave out deleted tracks', async () => {
+      await setup(undefined, playlists);
+      await player.selectPlaylist(10);
+      expect(player.order).toEqual([3, 1]);
+    });
+
+    it('should keep the current track playing when the queue changes', async () => {
+      await setup(undefined, playlists, { trackId: 2 });
+      await player.selectPlaylist(10);
+      expect(player.currentId).toBe(2);
+      expect(player.index).toBe(-1);
+      expect(player.order[player.getNextIndex()]).toBe(3);
+    });
+
+    it('should add, reorder and remove playlist tracks', async () => {
+      await setup(undefined, playlists);
+      await player.addToPlaylist(10, 2);
+      expect(player.getPlaylist(10).trackIds).toEqual([3, 1, 99, 2]);
+      await player.moveInPlaylist(10, 0, 1);
+      expect(player.getPlaylist(10).trackIds).toEqual([1, 3, 99, 2]);
+      await player.moveInPlaylist(10, 0, -1);
+      expect(player.getPlaylist(10).trackIds).toEqual([1, 3, 99, 2]);
+      await player.removeFromPlaylist(10, 1);
+      expect(player.getPlaylist(10).trackIds).toEqual([1, 99, 2]);
+      expect(player.library.savePlaylist).toHaveBeenCalledTimes(3);
+    });
+
+    it('should open a new playlist', async () => {
+      await setup();
+      const playlist = await player.createPlaylist('Focus');
+      expect(player.playlistId).toBe(playlist.id);
+      expect(player.order).toEqual([]);
+    });
+
+    it('should fall back to the library when the open playlist is deleted', async () => {
+      await setup(undefined, playlists);
+      await player.selectPlaylist(10);
+      await player.deletePlaylist(10);
+      expect(player.playlistId).toBeNull();
+      expect(player.order).toEqual([1, 2, 3]);
+    });
+
+    it('should keep the open playlist when another one is deleted', async () => {
+      await setup(undefined, [...playlists, { id: 11, name: 'Morning', trackIds: [2] }]);
+      await player.selectPlaylist(10);
+      await player.deletePlaylist(11);
+      expect(player.playlistId).toBe(10);
+      expect(player.playlists.map(p => p.id)).toEqual([10]);
+    });
+
+    it('should requeue when the open playlist changes', async () => {
+      await setup(undefined, playlists);
+      await player.selectPlaylist(10);
+      await player.addToPlaylist(10, 2);
+      expect(player.order).toEqual([3, 1, 2]);
+    });
+
+    it('should ignore changes to a playlist that no longer exists', async () => {
+      await setup();
+      await player.addToPlaylist(10, 1);
+      await player.removeFromPlaylist(10, 0);
+      expect(player.library.savePlaylist).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Playback', () => {
+    beforeEach(() => setup([track(1, { position: 90 }), track(2, { position: 198 }), track(3)]));
+
+    it('should load a track at its saved position and queue the next one', async () => {
+      await player.playTrack(1);
+      expect(decks[0].src).toBe('blob:track1.mp3');
+      expect(decks[0].currentTime).toBe(90);
+      expect(mockApp.showMusicTrack).toHaveBeenCalledWith(expect.any(File), 'Track 1');
+      expect(mockApp.playMusic).toHaveBeenCalled();
+      await flush();
+      expect(decks[1].src).toBe('blob:track2.mp3');
+      expect(player.preloaded).toBe(2);
+    });
+
+    it('should start from the top when the saved position is near the end', async () => {
+      await player.playTrack(2, { autoplay: false });
+      expect(decks[0].currentTime).toBe(0);
+      expect(mockApp.playMusic).not.toHaveBeenCalled();
+    });
+
+    it('should seek once the metadata arrives', async () => {
+      decks[0].readyState = 0;
+      await player.playTrack(1);
+      expect(decks[0].currentTime).toBe(0);
+      decks[0].dispatchEvent(new Event('loadedmetadata'));
+      expect(decks[0].currentTime).toBe(90);
+    });
+
+    it('should drop a load that a newer one overtook', async () => {
+      const first = player.playTrack(3);
+      await player.playTrack(1);
+      await first;
+      expect(player.currentId).toBe(1);
+      expect(decks[0].src).toBe('blob:track1.mp3');
+    });
+
+    it('should save the position while playing', async () => {
+      await player.playTrack(3);
+      decks[0].currentTime = 2;
+      decks[0].dispatchEvent(new Event('timeupdate'));
+      expect(player.library.savePosition).not.toHaveBeenCalledWith(3, 2);
+      decks[0].currentTime = 6;
+      decks[0].dispatchEvent(new Event('timeupdate'));
+      expect(player.library.savePosition).toHaveBeenCalledWith(3, 6);
+      expect(player.getTrack(3).position).toBe(6);
+    });
+
+    it('should save the position of the previous track when changing tracks', async () => {
+      await player.playTrack(3);
+      decks[0].currentTime = 42;
+      await player.playTrack(1);
+      expect(player.library.savePosition).toHaveBeenCalledWith(3, 42);
+    });
+
+    it('should restart the current track when it is a few seconds in', async () => {
+      await player.playTrack(3);
+      decks[0].currentTime = 30;
+      player.previous();
+      expect(decks[0].currentTime).toBe(0);
+      expect(player.currentId).toBe(3);
+    });
+
+    it('should skip to the next track', async () => {
+      await player.playTrack(1);
+      await flush();
+      player.next();
+      await flush();
+      expect(player.currentId).toBe(2);
+      expect(player.index).toBe(1);
+    });
+
+    it('should go back to the previous track from near the start', async () => {
+      await player.playTrack(3, { autoplay: false });
+      player.previous();
+      await flush();
+      expect(player.currentId).toBe(2);
+      expect(mockApp.playMusic).not.toHaveBeenCalled();
+    });
+
+    it('should rebuild the queue around a track it does not hold', async () => {
+      player.order = [1];
+      await player.playTrack(3, { autoplay: false });
+      expect(player.order).toEqual([1, 2, 3]);
+      expect(player.index).toBe(2);
+    });
+  });
+
+  describe('Gapless hand-over', () => {
+    beforeEach(async () => {
+      await setup();
+      await player.playTrack(1);
+      await flush();
+    });
+
+    it('should start the next track on a timer just before the end', () => {
+      vi.useFakeTimers();
+      decks[0].currentTime = 199.25;
+      decks[0].dispatchEvent(new Event('timeupdate'));
+      expect(player.currentId).toBe(1);
+      vi.advanceTimersByTime(750);
+
+      expect(player.active).toBe(1);
+      expect(player.currentId).toBe(2);
+      expect(decks[1].play).toHaveBeenCalled();
+      expect(decks[0].pause).toHaveBeenCalled();
+      expect(mockApp.musicState.audioElement).toBe(decks[1]);
+      expect(mockApp.showMusicTrack).toHaveBeenLastCalledWith(expect.any(File), 'Track 2');
+      expect(player.library.savePosition).toHaveBeenCalledWith(1, 0);
+    });
+
+    it('should queue the track after next in the freed deck', async () => {
+      player.advance();
+      await flush();
+      expect(decks[0].src).toBe('blob:track3.mp3');
+      expect(player.preloaded).toBe(3);
+    });
+
+    it('should advance when the track ends', () => {
+      decks[0].dispatchEvent(new Event('ended'));
+      expect(player.currentId).toBe(2);
+    });
+
+    it('should ignore events from the waiting deck', () => {
+      decks[1].dispatchEvent(new Event('ended'));
+      expect(player.currentId).toBe(1);
+    });
+
+    it('should hold the next track while matching has paused the music', () => {
+      mockApp.audioEngine.isSourceActive.mockReturnValue(false);
+      player.advance();
+      expect(player.currentId).toBe(2);
+      expect(decks[1].play).not.toHaveBeenCalled();
+    });
+
+    it('should stop at the end of the queue', async () => {
+      player.advance();
+      await flush();
+      player.advance();
+      await flush();
+      player.advance();
+      expect(mockApp.pauseMusic).toHaveBeenCalled();
+    });
+
+    it('should reload the same track from the top on repeat-one', async () => {
+      decks[0].currentTime = 120;
+      player.savePosition();
+      player.cycleRepeat();
+      player.cycleRepeat();
+      await flush();
+      expect(decks[1].src).toBe('blob:track1.mp3');
+      expect(decks[1].currentTime).toBe(0);
+      player.advance();
+      expect(player.currentId).toBe(1);
+      expect(player.active).toBe(1);
+    });
+
+    it('should cancel the hand-over', () => {
+      vi.useFakeTimers();
+      decks[0].currentTime = 199.5;
+      decks[0].dispatchEvent(new Event('timeupdate'));
+      player.cancelHandoff();
+      vi.advanceTimersByTime(1000);
+      expect(player.currentId).toBe(1);
+    });
+
+    it('should save a finished track as unplayed', () => {
+      decks[0].ended = true;
+      decks[0].currentTime = 200;
+      player.savePosition();
+      expect(player.library.savePosition).toHaveBeenLastCalledWith(1, 0);
+    });
+
+    it('should load the next track when it is not waiting yet', async () => {
+      player.preloaded = null;
+      player.advance();
+      await flush();
+      expect(player.active).toBe(0);
+      expect(player.currentId).toBe(2);
+      expect(decks[0].src).toBe('blob:track2.mp3');
+    });
+
+    it('should time the hand-over at normal speed when the rate reads 0', () => {
+      vi.useFakeTimers();
+      decks[0].playbackRate = 0;
+      decks[0].currentTime = 199.5;
+      decks[0].dispatchEvent(new Event('timeupdate'));
+      vi.advanceTimersByTime(500);
+      expect(player.currentId).toBe(2);
+    });
+  });
+
+  describe('Library', () => {
+    it('should cue the last track from the previous session', async () => {
+      await setup(undefined, [], { trackId: 2, shuffle: false, repeat: 'all' });
+      expect(player.currentId).toBe(2);
+      expect(player.repeat).toBe('all');
+      expect(mockApp.playMusic).not.toHaveBeenCalled();
+      expect(player.getSettings()).toEqual({ playlistId: null, shuffle: false, repeat: 'all', sortBy: 'added', trackId: 2 });
+    });
+
+    it('should ignore unknown settings', async () => {
+      await setup(undefined, [], { playlistId: 7, repeat: 'sometimes', sortBy: 'size', trackId: 50 });
+      expect(player.playlistId).toBeNull();
+      expect(player.repeat).toBe('off');
+      expect(player.sortBy).toBe('added');
+      expect(player.currentId).toBeNull();
+    });
+
+    it('should import files and cue the first one', async () => {
+      await setup([]);
+      await player.importFiles([new File(['a'], 'a.mp3'), new File(['b'], 'b.mp3')]);
+      expect(player.tracks.map(t => t.title)).toEqual(['a.mp3', 'b.mp3']);
+      expect(player.currentId).toBe(100);
+    });
+
+    it('should add imported files to the open playlist', async () => {
+      await setup(undefined, [{ id: 10, name: 'Evening', trackIds: [3] }]);
+      await player.selectPlaylist(10);
+      await player.importFiles([new File(['a'], 'a.mp3')]);
+      expect(player.getPlaylist(10).trackIds).toEqual([3, 100]);
+    });
+
+    it('should still play a file the library could not store', async () => {
+      await setup([]);
+      player.library.addTrack.mockRejectedValue(new Error('QuotaExceededError'));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      await player.importFiles([new File(['a'], 'big.wav')]);
+      expect(decks[0].src).toBe('blob:big.wav');
+      expect(mockApp.showMusicTrack).toHaveBeenCalledWith(expect.any(File), 'big.wav (not saved to the library)');
+    });
+
+    it('should say so when the library is unavailable', async () => {
+      player.library = createMockLibrary();
+      player.library.getTracks.mockRejectedValue(new Error('IndexedDB is not available'));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      await player.load();
+      expect(player.available).toBe(false);
+      expect(document.getElementById('musicTrackList').textContent).toContain('can\'t keep a music library');
+    });
+
+    it('should delete a track from the library and its playlists', async () => {
+      await setup(undefined, [{ id: 10, name: 'Evening', trackIds: [2, 3] }]);
+      await player.deleteTrack(2);
+      expect(player.tracks.map(t => t.id)).toEqual([1, 3]);
+      expect(player.getPlaylist(10).trackIds).toEqual([3]);
+      expect(player.order).toEqual([1, 3]);
+    });
+
+    it('should queue another track when the waiting one is deleted', async () => {
+      await setup();
+      await player.playTrack(1, { autoplay: false });
+      await flush();
+      await player.deleteTrack(2);
+      await flush();
+      expect(player.preloaded).toBe(3);
+      expect(decks[1].src).toBe('blob:track3.mp3');
+    });
+
+    it('should release the previous unsaved file', async () => {
+      await setup([]);
+      player.library.addTrack.mockRejectedValue(new Error('QuotaExceededError'));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      await player.importFiles([new File(['a'], 'big.wav')]);
+      await player.importFiles([new File(['b'], 'bigger.wav')]);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:big.wav');
+      expect(decks[0].src).toBe('blob:bigger.wav');
+    });
+
+    it('should cue nothing without a saved track', async () => {
+      await setup(undefined, [], { repeat: 'all' });
+      expect(player.lastTrackId).toBeNull();
+      expect(player.currentId).toBeNull();
+    });
+  });
+
+  describe('Analysis', () => {
+    it('should analyse imported tracks one at a time', async () => {
+      await setup([]);
+      let finish;
+      player.analysis.analyzeFile.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+      await player.importFiles([new File(['a'], 'a.mp3'), new File(['b'], 'b.mp3')]);
+      await flush();
+      expect(player.analysis.analyzeFile).toHaveBeenCalledTimes(1);
+      expect(document.querySelector('.track-fit').textContent).toBe('…');
+
+      finish(analysisAt(125));
+      await flush();
+      await flush();
+      expect(player.analysis.analyzeFile).toHaveBeenCalledTimes(2);
+      expect(player.library.updateTrack).toHaveBeenCalledWith(100, { analysis: analysisAt(125) });
+      expect(player.getTrack(101).analysis).toEqual(analysisAt(4000));
+      expect(player.analyzing).toBe(false);
+    });
+
+    it('should analyse tracks from before the analysis existed', async () => {
+      await setup([track(1), track(2, { analysis: analysisAt(4000) }), track(3, { analysis: null })]);
+      expect(player.analysis.analyzeFile).toHaveBeenCalledTimes(1);
+      expect(player.library.updateTrack).toHaveBeenCalledWith(1, { analysis: analysisAt(4000) });
+    });
+
+    it('should not retry a track that could not be decoded', async () => {
+      player.analysis.analyzeFile.mockRejectedValue(new Error('EncodingError'));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      await setup([track(1)]);
+      expect(player.getTrack(1).analysis).toBeNull();
+      expect(player.library.updateTrack).toHaveBeenCalledWith(1, { analysis: null });
+      expect(document.querySelector('.track-fit').title).toBe('This track could not be analysed');
+    });
+
+    it('should skip tracks that are gone or already analysed', async () => {
+      await setup([track(1, { analysis: analysisAt(4000) })]);
+      player.queueAnalysis([1, 50]);
+      await flush();
+      expect(player.analysis.analyzeFile).not.toHaveBeenCalled();
+      expect(player.analyzing).toBe(false);
+    });
+
+    it('should leave a track unanalysed when its file is missing', async () => {
+      player.library = createMockLibrary([track(1)]);
+      player.library.getFile.mockResolvedValue(null);
+      await player.load();
+      await flush();
+      expect(player.analysis.analyzeFile).not.toHaveBeenCalled();
+      expect('analysis' in player.getTrack(1)).toBe(false);
+    });
+
+    it('should leave the score blank without a notch to score against', async () => {
+      mockApp.getMusicNotch.mockReturnValue({ freq: null, width: '1', bands: [] });
+      await setup([track(1, { analysis: analysisAt(4000) })]);
+      const fit = document.querySelector('.track-fit');
+      expect(fit.textContent).toBe('');
+      expect(fit.title).toBe('');
+    });
+
+    it('should score tracks against the notch', async () => {
+      await setup([track(1, { analysis: analysisAt(4000) }), track(2, { analysis: analysisAt(63) })]);
+      const fits = document.querySelectorAll('.track-fit');
+      expect(fits[0].textContent).toBe('100');
+      expect(fits[1].textContent).toBe('⚠ 0');
+      expect(fits[1].classList.contains('poor')).toBe(true);
+      expect(fits[1].title).toContain('bass-heavy');
+    });
+
+    it('should warn about the current track', async () => {
+      await setup([track(1, { analysis: analysisAt(63) })], [], { trackId: 1 });
+      const note = document.getElementById('musicAnalysisNote');
+      expect(note.textContent).toContain('below the notch');
+      expect(note.style.display).toBe('');
+      mockApp.getMusicNotch.mockReturnValue({ freq: 63, width: '1', bands: [] });
+      player.notchChanged();
+      expect(note.textContent).toBe('');
+      expect(note.getAttribute('style')).toContain('none');
+    });
+
+    it('should rank the library and play it best fit first', async () => {
+      await setup([track(1, { analysis: analysisAt(63) }), track(2, { analysis: analysisAt(4000) }), track(3, { analysis: null })]);
+      const select = document.getElementById('musicSort');
+      select.value = 'suitability';
+      select.dispatchEvent(new Event('change'));
+      expect(player.order).toEqual([2, 1, 3]);
+      expect([...document.querySelectorAll('.music-track')].map(r => r.dataset.id)).toEqual(['2', '1', '3']);
+      expect(player.getSettings().sortBy).toBe('suitability');
+      select.value = 'added';
+      select.dispatchEvent(new Event('change'));
+      expect(player.order).toEqual([1, 2, 3]);
+    });
+
+    it('should follow the notch in a ranked queue', async () => {
+      await setup([track(1, { analysis: analysisAt(63) }), track(2, { analysis: analysisAt(4000) }), track(3, { analysis: analysisAt(4000, 8000) })], [], { sortBy: 'suitability', trackId: 1 });
+      expect(player.order).toEqual([2, 3, 1]);
+      expect(player.getNextIndex(true)).toBe(-1);
+      mockApp.getMusicNotch.mockReturnValue({ freq: 8000, width: '1', bands: [] });
+      player.notchChanged();
+      await flush();
+      expect(player.order).toEqual([3, 1, 2]);
+      expect(player.currentId).toBe(1);
+      expect(player.preloaded).toBe(2);
+    });
+  });
+
+  describe('UI', () => {
+    const playlists = [{ id: 10, name: 'Evening <b>', trackIds: [3, 1] }];
+
+    it('should list the library with the current track highlighted', async () => {
+      await setup(undefined, playlists, { trackId: 2 });
+      const rows = document.querySelectorAll('.music-track');
+      expect(rows).toHaveLength(3);
+      expect(rows[1].classList.contains('playing')).toBe(true);
+      expect(rows[0].querySelector('.track-duration').textContent).toBe('3:20');
+      expect(rows[0].querySelector('.track-add option:last-child').textContent).toBe('Evening <b>');
+    });
+
+    it('should play a track when its title is clicked', async () => {
+      await setup();
+      document.querySelectorAll('.track-title')[2].click();
+      await flush();
+      expect(player.currentId).toBe(3);
+      expect(mockApp.playMusic).toHaveBeenCalled();
+    });
+
+    it('should show a playlist in order with reorder controls', async () => {
+      await setup(undefined, playlists);
+      const select = document.getElementById('musicPlaylist');
+      select.value = '10';
+      select.dispatchEvent(new Event('change'));
+      await flush();
+      const rows = document.querySelectorAll('.music-track');
+      expect([...rows].map(r => r.dataset.id)).toEqual(['3', '1']);
+      expect(rows[0].querySelector('.track-up').disabled).toBe(true);
+      expect(rows[1].querySelector('.track-down').disabled).toBe(true);
+      expect(document.getElementById('deletePlaylist').disabled).toBe(false);
+    });
+
+    it('should need a name for a new playlist', async () => {
+      await setup();
+      vi.stubGlobal('alert', vi.fn());
+      document.getElementById('newPlaylist').click();
+      expect(alert).toHaveBeenCalledWith('Please enter a playlist name');
+      vi.unstubAllGlobals();
+    });
+
+    it('should create and open a named playlist', async () => {
+      await setup();
+      const input = document.getElementById('playlistName');
+      input.value = ' Focus ';
+      document.getElementById('newPlaylist').click();
+      await flush();
+      expect(player.library.savePlaylist).toHaveBeenCalledWith({ name: 'Focus', trackIds: [] });
+      expect(player.playlistId).toBe(100);
+      expect(input.value).toBe('');
+    });
+
+    it('should go back to the library from the playlist menu', async () => {
+      await setup(undefined, playlists);
+      await player.selectPlaylist(10);
+      const select = document.getElementById('musicPlaylist');
+      select.value = '';
+      select.dispatchEvent(new Event('change'));
+      await flush();
+      expect(player.playlistId).toBeNull();
+    });
+
+    it('should ask before deleting a playlist', async () => {
+      await setup(undefined, playlists);
+      vi.stubGlobal('confirm', vi.fn(() => false));
+      await player.selectPlaylist(10);
+      document.getElementById('deletePlaylist').click();
+      expect(confirm).toHaveBeenCalledWith('Delete playlist "Evening <b>"? The tracks stay in your library.');
+      expect(player.library.deletePlaylist).not.toHaveBeenCalled();
+      confirm.mockReturnValue(true);
+      document.getElementById('deletePlaylist').click();
+      await flush();
+      expect(player.library.deletePlaylist).toHaveBeenCalledWith(10);
+      vi.unstubAllGlobals();
+    });
+
+    it('should ask before deleting a track', async () => {
+      await setup();
+      vi.stubGlobal('confirm', vi.fn(() => false));
+      document.querySelectorAll('.track-delete')[1].click();
+      expect(confirm).toHaveBeenCalledWith('Delete "Track 2" from your library?');
+      expect(player.library.deleteTrack).not.toHaveBeenCalled();
+      confirm.mockReturnValue(true);
+      document.querySelectorAll('.track-delete')[1].click();
+      await flush();
+      expect(player.library.deleteTrack).toHaveBeenCalledWith(2);
+      vi.unstubAllGlobals();
+    });
+
+    it('should toggle shuffle from its button', async () => {
+      await setup();
+      document.getElementById('shuffleMusic').click();
+      expect(player.shuffle).toBe(true);
+      expect(document.getElementById('shuffleMusic').classList.contains('active')).toBe(true);
+    });
+
+    it('should format durations', () => {
+      expect(MusicPlayer.formatDuration(59.6)).toBe('1:00');
+      expect(MusicPlayer.formatDuration(3725)).toBe('62:05');
+      expect(MusicPlayer.formatDuration(null)).toBe('--:--');
+    });
+  });
+});
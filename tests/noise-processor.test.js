@@ -0,0 +1,181 @@
+/**
+ * Noise Processor Tests
+ * Tests the REAL NoiseProcessor from js/noise-processor.js in a stubbed worklet scope
+ * Covers start/stop timing, the five noise colors, non-repeating output and
+ * constant-power crossfades between colors.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+
+let NoiseProcessor;
+
+class MockAudioWorkletProcessor {
+  constructor() {
+    this.port = { onmessage: null, postMessage: vi.fn() };
+  }
+}
+
+function createProcessor(type) {
+  return new NoiseProcessor({ processorOptions: { type } });
+}
+
+// Run one 128-frame block and return the output channels
+function render(processor, channels = 2) {
+  const outputs = [Array.from({ length: channels }, () => new Float32Array(128))];
+  const alive = processor.process([], outputs);
+  return { alive, data: outputs[0] };
+}
+
+function send(processor, message) {
+  processor.port.onmessage({ data: message });
+}
+
+function rms(blocks) {
+  let sum = 0;
+  let count = 0;
+  blocks.forEach(b => b.forEach(v => { sum += v * v; count++; }));
+  return Math.sqrt(sum / count);
+}
+
+// Mean squared difference between neighbouring samples, relative to the signal power:
+// high for white noise, low for brown
+function roughness(blocks) {
+  const all = blocks.flatMap(b => Array.from(b));
+  let diff = 0;
+  for (let i = 1; i < all.length; i++) diff += Math.pow(all[i] - all[i - 1], 2);
+  return diff / all.length / Math.pow(rms(blocks), 2);
+}
+
+function renderBlocks(processor, count) {
+  return Array.from({ length: count }, () => render(processor).data[0]);
+}
+
+describe('NoiseProcessor', () => {
+  beforeAll(async () => {
+    vi.stubGlobal('AudioWorkletProcessor', MockAudioWorkletProcessor);
+    vi.stubGlobal('registerProcessor', vi.fn((name, cls) => { NoiseProcessor = cls; }));
+    vi.stubGlobal('sampleRate', 44100);
+    vi.stubGlobal('currentTime', 0);
+    await import('../js/noise-processor.js');
+  });
+
+  beforeEach(() => {
+    globalThis.currentTime = 0;
+  });
+
+  it('should register as noise-processor', () => {
+    expect(registerProcessor).toHaveBeenCalledWith('noise-processor', NoiseProcessor);
+  });
+
+  describe('Timing', () => {
+    it('should stay silent until started', () => {
+      const processor = createProcessor('white');
+      const { alive, data } = render(processor);
+      expect(alive).toBe(true);
+      expect(data[0].every(v => v === 0)).toBe(true);
+    });
+
+    it('should wait for a scheduled start time', () => {
+      const processor = createProcessor('white');
+      send(processor, { command: 'start', time: 1 });
+      expect(render(processor).data[0].every(v => v === 0)).toBe(true);
+      globalThis.currentTime = 1;
+      expect(render(processor).data[0].some(v => v !== 0)).toBe(true);
+    });
+
+    it('should end once the stop time passes', () => {
+      const processor = createProcessor('white');
+      send(processor, { command: 'start', time: 0 });
+      send(processor, { command: 'stop', time: 2 });
+      expect(render(processor).alive).toBe(true);
+      globalThis.currentTime = 2;
+      expect(render(processor).alive).toBe(false);
+    });
+  });
+
+  describe('Colors', () => {
+    it('should generate independent noise in each channel', () => {
+      const processor = createProcessor('pink');
+      send(processor, { command: 'start' });
+      const { data } = render(processor);
+      expect(Array.from(data[0])).not.toEqual(Array.from(data[1]));
+    });
+
+    it('should never repeat a block', () => {
+      const processor = createProcessor('white');
+      send(processor, { command: 'start' });
+      const first = Array.from(render(processor).data[0]);
+      const blocks = renderBlocks(processor, 50);
+      expect(blocks.some(b => Array.from(b).every((v, i) => v === first[i]))).toBe(false);
+    });
+
+    it('should get smoother from violet through blue, white and pink to brown', () => {
+      const rough = ['violet', 'blue', 'white', 'pink', 'brown'].map(type => {
+        const processor = createProcessor(type);
+        send(processor, { command: 'start' });
+        return roughness(renderBlocks(processor, 40));
+      });
+      for (let i = 1; i < rough.length; i++) expect(rough[i - 1]).toBeGreaterThan(rough[i]);
+    });
+
+    it('should play blue and violet at about the level of pink', () => {
+      const levels = ['pink', 'blue', 'violet'].map(type => {
+        const processor = createProcessor(type);
+        send(processor, { command: 'start' });
+        return rms(renderBlocks(processor, 200));
+      });
+      expect(levels[1] / levels[0]).toBeCloseTo(1, 0);
+      expect(levels[2] / levels[0]).toBeCloseTo(1, 0);
+    });
+
+    it('should treat unknown colors as white', () => {
+      const processor = createProcessor('plaid');
+      expect(processor.power).toEqual({ white: 1, pink: 0, brown: 0, blue: 0, violet: 0 });
+    });
+  });
+
+  describe('Crossfade', () => {
+    it('should move power from one color to the other over the fade time', () => {
+      const processor = createProcessor('white');
+      send(processor, { command: 'start' });
+      send(processor, { command: 'type', type: 'brown', fadeTime: 1280 / 44100 });
+
+      render(processor);
+      expect(processor.power.white).toBeCloseTo(0.9, 10);
+      expect(processor.power.brown).toBeCloseTo(0.1, 10);
+
+      for (let i = 0; i < 9; i++) render(processor);
+      expect(processor.power).toEqual({ white: 0, pink: 0, brown: 1, blue: 0, violet: 0 });
+      expect(processor.fade).toBeNull();
+    });
+
+    it('should keep the total power constant through the fade', () => {
+      const processor = createProcessor('pink');
+      send(processor, { command: 'start' });
+      send(processor, { command: 'type', type: 'brown', fadeTime: 0.05 });
+      for (let i = 0; i < 8; i++) {
+        render(processor);
+        const total = Object.values(processor.power).reduce((a, b) => a + b, 0);
+        expect(total).toBeCloseTo(1, 10);
+      }
+    });
+
+    it('should start a new fade from wherever the current one is', () => {
+      const processor = createProcessor('white');
+      send(processor, { command: 'start' });
+      send(processor, { command: 'type', type: 'pink', fadeTime: 1280 / 44100 });
+      for (let i = 0; i < 5; i++) render(processor);
+      send(processor, { command: 'type', type: 'brown', fadeTime: 1280 / 44100 });
+      render(processor);
+      expect(processor.power.white).toBeCloseTo(0.45, 10);
+      expect(processor.power.pink).toBeCloseTo(0.45, 10);
+      expect(processor.power.brown).toBeCloseTo(0.1, 10);
+    });
+
+    it('should switch immediately without a fade time', () => {
+      const processor = createProcessor('white');
+      send(processor, { command: 'type', type: 'violet', fadeTime: 0 });
+      expect(processor.power).toEqual({ white: 0, pink: 0, brown: 0, blue: 0, violet: 1 });
+    });
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Notch Recommendation Tests
+ * Tests the REAL NotchRecommendation from js/notch-recommendation.js
+ * Covers the center from matches, width from the pitch uncertainty, stereo
+ * notches, hearing screening checks, clinician overrides and the modal flow.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SweepEngine } from '../js/sweep-engine.js';
+import { AudiogramScreening } from '../js/audiogram.js';
+import { NotchRecommendation } from '../js/notch-recommendation.js';
+
+function match(frequency, marks = []) {
+  return { date: '2026-03-01T10:00:00.000Z', ear: 'left', method: 'sweep', frequency, confidence: 80, marks: marks.map(raw => ({ raw, corrected: raw })), stimulus: 'tone' };
+}
+
+function createMockApp(history = {}) {
+  return {
+    matchHistory: { getRecent: vi.fn(ear => history[ear] || []) },
+    matchedFrequencies: { left: null, right: null },
+    applyNotchSettings: vi.fn(),
+    saveNotchOverridesToProfile: vi.fn()
+  };
+}
+
+const audiogram = {
+  date: '2026-03-01T10:00:00.000Z',
+  extended: false,
+  thresholds: {
+    left: [
+      { frequency: 1000, db: -60 },
+      { frequency: 2000, db: -60 },
+      { frequency: 4000, db: -30 },
+      { frequency: 8000, db: null }
+    ],
+    right: [
+      { frequency: 1000, db: -60 },
+      { frequency: 8000, db: -60 }
+    ]
+  }
+};
+
+describe('NotchRecommendation', () => {
+  let recommendation;
+  let mockApp;
+
+  const recommendFor = (history, matched) => {
+    mockApp = createMockApp(history);
+    if (matched) mockApp.matchedFrequencies = matched;
+    recommendation = new NotchRecommendation(mockApp);
+    return recommendation.recommend();
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    document.body.innerHTML = '';
+    vi.stubGlobal('requestAnimationFrame', vi.fn());
+    mockApp = createMockApp();
+    recommendation = new NotchRecommendation(mockApp);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('Center', () => {
+    it('should have nothing to recommend without a match', () => {
+      expect(recommendation.recommend()).toBeNull();
+    });
+
+    it('should average the marks of a single match', () => {
+      const result = recommendFor({ left: [match(4000, [3900, 4000, 4100])] });
+      expect(result.center.value).toBe(SweepEngine.analyzeMatches([3900, 4000, 4100]).suggested);
+      expect(result.center.reason).toContain('3 marks');
+      expect(result.stereo).toBe(false);
+    });
+
+    it('should average recent matches and leave out the ones that disagree', () => {
+      const result = recommendFor({ left: [match(6000), match(6100), match(5950), match(3000)] });
+      expect(result.center.value).toBe(SweepEngine.analyzeMatches([6000, 6100, 5950, 3000]).suggested);
+      expect(result.center.reason).toBe('Average of your last 4 matches, leaving out 1 that disagreed.');
+    });
+
+    it('should use a single match without marks as it is', () => {
+      const result = recommendFor({ right: [{ ...match(6500), marks: undefined }] });
+      expect(result.center).toMatchObject({ value: 6500, reason: 'Your last matched frequency.' });
+    });
+
+    it('should fall back to the raw mark when it wasn\'t reaction-time corrected', () => {
+      const result = recommendFor({ left: [{ ...match(4000), marks: [{ raw: 3900 }, { raw: 4100, corrected: null }] }] });
+      expect(result.center.value).toBe(SweepEngine.analyzeMatches([3900, 4100]).suggested);
+    });
+
+    it('should work without a match history', () => {
+      delete mockApp.matchHistory;
+      mockApp.matchedFrequencies.left = 4500;
+      expect(recommendation.recommend().center.value).toBe(4500);
+      delete mockApp.matchedFrequencies;
+      expect(recommendation.recommend()).toBeNull();
+    });
+
+    it('should fall back to the matched frequency', () => {
+      const result = recommendFor({}, { left: null, right: 5000 });
+      expect(result.center).toMatchObject({ value: 5000, reason: 'Your last matched frequency.' });
+    });
+
+    it('should share one notch between close ears', () => {
+      const result = recommendFor({}, { left: 4000, right: 4200 });
+      expect(result.stereo).toBe(false);
+      expect(result.center.value).toBe(Math.round(Math.sqrt(4000 * 4200)));
+      expect(result.rightCenter).toBeNull();
+    });
+
+    it('should give each ear its own notch when they are far apart', () => {
+      const result = recommendFor({}, { left: 4000, right: 8000 });
+      expect(result.stereo).toBe(true);
+      expect(result.center.value).toBe(4000);
+      expect(result.rightCenter.value).toBe(8000);
+      expect(result.center.reason).toContain('1200 cents apart');
+    });
+  });
+
+  describe('Width and depth', () => {
+    it('should use the one-octave protocol width for a steady pitch', () => {
+      const result = recommendFor({ left: [match(4000, [3900, 4000, 4100])] });
+      expect(result.width.value).toBe('1');
+      expect(result.width.reason).toContain('tailor-made notched music');
+    });
+
+    it('should widen the notch when the matches are spread out', () => {
+      const result = recommendFor({ left: [match(4000), match(4400)] });
+      expect(result.width.value).toBe('2');
+      expect(result.width.reason).toContain('Widened from the standard one octave');
+    });
+
+    it('should widen a shared notch to cover the gap between the ears', () => {
+      mockApp.matchedFrequencies = { left: 4000, right: 9000 };
+      recommendation.stereoThresholdCents = 1500;
+      const result = recommendation.recommend();
+      expect(result.stereo).toBe(false);
+      expect(result.width.value).toBe('1.5');
+      expect(result.width.reason).toContain('the gap between your ears');
+    });
+
+    it('should warn when even the widest notch is too narrow', () => {
+      const result = recommendFor({ left: [match(3000), match(5000)] });
+      expect(result.width.value).toBe('2');
+      expect(result.warnings[0]).toContain('too spread out');
+    });
+
+    it('should always recommend a full notch', () => {
+      const result = recommendFor({}, { left: 4000, right: null });
+      expect(result.depth.value).toBe('full');
+    });
+  });
+
+  describe('Hearing screening', () => {
+    beforeEach(() => AudiogramScreening.save(audiogram));
+
+    it('should warn when the center falls in severe loss', () => {
+      const result = recommendFor({}, { left: 8000, right: null });
+      expect(result.warnings).toEqual([AudiogramScreening.formatWarning({ ear: 'left', frequency: 8000, loss: Infinity })]);
+    });
+
+    it('should warn when a notch edge falls in severe loss', () => {
+      const result = recommendFor({}, { left: 4000, right: null });
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toContain('upper edge of the notch (5657 Hz)');
+    });
+
+    it('should confirm the edges are audible', () => {
+      const result = recommendFor({}, { left: 2000, right: null });
+      expect(result.warnings).toEqual([]);
+      expect(result.depth.reason).toContain('notch edges are audible');
+    });
+
+    it('should warn when the lower edge falls in severe loss', () => {
+      AudiogramScreening.save({
+        ...audiogram,
+        thresholds: { left: [{ frequency: 250, db: null }, { frequency: 1000, db: -60 }, { frequency: 4000, db: -60 }], right: [] }
+      });
+      const result = recommendFor({}, { left: 1100, right: null });
+      expect(result.warnings).toEqual([expect.stringContaining('lower edge of the notch (778 Hz)')]);
+    });
+
+    it('should check each ear at its own center for stereo notches', () => {
+      const result = recommendFor({}, { left: 2000, right: 8000 });
+      expect(result.stereo).toBe(true);
+      expect(result.warnings).toEqual([]);
+      expect(result.depth.reason).toContain('notch edges are audible');
+    });
+
+    it('should skip the check when the screening module is not loaded', () => {
+      vi.stubGlobal('AudiogramScreening', undefined);
+      const result = recommendFor({}, { left: 8000, right: null });
+      expect(result.warnings).toEqual([]);
+      expect(result.depth.reason).not.toContain('hearing screening');
+    });
+
+    it('should only check ears that were matched', () => {
+      const result = recommendFor({}, { left: null, right: 8000 });
+      expect(result.warnings).toEqual([]);
+    });
+  });
+
+  describe('Clinician overrides', () => {
+    it('should replace values and keep the recommendation alongside', () => {
+      NotchRecommendation.saveOverrides({ center: 5000, width: 'hz250', note: 'per audiologist' });
+      const result = recommendFor({}, { left: 4000, right: null });
+      expect(result.center).toEqual({ value: 5000, recommended: 4000, reason: 'Set by your clinician: per audiologist', overridden: true });
+      expect(result.width).toMatchObject({ value: 'hz250', recommended: '1', overridden: true });
+      expect(result.depth).toMatchObject({ value: 'full', overridden: false });
+    });
+
+    it('should switch to stereo for a right-ear override', () => {
+      NotchRecommendation.saveOverrides({ rightCenter: 7000 });
+      const result = recommendFor({}, { left: 4000, right: null });
+      expect(result.stereo).toBe(true);
+      expect(result.rightCenter).toMatchObject({ value: 7000, recommended: null, reason: 'Set by your clinician.' });
+    });
+
+    it('should check the hearing screening against the overridden values', () => {
+      AudiogramScreening.save(audiogram);
+      NotchRecommendation.saveOverrides({ center: 2000 });
+      const result = recommendFor({}, { left: 8000, right: null });
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should keep the clinician\'s depth reason after the hearing check', () => {
+      AudiogramScreening.save(audiogram);
+      NotchRecommendation.saveOverrides({ depth: '-20' });
+      const result = recommendFor({}, { left: 2000, right: null });
+      expect(result.depth).toMatchObject({ value: '-20', reason: 'Set by your clinician.' });
+    });
+
+    it('should have nothing to recommend from overrides alone', () => {
+      NotchRecommendation.saveOverrides({ center: 5000, width: '2' });
+      expect(recommendFor({})).toBeNull();
+      expect(recommendation.getSettings()).toBeNull();
+    });
+
+    it('should survive corrupt storage', () => {
+      localStorage.setItem('tinnitusNotchOverrides', 'not json');
+      expect(NotchRecommendation.getOverrides()).toBeNull();
+    });
+  });
+
+  describe('Settings', () => {
+    it('should flatten the recommendation for the player', () => {
+      recommendFor({}, { left: 4000, right: 8000 });
+      expect(recommendation.getSettings()).toEqual({ center: 4000, rightCenter: 8000, width: '1', depth: 'full' });
+    });
+
+    it('should find the notch edges for octave and Hz widths', () => {
+      expect(NotchRecommendation.getEdges(4000, '2')).toEqual([2000, 8000]);
+      expect(NotchRecommendation.getEdges(4000, 'hz100')).toEqual([3900, 4100]);
+    });
+
+    it('should format widths and depths', () => {
+      expect(NotchRecommendation.formatWidth('1')).toBe('1 octave');
+      expect(NotchRecommendation.formatWidth('1.5')).toBe('1.5 octaves');
+      expect(NotchRecommendation.formatWidth('hz50')).toBe('±50 Hz');
+      expect(NotchRecommendation.formatDepth('full')).toBe('Full');
+      expect(NotchRecommendation.formatDepth(-20)).toBe('-20 dB');
+    });
+  });
+
+  describe('Flow', () => {
+    it('should ask for a match first', () => {
+      recommendation.launch();
+      expect(document.getElementById('nrBody').textContent).toContain('Match your tinnitus frequency first');
+      expect(document.getElementById('nrApply')).toBeNull();
+    });
+
+    it('should show the reasons and apply to the chosen player', () => {
+      mockApp.matchedFrequencies.left = 4000;
+      recommendation.launch('music');
+      expect(document.querySelectorAll('.nr-row')).toHaveLength(3);
+      expect(document.getElementById('nrApply').textContent).toBe('Apply to Music');
+      document.getElementById('nrApply').click();
+      expect(mockApp.applyNotchSettings).toHaveBeenCalledWith('music', { center: 4000, rightCenter: null, width: '1', depth: 'full' });
+    });
+
+    it('should save and clear clinician overrides from the form', () => {
+      document.body.innerHTML = '<select id="notchWidth"><option value="1" selected>1 Octave</option><option value="hz100">±100 Hz</option></select>';
+      mockApp.matchedFrequencies.left = 4000;
+      recommendation.launch();
+      document.getElementById('nrCenter').value = '4500';
+      document.getElementById('nrWidth').value = 'hz100';
+      document.getElementById('nrNote').value = 'narrow trial';
+      document.getElementById('nrSaveOverrides').click();
+
+      expect(NotchRecommendation.getOverrides()).toMatchObject({ center: 4500, rightCenter: null, width: 'hz100', depth: null, note: 'narrow trial' });
+      expect(mockApp.saveNotchOverridesToProfile).toHaveBeenCalled();
+      expect(document.querySelectorAll('.nr-row.overridden')).toHaveLength(2);
+
+      document.getElementById('nrClearOverrides').click();
+      expect(NotchRecommendation.getOverrides()).toBeNull();
+    });
+
+    it('should close without applying when overrides exist but nothing was matched', () => {
+      NotchRecommendation.saveOverrides({ center: 5000 });
+      recommendation.launch();
+      expect(document.getElementById('nrBody').textContent).toContain('Match your tinnitus frequency first');
+      recommendation.apply();
+      expect(mockApp.applyNotchSettings).not.toHaveBeenCalled();
+      vi.advanceTimersByTime(300);
+      expect(document.getElementById('notchRecommendationModal')).toBeNull();
+    });
+
+    it('should close from the no-match message', () => {
+      recommendation.launch();
+      document.getElementById('nrDone').click();
+      vi.advanceTimersByTime(300);
+      expect(document.getElementById('notchRecommendationModal')).toBeNull();
+    });
+
+    it('should show a row per ear and offer the app\'s depth options', () => {
+      document.body.innerHTML = '<select id="notchDepth"><option value="-20">-20 dB</option><option value="full" selected>Full</option></select>';
+      mockApp.matchedFrequencies = { left: 4000, right: 8000 };
+      recommendation.launch();
+      const labels = [...document.querySelectorAll('.nr-label')].map(el => el.textContent);
+      expect(labels).toEqual(['Left center', 'Right center', 'Width', 'Depth']);
+      expect(document.getElementById('nrRightCenter').placeholder).toBe('8000');
+      expect([...document.getElementById('nrDepth').options].map(o => o.value)).toEqual(['', '-20', 'full']);
+      expect(document.getElementById('nrApply').textContent).toBe('Apply to Noise');
+    });
+
+    it('should fill the form with saved overrides', () => {
+      NotchRecommendation.saveOverrides({ center: 4500, rightCenter: 7000, note: 'trial' });
+      mockApp.matchedFrequencies.left = 4000;
+      recommendation.launch();
+      expect(document.querySelector('.nr-override').hasAttribute('open')).toBe(true);
+      expect(document.getElementById('nrRightCenter').value).toBe('7000');
+      expect(document.getElementById('nrNote').value).toBe('trial');
+      expect(document.querySelector('.nr-recommended').textContent).toBe('recommended 4000 Hz');
+    });
+
+    it('should replace an open modal and close from its buttons', () => {
+      mockApp.matchedFrequencies.left = 4000;
+      recommendation.launch();
+      recommendation.launch();
+      expect(document.querySelectorAll('#notchRecommendationModal')).toHaveLength(1);
+      document.getElementById('nrCancel').click();
+      vi.advanceTimersByTime(300);
+      expect(document.getElementById('notchRecommendationModal')).toBeNull();
+
+      recommendation.launch();
+      document.getElementById('nrClose').click();
+      vi.advanceTimersByTime(300);
+      expect(document.getElementById('notchRecommendationModal')).toBeNull();
+    });
+
+    it('should ignore rendering and closing without a modal', () => {
+      expect(() => recommendation.render()).not.toThrow();
+      expect(() => recommendation.close()).not.toThrow();
+    });
+
+    it('should ignore out-of-range override frequencies', () => {
+      mockApp.matchedFrequencies.left = 4000;
+      recommendation.launch();
+      document.getElementById('nrCenter').value = '50';
+      document.getElementById('nrSaveOverrides').click();
+      expect(NotchRecommendation.getOverrides()).toBeNull();
+    });
+  });
+});
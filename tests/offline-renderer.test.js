@@ -0,0 +1,344 @@
+/**
+ * Offline Renderer Tests
+ * Tests the REAL OfflineRenderer from js/offline-renderer.js
+ * Tests offline graph construction, WAV encoding and metadata
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import '../js/audio-engine.js';
+import { OfflineRenderer } from '../js/offline-renderer.js';
+
+function createMockAudioParam(initialValue = 0) {
+    return {
+        value: initialValue,
+        setValueAtTime: vi.fn(),
+        setTargetAtTime: vi.fn()
+    };
+}
+
+function createMockBuffer(channels, length, sampleRate, fill = 0) {
+    const data = [];
+    for (let ch = 0; ch < channels; ch++) data.push(new Float32Array(length).fill(fill));
+    return {
+        numberOfChannels: channels,
+        length,
+        sampleRate,
+        duration: length / sampleRate,
+        getChannelData: (ch) => data[ch]
+    };
+}
+
+function createMockOfflineContext(channels, length, sampleRate) {
+    const ctx = {
+        channels,
+        length,
+        sampleRate,
+        currentTime: 0,
+        destination: {},
+        createGain: vi.fn(() => ({ gain: createMockAudioParam(1), connect: vi.fn() })),
+        createBiquadFilter: vi.fn(() => ({
+            type: 'lowpass',
+            frequency: createMockAudioParam(350),
+            Q: createMockAudioParam(1),
+            gain: createMockAudioParam(0),
+            connect: vi.fn()
+        })),
+        createChannelSplitter: vi.fn(() => ({ connect: vi.fn() })),
+        createChannelMerger: vi.fn(() => ({ connect: vi.fn() })),
+        createBufferSource: vi.fn(() => ({ buffer: null, loop: false, connect: vi.fn(), start: vi.fn() })),
+        createBuffer: vi.fn((c, l, sr) => createMockBuffer(c, l, sr)),
+        startRendering: vi.fn(() => Promise.resolve(createMockBuffer(channels, length, sampleRate, 0.5))),
+        decodeAudioData: vi.fn(() => Promise.resolve(createMockBuffer(2, 4410, 44100, 0.25)))
+    };
+    return ctx;
+}
+
+function readString(view, offset, length) {
+    let s = '';
+    for (let i = 0; i < length; i++) s += String.fromCharCode(view.getUint8(offset + i));
+    return s;
+}
+
+describe('OfflineRenderer', () => {
+    let renderer;
+    let contexts;
+
+    beforeEach(() => {
+        contexts = [];
+        window.OfflineAudioContext = vi.fn((channels, length, sampleRate) => {
+            const ctx = createMockOfflineContext(channels, length, sampleRate);
+            contexts.push(ctx);
+            return ctx;
+        });
+        renderer = new OfflineRenderer({ sampleRate: 8000 });
+    });
+
+    afterEach(() => {
+        delete window.OfflineAudioContext;
+        vi.restoreAllMocks();
+    });
+
+    describe('createContext()', () => {
+        it('should create a stereo offline context sized to the duration', () => {
+            renderer.createContext(2);
+            expect(window.OfflineAudioContext).toHaveBeenCalledWith(2, 16000, 8000);
+        });
+
+        it('should throw when offline rendering is unavailable', () => {
+            delete window.OfflineAudioContext;
+            expect(() => renderer.createContext(1)).toThrow('not supported');
+        });
+    });
+
+    describe('clampDuration()', () => {
+        it('should default invalid durations to 60 seconds', () => {
+            expect(renderer.clampDuration(0)).toBe(60);
+            expect(renderer.clampDuration('abc')).toBe(60);
+        });
+
+        it('should cap durations at twenty minutes', () => {
+            expect(renderer.clampDuration(7200)).toBe(1200);
+        });
+    });
+
+    describe('renderNoise()', () => {
+        it('should route noise through the notch filter bank and render', async () => {
+            const result = await renderer.renderNoise({
+                type: 'pink', volume: 0.5, duration: 1,
+                notch: { freq: 4000, width: 1, depth: 'full' }
+            });
+
+            const ctx = contexts[0];
+            expect(ctx.createBiquadFilter).toHaveBeenCalled();
+            expect(ctx.startRendering).toHaveBeenCalled();
+            expect(result.length).toBe(8000);
+        });
+
+        it('should split the channels for per-ear notches', async () => {
+            await renderer.renderNoise({
+                type: 'pink', duration: 1,
+                notch: { freq: 4000, rightFreq: 6000, width: 1, depth: 'full' }
+            });
+
+            const ctx = contexts[0];
+            expect(ctx.createChannelSplitter).toHaveBeenCalledWith(2);
+            expect(ctx.createChannelMerger).toHaveBeenCalledWith(2);
+        });
+
+        it('should chain extra notch bands after the primary notch', async () => {
+            await renderer.renderNoise({ type: 'pink', duration: 1, notch: { freq: 4000, width: 1, depth: 'full' } });
+            await renderer.renderNoise({
+                type: 'pink', duration: 1,
+                notch: { freq: 4000, width: 1, depth: 'full', bands: [{ freq: 7000, width: 'hz100', depth: 'full' }] }
+            });
+
+            expect(contexts[1].createBiquadFilter.mock.calls.length)
+                .toBeGreaterThan(contexts[0].createBiquadFilter.mock.calls.length);
+        });
+
+        it('should skip the filter bank when no notch is given', async () => {
+            await renderer.renderNoise({ type: 'white', duration: 1 });
+            expect(contexts[0].createBiquadFilter).not.toHaveBeenCalled();
+        });
+
+        it('should start the noise source at time zero', async () => {
+            await renderer.renderNoise({ type: 'brown', duration: 1 });
+            const source = contexts[0].createBufferSource.mock.results[0].value;
+            expect(source.loop).toBe(true);
+            expect(source.start).toHaveBeenCalledWith(0);
+        });
+
+        it('should shape custom noise with the drawn spectrum', async () => {
+            await renderer.renderNoise({ type: 'custom', spectrum: { slope: 0, bands: [0, 0, 0, 0, 0, 0, 6, 0, 0] }, duration: 1 });
+            const filters = contexts[0].createBiquadFilter.mock.results.map(r => r.value);
+            expect(filters.every(f => f.type === 'peaking')).toBe(true);
+            expect(filters[6].gain.setValueAtTime).toHaveBeenCalledWith(6, 0);
+            expect(contexts[0].createBufferSource.mock.results[0].value.start).toHaveBeenCalledWith(0);
+        });
+    });
+
+    describe('renderMusic()', () => {
+        it('should reject when no buffer is loaded', async () => {
+            await expect(renderer.renderMusic({ buffer: null })).rejects.toThrow('No music loaded');
+        });
+
+        it('should default the render length to the track duration', async () => {
+            const buffer = createMockBuffer(2, 16000, 8000);
+            await renderer.renderMusic({ buffer, notch: { freq: 4000, width: 1, depth: 'full' } });
+            expect(window.OfflineAudioContext).toHaveBeenCalledWith(2, 16000, 8000);
+        });
+
+        it('should loop the track to fill a longer duration', async () => {
+            const buffer = createMockBuffer(2, 8000, 8000);
+            await renderer.renderMusic({ buffer, duration: 5 });
+            const source = contexts[0].createBufferSource.mock.results[0].value;
+            expect(source.buffer).toBe(buffer);
+            expect(source.loop).toBe(true);
+        });
+    });
+
+    describe('decodeFile()', () => {
+        it('should decode the file contents with an offline context', async () => {
+            const file = { arrayBuffer: vi.fn(() => Promise.resolve(new ArrayBuffer(8))) };
+            const decoded = await renderer.decodeFile(file);
+            expect(file.arrayBuffer).toHaveBeenCalled();
+            expect(contexts[0].decodeAudioData).toHaveBeenCalled();
+            expect(decoded.numberOfChannels).toBe(2);
+        });
+    });
+
+    describe('encodeWAV()', () => {
+        it('should write a valid RIFF/WAVE header', () => {
+            const buffer = createMockBuffer(2, 100, 8000, 0.5);
+            const view = new DataView(renderer.encodeWAV(buffer));
+
+            expect(readString(view, 0, 4)).toBe('RIFF');
+            expect(readString(view, 8, 4)).toBe('WAVE');
+            expect(readString(view, 12, 4)).toBe('fmt ');
+            expect(view.getUint16(20, true)).toBe(1); // PCM
+            expect(view.getUint16(22, true)).toBe(2);
+            expect(view.getUint32(24, true)).toBe(8000);
+            expect(view.getUint16(34, true)).toBe(16);
+        });
+
+        it('should size the file for 16-bit samples', () => {
+            const buffer = createMockBuffer(2, 100, 8000);
+            const wav = renderer.encodeWAV(buffer, { bitDepth: 16 });
+            const info = renderer.buildInfoChunk({});
+            expect(wav.byteLength).toBe(44 + info.length + 100 * 2 * 2);
+        });
+
+        it('should size the file for 24-bit samples', () => {
+            const buffer = createMockBuffer(2, 100, 8000);
+            const wav = renderer.encodeWAV(buffer, { bitDepth: 24 });
+            const view = new DataView(wav);
+            const info = renderer.buildInfoChunk({});
+            expect(wav.byteLength).toBe(44 + info.length + 100 * 2 * 3);
+            expect(view.getUint16(34, true)).toBe(24);
+        });
+
+        it('should reject unsupported bit depths', () => {
+            const buffer = createMockBuffer(2, 10, 8000);
+            expect(() => renderer.encodeWAV(buffer, { bitDepth: 8 })).toThrow('Unsupported bit depth');
+        });
+
+        it('should convert and clip samples to 16-bit PCM', () => {
+            const buffer = createMockBuffer(1, 3, 8000);
+            buffer.getChannelData(0).set([0.5, 2, -2]);
+            const wav = renderer.encodeWAV(buffer, { bitDepth: 16 });
+            const view = new DataView(wav);
+            const dataOffset = wav.byteLength - 6;
+
+            expect(view.getInt16(dataOffset, true)).toBe(Math.trunc(0.5 * 0x7FFF));
+            expect(view.getInt16(dataOffset + 2, true)).toBe(0x7FFF);
+            expect(view.getInt16(dataOffset + 4, true)).toBe(-0x8000);
+        });
+
+        it('should write little-endian 24-bit samples', () => {
+            const buffer = createMockBuffer(1, 1, 8000);
+            buffer.getChannelData(0)[0] = -1;
+            const wav = renderer.encodeWAV(buffer, { bitDepth: 24 });
+            const bytes = new Uint8Array(wav, wav.byteLength - 3, 3);
+            expect(Array.from(bytes)).toEqual([0x00, 0x00, 0x80]);
+        });
+
+        it('should place the data chunk after the metadata', () => {
+            const buffer = createMockBuffer(2, 10, 8000);
+            const metadata = { comment: 'Notch: 4000 Hz' };
+            const wav = renderer.encodeWAV(buffer, { metadata });
+            const view = new DataView(wav);
+            const infoLength = renderer.buildInfoChunk(metadata).length;
+
+            expect(readString(view, 36, 4)).toBe('LIST');
+            expect(readString(view, 36 + infoLength, 4)).toBe('data');
+            expect(view.getUint32(40 + infoLength, true)).toBe(10 * 2 * 2);
+        });
+    });
+
+    describe('buildInfoChunk()', () => {
+        it('should encode metadata as null-terminated INFO entries', () => {
+            const chunk = renderer.buildInfoChunk({ title: 'Pink', comment: 'Notch: 4000 Hz' });
+            const view = new DataView(chunk.buffer);
+            const text = new TextDecoder().decode(chunk);
+
+            expect(readString(view, 0, 4)).toBe('LIST');
+            expect(readString(view, 8, 4)).toBe('INFO');
+            expect(text).toContain('INAM');
+            expect(text).toContain('ICMT');
+            expect(text).toContain('Notch: 4000 Hz\0');
+            expect(view.getUint32(4, true)).toBe(chunk.length - 8);
+        });
+
+        it('should keep entries word-aligned', () => {
+            const chunk = renderer.buildInfoChunk({ title: 'ab' }); // 3 bytes incl. null → padded to 4
+            expect(chunk.length % 2).toBe(0);
+            expect(chunk.length).toBe(12 + 8 + 4);
+        });
+
+        it('should skip empty fields', () => {
+            const chunk = renderer.buildInfoChunk({ title: '', artist: null });
+            expect(chunk.length).toBe(12);
+        });
+    });
+
+    describe('describeNotch()', () => {
+        it('should describe octave-based notches', () => {
+            expect(renderer.describeNotch({ freq: 4000, width: 1, depth: 'full' }))
+                .toBe('Notch: 4000 Hz; width 1 oct; depth full');
+        });
+
+        it('should describe Hz-based notches', () => {
+            expect(renderer.describeNotch({ freq: 6000, width: 'hz50', depth: -20 }))
+                .toBe('Notch: 6000 Hz; width ±50 Hz; depth -20 dB');
+        });
+
+        it('should describe a bypassed notch', () => {
+            expect(renderer.describeNotch({ freq: 6000, width: 1, depth: 0 }))
+                .toBe('Notch: 6000 Hz; width 1 oct; depth bypass');
+        });
+
+        it('should describe per-ear notches', () => {
+            expect(renderer.describeNotch({ freq: 4000, rightFreq: 6000, width: 1, depth: 'full' }))
+                .toBe('Notch: L 4000 Hz / R 6000 Hz; width 1 oct; depth full');
+        });
+
+        it('should list extra notch bands', () => {
+            expect(renderer.describeNotch({ freq: 4000, width: 1, depth: 'full', bands: [{ freq: 7000 }, { freq: 9000 }] }))
+                .toBe('Notch: 4000 Hz; width 1 oct; depth full; extra 7000 Hz, 9000 Hz');
+        });
+
+        it('should report when no notch is applied', () => {
+            expect(renderer.describeNotch(null)).toBe('Notch: off');
+        });
+    });
+
+    describe('exportNoise() / exportMusic()', () => {
+        it('should return a WAV blob carrying the notch in its metadata', async () => {
+            const notch = { freq: 4000, width: 1, depth: 'full' };
+            const blob = await renderer.exportNoise({ type: 'pink', volume: 0.5, notch, duration: 0.01, bitDepth: 24 });
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            const text = new TextDecoder().decode(bytes.slice(0, 200));
+
+            expect(blob.type).toBe('audio/wav');
+            expect(text).toContain('Notched pink noise');
+            expect(text).toContain('Notch: 4000 Hz; width 1 oct; depth full');
+        });
+
+        it('should title music exports after the source file', async () => {
+            const file = { name: 'rain.mp3', arrayBuffer: () => Promise.resolve(new ArrayBuffer(8)) };
+            const blob = await renderer.exportMusic({ file, volume: 1, notch: { freq: 3000, width: 1, depth: 'full' }, duration: 0.01 });
+            const text = new TextDecoder().decode(new Uint8Array(await blob.arrayBuffer()).slice(0, 200));
+            expect(text).toContain('Notched - rain');
+        });
+    });
+
+    describe('fileName()', () => {
+        it('should include the notch frequency', () => {
+            expect(OfflineRenderer.fileName('Pink Noise', { freq: 4000.4 })).toBe('tinnitussaurus-pink-noise-4000hz.wav');
+        });
+
+        it('should omit the frequency without a notch', () => {
+            expect(OfflineRenderer.fileName('music', null)).toBe('tinnitussaurus-music.wav');
+        });
+    });
+});
@@ -0,0 +1,557 @@
+/**
+ * Pitch Matching Tests
+ * Tests the REAL PitchMatchingWizard from js/pitch-matching.js
+ * Covers bracketing, the octave-confusion check, reliability scoring,
+ * tone scheduling and saving results into matchedFrequencies.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PitchMatchingWizard } from '../js/pitch-matching.js';
+import { AudioEngine } from '../js/audio-engine.js';
+
+function createMockParam() {
+  return {
+    value: 0,
+    setValueAtTime: vi.fn(),
+    linearRampToValueAtTime: vi.fn()
+  };
+}
+
+// The notch setters update the state and retune the playing filter bank, like the app's
+function createNotchSetter(state, key) {
+  return vi.fn((freq) => {
+    state[key] = freq;
+    state.filterBank?.update(state.notchFreq, state.notchFreqRight);
+  });
+}
+
+function createMockApp() {
+  const app = {
+    audioEngine: {
+      init: vi.fn(),
+      createOscillator: vi.fn((freq) => ({
+        freq,
+        connect: vi.fn(),
+        disconnect: vi.fn(),
+        start: vi.fn(),
+        stop: vi.fn()
+      })),
+      createGain: vi.fn(() => ({ gain: createMockParam(), connect: vi.fn() })),
+      createPanner: vi.fn((pan) => ({ pan, connect: vi.fn() })),
+      connectToMaster: vi.fn(),
+      startSource: vi.fn(),
+      stopSource: vi.fn(),
+      currentTime: 10
+    },
+    matchedFrequencies: { left: null, right: null },
+    noiseState: { notchFreq: 4000, notchFreqRight: 4000, stereoNotch: false },
+    musicState: { notchFreq: 4000, notchFreqRight: 4000, stereoNotch: false },
+    autoSaveState: vi.fn(),
+    dashboardManager: { updateMatchedFrequency: vi.fn() },
+    wizardManager: { isWizardMode: false, completeCurrentStep: vi.fn() },
+    els: {
+      leftMatchedFreq: document.createElement('span'),
+      rightMatchedFreq: document.createElement('span')
+    }
+  };
+  app.setNoiseNotchFreq = createNotchSetter(app.noiseState, 'notchFreq');
+  app.setNoiseNotchFreqRight = createNotchSetter(app.noiseState, 'notchFreqRight');
+  app.setMusicNotchFreq = createNotchSetter(app.musicState, 'notchFreq');
+  app.setMusicNotchFreqRight = createNotchSetter(app.musicState, 'notchFreqRight');
+  return app;
+}
+
+// Simulated listener: picks the tone closest (in octaves) to what they hear
+function closestTo(target) {
+  return (trial) => {
+    const dist = trial.freqs.map((f) => Math.abs(Math.log2(f / target)));
+    return dist[0] <= dist[1] ? 0 : 1;
+  };
+}
+
+function runBracketing(wizard, listener) {
+  wizard.nextBracketTrial();
+  while (wizard.phase === 'bracketing') wizard.answer(listener(wizard.currentTrial));
+}
+
+function runOctaveCheck(wizard, listener) {
+  while (wizard.phase === 'octave') wizard.answer(listener(wizard.currentTrial));
+}
+
+describe('PitchMatchingWizard', () => {
+  let wizard;
+  let mockApp;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    document.body.innerHTML = '';
+    vi.stubGlobal('requestAnimationFrame', vi.fn());
+    mockApp = createMockApp();
+    wizard = new PitchMatchingWizard(mockApp);
+    wizard.random = () => 0;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('Bracketing', () => {
+    it('should present tones at a quarter and three quarters of the range', () => {
+      const trial = wizard.nextBracketTrial();
+      const width = Math.log2(12000) - Math.log2(250);
+      expect(trial.lower).toBe(Math.round(Math.pow(2, Math.log2(250) + width / 4)));
+      expect(trial.upper).toBe(Math.round(Math.pow(2, Math.log2(250) + width * 3 / 4)));
+    });
+
+    it('should randomize the presentation order', () => {
+      wizard.random = () => 0.9;
+      const trial = wizard.nextBracketTrial();
+      expect(trial.freqs).toEqual([trial.upper, trial.lower]);
+    });
+
+    it('should keep the lower half when the lower tone is chosen', () => {
+      const trial = wizard.nextBracketTrial();
+      const mid = (wizard.low + wizard.high) / 2;
+      wizard.answer(trial.freqs.indexOf(trial.lower));
+      expect(wizard.high).toBeCloseTo(mid, 10);
+    });
+
+    it('should keep the upper half when the upper tone is chosen', () => {
+      const trial = wizard.nextBracketTrial();
+      const mid = (wizard.low + wizard.high) / 2;
+      wizard.answer(trial.freqs.indexOf(trial.upper));
+      expect(wizard.low).toBeCloseTo(mid, 10);
+    });
+
+    it('should ignore answers when no trial is pending', () => {
+      wizard.answer(0);
+      expect(wizard.trials).toEqual([]);
+    });
+
+    it('should narrow toward the middle on "can\'t tell"', () => {
+      wizard.nextBracketTrial();
+      const width = wizard.high - wizard.low;
+      wizard.answer(null);
+      expect(wizard.high - wizard.low).toBeCloseTo(width / 2, 10);
+    });
+
+    it('should converge on the listener\'s tinnitus pitch', () => {
+      runBracketing(wizard, closestTo(6000));
+      expect(wizard.phase).toBe('octave');
+      expect(Math.abs(Math.log2(wizard.candidate / 6000))).toBeLessThan(1 / 6);
+    });
+
+    it('should stop after the maximum number of trials', () => {
+      wizard.targetWidth = 0.001;
+      wizard.maxTrials = 5;
+      runBracketing(wizard, closestTo(3000));
+      expect(wizard.trials).toHaveLength(5);
+      expect(wizard.phase).toBe('octave');
+    });
+  });
+
+  describe('Octave check', () => {
+    it('should compare the candidate with half and double in both orders', () => {
+      wizard.low = wizard.high = Math.log2(4000);
+      wizard.startOctaveCheck();
+      const trials = [wizard.currentTrial, ...wizard.octaveQueue];
+      expect(trials.map((t) => t.freqs)).toEqual([
+        [4000, 2000], [4000, 8000], [2000, 4000], [8000, 4000]
+      ]);
+    });
+
+    it('should skip neighbors outside the audible test range', () => {
+      wizard.low = wizard.high = Math.log2(10000);
+      wizard.startOctaveCheck();
+      const trials = [wizard.currentTrial, ...wizard.octaveQueue];
+      expect(trials.every((t) => t.comparison === 'half')).toBe(true);
+    });
+
+    it('should keep the candidate when the listener prefers it', () => {
+      runBracketing(wizard, closestTo(6000));
+      runOctaveCheck(wizard, closestTo(6000));
+      expect(wizard.phase).toBe('done');
+      expect(wizard.result.frequency).toBe(wizard.candidate);
+      expect(wizard.result.octaveCorrected).toBe(false);
+    });
+
+    it('should move the match down an octave when the listener prefers half', () => {
+      runBracketing(wizard, closestTo(6000));
+      const candidate = wizard.candidate;
+      runOctaveCheck(wizard, closestTo(3000));
+      expect(wizard.result.octaveCorrected).toBe(true);
+      expect(wizard.result.frequency).toBe(Math.round(candidate / 2));
+    });
+
+    it('should finish once the last octave trial is answered', () => {
+      wizard.low = wizard.high = Math.log2(10000);
+      wizard.startOctaveCheck();
+      wizard.answer(0);
+      expect(wizard.phase).toBe('octave');
+      wizard.answer(0);
+      expect(wizard.phase).toBe('done');
+      expect(wizard.currentTrial).toBeNull();
+    });
+
+    it('should move the match an octave when the listener consistently prefers it', () => {
+      runBracketing(wizard, closestTo(3000));
+      const candidate = wizard.candidate;
+      runOctaveCheck(wizard, closestTo(6000));
+      expect(wizard.result.octaveCorrected).toBe(true);
+      expect(wizard.result.frequency).toBe(Math.round(candidate * 2));
+      expect(wizard.result.candidate).toBe(candidate);
+    });
+  });
+
+  describe('Reliability', () => {
+    it('should score a decisive, consistent listener highly', () => {
+      runBracketing(wizard, closestTo(6000));
+      runOctaveCheck(wizard, closestTo(6000));
+      expect(wizard.result.reliability).toBe(100);
+    });
+
+    it('should lower reliability for "can\'t tell" answers', () => {
+      wizard.nextBracketTrial();
+      wizard.answer(null);
+      while (wizard.phase === 'bracketing') wizard.answer(closestTo(6000)(wizard.currentTrial));
+      runOctaveCheck(wizard, closestTo(6000));
+      expect(wizard.result.reliability).toBeLessThan(100);
+      expect(wizard.result.reliability).toBeGreaterThan(60);
+    });
+
+    it('should penalize answers that flip with presentation order', () => {
+      runBracketing(wizard, closestTo(6000));
+      runOctaveCheck(wizard, () => 0); // always picks the first tone
+      expect(wizard.result.reliability).toBe(40);
+      expect(wizard.result.octaveCorrected).toBe(false);
+    });
+
+    it('should fail the octave check when both half and double are preferred', () => {
+      runBracketing(wizard, closestTo(4000));
+      runOctaveCheck(wizard, (trial) => (trial.freqs[0] === trial.neighbor ? 0 : 1));
+      expect(wizard.result.octaveCorrected).toBe(false);
+      expect(wizard.result.reliability).toBe(40);
+    });
+
+    it('should give no octave credit without any octave answers', () => {
+      wizard.candidate = 4000;
+      const result = wizard.finish();
+      expect(result.frequency).toBe(4000);
+      expect(result.octaveCorrected).toBe(false);
+      // Only decisiveness counts, and with no bracketing answers it defaults to full
+      expect(result.reliability).toBe(40);
+    });
+
+    it('should score half the comparisons consistent when only one flips', () => {
+      runBracketing(wizard, closestTo(4000));
+      // Prefers the candidate over half, but picks whichever tone plays first against double
+      runOctaveCheck(wizard, (trial) => (trial.comparison === 'half' ? trial.freqs.indexOf(wizard.candidate) : 0));
+      expect(wizard.result.octaveCorrected).toBe(false);
+      expect(wizard.result.reliability).toBe(70);
+    });
+
+    it('should describe the result', () => {
+      wizard.selectedEar = 'left';
+      runBracketing(wizard, closestTo(6000));
+      runOctaveCheck(wizard, closestTo(6000));
+      expect(wizard.result).toMatchObject({ ear: 'left', method: 'forced-choice' });
+      expect(wizard.result.trials).toBe(wizard.trials.length);
+      expect(typeof wizard.result.timestamp).toBe('string');
+    });
+  });
+
+  describe('Audio', () => {
+    it('should schedule both tones on the audio clock', () => {
+      wizard.nextBracketTrial();
+      const seconds = wizard.playTrial();
+      const [first, second] = mockApp.audioEngine.createOscillator.mock.results.map((r) => r.value);
+
+      expect(first.start).toHaveBeenCalledWith(10.05);
+      expect(first.stop).toHaveBeenCalledWith(11.05);
+      expect(second.start).toHaveBeenCalledWith(expect.closeTo(11.45, 10));
+      expect(seconds).toBeCloseTo(2.45, 10);
+    });
+
+    it('should ramp each tone in and out', () => {
+      wizard.nextBracketTrial();
+      wizard.playTrial();
+      const gain = mockApp.audioEngine.createGain.mock.results[0].value;
+      expect(gain.gain.linearRampToValueAtTime).toHaveBeenCalledWith(wizard.volume, 10.07);
+      expect(gain.gain.linearRampToValueAtTime).toHaveBeenCalledWith(0, 11.05);
+    });
+
+    it('should pan tones to the selected ear', () => {
+      wizard.selectedEar = 'right';
+      wizard.nextBracketTrial();
+      wizard.playTrial();
+      expect(mockApp.audioEngine.createPanner).toHaveBeenCalledWith(1);
+    });
+
+    it('should pan tones to the left ear', () => {
+      wizard.selectedEar = 'left';
+      wizard.nextBracketTrial();
+      wizard.playTrial();
+      expect(mockApp.audioEngine.createPanner).toHaveBeenCalledWith(-1);
+    });
+
+    it('should play nothing without a pending trial', () => {
+      expect(wizard.playTrial()).toBe(0);
+      expect(mockApp.audioEngine.createOscillator).not.toHaveBeenCalled();
+    });
+
+    it('should tolerate tones that already stopped', () => {
+      wizard.nextBracketTrial();
+      wizard.playTrial();
+      wizard.nodes.forEach((osc) => {
+        osc.stop.mockImplementation(() => { throw new Error('InvalidStateError'); });
+        osc.disconnect.mockImplementation(() => { throw new Error('InvalidAccessError'); });
+      });
+      expect(() => wizard.stopTones()).not.toThrow();
+      expect(wizard.nodes).toEqual([]);
+    });
+
+    it('should stop any playing tones', () => {
+      wizard.nextBracketTrial();
+      wizard.playTrial();
+      const osc = wizard.nodes[0];
+      wizard.stopTones();
+      expect(osc.disconnect).toHaveBeenCalled();
+      expect(wizard.nodes).toEqual([]);
+    });
+
+    it('should pause therapy between trials until closed', () => {
+      const registry = new AudioEngine();
+      registry.startSource('noise', { kind: 'therapy', stop: vi.fn(), pause: vi.fn(), resume: vi.fn() });
+      mockApp.audioEngine.startSource.mockImplementation((name, options) => registry.startSource(name, options));
+      mockApp.audioEngine.stopSource.mockImplementation((name) => registry.stopSource(name));
+
+      wizard.nextBracketTrial();
+      wizard.playTrial();
+      wizard.stopTones();
+      expect(mockApp.audioEngine.startSource).toHaveBeenCalledWith('pitch-match', expect.objectContaining({ kind: 'matching' }));
+      expect(registry.getPlaying()).toEqual([
+        expect.objectContaining({ name: 'noise', paused: true }),
+        expect.objectContaining({ name: 'pitch-match', paused: false })
+      ]);
+
+      wizard.close();
+      expect(registry.getPlaying()).toEqual([expect.objectContaining({ name: 'noise', paused: false })]);
+    });
+
+    it('should silence the tones when another matching source takes over', () => {
+      wizard.nextBracketTrial();
+      wizard.playTrial();
+      const osc = wizard.nodes[0];
+      mockApp.audioEngine.startSource.mock.calls[0][1].stop();
+      expect(osc.disconnect).toHaveBeenCalled();
+      expect(wizard.nodes).toEqual([]);
+    });
+  });
+
+  describe('Modal flow', () => {
+    it('should open on the intro step', () => {
+      wizard.launch();
+      expect(document.getElementById('pitchMatchingModal')).not.toBeNull();
+      expect(document.getElementById('pmStart')).not.toBeNull();
+    });
+
+    it('should enable the choices once the pair has played', () => {
+      wizard.launch();
+      document.getElementById('pmStart').click();
+      const choice = document.querySelector('.pm-choice[data-choice="0"]');
+      expect(choice.disabled).toBe(true);
+      vi.advanceTimersByTime(2500);
+      expect(choice.disabled).toBe(false);
+    });
+
+    it('should record an answer and move to the next trial', () => {
+      wizard.launch();
+      document.getElementById('pmStart').click();
+      vi.advanceTimersByTime(2500);
+      document.querySelector('.pm-choice[data-choice="1"]').click();
+      expect(wizard.trials).toHaveLength(1);
+      expect(document.querySelector('.pm-trial-count').textContent).toBe('Trial 2');
+    });
+
+    it('should select the ear on the intro step', () => {
+      wizard.launch();
+      document.querySelector('.gs-ear-btn[data-ear="left"]').click();
+      expect(wizard.selectedEar).toBe('left');
+      expect(document.querySelector('.gs-ear-btn[data-ear="left"]').classList.contains('selected')).toBe(true);
+      expect(document.querySelector('.gs-ear-btn[data-ear="both"]').classList.contains('selected')).toBe(false);
+    });
+
+    it('should highlight the previously selected ear', () => {
+      wizard.selectedEar = 'right';
+      wizard.launch();
+      expect(document.querySelector('.gs-ear-btn.selected').dataset.ear).toBe('right');
+      wizard.selectedEar = 'left';
+      wizard.launch();
+      expect(document.querySelector('.gs-ear-btn.selected').dataset.ear).toBe('left');
+    });
+
+    it('should record "can\'t tell" as no choice', () => {
+      wizard.launch();
+      document.getElementById('pmStart').click();
+      vi.advanceTimersByTime(2500);
+      document.getElementById('pmUnsure').click();
+      expect(wizard.trials[0].chosen).toBeNull();
+    });
+
+    it('should replay the pair', () => {
+      wizard.launch();
+      document.getElementById('pmStart').click();
+      document.getElementById('pmReplay').click();
+      expect(mockApp.audioEngine.createOscillator).toHaveBeenCalledTimes(4);
+    });
+
+    it('should drop "can\'t tell" during the octave check', () => {
+      wizard.launch();
+      wizard.low = wizard.high = Math.log2(4000);
+      wizard.startOctaveCheck();
+      wizard.showStep(1);
+      expect(document.querySelector('h2').textContent).toBe('Octave Check');
+      expect(document.getElementById('pmUnsure')).toBeNull();
+    });
+
+    it('should show the result once the octave check is done', () => {
+      wizard.launch();
+      wizard.low = wizard.high = Math.log2(10000);
+      wizard.startOctaveCheck();
+      wizard.showStep(1);
+      vi.advanceTimersByTime(2500);
+      document.querySelector('.pm-choice[data-choice="0"]').click();
+      vi.advanceTimersByTime(2500);
+      document.querySelector('.pm-choice[data-choice="0"]').click();
+      expect(wizard.phase).toBe('done');
+      expect(document.querySelector('.gs-result-freq').textContent).toBe('10000 Hz');
+    });
+
+    it('should ignore steps once the modal is gone', () => {
+      expect(() => wizard.showStep(1)).not.toThrow();
+    });
+
+    it('should close without a modal', () => {
+      expect(() => wizard.close()).not.toThrow();
+    });
+
+    it('should remove the modal on close', () => {
+      wizard.launch();
+      wizard.close();
+      vi.advanceTimersByTime(300);
+      expect(document.getElementById('pitchMatchingModal')).toBeNull();
+    });
+  });
+
+  describe('Result step', () => {
+    const showResult = (result) => {
+      wizard.launch();
+      wizard.result = { frequency: 6000, candidate: 6000, ear: 'both', reliability: 90, octaveCorrected: false, ...result };
+      wizard.showStep(2);
+    };
+
+    it('should label the reliability', () => {
+      showResult({ reliability: 90 });
+      expect(document.querySelector('.gs-conf-label').textContent).toBe('High Reliability (90%)');
+      showResult({ reliability: 50 });
+      expect(document.querySelector('.gs-conf-label').textContent).toBe('Medium Reliability (50%)');
+      showResult({ reliability: 20 });
+      expect(document.querySelector('.gs-conf-label').textContent).toBe('Low Reliability (20%)');
+      expect(document.querySelector('.gs-desc').textContent).toContain('Consider repeating the test');
+    });
+
+    it('should name the matched ear', () => {
+      showResult({ ear: 'both' });
+      expect(document.querySelector('.gs-result-ear').textContent).toBe('Both Ears');
+      showResult({ ear: 'left' });
+      expect(document.querySelector('.gs-result-ear').textContent).toBe('Left Ear');
+      showResult({ ear: 'right' });
+      expect(document.querySelector('.gs-result-ear').textContent).toBe('Right Ear');
+    });
+
+    it('should note an octave correction', () => {
+      showResult({ frequency: 6000, candidate: 3000, octaveCorrected: true });
+      expect(document.querySelector('.gs-result-matches').textContent).toBe('Octave corrected from 3000 Hz');
+      showResult({ octaveCorrected: false });
+      expect(document.querySelector('.gs-result-matches')).toBeNull();
+    });
+
+    it('should start over on retry', () => {
+      showResult({});
+      wizard.trials = [{ phase: 'bracketing' }];
+      document.getElementById('pmRetry').click();
+      expect(wizard.trials).toEqual([]);
+      expect(document.getElementById('pmStart')).not.toBeNull();
+    });
+
+    it('should save the result', () => {
+      showResult({ frequency: 6000, ear: 'left' });
+      document.getElementById('pmSave').click();
+      expect(mockApp.matchedFrequencies.left).toBe(6000);
+      expect(wizard.isActive).toBe(false);
+    });
+  });
+
+  describe('saveResult', () => {
+    const result = { frequency: 5500, ear: 'both', reliability: 90 };
+
+    it('should feed the match into matchedFrequencies', () => {
+      wizard.saveResult(result);
+      expect(mockApp.matchedFrequencies).toEqual({ left: 5500, right: 5500 });
+      expect(mockApp.els.leftMatchedFreq.textContent).toBe('5500 Hz');
+      expect(mockApp.autoSaveState).toHaveBeenCalled();
+    });
+
+    it('should only set the matched ear', () => {
+      wizard.saveResult({ ...result, ear: 'right' });
+      expect(mockApp.matchedFrequencies).toEqual({ left: null, right: 5500 });
+    });
+
+    it('should move only the matched ear\'s notch in per-ear mode', () => {
+      mockApp.noiseState.stereoNotch = true;
+      wizard.saveResult({ ...result, ear: 'right' });
+      expect(mockApp.noiseState.notchFreq).toBe(4000);
+      expect(mockApp.noiseState.notchFreqRight).toBe(5500);
+      expect(mockApp.setNoiseNotchFreq).not.toHaveBeenCalled();
+      expect(mockApp.musicState.notchFreq).toBe(5500);
+    });
+
+    it('should retune the notch of playing therapy', () => {
+      const filterBank = { update: vi.fn() };
+      mockApp.noiseState.filterBank = filterBank;
+      wizard.saveResult(result);
+      expect(filterBank.update).toHaveBeenLastCalledWith(5500, 5500);
+      expect(mockApp.setMusicNotchFreq).toHaveBeenCalledWith(5500);
+    });
+
+    it('should complete the wizard step in wizard mode', () => {
+      mockApp.wizardManager.isWizardMode = true;
+      wizard.saveResult(result);
+      expect(mockApp.wizardManager.completeCurrentStep).toHaveBeenCalledWith('frequency-marked');
+    });
+
+    it('should save without the optional app parts', () => {
+      delete mockApp.els;
+      delete mockApp.dashboardManager;
+      delete mockApp.wizardManager;
+      expect(() => wizard.saveResult(result)).not.toThrow();
+      expect(mockApp.matchedFrequencies).toEqual({ left: 5500, right: 5500 });
+    });
+
+    it('should record the match in the history', () => {
+      mockApp.matchHistory = { add: vi.fn() };
+      wizard.saveResult(result);
+      expect(mockApp.matchHistory.add).toHaveBeenCalledWith({
+        method: 'forced-choice', ear: 'both', frequency: 5500, confidence: 90
+      });
+    });
+
+    it('should pass the full result to onComplete', () => {
+      wizard.onComplete = vi.fn();
+      wizard.saveResult(result);
+      expect(wizard.onComplete).toHaveBeenCalledWith(result);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Reaction Time Calibration Tests
+ * Tests the REAL ReactionTimeCalibration from js/reaction-time.js
+ * Covers click scheduling, tap timing against the audio clock, discarded
+ * taps, the median result and persistence.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ReactionTimeCalibration } from '../js/reaction-time.js';
+import { AudioEngine } from '../js/audio-engine.js';
+
+function createMockAudioEngine() {
+  return {
+    init: vi.fn(),
+    createOscillator: vi.fn(() => ({ connect: vi.fn(), disconnect: vi.fn(), start: vi.fn(), stop: vi.fn() })),
+    createGain: vi.fn(() => ({
+      gain: { setValueAtTime: vi.fn(), exponentialRampToValueAtTime: vi.fn() },
+      connect: vi.fn()
+    })),
+    connectToMaster: vi.fn(),
+    startSource: vi.fn(),
+    stopSource: vi.fn(),
+    currentTime: 10
+  };
+}
+
+describe('ReactionTimeCalibration', () => {
+  let calibration;
+  let audioEngine;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    audioEngine = createMockAudioEngine();
+    calibration = new ReactionTimeCalibration(audioEngine);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Tap `delay` seconds after the pending click
+  function tapAfter(delay) {
+    audioEngine.currentTime = calibration.clickTime + delay;
+    return calibration.tap();
+  }
+
+  describe('Clicks', () => {
+    it('should schedule a click a random gap ahead', () => {
+      calibration.start();
+      expect(calibration.clickTime).toBe(12.5);
+      const osc = audioEngine.createOscillator.mock.results[0].value;
+      expect(osc.start).toHaveBeenCalledWith(12.5);
+      expect(osc.stop).toHaveBeenCalledWith(expect.closeTo(12.54, 10));
+    });
+
+    it('should schedule the next click after each tap', () => {
+      calibration.start();
+      tapAfter(0.3);
+      expect(calibration.clickTime).toBeCloseTo(12.8 + 2.5, 10);
+      expect(audioEngine.createOscillator).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pause therapy until the calibration finishes', () => {
+      const registry = new AudioEngine();
+      registry.startSource('noise', { kind: 'therapy', stop: vi.fn(), pause: vi.fn(), resume: vi.fn() });
+      audioEngine.startSource.mockImplementation((name, options) => registry.startSource(name, options));
+      audioEngine.stopSource.mockImplementation((name) => registry.stopSource(name));
+
+      calibration.start();
+      expect(audioEngine.startSource).toHaveBeenCalledWith('reaction-time', expect.objectContaining({ kind: 'matching' }));
+      [0.2, 0.2, 0.2, 0.2].forEach(tapAfter);
+      expect(registry.isSourceActive('noise')).toBe(false);
+
+      tapAfter(0.2);
+      expect(registry.isSourceActive('noise')).toBe(true);
+      expect(registry.getPlaying()).toHaveLength(1);
+    });
+
+    it('should cancel when another matching source takes over', () => {
+      const interrupt = vi.fn();
+      calibration.onInterrupt = interrupt;
+      calibration.start();
+      const osc = calibration.click;
+      audioEngine.startSource.mock.calls[0][1].stop();
+      expect(osc.stop).toHaveBeenCalledTimes(2);
+      expect(calibration.isRunning).toBe(false);
+      expect(interrupt).toHaveBeenCalled();
+    });
+  });
+
+  describe('Taps', () => {
+    it('should measure the delay on the audio clock', () => {
+      calibration.start();
+      expect(tapAfter(0.28)).toBeCloseTo(0.28, 10);
+      expect(calibration.samples).toHaveLength(1);
+    });
+
+    it('should repeat the trial when the tap comes before the click', () => {
+      calibration.start();
+      const first = audioEngine.createOscillator.mock.results[0].value;
+      expect(tapAfter(-0.5)).toBeNull();
+      expect(first.stop).toHaveBeenCalledTimes(2);
+      expect(calibration.samples).toEqual([]);
+    });
+
+    it('should discard taps that are too slow', () => {
+      const progress = vi.fn();
+      calibration.onProgress = progress;
+      calibration.start();
+      expect(tapAfter(2)).toBeNull();
+      expect(calibration.samples).toEqual([]);
+      expect(progress).toHaveBeenCalledWith(0, 5);
+    });
+
+    it('should ignore taps when not running', () => {
+      expect(calibration.tap()).toBeNull();
+    });
+  });
+
+  describe('Result', () => {
+    it('should use the median of the trials', () => {
+      const complete = vi.fn();
+      calibration.onComplete = complete;
+      calibration.start();
+      [0.25, 0.3, 0.9, 0.22, 0.27].forEach(tapAfter);
+      expect(calibration.reactionTime).toBeCloseTo(0.27, 10);
+      expect(complete).toHaveBeenCalledWith(calibration.reactionTime);
+      expect(calibration.isRunning).toBe(false);
+    });
+
+    it('should persist the result', () => {
+      calibration.start();
+      [0.2, 0.2, 0.2, 0.2, 0.2].forEach(tapAfter);
+      expect(ReactionTimeCalibration.getSaved()).toBeCloseTo(0.2, 10);
+      expect(new ReactionTimeCalibration(audioEngine).reactionTime).toBeCloseTo(0.2, 10);
+    });
+
+    it('should default to no correction', () => {
+      expect(ReactionTimeCalibration.getSaved()).toBe(0);
+      localStorage.setItem('tinnitusReactionTime', 'not json');
+      expect(ReactionTimeCalibration.getSaved()).toBe(0);
+    });
+
+    it('should compute medians of odd and even lists', () => {
+      expect(ReactionTimeCalibration.median([])).toBe(0);
+      expect(ReactionTimeCalibration.median([3, 1, 2])).toBe(2);
+      expect(ReactionTimeCalibration.median([4, 1, 3, 2])).toBe(2.5);
+    });
+
+    it('should stop the pending click on cancel', () => {
+      calibration.start();
+      const osc = calibration.click;
+      calibration.cancel();
+      expect(osc.stop).toHaveBeenCalledTimes(2);
+      expect(calibration.isRunning).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * Residual Inhibition Tests
+ * Tests the REAL ResidualInhibitionTest from js/residual-inhibition.js
+ * Covers stimulus scheduling, relief timing, partial/complete/no relief
+ * and the persisted test history.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ResidualInhibitionTest } from '../js/residual-inhibition.js';
+import { AudioEngine } from '../js/audio-engine.js';
+
+function createMockParam() {
+  return { setValueAtTime: vi.fn(), linearRampToValueAtTime: vi.fn() };
+}
+
+function createMockApp() {
+  return {
+    audioEngine: {
+      init: vi.fn(),
+      createNarrowbandNoise: vi.fn((freq, bandwidth) => ({
+        freq,
+        bandwidth,
+        source: { disconnect: vi.fn() },
+        output: { connect: vi.fn() },
+        start: vi.fn(),
+        stop: vi.fn()
+      })),
+      createGain: vi.fn(() => ({ gain: createMockParam(), connect: vi.fn() })),
+      createPanner: vi.fn((pan) => ({ pan, connect: vi.fn() })),
+      connectToMaster: vi.fn(),
+      startSource: vi.fn(),
+      stopSource: vi.fn(),
+      currentTime: 2
+    },
+    matchedFrequencies: { left: null, right: 7000 }
+  };
+}
+
+describe('ResidualInhibitionTest', () => {
+  let test;
+  let mockApp;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    localStorage.clear();
+    document.body.innerHTML = '';
+    vi.stubGlobal('requestAnimationFrame', vi.fn());
+    mockApp = createMockApp();
+    test = new ResidualInhibitionTest(mockApp);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('Stimulus', () => {
+    it('should default to 60 seconds of noise', () => {
+      expect(test.duration).toBe(60);
+    });
+
+    it('should center narrowband noise on the matched frequency', () => {
+      test.startStimulus();
+      expect(mockApp.audioEngine.createNarrowbandNoise).toHaveBeenCalledWith(7000, 0.5);
+      expect(test.frequency).toBe(7000);
+    });
+
+    it('should schedule the noise for the configured duration', () => {
+      test.duration = 30;
+      test.startStimulus();
+      const noise = test.noise;
+      expect(noise.start).toHaveBeenCalledWith(2);
+      expect(noise.stop).toHaveBeenCalledWith(32);
+    });
+
+    it('should fade the noise in and out', () => {
+      test.startStimulus();
+      const gain = test.gainNode.gain;
+      expect(gain.linearRampToValueAtTime).toHaveBeenCalledWith(test.volume, 4);
+      expect(gain.linearRampToValueAtTime).toHaveBeenCalledWith(0, 62);
+    });
+
+    it('should pan to the selected ear', () => {
+      test.selectedEar = 'left';
+      test.startStimulus();
+      expect(mockApp.audioEngine.createPanner).toHaveBeenCalledWith(-1);
+    });
+
+    it('should center the noise for both ears and pan right for the right ear', () => {
+      test.startStimulus();
+      test.selectedEar = 'right';
+      test.startStimulus();
+      expect(mockApp.audioEngine.createPanner.mock.calls.map(([pan]) => pan)).toEqual([0, 1]);
+    });
+
+    it('should use the ear\'s own match, then the other ear\'s, then 4 kHz', () => {
+      test.selectedEar = 'left';
+      expect(test.getMatchedFrequency()).toBe(7000);
+      mockApp.matchedFrequencies.left = 5000;
+      expect(test.getMatchedFrequency()).toBe(5000);
+      test.selectedEar = 'right';
+      expect(test.getMatchedFrequency()).toBe(7000);
+      mockApp.matchedFrequencies.right = null;
+      expect(test.getMatchedFrequency()).toBe(5000);
+      mockApp.matchedFrequencies.left = null;
+      expect(test.getMatchedFrequency()).toBe(4000);
+      test.selectedEar = 'both';
+      expect(test.getMatchedFrequency()).toBe(4000);
+    });
+
+    it('should tolerate noise that already stopped', () => {
+      test.startStimulus();
+      test.noise.stop.mockImplementation(() => { throw new Error('InvalidStateError'); });
+      test.noise.source.disconnect.mockImplementation(() => { throw new Error('InvalidAccessError'); });
+      expect(() => test.stopStimulus()).not.toThrow();
+      expect(test.noise).toBeNull();
+    });
+
+    it('should ask about relief once the noise ends', () => {
+      test.launch();
+      test.startStimulus();
+      vi.advanceTimersByTime(60000);
+      expect(test.noise).toBeNull();
+      expect(test.currentStep).toBe(2);
+      expect(document.querySelector('[data-relief="partial"]')).not.toBeNull();
+    });
+
+    it('should keep therapy paused through the relief timing until closed', () => {
+      const registry = new AudioEngine();
+      registry.startSource('noise', { kind: 'therapy', stop: vi.fn(), pause: vi.fn(), resume: vi.fn() });
+      mockApp.audioEngine.startSource.mockImplementation((name, options) => registry.startSource(name, options));
+      mockApp.audioEngine.stopSource.mockImplementation((name) => registry.stopSource(name));
+
+      test.launch();
+      test.startStimulus();
+      expect(mockApp.audioEngine.startSource).toHaveBeenCalledWith('residual-inhibition', expect.objectContaining({ kind: 'matching' }));
+      vi.advanceTimersByTime(60000);
+      expect(test.noise).toBeNull();
+      expect(registry.isSourceActive('noise')).toBe(false);
+
+      test.close();
+      expect(registry.isSourceActive('noise')).toBe(true);
+    });
+
+    it('should stop the noise and its timer when another matching source takes over', () => {
+      test.launch();
+      test.startStimulus();
+      const noise = test.noise;
+      mockApp.audioEngine.startSource.mock.calls[0][1].stop();
+      expect(noise.stop).toHaveBeenCalled();
+      expect(test.noise).toBeNull();
+      expect(test.timer).toBeNull();
+    });
+  });
+
+  describe('Relief timing', () => {
+    beforeEach(() => {
+      test.launch();
+      test.startStimulus();
+      vi.advanceTimersByTime(60000);
+    });
+
+    it('should time how long complete relief lasted', () => {
+      test.rateRelief('complete');
+      vi.advanceTimersByTime(95000);
+      const result = test.recordReturn();
+      expect(result).toMatchObject({ relief: 'complete', reliefSeconds: 95, frequency: 7000, stimulusDuration: 60 });
+    });
+
+    it('should record partial relief', () => {
+      test.rateRelief('partial');
+      vi.advanceTimersByTime(12400);
+      expect(test.recordReturn()).toMatchObject({ relief: 'partial', reliefSeconds: 12 });
+    });
+
+    it('should finish immediately when there is no relief', () => {
+      test.rateRelief('none');
+      expect(test.result).toMatchObject({ relief: 'none', reliefSeconds: 0 });
+      expect(test.currentStep).toBe(4);
+    });
+
+    it('should report no inhibition on the result step', () => {
+      document.querySelector('[data-relief="none"]').click();
+      expect(test.currentStep).toBe(4);
+      expect(document.querySelector('.gs-result-matches').textContent).toBe('No residual inhibition this time.');
+      expect(document.getElementById('riReturned')).toBeNull();
+    });
+
+    it('should save a no-inhibition result from the result step', () => {
+      document.querySelector('[data-relief="none"]').click();
+      document.getElementById('riSave').click();
+      expect(test.getHistory()).toEqual([expect.objectContaining({ relief: 'none', reliefSeconds: 0 })]);
+      expect(test.isActive).toBe(false);
+    });
+
+    it('should describe partial relief', () => {
+      document.querySelector('[data-relief="partial"]').click();
+      vi.advanceTimersByTime(90000);
+      document.getElementById('riReturned').click();
+      expect(document.querySelector('.gs-result-matches').textContent).toBe('Partial relief for 1m 30s');
+    });
+
+    it('should start over from the result step', () => {
+      test.rateRelief('none');
+      document.getElementById('riRetry').click();
+      expect(test.currentStep).toBe(0);
+      expect(document.getElementById('riStart')).not.toBeNull();
+    });
+
+    it('should wait for the tap when relief is reported', () => {
+      document.querySelector('[data-relief="complete"]').click();
+      vi.advanceTimersByTime(30000);
+      document.getElementById('riReturned').click();
+      expect(test.result.reliefSeconds).toBe(30);
+      expect(document.getElementById('riBody').textContent).toContain('Complete relief for 30s');
+    });
+  });
+
+  describe('History', () => {
+    it('should save results and persist them', () => {
+      test.launch();
+      test.startStimulus();
+      test.onStimulusEnd();
+      test.rateRelief('none');
+      test.saveResult();
+      expect(new ResidualInhibitionTest(mockApp).getHistory()).toHaveLength(1);
+    });
+
+    it('should pass the result to onComplete', () => {
+      test.onComplete = vi.fn();
+      test.result = { relief: 'partial', reliefSeconds: 10 };
+      test.saveResult();
+      expect(test.onComplete).toHaveBeenCalledWith(test.result);
+    });
+
+    it('should not save without a result', () => {
+      expect(test.saveResult()).toBeNull();
+      expect(test.getHistory()).toEqual([]);
+    });
+
+    it('should start with an empty history when the saved one is corrupt', () => {
+      localStorage.setItem('tinnitusResidualInhibition', '{not json');
+      expect(new ResidualInhibitionTest(mockApp).getHistory()).toEqual([]);
+    });
+  });
+
+  describe('Modal flow', () => {
+    it('should start the stimulus with the chosen duration', () => {
+      test.launch();
+      const select = document.getElementById('riDuration');
+      select.value = '120';
+      select.dispatchEvent(new Event('change'));
+      document.getElementById('riStart').click();
+      expect(test.duration).toBe(120);
+      expect(test.noise.stop).toHaveBeenCalledWith(122);
+      expect(test.currentStep).toBe(1);
+    });
+
+    it('should allow stopping the noise early', () => {
+      test.launch();
+      document.getElementById('riStart').click();
+      const noise = test.noise;
+      document.getElementById('riStopEarly').click();
+      expect(noise.stop).toHaveBeenCalledTimes(2);
+      expect(test.currentStep).toBe(2);
+    });
+
+    it('should select the ear and highlight it when reopened', () => {
+      test.launch();
+      document.querySelector('.gs-ear-btn[data-ear="right"]').click();
+      expect(test.selectedEar).toBe('right');
+      expect(document.querySelector('.gs-ear-btn.selected').dataset.ear).toBe('right');
+      test.launch();
+      expect(document.querySelector('.gs-ear-btn.selected').dataset.ear).toBe('right');
+      test.selectedEar = 'left';
+      test.launch();
+      expect(document.querySelector('.gs-ear-btn.selected').dataset.ear).toBe('left');
+    });
+
+    it('should discard an interrupted test', () => {
+      test.launch();
+      document.getElementById('riStart').click();
+      document.getElementById('riClose').click();
+      vi.advanceTimersByTime(60000);
+      expect(test.isActive).toBe(false);
+      expect(test.currentStep).toBe(1);
+      expect(test.result).toBeNull();
+      expect(test.getHistory()).toEqual([]);
+    });
+
+    it('should discard a test closed while waiting for the tinnitus to return', () => {
+      test.launch();
+      test.startStimulus();
+      vi.advanceTimersByTime(60000);
+      test.rateRelief('complete');
+      test.close();
+      vi.advanceTimersByTime(300);
+      expect(test.result).toBeNull();
+      expect(test.getHistory()).toEqual([]);
+      expect(document.getElementById('residualInhibitionModal')).toBeNull();
+    });
+
+    it('should ignore steps and close once the modal is gone', () => {
+      expect(() => test.showStep(1)).not.toThrow();
+      expect(() => test.close()).not.toThrow();
+    });
+
+    it('should stop the noise and remove the modal on close', () => {
+      test.launch();
+      test.startStimulus();
+      const noise = test.noise;
+      test.close();
+      vi.advanceTimersByTime(300);
+      expect(noise.stop).toHaveBeenCalledTimes(2);
+      expect(document.getElementById('residualInhibitionModal')).toBeNull();
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should format seconds and minutes', () => {
+      expect(ResidualInhibitionTest.formatDuration(45)).toBe('45s');
+      expect(ResidualInhibitionTest.formatDuration(125)).toBe('2m 5s');
+    });
+  });
+});
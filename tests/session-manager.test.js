@@ -250,6 +250,65 @@ describe('SessionManager', () => {
     });
   });
 
+  describe('Sound Exposure', () => {
+    beforeEach(() => {
+      vi.setSystemTime(new Date(2026, 2, 1, 10, 0, 0));
+    });
+
+    afterEach(() => {
+      sessionManager.setLevelSource(null);
+    });
+
+    it('should allow 8 hours at 85 dB and halve the time every 3 dB', () => {
+      expect(SessionManager.getAllowedTime(85)).toBe(8 * 60 * 60 * 1000);
+      expect(SessionManager.getAllowedTime(88)).toBe(4 * 60 * 60 * 1000);
+      expect(SessionManager.getAllowedTime(79)).toBe(32 * 60 * 60 * 1000);
+    });
+
+    it('should add exposure to today\'s dose', () => {
+      const day = sessionManager.addExposure(85, 2 * 60 * 60 * 1000);
+      expect(day).toMatchObject({ date: '2026-03-01', dose: 25, minutes: 120, peakDb: 85 });
+      expect(sessionManager.getTodayDose()).toBe(25);
+    });
+
+    it('should keep a record per day and persist it', () => {
+      sessionManager.addExposure(85, 60 * 60 * 1000, new Date(2026, 1, 28, 20));
+      sessionManager.addExposure(88, 60 * 60 * 1000);
+      const history = new SessionManager().getDoseHistory();
+      expect(history.map(d => d.date)).toEqual(['2026-02-28', '2026-03-01']);
+      expect(history.map(d => d.dose)).toEqual([12.5, 25]);
+    });
+
+    it('should sample the level source while something plays', () => {
+      let level = 91;
+      sessionManager.setLevelSource(() => level);
+      vi.advanceTimersByTime(60 * 60 * 1000);
+      expect(sessionManager.getTodayDose()).toBeCloseTo(50, 6);
+
+      level = null;
+      vi.advanceTimersByTime(60 * 60 * 1000);
+      expect(sessionManager.getTodayDose()).toBeCloseTo(50, 6);
+    });
+
+    it('should warn once as each limit is crossed', () => {
+      const warning = vi.fn();
+      sessionManager.on('onDoseWarning', warning);
+      sessionManager.addExposure(85, 4.5 * 60 * 60 * 1000);
+      sessionManager.addExposure(85, 10 * 60 * 1000);
+      expect(warning).toHaveBeenCalledTimes(1);
+      expect(warning).toHaveBeenCalledWith({ dose: expect.closeTo(56.25, 6), limit: 50 });
+
+      sessionManager.addExposure(85, 4 * 60 * 60 * 1000);
+      expect(warning).toHaveBeenLastCalledWith({ dose: expect.closeTo(108.33, 2), limit: 100 });
+      expect(warning).toHaveBeenCalledTimes(2);
+    });
+
+    it('should start each day at zero', () => {
+      sessionManager.addExposure(85, 60 * 60 * 1000, new Date(2026, 1, 28, 20));
+      expect(sessionManager.getTodayDose()).toBe(0);
+    });
+  });
+
   describe('History Management', () => {
     it('should persist history to localStorage', async () => {
       sessionManager.setDurationMinutes(60);
@@ -45,7 +45,21 @@ global.AudioContext = class MockAudioContext {
       connect: () => {},
       disconnect: () => {},
       getByteFrequencyData: () => {},
-      getByteTimeDomainData: () => {}
+      getByteTimeDomainData: () => {},
+      getFloatTimeDomainData: () => {}
+    };
+  }
+
+  createDynamicsCompressor() {
+    const param = (value) => ({ value, setValueAtTime: () => {} });
+    return {
+      threshold: param(-24),
+      knee: param(30),
+      ratio: param(12),
+      attack: param(0.003),
+      release: param(0.25),
+      connect: () => {},
+      disconnect: () => {}
     };
   }
   
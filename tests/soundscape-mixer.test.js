@@ -0,0 +1,601 @@
+/**
+ * Soundscape Mixer Tests
+ * Tests the REAL SoundscapeMixer from js/soundscape-mixer.js
+ * Covers layers and their notches, the mix notch following the match, the audio graph,
+ * synthesized and imported ambience, and named presets.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SoundscapeMixer } from '../js/soundscape-mixer.js';
+
+function createMockNode(extra = {}) {
+  return { connect: vi.fn(), disconnect: vi.fn(), ...extra };
+}
+
+function createMockSource(extra = {}) {
+  return createMockNode({ start: vi.fn(), stop: vi.fn(), ...extra });
+}
+
+function createMockEngine() {
+  return {
+    currentTime: 0,
+    fadeTime: 0.2,
+    crossfadeTime: 0.3,
+    noiseWorkletReady: false,
+    audioContext: {
+      sampleRate: 8000,
+      createBuffer: vi.fn((channels, length, sampleRate) => {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return { length, sampleRate, getChannelData: (ch) => data[ch] };
+      }),
+      createBufferSource: vi.fn(() => createMockSource()),
+      decodeAudioData: vi.fn(async () => ({ decoded: true }))
+    },
+    init: vi.fn(),
+    loadNoiseWorklet: vi.fn(() => Promise.resolve(true)),
+    startSource: vi.fn(),
+    stopSource: vi.fn(),
+    createGain: vi.fn((value) => createMockNode({ gain: { value, setTargetAtTime: vi.fn() } })),
+    createNotchFilterBank: vi.fn((freq, width, depth) => ({ input: createMockNode(), output: createMockNode(), freq, width, depth, update: vi.fn() })),
+    createNoiseSource: vi.fn((type) => createMockSource({ type })),
+    createOscillator: vi.fn((frequency, type) => createMockSource({ type, frequency: { value: frequency, setTargetAtTime: vi.fn() } })),
+    connectToMaster: vi.fn(),
+    fadeIn: vi.fn(),
+    releaseChain: vi.fn()
+  };
+}
+
+function createMockApp() {
+  const app = {
+    audioEngine: createMockEngine(),
+    masterVolume: 0.5,
+    matchedFrequencies: { left: 6000, right: null },
+    getNotchTarget: vi.fn((ear) => app.matchedFrequencies[ear]),
+    normalizeNotchDepth: vi.fn((value) => (value === 'full' ? 'full' : Number(value))),
+    autoSaveState: vi.fn(),
+    saveSoundscapesToProfile: vi.fn()
+  };
+  return app;
+}
+
+const widthOptions = '<option value="0.5">0.5 Octave</option><option value="1" selected>1 Octave</option><option value="2">2 Octaves</option>';
+const depthOptions = '<option value="-20">-20 dB</option><option value="full" selected>Full</option>';
+
+function renderFixture() {
+  document.body.innerHTML = `
+    <button id="startSoundscape"></button><button id="stopSoundscape"></button>
+    <div id="soundscapeLayers"></div>
+    <button id="addNoiseLayer"></button><button id="addAmbienceLayer"></button><button id="addToneLayer"></button>
+    <input type="file" id="importAmbience">
+    <input type="range" id="soundscapeVolume"><span id="soundscapeVolumeDisplay"></span>
+    <input type="number" id="soundscapeNotchFreq"><button id="useMatchedFreqSoundscape"></button><p id="soundscapeNotchHint"></p>
+    <select id="soundscapeNotchWidth">${widthOptions}</select>
+    <select id="soundscapeNotchDepth">${depthOptions}</select>
+    <select id="soundscapePreset"></select><input type="text" id="soundscapePresetName">
+    <button id="saveSoundscapePreset"></button><button id="deleteSoundscapePreset"></button>`;
+}
+
+function rms(data, from, to) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += data[i] * data[i];
+  return Math.sqrt(sum / (to - from));
+}
+
+describe('SoundscapeMixer', () => {
+  let mixer;
+  let mockApp;
+  let engine;
+
+  beforeEach(() => {
+    localStorage.clear();
+    renderFixture();
+    mockApp = createMockApp();
+    engine = mockApp.audioEngine;
+    mixer = new SoundscapeMixer(mockApp);
+    mixer.init();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  describe('Layers', () => {
+    it('should add layers with defaults for their kind', () => {
+      const noise = mixer.addLayer('noise');
+      const tone = mixer.addLayer('tone', { frequency: 300 });
+      expect(noise).toMatchObject({ kind: 'noise', type: 'pink', volume: 0.5, notch: { freq: null, width: 1, depth: 0 } });
+      expect(tone).toMatchObject({ kind: 'tone', frequency: 300, waveform: 'sine' });
+      expect(noise.id).not.toBe(tone.id);
+      expect(mockApp.autoSaveState).toHaveBeenCalled();
+    });
+
+    it('should stop adding layers at the limit', () => {
+      for (let i = 0; i < mixer.maxLayers; i++) mixer.addLayer('noise');
+      expect(mixer.addLayer('noise')).toBeNull();
+      expect(document.getElementById('addNoiseLayer').disabled).toBe(true);
+    });
+
+    it('should remove a layer', () => {
+      const layer = mixer.addLayer('ambience');
+      mixer.removeLayer(layer.id);
+      expect(mixer.layers).toEqual([]);
+    });
+
+    it('should round-trip the mix without layer ids', () => {
+      mixer.addLayer('noise', { type: 'brown', notch: { depth: -20 } });
+      mixer.addLayer('ambience', { sound: 'ocean', volume: 0.3 });
+      mixer.setMixNotch({ freq: 5000, width: '0.5' });
+      const mix = mixer.getMix();
+      expect(mix.layers[0]).not.toHaveProperty('id');
+
+      const other = new SoundscapeMixer(mockApp);
+      other.setMix(mix);
+      expect(other.getMix()).toEqual(mix);
+    });
+
+    it('should skip unknown layer kinds in a saved mix', () => {
+      mixer.setMix({ layers: [{ kind: 'noise' }, { kind: 'radio' }] });
+      expect(mixer.layers.map(l => l.kind)).toEqual(['noise']);
+    });
+
+    it('should clear the layers for a missing mix', () => {
+      mixer.addLayer('noise');
+      mixer.setMix(null);
+      expect(mixer.layers).toEqual([]);
+      expect(mixer.volume).toBe(0.6);
+      expect(mixer.notch).toEqual({ freq: null, width: 1, depth: 'full' });
+    });
+
+    it('should ignore changes to a layer that is gone', () => {
+      mixer.addLayer('noise');
+      mockApp.autoSaveState.mockClear();
+      mixer.updateLayer(99, { volume: 0.1 });
+      mixer.removeLayer(99);
+      expect(mixer.layers).toHaveLength(1);
+      expect(mockApp.autoSaveState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Notches', () => {
+    it('should notch the mix at the matched frequency', () => {
+      expect(mixer.getNotchFreq()).toBe(6000);
+      mockApp.matchedFrequencies = { left: null, right: 3000 };
+      expect(mixer.getNotchFreq()).toBe(3000);
+      expect(document.getElementById('soundscapeNotchHint').textContent).toBe('Following your matched frequency.');
+    });
+
+    it('should notch at 4 kHz until there is a match', () => {
+      mockApp.matchedFrequencies = { left: null, right: null };
+      expect(mixer.getNotchFreq()).toBe(4000);
+      delete mockApp.getNotchTarget;
+      expect(mixer.getNotchFreq()).toBe(4000);
+    });
+
+    it('should keep a notch set by hand until it follows the match again', () => {
+      document.getElementById('soundscapeNotchFreq').value = '5000';
+      document.getElementById('soundscapeNotchFreq').dispatchEvent(new Event('change'));
+      expect(mixer.getNotchFreq()).toBe(5000);
+      expect(document.getElementById('soundscapeNotchHint').textContent).toBe('Set by hand.');
+
+      document.getElementById('useMatchedFreqSoundscape').click();
+      expect(mixer.getNotchFreq()).toBe(6000);
+    });
+
+    it('should keep a typed notch in range and follow the match when it is cleared', () => {
+      const input = document.getElementById('soundscapeNotchFreq');
+      input.value = '50000';
+      input.dispatchEvent(new Event('change'));
+      expect(mixer.notch.freq).toBe(15000);
+      input.value = '';
+      input.dispatchEvent(new Event('change'));
+      expect(mixer.notch.freq).toBeNull();
+    });
+
+    it('should center layer notches on the mix notch unless they have their own', () => {
+      const layer = mixer.addLayer('noise');
+      expect(mixer.getLayerNotchFreq(layer)).toBe(6000);
+      mixer.updateLayer(layer.id, { notch: { freq: 2000 } });
+      expect(mixer.getLayerNotchFreq(layer)).toBe(2000);
+    });
+  });
+
+  describe('Audio', () => {
+    beforeEach(() => {
+      mixer.addLayer('noise');
+      mixer.addLayer('tone');
+    });
+
+    it('should not start an empty mix', () => {
+      mixer.setMix({ layers: [] });
+      mixer.start();
+      expect(engine.startSource).not.toHaveBeenCalled();
+      expect(document.getElementById('startSoundscape').disabled).toBe(true);
+    });
+
+    it('should play as a therapy source through the mix notch', () => {
+      mixer.start();
+      expect(engine.startSource).toHaveBeenCalledWith('soundscape', expect.objectContaining({ kind: 'therapy', label: 'Soundscape' }));
+      expect(engine.createNotchFilterBank).toHaveBeenCalledWith(6000, 1, 'full');
+      expect(engine.connectToMaster).toHaveBeenCalledWith(mixer.nodes.fader);
+      expect(engine.fadeIn).toHaveBeenCalledWith(mixer.nodes.fader, 0.2);
+      expect(mixer.nodes.gain.gain.value).toBe(0.6 * 0.5);
+      expect(document.getElementById('stopSoundscape').disabled).toBe(false);
+    });
+
+    it('should run each layer through its own notch and volume into the mix', () => {
+      mixer.start();
+      const [noise, tone] = mixer.layers.map(l => mixer.layerNodes.get(l.id));
+      expect(engine.createNoiseSource).toHaveBeenCalledWith('pink');
+      expect(engine.createOscillator).toHaveBeenCalledWith(440, 'sine');
+      expect(noise.source.connect).toHaveBeenCalledWith(noise.bank.input);
+      expect(noise.bank).toMatchObject({ freq: 6000, width: 1, depth: 0 });
+      expect(tone.gain.gain.value).toBe(0.1);
+      expect(tone.fader.connect).toHaveBeenCalledWith(mixer.nodes.bus);
+      expect(noise.source.start).toHaveBeenCalled();
+    });
+
+    it('should wait for the noise generator to load', async () => {
+      engine.noiseWorkletReady = null;
+      engine.loadNoiseWorklet.mockImplementation(() => {
+        engine.noiseWorkletReady = true;
+        return Promise.resolve(true);
+      });
+      mixer.start();
+      expect(engine.startSource).not.toHaveBeenCalled();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(engine.startSource).toHaveBeenCalled();
+    });
+
+    it('should build one mix when started twice while the generator loads', async () => {
+      engine.noiseWorkletReady = null;
+      let loaded;
+      engine.loadNoiseWorklet.mockImplementation(() => new Promise(resolve => { loaded = resolve; }));
+      mixer.start();
+      mixer.start();
+      expect(document.getElementById('startSoundscape').disabled).toBe(true);
+      engine.noiseWorkletReady = true;
+      loaded(true);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(engine.startSource).toHaveBeenCalledTimes(1);
+      expect(engine.connectToMaster).toHaveBeenCalledTimes(1);
+      expect(mixer.isPlaying).toBe(true);
+    });
+
+    it('should not start a mix emptied while the generator loads', async () => {
+      engine.noiseWorkletReady = null;
+      mixer.start();
+      mixer.setMix({ layers: [] });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(engine.startSource).not.toHaveBeenCalled();
+      expect(mixer.isPlaying).toBe(false);
+    });
+
+    it('should not start after a stop while the generator loads', async () => {
+      engine.noiseWorkletReady = null;
+      engine.loadNoiseWorklet.mockImplementation(() => Promise.resolve(true));
+      mixer.start();
+      mixer.stop();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(engine.connectToMaster).not.toHaveBeenCalled();
+      expect(mixer.isPlaying).toBe(false);
+    });
+
+    it('should start on buffers when the generator fails to load', async () => {
+      engine.noiseWorkletReady = null;
+      engine.loadNoiseWorklet.mockImplementation(() => Promise.reject(new Error('addModule failed')));
+      mixer.start();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(engine.startSource).toHaveBeenCalledTimes(1);
+      expect(mixer.isPlaying).toBe(true);
+    });
+
+    it('should fade in a layer added while playing', () => {
+      mixer.start();
+      const layer = mixer.addLayer('ambience');
+      const nodes = mixer.layerNodes.get(layer.id);
+      expect(nodes.fader.gain.value).toBe(0);
+      expect(engine.fadeIn).toHaveBeenCalledWith(nodes.fader, 0.2);
+    });
+
+    it('should retune volume, notch and tone pitch in place', () => {
+      mixer.start();
+      const [noise, tone] = mixer.layers;
+      const noiseNodes = mixer.layerNodes.get(noise.id);
+      const toneNodes = mixer.layerNodes.get(tone.id);
+      mixer.updateLayer(noise.id, { volume: 0.2, notch: { depth: 'full' } });
+      mixer.updateLayer(tone.id, { frequency: 300 });
+      expect(noiseNodes.gain.gain.setTargetAtTime).toHaveBeenCalledWith(0.2, 0, 0.01);
+      expect(noiseNodes.bank.update).toHaveBeenCalledWith(6000, 1, 'full');
+      expect(toneNodes.source.frequency.setTargetAtTime).toHaveBeenCalledWith(300, 0, 0.01);
+      expect(mixer.layerNodes.get(noise.id)).toBe(noiseNodes);
+    });
+
+    it('should change a tone waveform in place', () => {
+      mixer.start();
+      const tone = mixer.layers[1];
+      const nodes = mixer.layerNodes.get(tone.id);
+      mixer.updateLayer(tone.id, { waveform: 'triangle' });
+      expect(nodes.source.type).toBe('triangle');
+      expect(mixer.layerNodes.get(tone.id)).toBe(nodes);
+    });
+
+    it('should crossfade colors on the worklet generator and swap other sources', () => {
+      mixer.start();
+      const [noise] = mixer.layers;
+      const nodes = mixer.layerNodes.get(noise.id);
+      nodes.source.setType = vi.fn(() => true);
+      mixer.updateLayer(noise.id, { type: 'brown' });
+      expect(nodes.source.setType).toHaveBeenCalledWith('brown');
+      expect(mixer.layerNodes.get(noise.id)).toBe(nodes);
+
+      nodes.source.setType.mockReturnValue(false);
+      mixer.updateLayer(noise.id, { type: 'grey' });
+      expect(engine.releaseChain).toHaveBeenCalledWith({ fader: nodes.fader, sources: [nodes.source] }, 0.3);
+      expect(mixer.layerNodes.get(noise.id)).not.toBe(nodes);
+    });
+
+    it('should move following layer notches with the mix notch', () => {
+      mixer.start();
+      const [noise, tone] = mixer.layers;
+      mixer.updateLayer(tone.id, { notch: { freq: 2000 } });
+      mixer.setMixNotch({ freq: 5000 });
+      expect(mixer.nodes.bank.update).toHaveBeenCalledWith(5000, 1, 'full');
+      expect(mixer.layerNodes.get(noise.id).bank.update).toHaveBeenCalledWith(5000, 1, 0);
+      expect(mixer.layerNodes.get(tone.id).bank.update).not.toHaveBeenCalledWith(5000, 1, 0);
+    });
+
+    it('should follow the master volume', () => {
+      mixer.start();
+      mockApp.masterVolume = 1;
+      mixer.updateVolume();
+      expect(mixer.nodes.gain.gain.setTargetAtTime).toHaveBeenCalledWith(0.6, 0, 0.01);
+    });
+
+    it('should release the whole mix on stop', () => {
+      mixer.start();
+      const { fader } = mixer.nodes;
+      const sources = [...mixer.layerNodes.values()].map(n => n.source);
+      mixer.stop();
+      expect(engine.releaseChain).toHaveBeenCalledWith({ fader, sources }, 0.2);
+      expect(engine.stopSource).toHaveBeenCalledWith('soundscape');
+      expect(mixer.nodes).toBeNull();
+      expect(mixer.isPlaying).toBe(false);
+    });
+
+    it('should release the graph while paused and rebuild it on resume', () => {
+      mixer.start();
+      mixer.pause();
+      expect(mixer.nodes).toBeNull();
+      expect(mixer.isPlaying).toBe(true);
+
+      mockApp.matchedFrequencies.left = 7000;
+      mixer.resume();
+      expect(engine.createNotchFilterBank).toHaveBeenLastCalledWith(7000, 1, 0);
+      expect(mixer.layerNodes.size).toBe(2);
+    });
+
+    it('should pause, resume and stop when the audio engine asks', () => {
+      mixer.start();
+      const source = engine.startSource.mock.calls[0][1];
+      source.pause();
+      expect(mixer.nodes).toBeNull();
+      source.resume();
+      expect(mixer.nodes).not.toBeNull();
+      source.stop();
+      expect(mixer.isPlaying).toBe(false);
+      expect(engine.stopSource).toHaveBeenCalledWith('soundscape');
+    });
+
+    it('should set the mix volume from its slider', () => {
+      mixer.start();
+      const slider = document.getElementById('soundscapeVolume');
+      slider.value = '40';
+      slider.dispatchEvent(new Event('input'));
+      expect(mixer.volume).toBe(0.4);
+      expect(mixer.nodes.gain.gain.setTargetAtTime).toHaveBeenCalledWith(0.2, 0, 0.01);
+      expect(document.getElementById('soundscapeVolumeDisplay').textContent).toBe('40%');
+      expect(mockApp.autoSaveState).toHaveBeenCalled();
+    });
+
+    it('should crossfade to a loaded preset while playing', () => {
+      mixer.start();
+      const old = [...mixer.layerNodes.values()];
+      mixer.setMix({ layers: [{ kind: 'ambience', sound: 'fan' }] });
+      old.forEach(n => expect(engine.releaseChain).toHaveBeenCalledWith({ fader: n.fader, sources: [n.source] }, 0.3));
+      expect(mixer.layerNodes.size).toBe(1);
+    });
+  });
+
+  describe('Ambience', () => {
+    it('should synthesize each bundled loop once', () => {
+      const buffer = mixer.getAmbienceBuffer('rain');
+      expect(buffer.length).toBe(8 * 8000);
+      expect(mixer.getAmbienceBuffer('rain')).toBe(buffer);
+      expect(mixer.getAmbienceBuffer('jungle')).toBeNull();
+    });
+
+    it('should generate finite audio for every bundled sound', () => {
+      Object.keys(SoundscapeMixer.ambience).forEach(sound => {
+        const data = SoundscapeMixer.generateAmbience(sound, 8000, 8000, 8000);
+        expect(data.every(Number.isFinite)).toBe(true);
+        expect(rms(data, 0, data.length)).toBeGreaterThan(0);
+      });
+    });
+
+    it('should swell the ocean in the middle of the loop', () => {
+      const data = SoundscapeMixer.generateAmbience('ocean', 64000, 64000, 8000);
+      expect(rms(data, 28000, 36000)).toBeGreaterThan(2 * rms(data, 0, 8000));
+    });
+
+    it('should wrap the loop without a jump', () => {
+      const data = mixer.getAmbienceBuffer('ocean').getChannelData(0);
+      expect(Math.abs(data[data.length - 1] - data[0])).toBeLessThan(0.05);
+    });
+
+    it('should loop bundled ambience in the mix', () => {
+      mixer.addLayer('ambience', { sound: 'fan' });
+      mixer.start();
+      const { source } = [...mixer.layerNodes.values()][0];
+      expect(source.loop).toBe(true);
+      expect(source.buffer).toBe(mixer.getAmbienceBuffer('fan'));
+    });
+  });
+
+  describe('Imported loops', () => {
+    const file = { name: 'creek.mp3', arrayBuffer: async () => new ArrayBuffer(8) };
+
+    it('should decode a file and add it as a layer', async () => {
+      const layer = await mixer.importLoop(file);
+      expect(layer).toMatchObject({ kind: 'ambience', sound: 'creek.mp3', imported: true });
+      expect(mixer.createLayerSource(layer).buffer).toEqual({ decoded: true });
+      expect(document.querySelector('.layer-sound').textContent).toContain('creek.mp3');
+    });
+
+    it('should leave a preset layer silent until its file is imported again', async () => {
+      mixer.setMix({ layers: [{ kind: 'ambience', sound: 'creek.mp3', imported: true }] });
+      expect(document.querySelector('.layer-sound').textContent).toContain('creek.mp3 (import again)');
+      mixer.start();
+      expect(mixer.layerNodes.size).toBe(0);
+
+      await mixer.importLoop(file);
+      expect(mixer.layers).toHaveLength(1);
+      expect(mixer.layerNodes.size).toBe(1);
+    });
+
+    it('should tell the user when a file is not audio', async () => {
+      const alert = vi.fn();
+      vi.stubGlobal('alert', alert);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      engine.audioContext.decodeAudioData.mockRejectedValue(new Error('bad data'));
+      expect(await mixer.importLoop(file)).toBeNull();
+      expect(alert).toHaveBeenCalledWith('Couldn\'t open "creek.mp3" as audio.');
+      expect(mixer.layers).toEqual([]);
+    });
+  });
+
+  describe('Presets', () => {
+    it('should save the mix under a name and keep it in the profile', () => {
+      mixer.addLayer('noise');
+      document.getElementById('soundscapePresetName').value = 'Bedtime rain';
+      document.getElementById('saveSoundscapePreset').click();
+      expect(SoundscapeMixer.getPresets()['Bedtime rain']).toEqual(mixer.getMix());
+      expect(mockApp.saveSoundscapesToProfile).toHaveBeenCalled();
+      expect(document.getElementById('soundscapePreset').value).toBe('Bedtime rain');
+    });
+
+    it('should require a name and at least one layer', () => {
+      const alert = vi.fn();
+      vi.stubGlobal('alert', alert);
+      document.getElementById('saveSoundscapePreset').click();
+      expect(alert).toHaveBeenCalledWith('Please enter a preset name');
+      document.getElementById('soundscapePresetName').value = 'Empty';
+      document.getElementById('saveSoundscapePreset').click();
+      expect(alert).toHaveBeenCalledWith('Add a layer before saving a preset');
+      expect(SoundscapeMixer.getPresetNames()).toEqual([]);
+    });
+
+    it('should load a preset from the list', () => {
+      SoundscapeMixer.savePreset('Ocean', { volume: 0.4, notch: { freq: null, width: '2', depth: 'full' }, layers: [{ kind: 'ambience', sound: 'ocean', volume: 0.7, notch: { freq: null, width: 1, depth: 0 } }] });
+      mixer.renderPresets();
+      const select = document.getElementById('soundscapePreset');
+      select.value = 'Ocean';
+      select.dispatchEvent(new Event('change'));
+      expect(mixer.volume).toBe(0.4);
+      expect(mixer.notch.width).toBe('2');
+      expect(mixer.layers[0]).toMatchObject({ kind: 'ambience', sound: 'ocean', volume: 0.7 });
+      expect(document.querySelectorAll('.soundscape-layer')).toHaveLength(1);
+    });
+
+    it('should delete the selected preset', () => {
+      vi.stubGlobal('confirm', vi.fn(() => true));
+      SoundscapeMixer.savePreset('Fan', { layers: [{ kind: 'ambience', sound: 'fan' }] });
+      mixer.renderPresets('Fan');
+      document.getElementById('deleteSoundscapePreset').click();
+      expect(SoundscapeMixer.getPresetNames()).toEqual([]);
+      expect(localStorage.getItem('tinnitusSoundscapes')).toBeNull();
+    });
+
+    it('should ask for a preset before deleting and keep it when cancelled', () => {
+      const alert = vi.fn();
+      vi.stubGlobal('alert', alert);
+      vi.stubGlobal('confirm', vi.fn(() => false));
+      SoundscapeMixer.savePreset('Fan', { layers: [{ kind: 'ambience', sound: 'fan' }] });
+      mixer.renderPresets();
+      document.getElementById('deleteSoundscapePreset').click();
+      expect(alert).toHaveBeenCalledWith('Select a preset to delete');
+      mixer.renderPresets('Fan');
+      document.getElementById('deleteSoundscapePreset').click();
+      expect(confirm).toHaveBeenCalledWith('Delete soundscape "Fan"?');
+      expect(SoundscapeMixer.getPresetNames()).toEqual(['Fan']);
+    });
+
+    it('should ignore the placeholder entry in the preset list', () => {
+      mixer.addLayer('noise');
+      const select = document.getElementById('soundscapePreset');
+      select.value = '';
+      select.dispatchEvent(new Event('change'));
+      expect(mixer.layers).toHaveLength(1);
+    });
+
+    it('should survive corrupt storage', () => {
+      localStorage.setItem('tinnitusSoundscapes', 'not json');
+      expect(SoundscapeMixer.getPresets()).toEqual({});
+    });
+  });
+
+  describe('UI', () => {
+    it('should render a row per layer with its controls', () => {
+      mixer.addLayer('noise', { type: 'brown' });
+      mixer.addLayer('tone');
+      const rows = document.querySelectorAll('.soundscape-layer');
+      expect(rows).toHaveLength(2);
+      expect(rows[0].querySelector('.layer-type').value).toBe('brown');
+      expect(rows[0].querySelector('.layer-notch-depth').value).toBe('0');
+      expect(rows[1].querySelector('.layer-frequency').value).toBe('440');
+    });
+
+    it('should update a layer from its controls', () => {
+      const layer = mixer.addLayer('noise');
+      const row = document.querySelector('.soundscape-layer');
+      const volume = row.querySelector('.layer-volume input');
+      volume.value = '30';
+      volume.dispatchEvent(new Event('input'));
+      row.querySelector('.layer-notch-depth').value = '-20';
+      row.querySelector('.layer-notch-depth').dispatchEvent(new Event('change'));
+      expect(layer.volume).toBe(0.3);
+      expect(layer.notch.depth).toBe(-20);
+      expect(row.querySelector('.layer-volume span').textContent).toBe('30%');
+    });
+
+    it('should remove a layer from its row', () => {
+      mixer.addLayer('ambience');
+      document.querySelector('.layer-remove').click();
+      expect(mixer.layers).toEqual([]);
+      expect(document.getElementById('soundscapeLayers').textContent).toContain('Add noise, ambience or a tone');
+    });
+
+    it('should pass a layer depth through when the app has no normalizer', () => {
+      delete mockApp.normalizeNotchDepth;
+      const layer = mixer.addLayer('noise');
+      const depth = document.querySelector('.layer-notch-depth');
+      depth.value = 'full';
+      depth.dispatchEvent(new Event('change'));
+      expect(layer.notch.depth).toBe('full');
+    });
+
+    it('should render layers without the mix notch controls', () => {
+      document.body.innerHTML = '<div id="soundscapeLayers"></div>';
+      mixer.addLayer('noise');
+      expect(document.querySelectorAll('.soundscape-layer')).toHaveLength(1);
+      expect(document.querySelector('.layer-notch-width').options).toHaveLength(0);
+    });
+
+    it('should render nothing without the panel', () => {
+      document.body.innerHTML = '';
+      const other = new SoundscapeMixer(mockApp);
+      expect(() => other.init()).not.toThrow();
+      expect(other.addLayer('noise')).not.toBeNull();
+    });
+  });
+});
@@ -112,6 +112,22 @@ describe('SubscriptionManager', () => {
       expect(manager.hasFeature('musicNotching')).toBe(true);
       expect(manager.hasFeature('advancedControls')).toBe(true);
     });
+
+    it('should gate each noise type behind its feature', () => {
+      expect(manager.hasNoiseType('pink')).toBe(true);
+      ['white', 'brown', 'blue', 'violet', 'grey', 'custom'].forEach(type => {
+        expect(manager.hasNoiseType(type)).toBe(false);
+      });
+      manager.isPremium = true;
+      manager.updateFeatureAccess();
+      ['blue', 'violet', 'grey', 'custom'].forEach(type => {
+        expect(manager.hasNoiseType(type)).toBe(true);
+      });
+    });
+
+    it('should not recognise unknown noise types', () => {
+      expect(manager.hasNoiseType('plaid')).toBe(false);
+    });
   });
 
   describe('Trial Management', () => {
@@ -0,0 +1,635 @@
+/**
+ * Sweep Engine Tests
+ * Tests the REAL SweepEngine from js/sweep-engine.js without any DOM:
+ * transport, audio-clock ramp scheduling, directions, refine pass, marks,
+ * confidence and the event API.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SweepEngine } from '../js/sweep-engine.js';
+
+function createMockAudioEngine() {
+  return {
+    init: vi.fn(),
+    createOscillator: vi.fn(() => ({
+      frequency: {
+        setValueAtTime: vi.fn(),
+        exponentialRampToValueAtTime: vi.fn(),
+        cancelScheduledValues: vi.fn()
+      },
+      connect: vi.fn(),
+      disconnect: vi.fn(),
+      start: vi.fn(),
+      stop: vi.fn()
+    })),
+    createGain: vi.fn(() => ({ connect: vi.fn() })),
+    createPanner: vi.fn((pan) => ({ pan, connect: vi.fn() })),
+    connectToMaster: vi.fn(),
+    startSource: vi.fn(),
+    stopSource: vi.fn(),
+    currentTime: 0
+  };
+}
+
+describe('SweepEngine', () => {
+  let engine;
+  let audioEngine;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('requestAnimationFrame', vi.fn(() => 1));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn());
+    audioEngine = createMockAudioEngine();
+    engine = new SweepEngine(audioEngine);
+  });
+
+  afterEach(() => {
+    engine.stop();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  // Move the audio clock forward and let the display loop read it
+  function advance(seconds) {
+    audioEngine.currentTime += seconds;
+    engine.animate();
+  }
+
+  describe('Events', () => {
+    it('should call every listener registered for an event', () => {
+      const a = vi.fn();
+      const b = vi.fn();
+      engine.on('mark', a).on('mark', b);
+      engine.emit('mark', 4000, 30);
+      expect(a).toHaveBeenCalledWith(4000, 30);
+      expect(b).toHaveBeenCalledWith(4000, 30);
+    });
+
+    it('should ignore unknown events', () => {
+      expect(() => engine.on('bogus', vi.fn())).not.toThrow();
+      expect(() => engine.emit('bogus')).not.toThrow();
+    });
+
+    it('should remove listeners with off()', () => {
+      const cb = vi.fn();
+      engine.on('frequency', cb);
+      engine.off('frequency', cb);
+      engine.emit('frequency', 1000, 0);
+      expect(cb).not.toHaveBeenCalled();
+    });
+
+    it('should emit frequency and progress on every step', () => {
+      const cb = vi.fn();
+      engine.on('frequency', cb);
+      engine.start();
+      advance(25);
+      expect(cb).toHaveBeenLastCalledWith(expect.closeTo(2000, 6), expect.any(Number));
+    });
+  });
+
+  describe('Transport', () => {
+    it('should build oscillator, gain and panner for the selected ear', () => {
+      engine.ear = 'right';
+      engine.start();
+      expect(audioEngine.createOscillator).toHaveBeenCalledWith(1000, 'sine');
+      expect(audioEngine.createGain).toHaveBeenCalledWith(0.3);
+      expect(audioEngine.createPanner).toHaveBeenCalledWith(1);
+      expect(audioEngine.connectToMaster).toHaveBeenCalledWith(engine.pannerNode);
+      expect(engine.isRunning).toBe(true);
+    });
+
+    it('should resume without rebuilding the graph', () => {
+      engine.start();
+      engine.togglePause();
+      engine.start();
+      expect(audioEngine.createOscillator).toHaveBeenCalledTimes(1);
+      expect(engine.isPaused).toBe(false);
+    });
+
+    it('should ignore start while already running', () => {
+      engine.start();
+      engine.start();
+      expect(audioEngine.createOscillator).toHaveBeenCalledTimes(1);
+    });
+
+    it('should play centred when both ears are selected', () => {
+      engine.ear = 'both';
+      engine.start();
+      expect(audioEngine.createPanner).toHaveBeenCalledWith(0);
+    });
+
+    it('should pan hard left for the left ear', () => {
+      engine.ear = 'left';
+      engine.start();
+      expect(audioEngine.createPanner).toHaveBeenCalledWith(-1);
+    });
+
+    it('should ignore pause while stopped', () => {
+      engine.togglePause();
+      expect(engine.isPaused).toBe(false);
+    });
+
+    it('should not advance while paused', () => {
+      engine.start();
+      engine.togglePause();
+      advance(10);
+      expect(engine.currentFreq).toBe(1000);
+      expect(engine.mark()).toBe(1000);
+    });
+
+    it('should tolerate an oscillator that throws on stop', () => {
+      engine.start();
+      engine.oscillator.stop.mockImplementation(() => { throw new Error('already stopped'); });
+      engine.oscillator.disconnect.mockImplementation(() => { throw new Error('not connected'); });
+      expect(() => engine.stop()).not.toThrow();
+      expect(engine.oscillator).toBeNull();
+    });
+
+    it('should register with the audio engine while it plays', () => {
+      engine.start();
+      expect(audioEngine.startSource).toHaveBeenCalledWith('sweep', expect.objectContaining({ kind: 'matching', label: 'Frequency sweep' }));
+      engine.stop();
+      expect(audioEngine.stopSource).toHaveBeenCalledWith('sweep');
+    });
+
+    it('should stop and tell listeners when the engine interrupts it', () => {
+      const interrupted = vi.fn();
+      engine.on('interrupt', interrupted);
+      engine.start();
+      audioEngine.startSource.mock.calls[0][1].stop();
+      expect(engine.isRunning).toBe(false);
+      expect(interrupted).toHaveBeenCalled();
+    });
+
+    it('should clear marks and return to the start on reset', () => {
+      engine.start();
+      engine.seek(5000);
+      engine.mark();
+      engine.reset();
+      expect(engine.isRunning).toBe(false);
+      expect(engine.currentFreq).toBe(1000);
+      expect(engine.matchedFrequencies).toEqual([]);
+      expect(engine.confidenceLevel).toBe(0);
+    });
+  });
+
+  describe('Audio-clock scheduling', () => {
+    it('should move a fixed number of octaves per second', () => {
+      engine.start();
+      advance(25); // 1 octave at 0.04 oct/sec
+      expect(engine.currentFreq).toBeCloseTo(2000, 6);
+      advance(25);
+      expect(engine.currentFreq).toBeCloseTo(4000, 6);
+    });
+
+    it('should schedule the whole pass as one exponential ramp', () => {
+      audioEngine.currentTime = 3;
+      engine.start();
+      const param = engine.oscillator.frequency;
+      const duration = Math.log2(12) / 0.04;
+      expect(param.cancelScheduledValues).toHaveBeenCalledWith(3);
+      expect(param.setValueAtTime).toHaveBeenCalledWith(1000, 3);
+      expect(param.exponentialRampToValueAtTime).toHaveBeenCalledWith(12000, expect.closeTo(3 + duration, 10));
+    });
+
+    it('should schedule both legs of a ping-pong sweep up front', () => {
+      engine.direction = 'pingpong';
+      engine.start();
+      const ramps = engine.oscillator.frequency.exponentialRampToValueAtTime.mock.calls;
+      const leg = Math.log2(12) / 0.04;
+      expect(ramps).toEqual([[12000, expect.closeTo(leg, 10)], [1000, expect.closeTo(2 * leg, 10)]]);
+    });
+
+    it('should compute the frequency from the audio clock', () => {
+      engine.start();
+      expect(engine.getFrequencyAt(25)).toBeCloseTo(2000, 6);
+      expect(engine.getFrequencyAt(1000)).toBe(12000);
+    });
+
+    it('should hold the current frequency when nothing is scheduled', () => {
+      engine.currentFreq = 3000;
+      expect(engine.getFrequencyAt(10)).toBe(3000);
+      engine.syncTo(10);
+      expect(engine.currentFreq).toBe(3000);
+      engine.scheduleEndCheck();
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should jump to the end of a zero-length segment', () => {
+      engine.segments = [{ t0: 5, t1: 5, f0: 1000, f1: 2000, heading: 1 }];
+      expect(engine.getFrequencyAt(5)).toBe(2000);
+    });
+
+    it('should not depend on animation frames to keep sweeping', () => {
+      engine.start();
+      audioEngine.currentTime = 50; // no frames ran in between
+      expect(engine.mark()).toBe(4000);
+    });
+
+    it('should end the pass from a timer when frames are throttled', () => {
+      const complete = vi.fn();
+      engine.on('complete', complete);
+      engine.autoRefine = false;
+      engine.start();
+      audioEngine.currentTime = 100;
+      vi.advanceTimersByTime(Math.log2(12) / 0.04 * 1000 + 20);
+      expect(complete).toHaveBeenCalled();
+      expect(engine.isRunning).toBe(false);
+    });
+
+    it('should check again when the timer fires before the audio clock gets there', () => {
+      const complete = vi.fn();
+      engine.on('complete', complete);
+      engine.autoRefine = false;
+      engine.start();
+      audioEngine.currentTime = 50;
+      vi.advanceTimersByTime(Math.log2(12) / 0.04 * 1000 + 20);
+      expect(complete).not.toHaveBeenCalled();
+      expect(vi.getTimerCount()).toBe(1);
+    });
+
+    it('should hold the tone and drop pending ramps on pause', () => {
+      engine.start();
+      audioEngine.currentTime = 25;
+      engine.togglePause();
+      const param = engine.oscillator.frequency;
+      expect(engine.currentFreq).toBeCloseTo(2000, 6);
+      expect(param.cancelScheduledValues).toHaveBeenLastCalledWith(25);
+      expect(param.setValueAtTime).toHaveBeenLastCalledWith(engine.currentFreq, 25);
+      expect(engine.segments).toEqual([]);
+    });
+
+    it('should continue from the held frequency on resume', () => {
+      engine.start();
+      audioEngine.currentTime = 25;
+      engine.togglePause();
+      audioEngine.currentTime = 40;
+      engine.togglePause();
+      expect(engine.getFrequencyAt(65)).toBeCloseTo(4000, 6);
+    });
+
+    it('should reschedule from a seek while running', () => {
+      engine.start();
+      audioEngine.currentTime = 5;
+      engine.seek(3000);
+      expect(engine.oscillator.frequency.setValueAtTime).toHaveBeenLastCalledWith(3000, 5);
+      expect(engine.getFrequencyAt(30)).toBeCloseTo(6000, 6);
+    });
+
+    it('should start at the top and move down when descending', () => {
+      engine.direction = 'descending';
+      engine.start();
+      expect(engine.currentFreq).toBe(12000);
+      advance(25);
+      expect(engine.currentFreq).toBeCloseTo(6000, 6);
+    });
+
+    it('should bounce once at the top in ping-pong mode', () => {
+      const complete = vi.fn();
+      engine.on('complete', complete);
+      engine.direction = 'pingpong';
+      engine.start();
+      advance(100);
+      expect(engine.heading).toBe(-1);
+      expect(complete).not.toHaveBeenCalled();
+      advance(100);
+      expect(complete).toHaveBeenCalledWith([], 0);
+      expect(engine.currentFreq).toBe(1000);
+    });
+  });
+
+  describe('Noise band stimulus', () => {
+    function createNoise() {
+      const param = () => ({ setValueAtTime: vi.fn(), exponentialRampToValueAtTime: vi.fn(), cancelScheduledValues: vi.fn() });
+      return {
+        source: { disconnect: vi.fn() },
+        output: { connect: vi.fn() },
+        filters: [{ frequency: param() }, { frequency: param() }],
+        start: vi.fn(),
+        stop: vi.fn()
+      };
+    }
+
+    beforeEach(() => {
+      audioEngine.createNarrowbandNoise = vi.fn(() => createNoise());
+      engine.stimulus = 'noise';
+      engine.bandwidth = 0.5;
+    });
+
+    it('should play a narrowband noise instead of a tone', () => {
+      engine.start();
+      expect(audioEngine.createNarrowbandNoise).toHaveBeenCalledWith(1000, 0.5);
+      expect(audioEngine.createOscillator).not.toHaveBeenCalled();
+      expect(engine.noise.start).toHaveBeenCalled();
+    });
+
+    it('should sweep the centre of every filter in the band', () => {
+      engine.start();
+      const duration = Math.log2(12) / 0.04;
+      engine.noise.filters.forEach(f => {
+        expect(f.frequency.setValueAtTime).toHaveBeenCalledWith(1000, 0);
+        expect(f.frequency.exponentialRampToValueAtTime).toHaveBeenCalledWith(12000, expect.closeTo(duration, 10));
+      });
+    });
+
+    it('should stop and release the noise', () => {
+      engine.start();
+      const noise = engine.noise;
+      engine.stop();
+      expect(noise.stop).toHaveBeenCalled();
+      expect(noise.source.disconnect).toHaveBeenCalled();
+      expect(engine.noise).toBeNull();
+    });
+
+    it('should tolerate a noise band that throws on stop', () => {
+      engine.start();
+      engine.noise.stop.mockImplementation(() => { throw new Error('already stopped'); });
+      engine.noise.source.disconnect.mockImplementation(() => { throw new Error('not connected'); });
+      expect(() => engine.stop()).not.toThrow();
+      expect(engine.noise).toBeNull();
+    });
+
+    it('should have no frequency to retune while stopped', () => {
+      expect(engine.getFrequencyParams()).toEqual([]);
+    });
+
+    it('should describe the stimulus for the match record', () => {
+      expect(engine.getStimulus()).toEqual({ type: 'noise', bandwidth: 0.5 });
+      engine.stimulus = 'tone';
+      expect(engine.getStimulus()).toEqual({ type: 'tone' });
+    });
+  });
+
+  describe('getProgress', () => {
+    it('should place the geometric midpoint halfway', () => {
+      engine.passLow = 1000;
+      engine.passHigh = 4000;
+      engine.seek(2000);
+      expect(engine.getProgress()).toBeCloseTo(0.5, 10);
+    });
+
+    it('should clamp outside the pass range', () => {
+      engine.passLow = 1000;
+      engine.passHigh = 4000;
+      engine.seek(500);
+      expect(engine.getProgress()).toBe(0);
+    });
+
+    it('should return 0 for an empty range', () => {
+      engine.passLow = engine.passHigh = 3000;
+      expect(engine.getProgress()).toBe(0);
+    });
+  });
+
+  describe('Refine pass', () => {
+    it('should narrow around the marks and slow down', () => {
+      const pass = vi.fn();
+      engine.on('pass', pass);
+      engine.start();
+      engine.seek(4000);
+      engine.mark();
+      advance(200);
+
+      expect(engine.pass).toBe(2);
+      expect(pass).toHaveBeenCalledWith(2, engine.passLow, engine.passHigh);
+      expect(engine.getCurrentSpeed()).toBeCloseTo(0.02, 10);
+      expect(engine.coarseMatches).toEqual([4000]);
+      expect(engine.matchedFrequencies).toEqual([]);
+    });
+
+    it('should keep the refine range inside the original range', () => {
+      expect(engine.getRefineRange([1050, 11800])).toEqual({ low: 1000, high: 12000 });
+    });
+
+    it('should fall back to first-pass marks when the refine pass has none', () => {
+      const complete = vi.fn();
+      engine.on('complete', complete);
+      engine.start();
+      engine.seek(4000);
+      engine.mark();
+      advance(200);
+      advance(200);
+      expect(complete).toHaveBeenCalledWith([4000], 30);
+      expect(engine.pass).toBe(1);
+    });
+
+    it('should complete directly when auto-refine is off', () => {
+      const complete = vi.fn();
+      engine.on('complete', complete);
+      engine.autoRefine = false;
+      engine.start();
+      engine.seek(4000);
+      engine.mark();
+      advance(200);
+      expect(complete).toHaveBeenCalledWith([4000], 30);
+    });
+  });
+
+  describe('Reaction-time correction', () => {
+    beforeEach(() => {
+      engine.reactionTime = 0.5;
+    });
+
+    it('should take an ascending mark back by the reaction time', () => {
+      engine.start();
+      audioEngine.currentTime = 25;
+      expect(engine.mark()).toBe(Math.round(2000 * Math.pow(2, -0.02)));
+      expect(engine.rawFrequencies).toEqual([2000]);
+    });
+
+    it('should correct upwards when descending', () => {
+      engine.direction = 'descending';
+      engine.start();
+      audioEngine.currentTime = 25;
+      expect(engine.mark()).toBe(Math.round(6000 * Math.pow(2, 0.02)));
+      expect(engine.rawFrequencies).toEqual([6000]);
+    });
+
+    it('should scale the correction with the slower refine pass', () => {
+      engine.start();
+      engine.seek(4000);
+      engine.mark();
+      advance(200);
+      audioEngine.currentTime += 10;
+      const raw = Math.round(engine.getFrequencyAt(audioEngine.currentTime));
+      const freq = engine.mark();
+      expect(engine.rawFrequencies).toEqual([raw]);
+      expect(freq / raw).toBeCloseTo(Math.pow(2, -0.01), 3);
+    });
+
+    it('should follow the sweep back over a ping-pong turnaround', () => {
+      engine.direction = 'pingpong';
+      engine.start();
+      const leg = Math.log2(12) / 0.04;
+      audioEngine.currentTime = leg + 0.25; // heard just before the top
+      expect(engine.mark()).toBe(Math.round(12000 * Math.pow(2, -0.01)));
+    });
+
+    it('should not correct a mark made while paused', () => {
+      engine.start();
+      audioEngine.currentTime = 25;
+      engine.togglePause();
+      expect(engine.mark()).toBe(2000);
+    });
+
+    it('should pass the raw frequency with the mark event', () => {
+      const cb = vi.fn();
+      engine.on('mark', cb);
+      engine.start();
+      audioEngine.currentTime = 25;
+      engine.mark();
+      expect(cb).toHaveBeenCalledWith(1972, 30, 2000);
+    });
+
+    it('should pair raw and corrected values in getMarks()', () => {
+      engine.start();
+      audioEngine.currentTime = 25;
+      engine.mark();
+      expect(engine.getMarks()).toEqual([{ raw: 2000, corrected: 1972 }]);
+    });
+
+    it('should show a mark without a raw value as uncorrected', () => {
+      engine.matchedFrequencies = [4000];
+      expect(engine.getMarks()).toEqual([{ raw: 4000, corrected: 4000 }]);
+    });
+
+    it('should carry raw values through the refine fallback', () => {
+      const complete = vi.fn();
+      engine.on('complete', complete);
+      engine.start();
+      audioEngine.currentTime = 25;
+      engine.mark();
+      advance(200);
+      expect(engine.rawFrequencies).toEqual([]);
+      advance(200);
+      expect(engine.getMarks()).toEqual([{ raw: 2000, corrected: 1972 }]);
+    });
+
+    it('should clear raw values with the marks', () => {
+      engine.start();
+      engine.mark();
+      engine.clearMarks();
+      expect(engine.rawFrequencies).toEqual([]);
+    });
+  });
+
+  describe('analyzeMatches', () => {
+    it('should return an empty analysis without marks', () => {
+      expect(SweepEngine.analyzeMatches([])).toEqual({
+        suggested: null, confidence: 0, interval: null, spreadCents: 0, kept: [], rejected: []
+      });
+    });
+
+    it('should give a single mark no interval', () => {
+      const a = SweepEngine.analyzeMatches([6000]);
+      expect(a).toMatchObject({ suggested: 6000, confidence: 30, interval: null, kept: [6000] });
+    });
+
+    it('should bracket the suggestion with a 95% interval', () => {
+      const a = SweepEngine.analyzeMatches([5000, 5050, 4950]);
+      expect(a.interval.low).toBeLessThan(a.suggested);
+      expect(a.interval.high).toBeGreaterThan(a.suggested);
+      expect(a.spreadCents).toBe(17);
+      expect(a.interval.cents).toBe(43); // t(2) = 4.30
+    });
+
+    it('should reject a stray tap so it does not drag the suggestion', () => {
+      const a = SweepEngine.analyzeMatches([6000, 6010, 5990, 6005, 3000 * 1.3]);
+      expect(a.rejected).toEqual([{ freq: 3900, index: 4, reason: 'outlier' }]);
+      expect(a.suggested).toBeCloseTo(6001, -1);
+    });
+
+    it('should reject marks an octave away from the main cluster', () => {
+      const a = SweepEngine.analyzeMatches([4000, 4030, 3980, 8010, 2000]);
+      expect(a.rejected.map(r => [r.freq, r.reason])).toEqual([[8010, 'octave'], [2000, 'octave']]);
+      expect(a.kept).toEqual([4000, 4030, 3980]);
+    });
+
+    it('should follow the larger cluster when the median sits an octave off', () => {
+      const a = SweepEngine.analyzeMatches([8000, 8050, 4000, 4020, 4010]);
+      expect(a.kept).toEqual([4000, 4020, 4010]);
+    });
+
+    it('should not reject when two marks disagree', () => {
+      const a = SweepEngine.analyzeMatches([4000, 8000]);
+      expect(a.rejected).toEqual([]);
+      expect(a.confidence).toBe(0);
+    });
+
+    it('should scale confidence by the share of marks kept', () => {
+      const clean = SweepEngine.analyzeMatches([5000, 5000, 5000, 5000]);
+      const stray = SweepEngine.analyzeMatches([5000, 5000, 5000, 5000, 9000]);
+      expect(clean.confidence).toBe(100);
+      expect(stray.confidence).toBe(80);
+    });
+
+    it('should fall back to the large-sample t values past the table', () => {
+      expect(SweepEngine.tValue(10)).toBe(2.23);
+      expect(SweepEngine.tValue(20)).toBe(2.1);
+      expect(SweepEngine.tValue(40)).toBe(1.96);
+    });
+
+    it('should take the median of an empty list as 0', () => {
+      expect(SweepEngine.median([])).toBe(0);
+    });
+
+    it('should label rejected marks by reason', () => {
+      expect(SweepEngine.rejectionLabel('octave')).toBe('octave error');
+      expect(SweepEngine.rejectionLabel('outlier')).toBe('outlier');
+    });
+
+    it('should leave rejected marks out of the refine range', () => {
+      engine.start();
+      engine.matchedFrequencies = [4000, 4010, 3990, 11000];
+      engine.startRefinePass();
+      expect(engine.passHigh).toBeLessThan(5000);
+    });
+  });
+
+  describe('Marks and confidence', () => {
+    it('should only mark while running', () => {
+      expect(engine.mark()).toBeNull();
+      expect(engine.matchedFrequencies).toEqual([]);
+    });
+
+    it('should record rounded marks and emit them with the confidence', () => {
+      const cb = vi.fn();
+      engine.on('mark', cb);
+      engine.start();
+      engine.seek(4567.8);
+      expect(engine.mark()).toBe(4568);
+      expect(cb).toHaveBeenCalledWith(4568, 30, 4568);
+    });
+
+    it('should suggest the geometric mean of the marks', () => {
+      engine.matchedFrequencies = [4000, 9000];
+      expect(engine.getSuggestedFrequency()).toBe(6000);
+      engine.matchedFrequencies = [];
+      expect(engine.getSuggestedFrequency()).toBeNull();
+    });
+
+    it('should score confidence from the spread of the marks', () => {
+      expect(SweepEngine.calculateConfidence([])).toBe(0);
+      expect(SweepEngine.calculateConfidence([5000])).toBe(30);
+      expect(SweepEngine.calculateConfidence([5000, 5000])).toBe(100);
+      expect(SweepEngine.calculateConfidence([5000, 5010, 4990])).toBeGreaterThan(90);
+      expect(SweepEngine.calculateConfidence([1000, 12000])).toBe(0);
+    });
+
+    it('should weigh spread in cents rather than Hz', () => {
+      const low = SweepEngine.calculateConfidence([1000, 1010, 990]);
+      const high = SweepEngine.calculateConfidence([8000, 8080, 7920]);
+      expect(high).toBe(low);
+      expect(high).toBeGreaterThan(80);
+    });
+
+    it('should clear marks without touching the transport', () => {
+      engine.start();
+      engine.mark();
+      engine.clearMarks();
+      expect(engine.matchedFrequencies).toEqual([]);
+      expect(engine.isRunning).toBe(true);
+    });
+  });
+});
@@ -191,6 +191,7 @@ function createMockApp() {
     matchedFrequencies: { left: null, right: null },
     startTone: vi.fn(),
     stopTone: vi.fn(),
+    updateToneSettings: vi.fn(),
     autoSaveState: vi.fn(),
     visualizers: {}
   };
@@ -331,6 +332,19 @@ describe('ToneMatcherUI', () => {
       expect(ui.leftSettings.waveform).toBe('square');
     });
 
+    it('should default to a tone with a third-octave noise band', () => {
+      expect(ui.leftSettings.stimulus).toBe('tone');
+      expect(ui.leftSettings.bandwidth).toBe(0.33);
+    });
+
+    it('should switch the stimulus to a noise band', () => {
+      ui.updateSetting('stimulus', 'noise');
+      expect(ui.leftSettings.stimulus).toBe('noise');
+      ui.startTone();
+      expect(mockApp.toneState.left.stimulus).toBe('noise');
+      expect(mockApp.toneState.left.bandwidth).toBe(0.33);
+    });
+
     it('should update fine tune setting', () => {
       ui.updateSetting('fineTune', 3.5);
       expect(ui.leftSettings.fineTune).toBe(3.5);
@@ -352,15 +366,13 @@ describe('ToneMatcherUI', () => {
     });
 
     it('should call applyAudioSettings when updating setting while playing', () => {
-      vi.useFakeTimers();
       ui.startTone();
-      mockApp.stopTone.mockClear();
 
       ui.updateSetting('frequency', 6000);
 
-      // applyAudioSettings calls stopTone
-      expect(mockApp.stopTone).toHaveBeenCalled();
-      vi.useRealTimers();
+      // applyAudioSettings retunes the playing tone without stopping it
+      expect(mockApp.updateToneSettings).toHaveBeenCalledWith('left', expect.objectContaining({ frequency: 6000 }));
+      expect(mockApp.stopTone).not.toHaveBeenCalled();
     });
 
     it('should sync frequency slider and input on frequency change', () => {
@@ -443,6 +455,66 @@ describe('ToneMatcherUI', () => {
     });
   });
 
+  // ── Stimulus Controls ───────────────────────────────────
+
+  describe('Stimulus Controls', () => {
+    beforeEach(() => {
+      const waveformGroup = document.createElement('div');
+      waveformGroup.classList.add('control-group');
+      waveformGroup.appendChild(document.getElementById('unifiedToneWaveform'));
+      document.body.appendChild(waveformGroup);
+
+      const stimulusSelect = document.createElement('select');
+      stimulusSelect.id = 'unifiedToneStimulus';
+      stimulusSelect.innerHTML = '<option value="tone">Tone</option><option value="noise">Noise band</option>';
+      document.body.appendChild(stimulusSelect);
+
+      const bandwidthGroup = document.createElement('div');
+      bandwidthGroup.id = 'unifiedToneBandwidthGroup';
+      const bandwidthSelect = document.createElement('select');
+      bandwidthSelect.id = 'unifiedToneBandwidth';
+      bandwidthSelect.innerHTML = '<option value="0.33">1/3 octave</option><option value="0.5">1/2 octave</option><option value="1">1 octave</option>';
+      bandwidthGroup.appendChild(bandwidthSelect);
+      document.body.appendChild(bandwidthGroup);
+
+      ui = new ToneMatcherUI(mockApp);
+    });
+
+    it('should switch to a noise band from the stimulus select', () => {
+      const sel = document.getElementById('unifiedToneStimulus');
+      sel.value = 'noise';
+      sel.dispatchEvent(new Event('change'));
+      expect(ui.leftSettings.stimulus).toBe('noise');
+      expect(document.getElementById('unifiedToneWaveform').closest('.control-group').style.display).toBe('none');
+      expect(document.getElementById('unifiedToneBandwidthGroup').style.display).toBe('');
+    });
+
+    it('should bring the waveform back when switching to a tone', () => {
+      const sel = document.getElementById('unifiedToneStimulus');
+      sel.value = 'noise';
+      sel.dispatchEvent(new Event('change'));
+      sel.value = 'tone';
+      sel.dispatchEvent(new Event('change'));
+      expect(document.getElementById('unifiedToneWaveform').closest('.control-group').style.display).toBe('');
+      expect(document.getElementById('unifiedToneBandwidthGroup').style.display).toBe('none');
+    });
+
+    it('should update the bandwidth from its select', () => {
+      const sel = document.getElementById('unifiedToneBandwidth');
+      sel.value = '0.5';
+      sel.dispatchEvent(new Event('change'));
+      expect(ui.leftSettings.bandwidth).toBe(0.5);
+      expect(ui.rightSettings.bandwidth).toBe(0.5);
+    });
+
+    it('should load the selected ear\'s stimulus into the controls', () => {
+      ui.rightSettings.stimulus = 'noise';
+      ui.selectEar('right');
+      expect(document.getElementById('unifiedToneStimulus').value).toBe('noise');
+      expect(document.getElementById('unifiedToneBandwidthGroup').style.display).toBe('');
+    });
+  });
+
   // ── Fine Tune ───────────────────────────────────────────
 
   describe('Fine Tune', () => {
@@ -524,6 +596,33 @@ describe('ToneMatcherUI', () => {
       document.getElementById('unifiedToneMark').click();
       expect(mockApp.matchedFrequencies.left).toBe(3000);
     });
+
+    it('should refresh the dashboard after marking', () => {
+      mockApp.dashboardManager = { updateMatchedFrequency: vi.fn() };
+      ui.markFrequency();
+      expect(mockApp.dashboardManager.updateMatchedFrequency).toHaveBeenCalled();
+    });
+
+    it('should record the mark in the match history', () => {
+      mockApp.matchHistory = { add: vi.fn() };
+      ui.selectEar('right');
+      ui.updateSetting('frequency', 7000);
+      ui.markFrequency();
+      expect(mockApp.matchHistory.add).toHaveBeenCalledWith({
+        method: 'slider', ear: 'right', frequency: 7000, marks: [{ raw: 7000, corrected: 7000 }],
+        stimulus: { type: 'tone' }
+      });
+    });
+
+    it('should record a noise band match with its bandwidth', () => {
+      mockApp.matchHistory = { add: vi.fn() };
+      ui.updateSetting('stimulus', 'noise');
+      ui.updateSetting('bandwidth', 0.5);
+      ui.markFrequency();
+      expect(mockApp.matchHistory.add).toHaveBeenCalledWith(expect.objectContaining({
+        stimulus: { type: 'noise', bandwidth: 0.5 }
+      }));
+    });
   });
 
   // ── Wizard Step Completion on Mark ─────────────────────
@@ -557,19 +656,18 @@ describe('ToneMatcherUI', () => {
 
   describe('Phase Inversion While Playing', () => {
     it('should call applyAudioSettings when toggling phase while playing', () => {
-      vi.useFakeTimers();
       ui.startTone();
-      mockApp.stopTone.mockClear();
 
       ui.togglePhaseInversion();
 
-      // applyAudioSettings stops and restarts the tone
-      expect(mockApp.stopTone).toHaveBeenCalled();
-      vi.useRealTimers();
+      // applyAudioSettings flips the phase of the playing tone
+      expect(mockApp.updateToneSettings).toHaveBeenCalledWith('left', expect.objectContaining({ phaseInverted: true }));
+      expect(mockApp.stopTone).not.toHaveBeenCalled();
     });
 
     it('should NOT call applyAudioSettings when toggling phase while not playing', () => {
       ui.togglePhaseInversion();
+      expect(mockApp.updateToneSettings).not.toHaveBeenCalled();
       expect(mockApp.stopTone).not.toHaveBeenCalled();
       expect(mockApp.startTone).not.toHaveBeenCalled();
     });
@@ -826,26 +924,28 @@ describe('ToneMatcherUI', () => {
   // ── applyAudioSettings ─────────────────────────────────
 
   describe('applyAudioSettings', () => {
-    it('should stop and restart tone when playing', () => {
-      vi.useFakeTimers();
+    it('should update both ears in place when playing', () => {
       ui.startTone();
       mockApp.startTone.mockClear();
-      mockApp.stopTone.mockClear();
+      ui.rightSettings.frequency = 7000;
 
       ui.applyAudioSettings();
 
-      // Should stop immediately
-      expect(mockApp.stopTone).toHaveBeenCalled();
-
-      // Should restart after 50ms
-      vi.advanceTimersByTime(50);
-      expect(mockApp.startTone).toHaveBeenCalled();
+      expect(mockApp.updateToneSettings).toHaveBeenCalledWith('left', ui.leftSettings);
+      expect(mockApp.updateToneSettings).toHaveBeenCalledWith('right', expect.objectContaining({ frequency: 7000 }));
+      expect(mockApp.stopTone).not.toHaveBeenCalled();
+      expect(mockApp.startTone).not.toHaveBeenCalled();
+    });
 
-      vi.useRealTimers();
+    it('should hand the app a copy of the settings', () => {
+      ui.startTone();
+      ui.applyAudioSettings();
+      expect(mockApp.updateToneSettings.mock.calls[0][1]).not.toBe(ui.leftSettings);
     });
 
     it('should do nothing when not playing', () => {
       ui.applyAudioSettings();
+      expect(mockApp.updateToneSettings).not.toHaveBeenCalled();
       expect(mockApp.stopTone).not.toHaveBeenCalled();
       expect(mockApp.startTone).not.toHaveBeenCalled();
     });
@@ -898,30 +998,26 @@ describe('ToneMatcherUI', () => {
 
   describe('Per-Ear Enable while playing', () => {
     it('should call applyAudioSettings when left ear toggled while playing', () => {
-      vi.useFakeTimers();
       ui.startTone();
-      mockApp.stopTone.mockClear();
 
       const cb = document.getElementById('leftToneEnabled');
       cb.checked = false;
       cb.dispatchEvent(new Event('change'));
 
-      // applyAudioSettings calls stopTone
-      expect(mockApp.stopTone).toHaveBeenCalled();
-      vi.useRealTimers();
+      // applyAudioSettings fades the ear out in place
+      expect(mockApp.updateToneSettings).toHaveBeenCalledWith('left', expect.objectContaining({ enabled: false }));
+      expect(mockApp.stopTone).not.toHaveBeenCalled();
     });
 
     it('should call applyAudioSettings when right ear toggled while playing', () => {
-      vi.useFakeTimers();
       ui.startTone();
-      mockApp.stopTone.mockClear();
 
       const cb = document.getElementById('rightToneEnabled');
       cb.checked = false;
       cb.dispatchEvent(new Event('change'));
 
-      expect(mockApp.stopTone).toHaveBeenCalled();
-      vi.useRealTimers();
+      expect(mockApp.updateToneSettings).toHaveBeenCalledWith('right', expect.objectContaining({ enabled: false }));
+      expect(mockApp.stopTone).not.toHaveBeenCalled();
     });
   });
 });
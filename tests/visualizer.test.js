@@ -1,11 +1,11 @@
 /**
  * Visualizer Tests
  * Tests canvas handling, waveform rendering, spectrum display, and reinit
- * Uses REAL SpectrumVisualizer and WaveformVisualizer classes from ../js/visualizer.js
+ * Uses REAL SpectrumVisualizer, WaveformVisualizer and SpectrumEditor classes from ../js/visualizer.js
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { SpectrumVisualizer, WaveformVisualizer } from '../js/visualizer.js';
+import { SpectrumVisualizer, WaveformVisualizer, SpectrumEditor } from '../js/visualizer.js';
 
 // Store originals so we can restore them
 let origRAF;
@@ -165,6 +165,66 @@ describe('SpectrumVisualizer', () => {
       viz.setNotch(6000, 2);
       expect(viz.notchWidth).toBe(2);
     });
+
+    it('should report a single shared band by default', () => {
+      const viz = new SpectrumVisualizer('testSpectrum');
+      viz.setNotch(4000, 1);
+      expect(viz.getNotchBands()).toEqual([{ freq: 4000, label: '4000 Hz' }]);
+    });
+
+    it('should report one band per ear when a right-ear notch is set', () => {
+      const viz = new SpectrumVisualizer('testSpectrum');
+      viz.setNotch(4000, 1, 6000);
+      expect(viz.getNotchBands()).toEqual([
+        { freq: 4000, label: 'L 4000 Hz' },
+        { freq: 6000, label: 'R 6000 Hz' }
+      ]);
+    });
+
+    it('should clear both ear notches', () => {
+      const viz = new SpectrumVisualizer('testSpectrum');
+      viz.setNotch(4000, 1, 6000);
+      viz.clearNotch();
+      expect(viz.notchFrequencyRight).toBeNull();
+      expect(viz.getNotchBands()).toEqual([]);
+    });
+
+    it('should add extra bands after the primary notch', () => {
+      const viz = new SpectrumVisualizer('testSpectrum');
+      viz.setNotch(4000, 1, null, [{ freq: 7000, width: 'hz100' }, { freq: 9000 }]);
+      expect(viz.getNotchBands()).toEqual([
+        { freq: 4000, label: '4000 Hz' },
+        { freq: 7000, width: 'hz100', label: '7000 Hz' },
+        { freq: 9000, width: 1, label: '9000 Hz' }
+      ]);
+    });
+
+    it('should clear extra bands with the primary notch', () => {
+      const viz = new SpectrumVisualizer('testSpectrum');
+      viz.setNotch(4000, 1, null, [{ freq: 7000 }]);
+      viz.clearNotch();
+      expect(viz.extraNotches).toEqual([]);
+    });
+
+    it('should use each band\'s own width for its edges', () => {
+      const viz = new SpectrumVisualizer('testSpectrum');
+      viz.setNotch(4000, 1);
+      expect(viz.getNotchEdges(7000, 'hz100')).toEqual({ lower: 6900, upper: 7100 });
+    });
+
+    it('should compute band edges for octave widths', () => {
+      const viz = new SpectrumVisualizer('testSpectrum');
+      viz.setNotch(4000, 2);
+      const edges = viz.getNotchEdges(4000);
+      expect(edges.lower).toBeCloseTo(2000, 5);
+      expect(edges.upper).toBeCloseTo(8000, 5);
+    });
+
+    it('should compute band edges for Hz-based widths', () => {
+      const viz = new SpectrumVisualizer('testSpectrum');
+      viz.setNotch(4000, 'hz100');
+      expect(viz.getNotchEdges(4000)).toEqual({ lower: 3900, upper: 4100 });
+    });
   });
 
   describe('Frequency to X Mapping', () => {
@@ -611,3 +671,74 @@ describe('WaveformVisualizer', () => {
     });
   });
 });
+
+// ============================================================
+// SpectrumEditor
+// ============================================================
+describe('SpectrumEditor', () => {
+  const bands = [63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+  let canvas;
+  let editor;
+
+  // Point on the page over a band, at the given curve level in dB
+  function pointAt(freq, level) {
+    return {
+      clientX: editor.freqToX(freq) / 2,
+      clientY: editor.gainToY(level) / 2,
+    };
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = '<canvas id="testEditor"></canvas>';
+    canvas = document.getElementById('testEditor');
+    mockBoundingRect(canvas, 300, 80);
+    editor = new SpectrumEditor('testEditor', bands);
+  });
+
+  it('should handle missing canvas gracefully', () => {
+    const missing = new SpectrumEditor('nonexistent', bands);
+    expect(missing.canvas).toBeNull();
+    expect(() => missing.draw()).not.toThrow();
+  });
+
+  it('should start flat', () => {
+    expect(editor.getSpectrum()).toEqual({ slope: 0, bands: bands.map(() => 0) });
+  });
+
+  it('should fill missing bands when a spectrum is set', () => {
+    editor.setSpectrum({ slope: -3, bands: [2] });
+    expect(editor.getSpectrum()).toEqual({ slope: -3, bands: [2, 0, 0, 0, 0, 0, 0, 0, 0] });
+  });
+
+  it('should place 1 kHz near the middle', () => {
+    expect(editor.freqToX(1000) / canvas.width).toBeCloseTo(0.5, 1);
+  });
+
+  it('should set the nearest band to the drawn level', () => {
+    const onChange = vi.fn();
+    editor.onChange = onChange;
+    canvas.dispatchEvent(new MouseEvent('pointerdown', pointAt(1000, 6)));
+    expect(editor.gains[4]).toBe(6);
+    expect(onChange).toHaveBeenCalledWith({ slope: 0, bands: [0, 0, 0, 0, 6, 0, 0, 0, 0] });
+  });
+
+  it('should keep drawing while the pointer is down', () => {
+    canvas.dispatchEvent(new MouseEvent('pointerdown', pointAt(250, 3)));
+    canvas.dispatchEvent(new MouseEvent('pointermove', pointAt(500, -4.5)));
+    canvas.dispatchEvent(new MouseEvent('pointerup'));
+    canvas.dispatchEvent(new MouseEvent('pointermove', pointAt(2000, 9)));
+    expect(editor.gains.slice(2, 6)).toEqual([3, -4.5, 0, 0]);
+  });
+
+  it('should draw on top of the slope', () => {
+    editor.setSpectrum({ slope: 3, bands: [] });
+    canvas.dispatchEvent(new MouseEvent('pointerdown', pointAt(8000, 6)));
+    // The slope already puts 8 kHz at +9 dB
+    expect(editor.gains[7]).toBe(-3);
+  });
+
+  it('should limit band gains', () => {
+    const { gain } = editor.pointToBand(editor.freqToX(63), -1000);
+    expect(gain).toBe(12);
+  });
+});